@@ -2,7 +2,7 @@
 var iboxplot;
 
 iboxplot = function(data, chartOpts) {
-  var Baxis, BaxisData, Laxis, LaxisData, botylim, br2, chartdivid, circles, clickStatus, colindex, color, curves, d, fix4hist, grp4BkgdHist, height, hi, hist, histcolors, histline, i, indRect, indRectGrp, indindex, indtip, j, lo, longRect, longRectGrp, lowBaxis, lowBaxisData, lowsvg, lowxScale, lowyScale, m, margin, midQuant, nQuant, qucolors, quline, r, randomInd, recWidth, rectcolor, rightAxis, svg, tmp, topylim, width, xScale, xlab, yScale, ylab, _i, _j, _k, _l, _len, _len1, _len2, _len3, _m, _ref, _ref1, _ref10, _ref2, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var Baxis, BaxisData, Laxis, LaxisData, botylim, chartdivid, circles, clickStatus, clicked, clickedColor, colindex, color, curInd, curves, d, drawHist, exportControl, g_hist, height, hi, histcolors, i, indRect, indRectGrp, indindex, indtip, j, lo, longRect, longRectGrp, lowsvg, m, margin, midQuant, myhist, nQuant, pngScale, qucolors, quline, r, recWidth, rectcolor, responsive, rightAxis, svg, tmp, topylim, width, xScale, xlab, yScale, ylab, _i, _j, _k, _l, _len, _len1, _len2, _ref, _ref1, _ref10, _ref11, _ref12, _ref2, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
   width = (_ref = chartOpts != null ? chartOpts.width : void 0) != null ? _ref : 1000;
   height = (_ref1 = chartOpts != null ? chartOpts.height : void 0) != null ? _ref1 : 450;
   margin = (_ref2 = chartOpts != null ? chartOpts.margin : void 0) != null ? _ref2 : {
@@ -16,7 +16,10 @@ iboxplot = function(data, chartOpts) {
   rectcolor = (_ref5 = chartOpts != null ? chartOpts.rectcolor : void 0) != null ? _ref5 : "#E6E6E6";
   qucolors = (_ref6 = chartOpts != null ? chartOpts.qucolors : void 0) != null ? _ref6 : null;
   histcolors = (_ref7 = chartOpts != null ? chartOpts.histcolors : void 0) != null ? _ref7 : ["#0074D9", "#FF4136", "#3D9970", "MediumVioletRed", "black"];
-  chartdivid = (_ref8 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref8 : 'chart';
+  responsive = (_ref8 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref8 : false;
+  exportControl = (_ref9 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref9 : false;
+  pngScale = (_ref10 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref10 : 2;
+  chartdivid = (_ref11 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref11 : 'chart';
   histcolors = forceAsArray(histcolors);
   qucolors = forceAsArray(qucolors);
   topylim = [data.quant[0][0], data.quant[0][0]];
@@ -39,27 +42,6 @@ iboxplot = function(data, chartOpts) {
     }
   }
   indindex = d3.range(data.ind.length);
-  br2 = [];
-  _ref9 = data.breaks;
-  for (_i = 0, _len = _ref9.length; _i < _len; _i++) {
-    i = _ref9[_i];
-    br2.push(i);
-    br2.push(i);
-  }
-  fix4hist = function(d) {
-    var x, _j, _len1;
-    x = [0];
-    for (_j = 0, _len1 = d.length; _j < _len1; _j++) {
-      i = d[_j];
-      x.push(i);
-      x.push(i);
-    }
-    x.push(0);
-    return x;
-  };
-  for (i in data.counts) {
-    data.counts[i] = fix4hist(data.counts[i]);
-  }
   nQuant = data.quant.length;
   midQuant = (nQuant + 1) / 2 - 1;
   xScale = d3.scale.linear().domain([-1, data.ind.length]).range([margin.left, width - margin.right]);
@@ -106,8 +88,8 @@ iboxplot = function(data, chartOpts) {
     colindex = d3.range((nQuant - 1) / 2);
     tmp = d3.scale.category10().domain(colindex);
     qucolors = ["black"];
-    for (_j = 0, _len1 = colindex.length; _j < _len1; _j++) {
-      j = colindex[_j];
+    for (_i = 0, _len = colindex.length; _i < _len; _i++) {
+      j = colindex[_i];
       qucolors.push(tmp(j));
     }
   }
@@ -115,13 +97,13 @@ iboxplot = function(data, chartOpts) {
     qucolors = qucolors.slice(0, (nQuant - 1) / 2 + 1);
   }
   qucolors = qucolors.reverse();
-  _ref10 = qucolors.slice(0, -1).reverse();
-  for (_k = 0, _len2 = _ref10.length; _k < _len2; _k++) {
-    color = _ref10[_k];
+  _ref12 = qucolors.slice(0, -1).reverse();
+  for (_j = 0, _len1 = _ref12.length; _j < _len1; _j++) {
+    color = _ref12[_j];
     qucolors.push(color);
   }
   curves = svg.append("g").attr("id", "curves");
-  for (j = _l = 0; 0 <= nQuant ? _l < nQuant : _l > nQuant; j = 0 <= nQuant ? ++_l : --_l) {
+  for (j = _k = 0; 0 <= nQuant ? _k < nQuant : _k > nQuant; j = 0 <= nQuant ? ++_k : --_k) {
     curves.append("path").datum(indindex).attr("d", quline(j)).attr("class", "line").attr("stroke", qucolors[j]).attr("pointer-events", "none");
   }
   indtip = d3.tip().attr('class', 'd3-tip').html(function(d) {
@@ -158,41 +140,70 @@ iboxplot = function(data, chartOpts) {
     return qucolors[i];
   }).attr("text-anchor", "end").attr("dominant-baseline", "middle");
   svg.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height - margin.top - margin.bottom).attr("width", width - margin.left - margin.right).attr("stroke", "black").attr("stroke-width", 2).attr("fill", "none");
-  lowsvg = d3.select("div#" + chartdivid).append("svg").attr("height", height).attr("width", width);
   lo = data.breaks[0] - (data.breaks[1] - data.breaks[0]);
   hi = data.breaks[data.breaks.length - 1] + (data.breaks[1] - data.breaks[0]);
-  lowxScale = d3.scale.linear().domain([lo, hi]).range([margin.left, width - margin.right]);
-  lowyScale = d3.scale.linear().domain([0, botylim[1] + 1]).range([height - margin.bottom, margin.top]);
-  lowsvg.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height - margin.top - margin.bottom).attr("width", width - margin.left - margin.right).attr("stroke", "none").attr("fill", rectcolor);
-  lowBaxisData = lowxScale.ticks(8);
-  lowBaxis = lowsvg.append("g").attr("id", "lowBaxis");
-  lowBaxis.append("g").selectAll("empty").data(lowBaxisData).enter().append("line").attr("class", "line").attr("class", "axis").attr("y1", margin.top).attr("y2", height - margin.bottom).attr("x1", function(d) {
-    return lowxScale(d);
-  }).attr("x2", function(d) {
-    return lowxScale(d);
-  }).attr("stroke", "white");
-  lowBaxis.append("g").selectAll("empty").data(lowBaxisData).enter().append("text").attr("class", "axis").text(function(d) {
-    return formatAxis(lowBaxisData)(d);
-  }).attr("y", height - margin.bottom * 0.75).attr("x", function(d) {
-    return lowxScale(d);
-  }).attr("dominant-baseline", "middle").attr("text-anchor", "middle");
-  grp4BkgdHist = lowsvg.append("g").attr("id", "bkgdHist");
-  histline = d3.svg.line().x(function(d, i) {
-    return lowxScale(br2[i]);
-  }).y(function(d) {
-    return lowyScale(d);
-  });
-  randomInd = indindex[Math.floor(Math.random() * data.ind.length)];
-  hist = lowsvg.append("path").datum(data.counts[randomInd]).attr("d", histline).attr("id", "histline").attr("fill", "none").attr("stroke", "purple").attr("stroke-width", "2");
+  myhist = histogram().width(width - margin.left - margin.right).height(height - margin.top - margin.bottom).margin({
+    left: margin.left,
+    top: margin.top,
+    right: margin.right,
+    bottom: margin.bottom,
+    inner: 0
+  }).axispos({
+    xtitle: margin.bottom * 0.8,
+    ytitle: margin.left * 0.8,
+    xlabel: margin.bottom * 0.25,
+    ylabel: margin.left * 0.1
+  }).titlepos(0).xlim([lo, hi]).nxticks(8).ylim([0, botylim[1] + 1]).rectcolor(rectcolor).xlab(ylab);
+  lowsvg = d3.select("div#" + chartdivid).append("svg").attr("height", height).attr("width", width);
+  g_hist = lowsvg.append("g").attr("id", "histogram");
+  clicked = [];
+  clickedColor = {};
+  curInd = indindex[Math.floor(Math.random() * data.ind.length)];
+  drawHist = function() {
+    var d, inds;
+    inds = clicked.concat([curInd]);
+    myhist.linecolor(((function() {
+      var _l, _len2, _results;
+      _results = [];
+      for (_l = 0, _len2 = clicked.length; _l < _len2; _l++) {
+        d = clicked[_l];
+        _results.push(clickedColor[d]);
+      }
+      return _results;
+    })()).concat(["purple"]));
+    return g_hist.datum({
+      breaks: data.breaks,
+      counts: (function() {
+        var _l, _len2, _results;
+        _results = [];
+        for (_l = 0, _len2 = inds.length; _l < _len2; _l++) {
+          d = inds[_l];
+          _results.push(data.counts[d]);
+        }
+        return _results;
+      })(),
+      names: (function() {
+        var _l, _len2, _results;
+        _results = [];
+        for (_l = 0, _len2 = inds.length; _l < _len2; _l++) {
+          d = inds[_l];
+          _results.push(data.ind[d]);
+        }
+        return _results;
+      })()
+    }).call(myhist);
+  };
+  drawHist();
   clickStatus = [];
-  for (_m = 0, _len3 = indindex.length; _m < _len3; _m++) {
-    d = indindex[_m];
+  for (_l = 0, _len2 = indindex.length; _l < _len2; _l++) {
+    d = indindex[_l];
     clickStatus.push(0);
   }
   longRect.on("mouseover", function(d, i) {
     var circle;
     d3.select("rect#rect" + data.ind[d]).attr("opacity", "1");
-    d3.select("#histline").datum(data.counts[d]).attr("d", histline);
+    curInd = d;
+    drawHist();
     circle = d3.select("circle#hiddenpoint" + i);
     return indtip.show(data.ind[i], circle.node());
   }).on("mouseout", function(d) {
@@ -208,13 +219,19 @@ iboxplot = function(data, chartOpts) {
       curcolor = histcolors.shift();
       histcolors.push(curcolor);
       d3.select("rect#rect" + data.ind[d]).attr("fill", curcolor);
-      return grp4BkgdHist.append("path").datum(data.counts[d]).attr("d", histline).attr("id", "path" + data.ind[d]).attr("fill", "none").attr("stroke", curcolor).attr("stroke-width", "2");
+      clicked.push(d);
+      clickedColor[d] = curcolor;
     } else {
-      return d3.select("path#path" + data.ind[d]).remove();
+      clicked.splice(clicked.indexOf(d), 1);
     }
+    return drawHist();
   });
-  lowsvg.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height - margin.bottom - margin.top).attr("width", width - margin.left - margin.right).attr("stroke", "black").attr("stroke-width", 2).attr("fill", "none");
   svg.append("text").text(ylab).attr("x", margin.left * 0.2).attr("y", height / 2).attr("fill", "slateblue").attr("transform", "rotate(270 " + (margin.left * 0.2) + " " + (height / 2) + ")").attr("dominant-baseline", "middle").attr("text-anchor", "middle");
-  lowsvg.append("text").text(ylab).attr("x", (width - margin.left - margin.bottom) / 2 + margin.left).attr("y", height - margin.bottom * 0.2).attr("fill", "slateblue").attr("dominant-baseline", "middle").attr("text-anchor", "middle");
-  return svg.append("text").text(xlab).attr("x", (width - margin.left - margin.bottom) / 2 + margin.left).attr("y", height - margin.bottom * 0.2).attr("fill", "slateblue").attr("dominant-baseline", "middle").attr("text-anchor", "middle");
+  svg.append("text").text(xlab).attr("x", (width - margin.left - margin.bottom) / 2 + margin.left).attr("y", height - margin.bottom * 0.2).attr("fill", "slateblue").attr("dominant-baseline", "middle").attr("text-anchor", "middle");
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
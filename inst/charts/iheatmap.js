@@ -2,7 +2,7 @@
 var iheatmap;
 
 iheatmap = function(data, chartOpts) {
-  var axispos, cells, chartdivid, colors, formatX, formatY, g_heatmap, g_horslice, g_verslice, hbot, horcurvefunc, horslice, htop, margin, myheatmap, nullcolor, nxticks, nyticks, nzticks, plotHor, plotVer, rectcolor, removeHor, removeVer, shiftdown, shiftright, strokecolor, strokewidth, svg, title, titlepos, totalh, totalw, vercurvefunc, verslice, wleft, wright, xdif, xlab, xlim, xticks, ydif, ylab, ylim, yticks, zlab, zlim, zthresh, zticks, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var axispos, canvas, cells, chartdivid, chartg, colors, exportControl, formatX, formatY, g_heatmap, g_horslice, g_verslice, hbot, horcurvefunc, horizontal, horslice, htop, legendmargin, margin, myheatmap, mylegend, nullcolor, nxticks, nyticks, nzticks, placement, plotHor, plotVer, pngScale, rectcolor, removeHor, removeVer, responsive, shiftdown, shiftright, strokecolor, strokewidth, svg, title, titlepos, totalh, totalw, vercurvefunc, verslice, wleft, wright, xdif, xlab, xlim, xticks, ydif, ylab, ylim, yticks, zlab, zlegend, zlim, zthresh, zticks, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
   htop = (_ref = chartOpts != null ? chartOpts.htop : void 0) != null ? _ref : 500;
   hbot = (_ref1 = chartOpts != null ? chartOpts.hbot : void 0) != null ? _ref1 : 500;
   wleft = (_ref2 = chartOpts != null ? chartOpts.wleft : void 0) != null ? _ref2 : 500;
@@ -40,10 +40,27 @@ iheatmap = function(data, chartOpts) {
   zthresh = (_ref23 = chartOpts != null ? chartOpts.zthresh : void 0) != null ? _ref23 : null;
   zlim = (_ref24 = chartOpts != null ? chartOpts.zlim : void 0) != null ? _ref24 : [-matrixMaxAbs(data.z), 0, matrixMaxAbs(data.z)];
   colors = (_ref25 = chartOpts != null ? chartOpts.colors : void 0) != null ? _ref25 : ["slateblue", "white", "crimson"];
-  chartdivid = (_ref26 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref26 : 'chart';
+  zlegend = (_ref26 = chartOpts != null ? chartOpts.zlegend : void 0) != null ? _ref26 : null;
+  canvas = (_ref27 = chartOpts != null ? chartOpts.canvas : void 0) != null ? _ref27 : false;
+  responsive = (_ref28 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref28 : false;
+  exportControl = (_ref29 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref29 : false;
+  pngScale = (_ref30 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref30 : 2;
+  chartdivid = (_ref31 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref31 : 'chart';
   totalh = htop + hbot + 2 * (margin.top + margin.bottom);
   totalw = wleft + wright + 2 * (margin.left + margin.right);
+  if (zlegend != null) {
+    horizontal = zlegend === "top" || zlegend === "bottom";
+    mylegend = colorscale().orientation(horizontal ? "horizontal" : "vertical").side(zlegend).barlength(horizontal ? wleft : htop).title(zlab).nzticks(nzticks).zticks(zticks).nullcolor(rectcolor);
+    legendmargin = mylegend.margin();
+    placement = legendPlacement(zlegend, mylegend.size(), totalw, totalh, margin.left - legendmargin.left, margin.top - legendmargin.top);
+    totalw = placement.totalw;
+    totalh = placement.totalh;
+  }
   svg = d3.select("div#" + chartdivid).append("svg").attr("height", totalh).attr("width", totalw);
+  chartg = svg.append("g");
+  if (zlegend != null) {
+    chartg.attr("transform", "translate(" + placement.chart[0] + "," + placement.chart[1] + ")");
+  }
   if (xlim == null) {
     xlim = d3.extent(data.x);
     xdif = (data.x[1] - data.x[0]) / 2;
@@ -56,10 +73,13 @@ iheatmap = function(data, chartOpts) {
     ylim[0] -= ydif;
     ylim[1] += ydif;
   }
-  myheatmap = heatmap().width(wleft).height(htop).margin(margin).axispos(axispos).titlepos(titlepos).rectcolor(rectcolor).xlim(xlim).ylim(ylim).nxticks(nxticks).xticks(xticks).nyticks(nyticks).yticks(yticks).xlab(xlab).ylab(ylab).zlim(zlim).zthresh(zthresh).colors(colors).nullcolor(nullcolor);
+  myheatmap = heatmap().width(wleft).canvas(canvas).height(htop).margin(margin).axispos(axispos).titlepos(titlepos).rectcolor(rectcolor).xlim(xlim).ylim(ylim).nxticks(nxticks).xticks(xticks).nyticks(nyticks).yticks(yticks).xlab(xlab).ylab(ylab).zlim(zlim).zthresh(zthresh).colors(colors).nullcolor(nullcolor);
   horslice = curvechart().width(wleft).height(hbot).margin(margin).axispos(axispos).titlepos(titlepos).rectcolor(rectcolor).xlim(xlim).ylim(d3.extent(zlim)).nxticks(nxticks).xticks(xticks).nyticks(nzticks).yticks(zticks).xlab(xlab).ylab(zlab).strokecolor("").commonX(true);
   verslice = curvechart().width(wright).height(htop).margin(margin).axispos(axispos).titlepos(titlepos).rectcolor(rectcolor).xlim(ylim).ylim(d3.extent(zlim)).nxticks(nyticks).xticks(yticks).nyticks(nzticks).yticks(zticks).xlab(ylab).ylab(zlab).strokecolor("").commonX(true);
-  g_heatmap = svg.append("g").attr("id", "heatmap").datum(data).call(myheatmap);
+  g_heatmap = chartg.append("g").attr("id", "heatmap").datum(data).call(myheatmap);
+  if (zlegend != null) {
+    svg.append("g").attr("id", "colorscale").attr("transform", "translate(" + placement.legend[0] + "," + placement.legend[1] + ")").call(mylegend.zscale(myheatmap.zscale()).zthresh(myheatmap.zthresh()));
+  }
   formatX = formatAxis(data.x);
   formatY = formatAxis(data.y);
   cells = myheatmap.cellSelect().on("mouseover", function(d, i) {
@@ -74,12 +94,12 @@ iheatmap = function(data, chartOpts) {
     return removeHor();
   });
   shiftdown = htop + margin.top + margin.bottom;
-  g_horslice = svg.append("g").attr("id", "horslice").attr("transform", "translate(0," + shiftdown + ")").datum({
+  g_horslice = chartg.append("g").attr("id", "horslice").attr("transform", "translate(0," + shiftdown + ")").datum({
     x: data.x,
     data: [pullVarAsArray(data.z, 0)]
   }).call(horslice);
   shiftright = wleft + margin.left + margin.right;
-  g_verslice = svg.append("g").attr("id", "verslice").attr("transform", "translate(" + shiftright + ",0)").datum({
+  g_verslice = chartg.append("g").attr("id", "verslice").attr("transform", "translate(" + shiftright + ",0)").datum({
     x: data.y,
     data: [data.z[0]]
   }).call(verslice);
@@ -106,7 +126,13 @@ iheatmap = function(data, chartOpts) {
   plotVer = function(i) {
     return g_verslice.append("g").attr("id", "vercurve").append("path").datum(data.y).attr("d", vercurvefunc(i)).attr("stroke", strokecolor).attr("fill", "none").attr("stroke-width", strokewidth).attr("style", "pointer-events", "none");
   };
-  return removeVer = function() {
+  removeVer = function() {
     return g_verslice.selectAll("g#vercurve").remove();
   };
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
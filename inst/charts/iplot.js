@@ -2,7 +2,7 @@
 var iplot;
 
 iplot = function(data, chartOpts) {
-  var axispos, chartdivid, height, margin, mychart, nxticks, nyticks, pointcolor, pointsize, pointstroke, rectcolor, rotate_ylab, title, titlepos, width, xNA, xlab, xlim, xticks, yNA, ylab, ylim, yticks, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var axispos, brushMode, chartdivid, exportControl, height, margin, mychart, nxticks, nyticks, pngScale, pointcolor, pointsize, pointstroke, rectcolor, responsive, rotate_ylab, title, titlepos, width, xNA, xlab, xlim, xticks, yNA, ylab, ylim, yticks, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
   height = (_ref = chartOpts != null ? chartOpts.height : void 0) != null ? _ref : 500;
   width = (_ref1 = chartOpts != null ? chartOpts.width : void 0) != null ? _ref1 : 800;
   title = (_ref2 = chartOpts != null ? chartOpts.title : void 0) != null ? _ref2 : "";
@@ -45,8 +45,12 @@ iplot = function(data, chartOpts) {
     width: 15,
     gap: 10
   };
-  chartdivid = (_ref21 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref21 : 'chart';
-  mychart = scatterplot().height(height).width(width).margin(margin).axispos(axispos).titlepos(titlepos).xlab(xlab).ylab(ylab).title(title).ylim(ylim).xlim(xlim).xticks(xticks).nxticks(nxticks).yticks(yticks).nyticks(nyticks).rectcolor(rectcolor).pointcolor(pointcolor).pointsize(pointsize).pointstroke(pointstroke).rotate_ylab(rotate_ylab).xNA(xNA).yNA(yNA).xvar('x').yvar('y').dataByInd(false);
+  brushMode = (_ref21 = chartOpts != null ? chartOpts.brushMode : void 0) != null ? _ref21 : false;
+  responsive = (_ref22 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref22 : false;
+  exportControl = (_ref23 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref23 : false;
+  pngScale = (_ref24 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref24 : 2;
+  chartdivid = (_ref25 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref25 : 'chart';
+  mychart = scatterplot().height(height).width(width).margin(margin).axispos(axispos).titlepos(titlepos).xlab(xlab).ylab(ylab).title(title).ylim(ylim).xlim(xlim).xticks(xticks).nxticks(nxticks).yticks(yticks).nyticks(nyticks).rectcolor(rectcolor).pointcolor(pointcolor).pointsize(pointsize).pointstroke(pointstroke).rotate_ylab(rotate_ylab).xNA(xNA).yNA(yNA).xvar('x').yvar('y').dataByInd(false).brushMode(brushMode);
   d3.select("div#" + chartdivid).datum({
     data: {
       x: data.x,
@@ -55,9 +59,15 @@ iplot = function(data, chartOpts) {
     group: data.group,
     indID: data.indID
   }).call(mychart);
-  return mychart.pointsSelect().on("mouseover", function(d) {
+  mychart.pointsSelect().on("mouseover", function(d) {
     return d3.select(this).attr("r", pointsize * 2);
   }).on("mouseout", function(d) {
     return d3.select(this).attr("r", pointsize);
   });
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
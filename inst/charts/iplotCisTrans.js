@@ -0,0 +1,78 @@
+// Generated by CoffeeScript 1.8.0
+var iplotCisTrans;
+
+iplotCisTrans = function(cistrans_data, lod_data, chartOpts) {
+  var axispos, chartdivid, chrGap, cistrans_diagcolor, cistrans_pointcolor, cistrans_pointcolorhilit, cistrans_pointsize, cistrans_title, cistrans_xlab, cistrans_ylab, darkrect, exportControl, g_cistrans, g_lod, hright, lightrect, lod_linecolor, lod_linewidth, lod_xlab, lod_ylab, lod_ylim, lodmax, lodstep, margin, mycistrans, mylodchart, pngScale, points, responsive, svg, titlepos, totalh, totalw, wleft, wright, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  wleft = (_ref = chartOpts != null ? chartOpts.wleft : void 0) != null ? _ref : 600;
+  wright = (_ref1 = chartOpts != null ? chartOpts.wright : void 0) != null ? _ref1 : 600;
+  hright = (_ref2 = chartOpts != null ? chartOpts.hright : void 0) != null ? _ref2 : 300;
+  margin = (_ref3 = chartOpts != null ? chartOpts.margin : void 0) != null ? _ref3 : {
+    left: 60,
+    top: 40,
+    right: 40,
+    bottom: 40,
+    inner: 5
+  };
+  axispos = (_ref4 = chartOpts != null ? chartOpts.axispos : void 0) != null ? _ref4 : {
+    xtitle: 25,
+    ytitle: 30,
+    xlabel: 5,
+    ylabel: 5
+  };
+  titlepos = (_ref5 = chartOpts != null ? chartOpts.titlepos : void 0) != null ? _ref5 : 20;
+  chrGap = (_ref6 = chartOpts != null ? chartOpts.chrGap : void 0) != null ? _ref6 : 8;
+  darkrect = (_ref7 = chartOpts != null ? chartOpts.darkrect : void 0) != null ? _ref7 : "#C8C8C8";
+  lightrect = (_ref8 = chartOpts != null ? chartOpts.lightrect : void 0) != null ? _ref8 : "#E6E6E6";
+  cistrans_diagcolor = (_ref9 = chartOpts != null ? chartOpts.cistrans_diagcolor : void 0) != null ? _ref9 : "#AAA";
+  cistrans_pointcolor = (_ref10 = chartOpts != null ? chartOpts.cistrans_pointcolor : void 0) != null ? _ref10 : "slateblue";
+  cistrans_pointcolorhilit = (_ref11 = chartOpts != null ? chartOpts.cistrans_pointcolorhilit : void 0) != null ? _ref11 : "Orchid";
+  cistrans_pointsize = (_ref12 = chartOpts != null ? chartOpts.cistrans_pointsize : void 0) != null ? _ref12 : 3;
+  cistrans_title = (_ref13 = chartOpts != null ? chartOpts.cistrans_title : void 0) != null ? _ref13 : "";
+  cistrans_xlab = (_ref14 = chartOpts != null ? chartOpts.cistrans_xlab : void 0) != null ? _ref14 : "QTL position";
+  cistrans_ylab = (_ref15 = chartOpts != null ? chartOpts.cistrans_ylab : void 0) != null ? _ref15 : "Gene position";
+  lod_ylim = (_ref16 = chartOpts != null ? chartOpts.lod_ylim : void 0) != null ? _ref16 : null;
+  lod_linecolor = (_ref17 = chartOpts != null ? chartOpts.lod_linecolor : void 0) != null ? _ref17 : "darkslateblue";
+  lod_linewidth = (_ref18 = chartOpts != null ? chartOpts.lod_linewidth : void 0) != null ? _ref18 : 2;
+  lod_xlab = (_ref19 = chartOpts != null ? chartOpts.lod_xlab : void 0) != null ? _ref19 : "Chromosome";
+  lod_ylab = (_ref20 = chartOpts != null ? chartOpts.lod_ylab : void 0) != null ? _ref20 : "LOD score";
+  lodstep = (_ref21 = chartOpts != null ? chartOpts.lodstep : void 0) != null ? _ref21 : 0.1;
+  responsive = (_ref22 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref22 : false;
+  exportControl = (_ref23 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref23 : false;
+  pngScale = (_ref24 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref24 : 2;
+  chartdivid = (_ref25 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref25 : 'chart';
+  totalh = wleft + margin.top + margin.bottom;
+  totalw = wleft + wright + 2 * (margin.left + margin.right);
+  mycistrans = cistranschart().height(wleft).width(wleft).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).rectcolor(lightrect).diagcolor(cistrans_diagcolor).pointcolor(cistrans_pointcolor).pointsize(cistrans_pointsize).title(cistrans_title).xlab(cistrans_xlab).ylab(cistrans_ylab);
+  mylodchart = lodchart().height(hright).width(wright).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).darkrect(darkrect).lightrect(lightrect).ylim(lod_ylim).linecolor(lod_linecolor).linewidth(lod_linewidth).xlab(lod_xlab).ylab(lod_ylab).chrZoom(true);
+  svg = d3.select("div#" + chartdivid).append("svg").attr("height", totalh).attr("width", totalw);
+  g_cistrans = svg.append("g").attr("id", "cistranschart").datum(cistrans_data).call(mycistrans);
+  g_lod = svg.append("g").attr("id", "lodchart").attr("transform", "translate(" + (wleft + margin.left + margin.right) + ",0)");
+  points = mycistrans.pointsSelect();
+  points.on("click", function(i) {
+    var gene;
+    gene = cistrans_data.gene[i];
+    points.attr("fill", function(j) {
+      if (j === i) {
+        return cistrans_pointcolorhilit;
+      } else {
+        return cistrans_pointcolor;
+      }
+    });
+    if (lod_data.lodnames.indexOf(gene) < 0) {
+      displayError("No LOD scores for " + gene);
+      return;
+    }
+    mylodchart.lodvarname(gene).title(gene);
+    return g_lod.datum(lod_data).call(mylodchart);
+  });
+  lodmax = Math.ceil(d3.max(cistrans_data.lod));
+  addRangeSlider(chartdivid, "LOD", [0, lodmax], lodstep, function(band) {
+    return mycistrans.lodband(band);
+  });
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
+};
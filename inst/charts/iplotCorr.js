@@ -2,7 +2,7 @@
 var iplotCorr;
 
 iplotCorr = function(data, chartOpts) {
-  var cells, chartdivid, colorScale, corXscale, corYscale, corZscale, corcolors, corr, corr_tip, corrplot, cortitle, drawScatter, height, i, j, margin, nGroup, ncorrX, ncorrY, nind, nvar, pixel_height, pixel_width, rectcolor, scat_tip, scatcolors, scatterplot, scattitle, svg, totalh, totalw, width, zlim, _ref, _ref1, _ref2, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var cells, chartdivid, chartg, colorScale, corXscale, corYscale, corZscale, corcolors, corr, corr_tip, corrplot, cortitle, drawScatter, exportControl, height, horizontal, i, j, legendmargin, margin, mylegend, nGroup, ncorrX, ncorrY, nind, nvar, pixel_height, pixel_width, placement, pngScale, rectcolor, responsive, scat_tip, scatcolors, scatterplot, scattitle, svg, totalh, totalw, width, zlegend, zlim, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref2, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
   height = (_ref = chartOpts != null ? chartOpts.height : void 0) != null ? _ref : 450;
   width = (_ref1 = chartOpts != null ? chartOpts.width : void 0) != null ? _ref1 : height;
   margin = (_ref2 = chartOpts != null ? chartOpts.margin : void 0) != null ? _ref2 : {
@@ -18,12 +18,28 @@ iplotCorr = function(data, chartOpts) {
   cortitle = (_ref6 = chartOpts != null ? chartOpts.cortitle : void 0) != null ? _ref6 : "";
   scattitle = (_ref7 = chartOpts != null ? chartOpts.scattitle : void 0) != null ? _ref7 : "";
   scatcolors = (_ref8 = chartOpts != null ? chartOpts.scatcolors : void 0) != null ? _ref8 : null;
-  chartdivid = (_ref9 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref9 : 'chart';
+  zlegend = (_ref9 = chartOpts != null ? chartOpts.zlegend : void 0) != null ? _ref9 : null;
+  responsive = (_ref10 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref10 : false;
+  exportControl = (_ref11 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref11 : false;
+  pngScale = (_ref12 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref12 : 2;
+  chartdivid = (_ref13 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref13 : 'chart';
   totalh = height + margin.top + margin.bottom;
   totalw = (width + margin.left + margin.right) * 2;
+  if (zlegend != null) {
+    horizontal = zlegend === "top" || zlegend === "bottom";
+    mylegend = colorscale().orientation(horizontal ? "horizontal" : "vertical").side(zlegend).barlength(horizontal ? width : height).title("Correlation");
+    legendmargin = mylegend.margin();
+    placement = legendPlacement(zlegend, mylegend.size(), totalw, totalh, margin.left - legendmargin.left, margin.top - legendmargin.top);
+    totalw = placement.totalw;
+    totalh = placement.totalh;
+  }
   svg = d3.select("div#" + chartdivid).append("svg").attr("height", totalh).attr("width", totalw);
-  corrplot = svg.append("g").attr("id", "corplot").attr("transform", "translate(" + margin.left + "," + margin.top + ")");
-  scatterplot = svg.append("g").attr("id", "scatterplot").attr("transform", "translate(" + (margin.left * 2 + margin.right + width) + "," + margin.top + ")");
+  chartg = svg.append("g");
+  if (zlegend != null) {
+    chartg.attr("transform", "translate(" + placement.chart[0] + "," + placement.chart[1] + ")");
+  }
+  corrplot = chartg.append("g").attr("id", "corplot").attr("transform", "translate(" + margin.left + "," + margin.top + ")");
+  scatterplot = chartg.append("g").attr("id", "scatterplot").attr("transform", "translate(" + (margin.left * 2 + margin.right + width) + "," + margin.top + ")");
   nind = data.indID.length;
   nvar = data["var"].length;
   ncorrX = data.cols.length;
@@ -145,5 +161,14 @@ iplotCorr = function(data, chartOpts) {
   scatterplot.append("rect").attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", 1).attr("pointer-events", "none");
   corrplot.append("text").text(cortitle).attr("id", "corrtitle").attr("x", width / 2).attr("y", -margin.top / 2).attr("dominant-baseline", "middle").attr("text-anchor", "middle");
   scatterplot.append("text").text(scattitle).attr("id", "scattitle").attr("x", width / 2).attr("y", -margin.top / 2).attr("dominant-baseline", "middle").attr("text-anchor", "middle");
-  return d3.select("div#caption").style("opacity", 1);
+  if (zlegend != null) {
+    svg.append("g").attr("id", "colorscale").attr("transform", "translate(" + placement.legend[0] + "," + placement.legend[1] + ")").call(mylegend.zscale(corZscale));
+  }
+  d3.select("div#caption").style("opacity", 1);
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
@@ -2,7 +2,7 @@
 var iplotCurves;
 
 iplotCurves = function(curve_data, scatter1_data, scatter2_data, chartOpts) {
-  var allpoints, axispos, chartdivid, curves, curves_nxticks, curves_nyticks, curves_title, curves_xlab, curves_xlim, curves_xticks, curves_ylab, curves_ylim, curves_yticks, g, g_curves, g_scat1, g_scat2, group, hbot, htop, i, margin, mycurvechart, myscatterplot1, myscatterplot2, ngroup, nind, nscatter, pointcolor, pointcolorhilit, points1, points2, pointsize, pointsizehilit, pointstroke, rectcolor, scat1_nxticks, scat1_nyticks, scat1_title, scat1_xNA, scat1_xlab, scat1_xlim, scat1_xticks, scat1_yNA, scat1_ylab, scat1_ylim, scat1_yticks, scat2_nxticks, scat2_nyticks, scat2_title, scat2_xNA, scat2_xlab, scat2_xlim, scat2_xticks, scat2_yNA, scat2_ylab, scat2_ylim, scat2_yticks, shiftdown, strokecolor, strokecolorhilit, strokewidth, strokewidthhilit, svg, titlepos, totalh, totalw, wbot, width, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref32, _ref33, _ref34, _ref35, _ref36, _ref37, _ref38, _ref39, _ref4, _ref40, _ref41, _ref42, _ref43, _ref44, _ref45, _ref46, _ref47, _ref48, _ref49, _ref5, _ref50, _ref51, _ref52, _ref53, _ref54, _ref6, _ref7, _ref8, _ref9;
+  var allpoints, axispos, brushMode, brushed, chartdivid, clearing, curvecolor, curves, curves_nxticks, curves_nyticks, curves_title, curves_xlab, curves_xlim, curves_xticks, curves_ylab, curves_ylim, curves_yticks, exportControl, g, g_curves, g_scat1, g_scat2, group, hbot, highlightSelected, htop, i, isSelected, margin, mycurvechart, myscatterplot1, myscatterplot2, ngroup, nind, nscatter, pngScale, pointcolor, pointcolorhilit, points1, points2, pointsize, pointsizehilit, pointstroke, rectcolor, responsive, scat1_nxticks, scat1_nyticks, scat1_title, scat1_xNA, scat1_xlab, scat1_xlim, scat1_xticks, scat1_yNA, scat1_ylab, scat1_ylim, scat1_yticks, scat2_nxticks, scat2_nyticks, scat2_title, scat2_xNA, scat2_xlab, scat2_xlim, scat2_xticks, scat2_yNA, scat2_ylab, scat2_ylim, scat2_yticks, shiftdown, strokecolor, strokecolorhilit, strokewidth, strokewidthhilit, svg, titlepos, totalh, totalw, wbot, width, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref32, _ref33, _ref34, _ref35, _ref36, _ref37, _ref38, _ref39, _ref4, _ref40, _ref41, _ref42, _ref43, _ref44, _ref45, _ref46, _ref47, _ref48, _ref49, _ref5, _ref50, _ref51, _ref52, _ref53, _ref54, _ref55, _ref56, _ref57, _ref58, _ref6, _ref7, _ref8, _ref9;
   htop = (_ref = chartOpts != null ? chartOpts.htop : void 0) != null ? _ref : 500;
   hbot = (_ref1 = chartOpts != null ? chartOpts.hbot : void 0) != null ? _ref1 : 500;
   width = (_ref2 = chartOpts != null ? chartOpts.width : void 0) != null ? _ref2 : 1000;
@@ -81,19 +81,23 @@ iplotCurves = function(curve_data, scatter1_data, scatter2_data, chartOpts) {
   scat2_title = (_ref50 = chartOpts != null ? chartOpts.scat2_title : void 0) != null ? _ref50 : "";
   scat2_xlab = (_ref51 = chartOpts != null ? chartOpts.scat2_xlab : void 0) != null ? _ref51 : "X";
   scat2_ylab = (_ref52 = chartOpts != null ? chartOpts.scat2_ylab : void 0) != null ? _ref52 : "Y";
-  chartdivid = (_ref53 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref53 : 'chart';
+  brushMode = (_ref53 = chartOpts != null ? chartOpts.brushMode : void 0) != null ? _ref53 : false;
+  responsive = (_ref54 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref54 : false;
+  exportControl = (_ref55 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref55 : false;
+  pngScale = (_ref56 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref56 : 2;
+  chartdivid = (_ref57 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref57 : 'chart';
   nscatter = (scatter1_data != null) + (scatter2_data != null);
   totalh = nscatter === 0 ? htop + margin.top + margin.bottom : htop + hbot + 2 * (margin.top + margin.bottom);
   totalw = width + margin.left + margin.right;
   wbot = (width - margin.left - margin.right) / 2;
   svg = d3.select("div#" + chartdivid).append("svg").attr("height", totalh).attr("width", totalw);
   nind = curve_data.data.length;
-  group = (_ref54 = curve_data != null ? curve_data.group : void 0) != null ? _ref54 : (function() {
-    var _i, _len, _ref55, _results;
-    _ref55 = curve_data.data;
+  group = (_ref58 = curve_data != null ? curve_data.group : void 0) != null ? _ref58 : (function() {
+    var _i, _len, _ref59, _results;
+    _ref59 = curve_data.data;
     _results = [];
-    for (_i = 0, _len = _ref55.length; _i < _len; _i++) {
-      i = _ref55[_i];
+    for (_i = 0, _len = _ref59.length; _i < _len; _i++) {
+      i = _ref59[_i];
       _results.push(1);
     }
     return _results;
@@ -114,10 +118,10 @@ iplotCurves = function(curve_data, scatter1_data, scatter2_data, chartOpts) {
   strokecolorhilit = strokecolorhilit != null ? strokecolorhilit : selectGroupColors(ngroup, "dark");
   mycurvechart = curvechart().width(width).height(htop).margin(margin).axispos(axispos).titlepos(titlepos).rectcolor(rectcolor).strokecolor(strokecolor).strokecolorhilit(strokecolorhilit).strokewidth(strokewidth).strokewidthhilit(strokewidthhilit).xlim(curves_xlim).ylim(curves_ylim).nxticks(curves_nxticks).xticks(curves_xticks).nyticks(curves_nyticks).yticks(curves_yticks).title(curves_title).xlab(curves_xlab).ylab(curves_ylab);
   if (nscatter > 0) {
-    myscatterplot1 = scatterplot().width(wbot).height(hbot).margin(margin).axispos(axispos).titlepos(titlepos).rectcolor(rectcolor).pointcolor(pointcolor).pointstroke(pointstroke).pointsize(pointsize).xlim(scat1_xlim).ylim(scat1_ylim).xNA(scat1_xNA).yNA(scat1_yNA).nxticks(scat1_nxticks).xticks(scat1_xticks).nyticks(scat1_nyticks).yticks(scat1_yticks).title(scat1_title).xlab(scat1_xlab).ylab(scat1_ylab);
+    myscatterplot1 = scatterplot().width(wbot).height(hbot).margin(margin).axispos(axispos).titlepos(titlepos).rectcolor(rectcolor).pointcolor(pointcolor).pointstroke(pointstroke).pointsize(pointsize).xlim(scat1_xlim).ylim(scat1_ylim).xNA(scat1_xNA).yNA(scat1_yNA).nxticks(scat1_nxticks).xticks(scat1_xticks).nyticks(scat1_nyticks).yticks(scat1_yticks).title(scat1_title).xlab(scat1_xlab).ylab(scat1_ylab).brushMode(brushMode);
   }
   if (nscatter === 2) {
-    myscatterplot2 = scatterplot().width(wbot).height(hbot).margin(margin).axispos(axispos).titlepos(titlepos).rectcolor(rectcolor).pointcolor(pointcolor).pointstroke(pointstroke).pointsize(pointsize).xlim(scat2_xlim).ylim(scat2_ylim).xNA(scat2_xNA).yNA(scat2_yNA).nxticks(scat2_nxticks).xticks(scat2_xticks).nyticks(scat2_nyticks).yticks(scat2_yticks).title(scat2_title).xlab(scat2_xlab).ylab(scat2_ylab);
+    myscatterplot2 = scatterplot().width(wbot).height(hbot).margin(margin).axispos(axispos).titlepos(titlepos).rectcolor(rectcolor).pointcolor(pointcolor).pointstroke(pointstroke).pointsize(pointsize).xlim(scat2_xlim).ylim(scat2_ylim).xNA(scat2_xNA).yNA(scat2_yNA).nxticks(scat2_nxticks).xticks(scat2_xticks).nyticks(scat2_nyticks).yticks(scat2_yticks).title(scat2_title).xlab(scat2_xlab).ylab(scat2_ylab).brushMode(brushMode);
   }
   g_curves = svg.append("g").attr("id", "curvechart").datum(curve_data).call(mycurvechart);
   shiftdown = htop + margin.top + margin.bottom;
@@ -144,6 +148,14 @@ iplotCurves = function(curve_data, scatter1_data, scatter2_data, chartOpts) {
   pointcolorhilit = expand2vector(pointcolorhilit, ngroup);
   strokecolor = expand2vector(strokecolor, ngroup);
   strokecolorhilit = expand2vector(strokecolorhilit, ngroup);
+  isSelected = {};
+  curvecolor = function(i) {
+    if (isSelected[i] != null) {
+      return strokecolorhilit[group[i]];
+    } else {
+      return strokecolor[group[i]];
+    }
+  };
   curves.on("mouseover", function(d, i) {
     d3.select(this).attr("stroke", strokecolorhilit[group[i]]).moveToFront();
     if (nscatter > 0) {
@@ -153,7 +165,10 @@ iplotCurves = function(curve_data, scatter1_data, scatter2_data, chartOpts) {
       return d3.selectAll("circle.pt" + i).attr("fill", pointcolorhilit[group[i]]);
     }
   }).on("mouseout", function(d, i) {
-    d3.select(this).attr("stroke", strokecolor[group[i]]).moveToBack();
+    d3.select(this).attr("stroke", curvecolor(i));
+    if (isSelected[i] == null) {
+      d3.select(this).moveToBack();
+    }
     if (nscatter > 0) {
       d3.selectAll("circle.pt" + i).attr("r", pointsize);
     }
@@ -162,7 +177,7 @@ iplotCurves = function(curve_data, scatter1_data, scatter2_data, chartOpts) {
     }
   });
   if (nscatter > 0) {
-    return allpoints.forEach(function(points) {
+    allpoints.forEach(function(points) {
       return points.on("mouseover", function(d, i) {
         d3.selectAll("circle.pt" + i).attr("r", pointsizehilit);
         d3.selectAll("circle.pt" + i).attr("fill", pointcolorhilit[group[i]]);
@@ -170,8 +185,56 @@ iplotCurves = function(curve_data, scatter1_data, scatter2_data, chartOpts) {
       }).on("mouseout", function(d, i) {
         d3.selectAll("circle.pt" + i).attr("r", pointsize);
         d3.selectAll("circle.pt" + i).attr("fill", pointcolor[group[i]]);
-        return d3.select("path.path" + i).attr("stroke", strokecolor[group[i]]).moveToBack();
+        d3.select("path.path" + i).attr("stroke", curvecolor(i));
+        if (isSelected[i] == null) {
+          return d3.select("path.path" + i).moveToBack();
+        }
       });
     });
   }
+  if (nscatter > 0 && brushMode) {
+    highlightSelected = function(indices) {
+      var _i, _len;
+      isSelected = {};
+      for (_i = 0, _len = indices.length; _i < _len; _i++) {
+        i = indices[_i];
+        isSelected[i] = true;
+      }
+      allpoints.forEach(function(points) {
+        return points.classed("selected", function(d, i) {
+          return isSelected[i] != null;
+        });
+      });
+      curves.attr("stroke", function(d, i) {
+        return curvecolor(i);
+      });
+      return curves.filter(function(d, i) {
+        return isSelected[i] != null;
+      }).moveToFront();
+    };
+    clearing = false;
+    brushed = function(otherplot) {
+      return function(indIDs, indices) {
+        if (clearing) {
+          return;
+        }
+        clearing = true;
+        if (otherplot != null) {
+          otherplot.clearBrush();
+        }
+        clearing = false;
+        return highlightSelected(indices);
+      };
+    };
+    myscatterplot1.on("brushed", brushed(myscatterplot2));
+    if (nscatter === 2) {
+      myscatterplot2.on("brushed", brushed(myscatterplot1));
+    }
+  }
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
@@ -0,0 +1,85 @@
+// Generated by CoffeeScript 1.8.0
+var iplotEffectScan;
+
+iplotEffectScan = function(lod_data, eff_data, chartOpts) {
+  var axispos, chartdivid, chrGap, d, darkrect, eff_linecolor, eff_linewidth, eff_nyticks, eff_ribbonopacity, eff_rotate_ylab, eff_title, eff_xlab, eff_ylab, eff_ylim, eff_yticks, exportControl, g_eff, g_lod, hbot, htop, hub, lightrect, lod_chrZoom, lod_linecolor, lod_linewidth, lod_nyticks, lod_pointcolor, lod_pointsize, lod_pointstroke, lod_rotate_ylab, lod_thresholdcolor, lod_thresholds, lod_thresholdshade, lod_title, lod_xlab, lod_ylab, lod_ylim, lod_yticks, margin, markerSearch, myeffectchart, mylodchart, pngScale, responsive, svg, titlepos, totalh, totalw, width, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref32, _ref33, _ref34, _ref35, _ref36, _ref37, _ref38, _ref39, _ref4, _ref40, _ref41, _ref42, _ref5, _ref6, _ref7, _ref8, _ref9;
+  width = (_ref = chartOpts != null ? chartOpts.width : void 0) != null ? _ref : 900;
+  htop = (_ref1 = chartOpts != null ? chartOpts.htop : void 0) != null ? _ref1 : 350;
+  hbot = (_ref2 = chartOpts != null ? chartOpts.hbot : void 0) != null ? _ref2 : 300;
+  margin = (_ref3 = chartOpts != null ? chartOpts.margin : void 0) != null ? _ref3 : {
+    left: 60,
+    top: 40,
+    right: 40,
+    bottom: 40,
+    inner: 5
+  };
+  axispos = (_ref4 = chartOpts != null ? chartOpts.axispos : void 0) != null ? _ref4 : {
+    xtitle: 25,
+    ytitle: 30,
+    xlabel: 5,
+    ylabel: 5
+  };
+  titlepos = (_ref5 = chartOpts != null ? chartOpts.titlepos : void 0) != null ? _ref5 : 20;
+  chrGap = (_ref6 = chartOpts != null ? chartOpts.chrGap : void 0) != null ? _ref6 : 8;
+  darkrect = (_ref7 = chartOpts != null ? chartOpts.darkrect : void 0) != null ? _ref7 : "#C8C8C8";
+  lightrect = (_ref8 = chartOpts != null ? chartOpts.lightrect : void 0) != null ? _ref8 : "#E6E6E6";
+  lod_ylim = (_ref9 = chartOpts != null ? chartOpts.lod_ylim : void 0) != null ? _ref9 : null;
+  lod_nyticks = (_ref10 = chartOpts != null ? chartOpts.lod_nyticks : void 0) != null ? _ref10 : 5;
+  lod_yticks = (_ref11 = chartOpts != null ? chartOpts.lod_yticks : void 0) != null ? _ref11 : null;
+  lod_linecolor = (_ref12 = chartOpts != null ? chartOpts.lod_linecolor : void 0) != null ? _ref12 : "darkslateblue";
+  lod_linewidth = (_ref13 = chartOpts != null ? chartOpts.lod_linewidth : void 0) != null ? _ref13 : 2;
+  lod_pointcolor = (_ref14 = chartOpts != null ? chartOpts.lod_pointcolor : void 0) != null ? _ref14 : "#E9CFEC";
+  lod_pointsize = (_ref15 = chartOpts != null ? chartOpts.lod_pointsize : void 0) != null ? _ref15 : 0;
+  lod_pointstroke = (_ref16 = chartOpts != null ? chartOpts.lod_pointstroke : void 0) != null ? _ref16 : "black";
+  lod_title = (_ref17 = chartOpts != null ? chartOpts.lod_title : void 0) != null ? _ref17 : "";
+  lod_xlab = (_ref18 = chartOpts != null ? chartOpts.lod_xlab : void 0) != null ? _ref18 : "Chromosome";
+  lod_ylab = (_ref19 = chartOpts != null ? chartOpts.lod_ylab : void 0) != null ? _ref19 : "LOD score";
+  lod_rotate_ylab = (_ref20 = chartOpts != null ? chartOpts.lod_rotate_ylab : void 0) != null ? _ref20 : null;
+  lod_chrZoom = (_ref21 = chartOpts != null ? chartOpts.lod_chrZoom : void 0) != null ? _ref21 : true;
+  lod_thresholds = (_ref22 = (_ref23 = chartOpts != null ? chartOpts.lod_thresholds : void 0) != null ? _ref23 : chartOpts != null ? chartOpts.thresholds : void 0) != null ? _ref22 : null;
+  lod_thresholdcolor = (_ref24 = (_ref25 = chartOpts != null ? chartOpts.lod_thresholdcolor : void 0) != null ? _ref25 : chartOpts != null ? chartOpts.thresholdcolor : void 0) != null ? _ref24 : "crimson";
+  lod_thresholdshade = (_ref26 = (_ref27 = chartOpts != null ? chartOpts.lod_thresholdshade : void 0) != null ? _ref27 : chartOpts != null ? chartOpts.thresholdshade : void 0) != null ? _ref26 : false;
+  eff_ylim = (_ref28 = chartOpts != null ? chartOpts.eff_ylim : void 0) != null ? _ref28 : null;
+  eff_nyticks = (_ref29 = chartOpts != null ? chartOpts.eff_nyticks : void 0) != null ? _ref29 : 5;
+  eff_yticks = (_ref30 = chartOpts != null ? chartOpts.eff_yticks : void 0) != null ? _ref30 : null;
+  eff_linecolor = (_ref31 = chartOpts != null ? chartOpts.eff_linecolor : void 0) != null ? _ref31 : null;
+  eff_linewidth = (_ref32 = chartOpts != null ? chartOpts.eff_linewidth : void 0) != null ? _ref32 : 2;
+  eff_ribbonopacity = (_ref33 = chartOpts != null ? chartOpts.eff_ribbonopacity : void 0) != null ? _ref33 : 0.3;
+  eff_title = (_ref34 = chartOpts != null ? chartOpts.eff_title : void 0) != null ? _ref34 : "";
+  eff_xlab = (_ref35 = chartOpts != null ? chartOpts.eff_xlab : void 0) != null ? _ref35 : "Chromosome";
+  eff_ylab = (_ref36 = chartOpts != null ? chartOpts.eff_ylab : void 0) != null ? _ref36 : "QTL effect";
+  eff_rotate_ylab = (_ref37 = chartOpts != null ? chartOpts.eff_rotate_ylab : void 0) != null ? _ref37 : null;
+  markerSearch = (_ref38 = chartOpts != null ? chartOpts.markerSearch : void 0) != null ? _ref38 : false;
+  responsive = (_ref39 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref39 : false;
+  exportControl = (_ref40 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref40 : false;
+  pngScale = (_ref41 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref41 : 2;
+  chartdivid = (_ref42 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref42 : 'chart';
+  totalh = htop + hbot + 2 * (margin.top + margin.bottom);
+  totalw = width + margin.left + margin.right;
+  hub = eventHub();
+  mylodchart = lodchart().lodvarname("lod").height(htop).width(width).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).darkrect(darkrect).lightrect(lightrect).ylim(lod_ylim).nyticks(lod_nyticks).yticks(lod_yticks).linecolor(lod_linecolor).linewidth(lod_linewidth).pointcolor(lod_pointcolor).pointsize(lod_pointsize).pointstroke(lod_pointstroke).title(lod_title).xlab(lod_xlab).ylab(lod_ylab).rotate_ylab(lod_rotate_ylab).chrZoom(lod_chrZoom).maxZoom(1).thresholds(lod_thresholds).thresholdcolor(lod_thresholdcolor).thresholdshade(lod_thresholdshade).hub(hub);
+  myeffectchart = effectchart().height(hbot).width(width).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).darkrect(darkrect).lightrect(lightrect).ylim(eff_ylim).nyticks(eff_nyticks).yticks(eff_yticks).linecolor(eff_linecolor).linewidth(eff_linewidth).ribbonopacity(eff_ribbonopacity).title(eff_title).xlab(eff_xlab).ylab(eff_ylab).rotate_ylab(eff_rotate_ylab).hub(hub);
+  svg = d3.select("div#" + chartdivid).append("svg").attr("height", totalh).attr("width", totalw);
+  g_lod = svg.append("g").attr("id", "lodchart").datum(lod_data).call(mylodchart);
+  g_eff = svg.append("g").attr("id", "effectchart").attr("transform", "translate(0," + (htop + margin.top + margin.bottom) + ")").datum(eff_data).call(myeffectchart);
+  if (markerSearch) {
+    addMarkerSearch(chartdivid, (function() {
+      var _i, _len, _ref43, _results;
+      _ref43 = mylodchart.markerSelect().data();
+      _results = [];
+      for (_i = 0, _len = _ref43.length; _i < _len; _i++) {
+        d = _ref43[_i];
+        _results.push(d.name);
+      }
+      return _results;
+    })(), function(marker) {
+      return mylodchart.showMarker(marker);
+    });
+  }
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
+};
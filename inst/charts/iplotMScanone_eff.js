@@ -1,8 +1,9 @@
 // Generated by CoffeeScript 1.8.0
-var iplotMScanone_eff;
+var iplotMScanone_eff,
+  __hasProp = {}.hasOwnProperty;
 
 iplotMScanone_eff = function(lod_data, eff_data, times, chartOpts) {
-  var axispos, chartdivid, chr, chrGap, colors, curindex, curvechart_xaxis, darkrect, eff_linecolor, eff_linewidth, eff_nlines, eff_ylab, eff_ylim, effchart_curves, effcurve, extra_digits, g_curvechart, g_heatmap, g_lodchart, hbot, htop, lightrect, linecolor, linewidth, lod_labels, lod_ylab, lodchart_curves, lodcurve, margin, mycurvechart, mylodchart, mylodheatmap, nullcolor, nxticks, plotEffCurves, plotLodCurve, pos, posindex, svg, titlepos, totalh, totalw, wleft, wright, x, xscale, xticks, zlim, zthresh, _i, _j, _len, _len1, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var axispos, canvas, chartdivid, chartg, chr, chrGap, colors, curindex, curvechart_xaxis, darkrect, eff_linecolor, eff_linewidth, eff_nlines, eff_ylab, eff_ylim, effchart_curves, effcurve, exportControl, extra_digits, g_curvechart, g_heatmap, g_lodchart, hbot, hideCell, horizontal, htop, i, key, legendmargin, lightrect, linecolor, linewidth, lod_labels, lod_ylab, lodchart_data, margin, marker, markerSearch, markerindex, mycurvechart, mylegend, mylodchart, mylodheatmap, nullcolor, nxticks, placement, plotEffCurves, pngScale, pos, posindex, responsive, searched, showCell, showLodCurve, svg, titlepos, totalh, totalw, value, wleft, wright, x, xscale, xticks, zlegend, zlim, zthresh, _i, _j, _k, _len, _len1, _len2, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref32, _ref33, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
   wleft = (_ref = chartOpts != null ? chartOpts.wleft : void 0) != null ? _ref : 650;
   wright = (_ref1 = chartOpts != null ? chartOpts.wright : void 0) != null ? _ref1 : 350;
   htop = (_ref2 = chartOpts != null ? chartOpts.htop : void 0) != null ? _ref2 : 350;
@@ -28,19 +29,33 @@ iplotMScanone_eff = function(lod_data, eff_data, times, chartOpts) {
   colors = (_ref11 = chartOpts != null ? chartOpts.colors : void 0) != null ? _ref11 : ["slateblue", "white", "crimson"];
   zlim = (_ref12 = chartOpts != null ? chartOpts.zlim : void 0) != null ? _ref12 : null;
   zthresh = (_ref13 = chartOpts != null ? chartOpts.zthresh : void 0) != null ? _ref13 : null;
-  lod_ylab = (_ref14 = chartOpts != null ? chartOpts.lod_ylab : void 0) != null ? _ref14 : "";
-  eff_ylim = (_ref15 = chartOpts != null ? chartOpts.eff_ylim : void 0) != null ? _ref15 : null;
-  eff_ylab = (_ref16 = chartOpts != null ? chartOpts.eff_ylab : void 0) != null ? _ref16 : "";
-  linecolor = (_ref17 = chartOpts != null ? chartOpts.linecolor : void 0) != null ? _ref17 : "darkslateblue";
-  eff_linecolor = (_ref18 = chartOpts != null ? chartOpts.eff_linecolor : void 0) != null ? _ref18 : null;
-  linewidth = (_ref19 = chartOpts != null ? chartOpts.linewidth : void 0) != null ? _ref19 : 2;
-  eff_linewidth = (_ref20 = chartOpts != null ? chartOpts.eff_linewidth : void 0) != null ? _ref20 : 2;
-  nxticks = (_ref21 = chartOpts != null ? chartOpts.nxticks : void 0) != null ? _ref21 : 5;
-  xticks = (_ref22 = chartOpts != null ? chartOpts.xticks : void 0) != null ? _ref22 : null;
-  lod_labels = (_ref23 = chartOpts != null ? chartOpts.lod_labels : void 0) != null ? _ref23 : null;
-  chartdivid = (_ref24 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref24 : 'chart';
+  zlegend = (_ref14 = chartOpts != null ? chartOpts.zlegend : void 0) != null ? _ref14 : null;
+  lod_ylab = (_ref15 = chartOpts != null ? chartOpts.lod_ylab : void 0) != null ? _ref15 : "";
+  eff_ylim = (_ref16 = chartOpts != null ? chartOpts.eff_ylim : void 0) != null ? _ref16 : null;
+  eff_ylab = (_ref17 = chartOpts != null ? chartOpts.eff_ylab : void 0) != null ? _ref17 : "";
+  linecolor = (_ref18 = chartOpts != null ? chartOpts.linecolor : void 0) != null ? _ref18 : "darkslateblue";
+  eff_linecolor = (_ref19 = chartOpts != null ? chartOpts.eff_linecolor : void 0) != null ? _ref19 : null;
+  linewidth = (_ref20 = chartOpts != null ? chartOpts.linewidth : void 0) != null ? _ref20 : 2;
+  eff_linewidth = (_ref21 = chartOpts != null ? chartOpts.eff_linewidth : void 0) != null ? _ref21 : 2;
+  nxticks = (_ref22 = chartOpts != null ? chartOpts.nxticks : void 0) != null ? _ref22 : 5;
+  xticks = (_ref23 = chartOpts != null ? chartOpts.xticks : void 0) != null ? _ref23 : null;
+  lod_labels = (_ref24 = chartOpts != null ? chartOpts.lod_labels : void 0) != null ? _ref24 : null;
+  canvas = (_ref25 = chartOpts != null ? chartOpts.canvas : void 0) != null ? _ref25 : false;
+  markerSearch = (_ref26 = chartOpts != null ? chartOpts.markerSearch : void 0) != null ? _ref26 : false;
+  responsive = (_ref27 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref27 : false;
+  exportControl = (_ref28 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref28 : false;
+  pngScale = (_ref29 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref29 : 2;
+  chartdivid = (_ref30 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref30 : 'chart';
   totalh = htop + hbot + 2 * (margin.top + margin.bottom);
   totalw = wleft + wright + 2 * (margin.left + margin.right);
+  if (zlegend != null) {
+    horizontal = zlegend === "top" || zlegend === "bottom";
+    mylegend = colorscale().orientation(horizontal ? "horizontal" : "vertical").side(zlegend).barlength(horizontal ? wleft : htop).title("LOD").nullcolor(lightrect);
+    legendmargin = mylegend.margin();
+    placement = legendPlacement(zlegend, mylegend.size(), totalw, totalh, margin.left - legendmargin.left, margin.top - legendmargin.top);
+    totalw = placement.totalw;
+    totalh = placement.totalh;
+  }
   if (lod_labels == null) {
     lod_labels = times != null ? (function() {
       var _i, _len, _results;
@@ -52,29 +67,31 @@ iplotMScanone_eff = function(lod_data, eff_data, times, chartOpts) {
       return _results;
     })() : lod_data.lodnames;
   }
-  mylodheatmap = lodheatmap().height(htop).width(wleft).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).rectcolor(lightrect).colors(colors).zlim(zlim).zthresh(zthresh).quantScale(times).lod_labels(lod_labels).ylab(lod_ylab).nullcolor(nullcolor);
+  mylodheatmap = lodheatmap().height(htop).canvas(canvas).width(wleft).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).rectcolor(lightrect).colors(colors).zlim(zlim).zthresh(zthresh).quantScale(times).lod_labels(lod_labels).ylab(lod_ylab).nullcolor(nullcolor);
   svg = d3.select("div#" + chartdivid).append("svg").attr("height", totalh).attr("width", totalw);
-  g_heatmap = svg.append("g").attr("id", "heatmap").datum(lod_data).call(mylodheatmap);
-  mylodchart = lodchart().height(hbot).width(wleft).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).linecolor("none").pad4heatmap(true).darkrect(darkrect).lightrect(lightrect).ylim([0, d3.max(mylodheatmap.zlim())]).pointsAtMarkers(false);
-  g_lodchart = svg.append("g").attr("transform", "translate(0," + (htop + margin.top + margin.bottom) + ")").attr("id", "lodchart").datum(lod_data).call(mylodchart);
-  lodcurve = function(chr, lodcolumn) {
-    return d3.svg.line().x(function(d) {
-      return mylodchart.xscale()[chr](d);
-    }).y(function(d, i) {
-      return mylodchart.yscale()(Math.abs(lod_data.lodByChr[chr][i][lodcolumn]));
-    });
-  };
-  lodchart_curves = null;
-  plotLodCurve = function(lodcolumn) {
-    var chr, _i, _len, _ref25, _results;
-    lodchart_curves = g_lodchart.append("g").attr("id", "lodcurves");
-    _ref25 = lod_data.chrnames;
-    _results = [];
-    for (_i = 0, _len = _ref25.length; _i < _len; _i++) {
-      chr = _ref25[_i];
-      _results.push(lodchart_curves.append("path").datum(lod_data.posByChr[chr]).attr("d", lodcurve(chr, lodcolumn)).attr("stroke", linecolor).attr("fill", "none").attr("stroke-width", linewidth).style("pointer-events", "none"));
+  chartg = svg.append("g");
+  if (zlegend != null) {
+    chartg.attr("transform", "translate(" + placement.chart[0] + "," + placement.chart[1] + ")");
+  }
+  g_heatmap = chartg.append("g").attr("id", "heatmap").datum(lod_data).call(mylodheatmap);
+  if (zlegend != null) {
+    svg.append("g").attr("id", "colorscale").attr("transform", "translate(" + placement.legend[0] + "," + placement.legend[1] + ")").call(mylegend.zscale(mylodheatmap.zscale()).zthresh(mylodheatmap.zthresh()));
+  }
+  mylodchart = lodchart().height(hbot).width(wleft).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).linecolor("none").linewidth(linewidth).pad4heatmap(true).darkrect(darkrect).lightrect(lightrect).ylim([0, d3.max(mylodheatmap.zlim())]).pointsAtMarkers(false);
+  lodchart_data = {};
+  for (key in lod_data) {
+    if (!__hasProp.call(lod_data, key)) continue;
+    value = lod_data[key];
+    lodchart_data[key] = value;
+  }
+  g_lodchart = chartg.append("g").attr("transform", "translate(0," + (htop + margin.top + margin.bottom) + ")").attr("id", "lodchart").datum(lodchart_data).call(mylodchart);
+  showLodCurve = function(lodcolumn) {
+    if (lodcolumn != null) {
+      mylodchart.lodvarname(lod_data.lodnames[lodcolumn]).linecolor(linecolor).title(lod_labels[lodcolumn]);
+    } else {
+      mylodchart.linecolor("none").title("");
     }
-    return _results;
+    return g_lodchart.datum(lodchart_data).call(mylodchart);
   };
   eff_ylim = eff_ylim != null ? eff_ylim : matrixExtent(eff_data.map(function(d) {
     return matrixExtent(d.data);
@@ -84,7 +101,7 @@ iplotMScanone_eff = function(lod_data, eff_data, times, chartOpts) {
   }));
   eff_linecolor = eff_linecolor != null ? eff_linecolor : selectGroupColors(eff_nlines, "dark");
   mycurvechart = curvechart().height(htop).width(wright).margin(margin).axispos(axispos).titlepos(titlepos).xlab(lod_ylab).ylab(eff_ylab).strokecolor("none").rectcolor(lightrect).xlim([-0.5, lod_data.lodnames.length - 0.5]).ylim(eff_ylim).nxticks(0).commonX(true);
-  g_curvechart = svg.append("g").attr("transform", "translate(" + (wleft + margin.top + margin.bottom) + ",0)").attr("id", "curvechart").datum(eff_data[0]).call(mycurvechart);
+  g_curvechart = chartg.append("g").attr("transform", "translate(" + (wleft + margin.top + margin.bottom) + ",0)").attr("id", "curvechart").datum(eff_data[0]).call(mycurvechart);
   effcurve = function(posindex, column) {
     return d3.svg.line().x(function(d) {
       return mycurvechart.xscale()(d);
@@ -137,31 +154,84 @@ iplotMScanone_eff = function(lod_data, eff_data, times, chartOpts) {
   }
   posindex = {};
   curindex = 0;
-  _ref25 = lod_data.chrnames;
-  for (_i = 0, _len = _ref25.length; _i < _len; _i++) {
-    chr = _ref25[_i];
+  _ref31 = lod_data.chrnames;
+  for (_i = 0, _len = _ref31.length; _i < _len; _i++) {
+    chr = _ref31[_i];
     posindex[chr] = {};
-    _ref26 = lod_data.posByChr[chr];
-    for (_j = 0, _len1 = _ref26.length; _j < _len1; _j++) {
-      pos = _ref26[_j];
+    _ref32 = lod_data.posByChr[chr];
+    for (_j = 0, _len1 = _ref32.length; _j < _len1; _j++) {
+      pos = _ref32[_j];
       posindex[chr][pos] = curindex;
       curindex += 1;
     }
   }
   mycurvechart.curvesSelect().on("mouseover.panel", null).on("mouseout.panel", null);
-  return mylodheatmap.cellSelect().on("mouseover", function(d) {
-    var p;
-    plotLodCurve(d.lodindex);
-    g_lodchart.select("g.title text").text("" + lod_labels[d.lodindex]);
+  searched = null;
+  showCell = function(d) {
+    var cell, p, _ref33;
+    if (searched != null) {
+      _ref33 = [searched, null], cell = _ref33[0], searched = _ref33[1];
+      hideCell(cell);
+    }
+    showLodCurve(d.lodindex);
     plotEffCurves(posindex[d.chr][d.pos]);
     p = d3.format(".1f")(d.pos);
     g_curvechart.select("g.title text").text("" + d.chr + "@" + p);
     return g_curvechart.select("text#xaxis" + d.lodindex).attr("opacity", 1);
-  }).on("mouseout", function(d) {
-    lodchart_curves.remove();
-    g_lodchart.select("g.title text").text("");
+  };
+  hideCell = function(d) {
+    showLodCurve(null);
     effchart_curves.remove();
     g_curvechart.select("g.title text").text("");
     return g_curvechart.select("text#xaxis" + d.lodindex).attr("opacity", 0);
-  });
+  };
+  mylodheatmap.cellSelect().on("mouseover", showCell).on("mouseout", hideCell);
+  if (markerSearch) {
+    markerindex = {};
+    _ref33 = lod_data.markernames;
+    for (i = _k = 0, _len2 = _ref33.length; _k < _len2; i = ++_k) {
+      marker = _ref33[i];
+      if (marker !== "") {
+        markerindex[marker] = i;
+      }
+    }
+    addMarkerSearch(chartdivid, (function() {
+      var _l, _len3, _ref34, _results;
+      _ref34 = lod_data.markernames;
+      _results = [];
+      for (_l = 0, _len3 = _ref34.length; _l < _len3; _l++) {
+        marker = _ref34[_l];
+        if (marker !== "") {
+          _results.push(marker);
+        }
+      }
+      return _results;
+    })(), function(marker) {
+      var cell, lodcol, lods;
+      i = markerindex[marker];
+      lods = (function() {
+        var _l, _len3, _ref34, _results;
+        _ref34 = lod_data.lodnames;
+        _results = [];
+        for (_l = 0, _len3 = _ref34.length; _l < _len3; _l++) {
+          lodcol = _ref34[_l];
+          _results.push(Math.abs(lod_data[lodcol][i]));
+        }
+        return _results;
+      })();
+      cell = {
+        chr: lod_data.chr[i],
+        pos: lod_data.pos[i],
+        lodindex: lods.indexOf(d3.max(lods))
+      };
+      showCell(cell);
+      return searched = cell;
+    });
+  }
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
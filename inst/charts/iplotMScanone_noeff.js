@@ -1,8 +1,9 @@
 // Generated by CoffeeScript 1.8.0
-var iplotMScanone_noeff;
+var iplotMScanone_noeff,
+  __hasProp = {}.hasOwnProperty;
 
 iplotMScanone_noeff = function(lod_data, times, chartOpts) {
-  var axispos, chartdivid, chr, chrGap, colors, curindex, curvechart_xaxis, darkrect, extra_digits, g_curvechart, g_heatmap, g_lodchart, hbot, htop, i, lightrect, linecolor, linewidth, lod4curves, lod_labels, lod_ylab, lodchart_curves, lodcolumn, lodcurve, margin, mycurvechart, mylodchart, mylodheatmap, nullcolor, nxticks, plotLodCurve, pos, posindex, svg, titlepos, totalh, totalw, wleft, wright, x, xscale, xticks, y, zlim, zthresh, _i, _j, _len, _len1, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var axispos, canvas, chartdivid, chartg, chr, chrGap, colors, curindex, curvechart_xaxis, darkrect, exportControl, extra_digits, g_curvechart, g_heatmap, g_lodchart, hbot, hideCell, horizontal, htop, i, key, legendmargin, lightrect, linecolor, linewidth, lod4curves, lod_labels, lod_ylab, lodchart_data, lodcolumn, margin, marker, markerSearch, markerindex, mycurvechart, mylegend, mylodchart, mylodheatmap, nullcolor, nxticks, placement, pngScale, pos, posindex, responsive, searched, showCell, showLodCurve, svg, titlepos, totalh, totalw, value, wleft, wright, x, xscale, xticks, y, zlegend, zlim, zthresh, _i, _j, _k, _len, _len1, _len2, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
   wleft = (_ref = chartOpts != null ? chartOpts.wleft : void 0) != null ? _ref : 650;
   wright = (_ref1 = chartOpts != null ? chartOpts.wright : void 0) != null ? _ref1 : 350;
   htop = (_ref2 = chartOpts != null ? chartOpts.htop : void 0) != null ? _ref2 : 350;
@@ -28,15 +29,29 @@ iplotMScanone_noeff = function(lod_data, times, chartOpts) {
   colors = (_ref11 = chartOpts != null ? chartOpts.colors : void 0) != null ? _ref11 : ["slateblue", "white", "crimson"];
   zlim = (_ref12 = chartOpts != null ? chartOpts.zlim : void 0) != null ? _ref12 : null;
   zthresh = (_ref13 = chartOpts != null ? chartOpts.zthresh : void 0) != null ? _ref13 : null;
-  lod_ylab = (_ref14 = chartOpts != null ? chartOpts.lod_ylab : void 0) != null ? _ref14 : "";
-  linecolor = (_ref15 = chartOpts != null ? chartOpts.linecolor : void 0) != null ? _ref15 : "darkslateblue";
-  linewidth = (_ref16 = chartOpts != null ? chartOpts.linewidth : void 0) != null ? _ref16 : 2;
-  nxticks = (_ref17 = chartOpts != null ? chartOpts.nxticks : void 0) != null ? _ref17 : 5;
-  xticks = (_ref18 = chartOpts != null ? chartOpts.xticks : void 0) != null ? _ref18 : null;
-  lod_labels = (_ref19 = chartOpts != null ? chartOpts.lod_labels : void 0) != null ? _ref19 : null;
-  chartdivid = (_ref20 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref20 : 'chart';
+  zlegend = (_ref14 = chartOpts != null ? chartOpts.zlegend : void 0) != null ? _ref14 : null;
+  lod_ylab = (_ref15 = chartOpts != null ? chartOpts.lod_ylab : void 0) != null ? _ref15 : "";
+  linecolor = (_ref16 = chartOpts != null ? chartOpts.linecolor : void 0) != null ? _ref16 : "darkslateblue";
+  linewidth = (_ref17 = chartOpts != null ? chartOpts.linewidth : void 0) != null ? _ref17 : 2;
+  nxticks = (_ref18 = chartOpts != null ? chartOpts.nxticks : void 0) != null ? _ref18 : 5;
+  xticks = (_ref19 = chartOpts != null ? chartOpts.xticks : void 0) != null ? _ref19 : null;
+  lod_labels = (_ref20 = chartOpts != null ? chartOpts.lod_labels : void 0) != null ? _ref20 : null;
+  canvas = (_ref21 = chartOpts != null ? chartOpts.canvas : void 0) != null ? _ref21 : false;
+  markerSearch = (_ref22 = chartOpts != null ? chartOpts.markerSearch : void 0) != null ? _ref22 : false;
+  responsive = (_ref23 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref23 : false;
+  exportControl = (_ref24 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref24 : false;
+  pngScale = (_ref25 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref25 : 2;
+  chartdivid = (_ref26 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref26 : 'chart';
   totalh = htop + hbot + 2 * (margin.top + margin.bottom);
   totalw = wleft + wright + 2 * (margin.left + margin.right);
+  if (zlegend != null) {
+    horizontal = zlegend === "top" || zlegend === "bottom";
+    mylegend = colorscale().orientation(horizontal ? "horizontal" : "vertical").side(zlegend).barlength(horizontal ? wleft : htop).title("LOD").nullcolor(lightrect);
+    legendmargin = mylegend.margin();
+    placement = legendPlacement(zlegend, mylegend.size(), totalw, totalh, margin.left - legendmargin.left, margin.top - legendmargin.top);
+    totalw = placement.totalw;
+    totalh = placement.totalh;
+  }
   if (lod_labels == null) {
     lod_labels = times != null ? (function() {
       var _i, _len, _results;
@@ -48,40 +63,42 @@ iplotMScanone_noeff = function(lod_data, times, chartOpts) {
       return _results;
     })() : lod_data.lodnames;
   }
-  mylodheatmap = lodheatmap().height(htop).width(wleft).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).rectcolor(lightrect).colors(colors).zlim(zlim).zthresh(zthresh).quantScale(times).lod_labels(lod_labels).ylab(lod_ylab).nullcolor(nullcolor);
+  mylodheatmap = lodheatmap().height(htop).canvas(canvas).width(wleft).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).rectcolor(lightrect).colors(colors).zlim(zlim).zthresh(zthresh).quantScale(times).lod_labels(lod_labels).ylab(lod_ylab).nullcolor(nullcolor);
   svg = d3.select("div#" + chartdivid).append("svg").attr("height", totalh).attr("width", totalw);
-  g_heatmap = svg.append("g").attr("id", "heatmap").datum(lod_data).call(mylodheatmap);
-  mylodchart = lodchart().height(hbot).width(wleft).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).linecolor("none").pad4heatmap(true).darkrect(darkrect).lightrect(lightrect).ylim([0, d3.max(mylodheatmap.zlim())]).pointsAtMarkers(false);
-  g_lodchart = svg.append("g").attr("transform", "translate(0," + (htop + margin.top + margin.bottom) + ")").attr("id", "lodchart").datum(lod_data).call(mylodchart);
-  lodcurve = function(chr, lodcolumn) {
-    return d3.svg.line().x(function(d) {
-      return mylodchart.xscale()[chr](d);
-    }).y(function(d, i) {
-      return mylodchart.yscale()(Math.abs(lod_data.lodByChr[chr][i][lodcolumn]));
-    });
-  };
-  lodchart_curves = null;
-  plotLodCurve = function(lodcolumn) {
-    var chr, _i, _len, _ref21, _results;
-    lodchart_curves = g_lodchart.append("g").attr("id", "lodcurves");
-    _ref21 = lod_data.chrnames;
-    _results = [];
-    for (_i = 0, _len = _ref21.length; _i < _len; _i++) {
-      chr = _ref21[_i];
-      _results.push(lodchart_curves.append("path").datum(lod_data.posByChr[chr]).attr("d", lodcurve(chr, lodcolumn)).attr("stroke", linecolor).attr("fill", "none").attr("stroke-width", linewidth).style("pointer-events", "none"));
+  chartg = svg.append("g");
+  if (zlegend != null) {
+    chartg.attr("transform", "translate(" + placement.chart[0] + "," + placement.chart[1] + ")");
+  }
+  g_heatmap = chartg.append("g").attr("id", "heatmap").datum(lod_data).call(mylodheatmap);
+  if (zlegend != null) {
+    svg.append("g").attr("id", "colorscale").attr("transform", "translate(" + placement.legend[0] + "," + placement.legend[1] + ")").call(mylegend.zscale(mylodheatmap.zscale()).zthresh(mylodheatmap.zthresh()));
+  }
+  mylodchart = lodchart().height(hbot).width(wleft).margin(margin).axispos(axispos).titlepos(titlepos).chrGap(chrGap).linecolor("none").linewidth(linewidth).pad4heatmap(true).darkrect(darkrect).lightrect(lightrect).ylim([0, d3.max(mylodheatmap.zlim())]).pointsAtMarkers(false);
+  lodchart_data = {};
+  for (key in lod_data) {
+    if (!__hasProp.call(lod_data, key)) continue;
+    value = lod_data[key];
+    lodchart_data[key] = value;
+  }
+  g_lodchart = chartg.append("g").attr("transform", "translate(0," + (htop + margin.top + margin.bottom) + ")").attr("id", "lodchart").datum(lodchart_data).call(mylodchart);
+  showLodCurve = function(lodcolumn) {
+    if (lodcolumn != null) {
+      mylodchart.lodvarname(lod_data.lodnames[lodcolumn]).linecolor(linecolor).title(lod_labels[lodcolumn]);
+    } else {
+      mylodchart.linecolor("none").title("");
     }
-    return _results;
+    return g_lodchart.datum(lodchart_data).call(mylodchart);
   };
   lod4curves = {
     data: []
   };
   for (pos in lod_data.pos) {
     y = (function() {
-      var _i, _len, _ref21, _results;
-      _ref21 = lod_data.lodnames;
+      var _i, _len, _ref27, _results;
+      _ref27 = lod_data.lodnames;
       _results = [];
-      for (_i = 0, _len = _ref21.length; _i < _len; _i++) {
-        lodcolumn = _ref21[_i];
+      for (_i = 0, _len = _ref27.length; _i < _len; _i++) {
+        lodcolumn = _ref27[_i];
         _results.push(Math.abs(lod_data[lodcolumn][pos]));
       }
       return _results;
@@ -100,7 +117,7 @@ iplotMScanone_noeff = function(lod_data, times, chartOpts) {
     });
   }
   mycurvechart = curvechart().height(htop).width(wright).margin(margin).axispos(axispos).titlepos(titlepos).xlab(lod_ylab).ylab("LOD score").strokecolor("none").rectcolor(lightrect).xlim([-0.5, lod_data.lodnames.length - 0.5]).ylim([0, d3.max(mylodheatmap.zlim())]).nxticks(0).commonX(false);
-  g_curvechart = svg.append("g").attr("transform", "translate(" + (wleft + margin.top + margin.bottom) + ",0)").attr("id", "curvechart").datum(lod4curves).call(mycurvechart);
+  g_curvechart = chartg.append("g").attr("transform", "translate(" + (wleft + margin.top + margin.bottom) + ",0)").attr("id", "curvechart").datum(lod4curves).call(mycurvechart);
   if (times != null) {
     xscale = d3.scale.linear().range(mycurvechart.xscale().range());
     xscale.domain([times[0], times[times.length - 1]]);
@@ -127,35 +144,88 @@ iplotMScanone_noeff = function(lod_data, times, chartOpts) {
   }
   posindex = {};
   curindex = 0;
-  _ref21 = lod_data.chrnames;
-  for (_i = 0, _len = _ref21.length; _i < _len; _i++) {
-    chr = _ref21[_i];
+  _ref27 = lod_data.chrnames;
+  for (_i = 0, _len = _ref27.length; _i < _len; _i++) {
+    chr = _ref27[_i];
     posindex[chr] = {};
-    _ref22 = lod_data.posByChr[chr];
-    for (_j = 0, _len1 = _ref22.length; _j < _len1; _j++) {
-      pos = _ref22[_j];
+    _ref28 = lod_data.posByChr[chr];
+    for (_j = 0, _len1 = _ref28.length; _j < _len1; _j++) {
+      pos = _ref28[_j];
       posindex[chr][pos] = curindex;
       curindex += 1;
     }
   }
   mycurvechart.curvesSelect().on("mouseover.panel", null).on("mouseout.panel", null);
-  return mylodheatmap.cellSelect().on("mouseover", function(d) {
-    var p;
-    plotLodCurve(d.lodindex);
-    g_lodchart.select("g.title text").text("" + lod_labels[d.lodindex]);
+  searched = null;
+  showCell = function(d) {
+    var cell, p, _ref29;
+    if (searched != null) {
+      _ref29 = [searched, null], cell = _ref29[0], searched = _ref29[1];
+      hideCell(cell);
+    }
+    showLodCurve(d.lodindex);
     g_curvechart.selectAll("path.path" + posindex[d.chr][d.pos]).attr("stroke", linecolor);
     p = d3.format(".1f")(d.pos);
     g_curvechart.select("g.title text").text("" + d.chr + "@" + p);
     if (times == null) {
       return g_curvechart.select("text#xaxis" + d.lodindex).attr("opacity", 1);
     }
-  }).on("mouseout", function(d) {
-    lodchart_curves.remove();
-    g_lodchart.select("g.title text").text("");
+  };
+  hideCell = function(d) {
+    showLodCurve(null);
     g_curvechart.selectAll("path.path" + posindex[d.chr][d.pos]).attr("stroke", null);
     g_curvechart.select("g.title text").text("");
     if (times == null) {
       return g_curvechart.select("text#xaxis" + d.lodindex).attr("opacity", 0);
     }
-  });
+  };
+  mylodheatmap.cellSelect().on("mouseover", showCell).on("mouseout", hideCell);
+  if (markerSearch) {
+    markerindex = {};
+    _ref29 = lod_data.markernames;
+    for (i = _k = 0, _len2 = _ref29.length; _k < _len2; i = ++_k) {
+      marker = _ref29[i];
+      if (marker !== "") {
+        markerindex[marker] = i;
+      }
+    }
+    addMarkerSearch(chartdivid, (function() {
+      var _l, _len3, _ref30, _results;
+      _ref30 = lod_data.markernames;
+      _results = [];
+      for (_l = 0, _len3 = _ref30.length; _l < _len3; _l++) {
+        marker = _ref30[_l];
+        if (marker !== "") {
+          _results.push(marker);
+        }
+      }
+      return _results;
+    })(), function(marker) {
+      var cell, lodcol, lods;
+      i = markerindex[marker];
+      lods = (function() {
+        var _l, _len3, _ref30, _results;
+        _ref30 = lod_data.lodnames;
+        _results = [];
+        for (_l = 0, _len3 = _ref30.length; _l < _len3; _l++) {
+          lodcol = _ref30[_l];
+          _results.push(Math.abs(lod_data[lodcol][i]));
+        }
+        return _results;
+      })();
+      cell = {
+        chr: lod_data.chr[i],
+        pos: lod_data.pos[i],
+        lodindex: lods.indexOf(d3.max(lods))
+      };
+      showCell(cell);
+      return searched = cell;
+    });
+  }
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
@@ -2,7 +2,7 @@
 var iplotMap;
 
 iplotMap = function(data, chartOpts) {
-  var axispos, chartdivid, chr, clean_marker_name, height, linecolor, linecolorhilit, linewidth, margin, marker, markerSelect, markerpos, martip, mychart, nyticks, rectcolor, selectedMarker, tickwidth, title, titlepos, width, xlab, ylab, ylim, yticks, _i, _len, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref2, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var axispos, chartdivid, chr, exportControl, height, linecolor, linecolorhilit, linewidth, margin, marker, markerSelect, markerpos, martip, mychart, nyticks, pngScale, rectcolor, responsive, selectedMarker, tickwidth, title, titlepos, width, xlab, ylab, ylim, yticks, _i, _len, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
   width = (_ref = chartOpts != null ? chartOpts.width : void 0) != null ? _ref : 1000;
   height = (_ref1 = chartOpts != null ? chartOpts.height : void 0) != null ? _ref1 : 600;
   margin = (_ref2 = chartOpts != null ? chartOpts.margin : void 0) != null ? _ref2 : {
@@ -30,13 +30,16 @@ iplotMap = function(data, chartOpts) {
   title = (_ref13 = chartOpts != null ? chartOpts.title : void 0) != null ? _ref13 : "";
   xlab = (_ref14 = chartOpts != null ? chartOpts.xlab : void 0) != null ? _ref14 : "Chromosome";
   ylab = (_ref15 = chartOpts != null ? chartOpts.ylab : void 0) != null ? _ref15 : "Position (cM)";
-  chartdivid = (_ref16 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref16 : 'chart';
+  responsive = (_ref16 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref16 : false;
+  exportControl = (_ref17 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref17 : false;
+  pngScale = (_ref18 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref18 : 2;
+  chartdivid = (_ref19 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref19 : 'chart';
   mychart = mapchart().height(height).width(width).margin(margin).axispos(axispos).titlepos(titlepos).ylim(ylim).yticks(yticks).nyticks(nyticks).tickwidth(tickwidth).rectcolor(rectcolor).linecolor(linecolor).linecolorhilit(linecolorhilit).linewidth(linewidth).title(title).xlab(xlab).ylab(ylab);
   d3.select("div#" + chartdivid).datum(data).call(mychart);
   markerpos = {};
-  _ref17 = data.chr;
-  for (_i = 0, _len = _ref17.length; _i < _len; _i++) {
-    chr = _ref17[_i];
+  _ref20 = data.chr;
+  for (_i = 0, _len = _ref20.length; _i < _len; _i++) {
+    chr = _ref20[_i];
     for (marker in data.map[chr]) {
       markerpos[marker] = {
         chr: chr,
@@ -50,59 +53,26 @@ iplotMap = function(data, chartOpts) {
     return "" + d + " (" + pos + ")";
   }).direction('e').offset([0, 10]);
   d3.select("div#" + chartdivid + " svg").call(martip);
-  clean_marker_name = function(markername) {
-    return markername.replace(".", "\\.").replace("#", "\\#").replace("/", "\\/");
-  };
-  selectedMarker = "";
-  $("#markerinput").submit(function() {
-    var line, newSelection;
-    newSelection = document.getElementById("marker").value;
-    event.preventDefault();
-    if (selectedMarker !== "") {
-      d3.select("line#" + (clean_marker_name(selectedMarker))).attr("stroke", linecolor);
-      martip.hide();
-    }
-    if (newSelection !== "") {
-      if (data.markernames.indexOf(newSelection) >= 0) {
-        selectedMarker = newSelection;
-        line = d3.select("line#" + (clean_marker_name(selectedMarker))).attr("stroke", linecolorhilit);
-        martip.show(line.datum(), line.node());
-        d3.select("a#currentmarker").text("");
-        return true;
-      } else {
-        d3.select("a#currentmarker").text("Marker \"" + newSelection + "\" not found");
-      }
-    }
-    return false;
-  });
-  $('input#marker').autocomplete({
-    autoFocus: true,
-    source: function(request, response) {
-      var matches;
-      matches = $.map(data.markernames, function(tag) {
-        if (tag.toUpperCase().indexOf(request.term.toUpperCase()) === 0) {
-          return tag;
-        }
-      });
-      return response(matches);
-    },
-    select: function(event, ui) {
-      $('input#marker').val(ui.item.label);
-      return $('input#submit').submit();
+  markerSelect = mychart.markerSelect();
+  selectedMarker = null;
+  addMarkerSearch(chartdivid, data.markernames, function(marker) {
+    var line;
+    if (selectedMarker != null) {
+      markerSelect.filter(function(d) {
+        return d === selectedMarker;
+      }).attr("stroke", linecolor);
     }
+    selectedMarker = marker;
+    line = markerSelect.filter(function(d) {
+      return d === marker;
+    }).attr("stroke", linecolorhilit);
+    return martip.show(line.datum(), line.node());
   });
-  $('input#marker').each(function() {
-    return $(this).data('default', $(this).val()).addClass('inactive').focus(function() {
-      $(this).removeClass('inactive');
-      if ($(this).val() === $(this).data('default') || $(this).val() === '') {
-        return $(this).val('');
-      }
-    }).blur(function() {
-      if ($(this).val() === '') {
-        return $(this).addClass('inactive').val($(this).data('default'));
-      }
-    });
-  });
-  markerSelect = mychart.markerSelect();
-  return markerSelect.on("mouseover", martip.hide);
+  markerSelect.on("mouseover", martip.hide);
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
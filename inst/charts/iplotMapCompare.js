@@ -0,0 +1,65 @@
+// Generated by CoffeeScript 1.8.0
+var iplotMapCompare;
+
+iplotMapCompare = function(data, chartOpts) {
+  var axispos, chartdivid, chrpad, connectcolor, connectwidth, exportControl, flagcolor, height, linecolor, linecolorhilit, linewidth, margin, markerSearch, markerSelect, mychart, nyticks, pngScale, rectcolor, responsive, searched, tickwidth, title, titlepos, width, xlab, ylab, ylim, yticks, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  width = (_ref = chartOpts != null ? chartOpts.width : void 0) != null ? _ref : 1000;
+  height = (_ref1 = chartOpts != null ? chartOpts.height : void 0) != null ? _ref1 : 600;
+  margin = (_ref2 = chartOpts != null ? chartOpts.margin : void 0) != null ? _ref2 : {
+    left: 60,
+    top: 40,
+    right: 40,
+    bottom: 40,
+    inner: 10
+  };
+  axispos = (_ref3 = chartOpts != null ? chartOpts.axispos : void 0) != null ? _ref3 : {
+    xtitle: 25,
+    ytitle: 30,
+    xlabel: 5,
+    ylabel: 5
+  };
+  titlepos = (_ref4 = chartOpts != null ? chartOpts.titlepos : void 0) != null ? _ref4 : 20;
+  ylim = (_ref5 = chartOpts != null ? chartOpts.ylim : void 0) != null ? _ref5 : null;
+  nyticks = (_ref6 = chartOpts != null ? chartOpts.nyticks : void 0) != null ? _ref6 : 5;
+  yticks = (_ref7 = chartOpts != null ? chartOpts.yticks : void 0) != null ? _ref7 : null;
+  tickwidth = (_ref8 = chartOpts != null ? chartOpts.tickwidth : void 0) != null ? _ref8 : 5;
+  chrpad = (_ref9 = chartOpts != null ? chartOpts.chrpad : void 0) != null ? _ref9 : 0.3;
+  rectcolor = (_ref10 = chartOpts != null ? chartOpts.rectcolor : void 0) != null ? _ref10 : "#E6E6E6";
+  linecolor = (_ref11 = chartOpts != null ? chartOpts.linecolor : void 0) != null ? _ref11 : "slateblue";
+  linecolorhilit = (_ref12 = chartOpts != null ? chartOpts.linecolorhilit : void 0) != null ? _ref12 : "Orchid";
+  linewidth = (_ref13 = chartOpts != null ? chartOpts.linewidth : void 0) != null ? _ref13 : 3;
+  connectcolor = (_ref14 = chartOpts != null ? chartOpts.connectcolor : void 0) != null ? _ref14 : "#AAA";
+  connectwidth = (_ref15 = chartOpts != null ? chartOpts.connectwidth : void 0) != null ? _ref15 : 1;
+  flagcolor = (_ref16 = chartOpts != null ? chartOpts.flagcolor : void 0) != null ? _ref16 : "crimson";
+  title = (_ref17 = chartOpts != null ? chartOpts.title : void 0) != null ? _ref17 : "";
+  xlab = (_ref18 = chartOpts != null ? chartOpts.xlab : void 0) != null ? _ref18 : "Chromosome";
+  ylab = (_ref19 = chartOpts != null ? chartOpts.ylab : void 0) != null ? _ref19 : "Position (cM)";
+  markerSearch = (_ref20 = chartOpts != null ? chartOpts.markerSearch : void 0) != null ? _ref20 : true;
+  responsive = (_ref21 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref21 : false;
+  exportControl = (_ref22 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref22 : false;
+  pngScale = (_ref23 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref23 : 2;
+  chartdivid = (_ref24 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref24 : 'chart';
+  mychart = mapcomparechart().height(height).width(width).margin(margin).axispos(axispos).titlepos(titlepos).ylim(ylim).yticks(yticks).nyticks(nyticks).tickwidth(tickwidth).chrpad(chrpad).rectcolor(rectcolor).linecolor(linecolor).linecolorhilit(linecolorhilit).linewidth(linewidth).connectcolor(connectcolor).connectwidth(connectwidth).flagcolor(flagcolor).title(title).xlab(xlab).ylab(ylab);
+  d3.select("div#" + chartdivid).datum(data).call(mychart);
+  if (markerSearch) {
+    markerSelect = mychart.markerSelect();
+    searched = null;
+    addMarkerSearch(chartdivid, markerSelect.data().map(function(d) {
+      return d.name;
+    }), function(marker) {
+      if (searched != null) {
+        searched.dispatchEvent(new MouseEvent("mouseout"));
+      }
+      searched = markerSelect.filter(function(d) {
+        return d.name === marker;
+      }).node();
+      return searched.dispatchEvent(new MouseEvent("mouseover"));
+    });
+  }
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
+};
@@ -2,7 +2,7 @@
 var iplotPXG;
 
 iplotPXG = function(data, chartOpts) {
-  var axispos, chartdivid, gen, gnames, height, inferred, margin, mychart, nyticks, phe, pointcolor, pointsize, pointstroke, rectcolor, title, titlepos, width, x, xjitter, xlab, y, yNA, ylab, ylim, yticks, _i, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref2, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9, _results;
+  var axispos, chartdivid, exportControl, gen, gnames, height, inferred, jitter, margin, mychart, nyticks, phe, pngScale, pointcolor, pointsize, pointstroke, rectcolor, responsive, summary, title, titlepos, width, x, xjitter, xlab, y, yNA, ylab, ylim, yticks, _i, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9, _results;
   gen = (function() {
     var _i, _len, _ref, _results;
     _ref = data.geno[0];
@@ -52,31 +52,36 @@ iplotPXG = function(data, chartOpts) {
   };
   titlepos = (_ref7 = chartOpts != null ? chartOpts.titlepos : void 0) != null ? _ref7 : 20;
   xjitter = (_ref8 = chartOpts != null ? chartOpts.xjitter : void 0) != null ? _ref8 : null;
-  ylim = (_ref9 = chartOpts != null ? chartOpts.ylim : void 0) != null ? _ref9 : null;
-  yticks = (_ref10 = chartOpts != null ? chartOpts.yticks : void 0) != null ? _ref10 : null;
-  nyticks = (_ref11 = chartOpts != null ? chartOpts.nyticks : void 0) != null ? _ref11 : 5;
-  rectcolor = (_ref12 = chartOpts != null ? chartOpts.rectcolor : void 0) != null ? _ref12 : "#E6E6E6";
-  pointcolor = (_ref13 = chartOpts != null ? chartOpts.pointcolor : void 0) != null ? _ref13 : "slateblue";
-  pointsize = (_ref14 = chartOpts != null ? chartOpts.pointsize : void 0) != null ? _ref14 : 3;
-  pointstroke = (_ref15 = chartOpts != null ? chartOpts.pointstroke : void 0) != null ? _ref15 : "black";
-  yNA = (_ref16 = chartOpts != null ? chartOpts.yNA : void 0) != null ? _ref16 : {
+  jitter = (_ref9 = chartOpts != null ? chartOpts.jitter : void 0) != null ? _ref9 : "beeswarm";
+  summary = (_ref10 = chartOpts != null ? chartOpts.summary : void 0) != null ? _ref10 : null;
+  ylim = (_ref11 = chartOpts != null ? chartOpts.ylim : void 0) != null ? _ref11 : null;
+  yticks = (_ref12 = chartOpts != null ? chartOpts.yticks : void 0) != null ? _ref12 : null;
+  nyticks = (_ref13 = chartOpts != null ? chartOpts.nyticks : void 0) != null ? _ref13 : 5;
+  rectcolor = (_ref14 = chartOpts != null ? chartOpts.rectcolor : void 0) != null ? _ref14 : "#E6E6E6";
+  pointcolor = (_ref15 = chartOpts != null ? chartOpts.pointcolor : void 0) != null ? _ref15 : "slateblue";
+  pointsize = (_ref16 = chartOpts != null ? chartOpts.pointsize : void 0) != null ? _ref16 : 3;
+  pointstroke = (_ref17 = chartOpts != null ? chartOpts.pointstroke : void 0) != null ? _ref17 : "black";
+  yNA = (_ref18 = chartOpts != null ? chartOpts.yNA : void 0) != null ? _ref18 : {
     handle: true,
     force: false,
     width: 15,
     gap: 10
   };
-  chartdivid = (_ref17 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref17 : 'chart';
+  responsive = (_ref19 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref19 : false;
+  exportControl = (_ref20 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref20 : false;
+  pngScale = (_ref21 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref21 : 2;
+  chartdivid = (_ref22 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref22 : 'chart';
   mychart = dotchart().height(height).width(width).margin(margin).xcategories((function() {
     _results = [];
-    for (var _i = 1, _ref18 = gnames.length; 1 <= _ref18 ? _i <= _ref18 : _i >= _ref18; 1 <= _ref18 ? _i++ : _i--){ _results.push(_i); }
+    for (var _i = 1, _ref23 = gnames.length; 1 <= _ref23 ? _i <= _ref23 : _i >= _ref23; 1 <= _ref23 ? _i++ : _i--){ _results.push(_i); }
     return _results;
-  }).apply(this)).xcatlabels(gnames).dataByInd(false).xlab(xlab).ylab(ylab).xvar('geno').yvar('pheno').title(title).axispos(axispos).titlepos(titlepos).xjitter(xjitter).ylim(ylim).yticks(yticks).nyticks(nyticks).rectcolor(rectcolor).pointcolor(pointcolor).pointsize(pointsize).pointstroke(pointstroke).yNA(yNA);
+  }).apply(this)).xcatlabels(gnames).dataByInd(false).xlab(xlab).ylab(ylab).xvar('geno').yvar('pheno').title(title).axispos(axispos).titlepos(titlepos).xjitter(xjitter).jitter(jitter).summary(summary).ylim(ylim).yticks(yticks).nyticks(nyticks).rectcolor(rectcolor).pointcolor(pointcolor).pointsize(pointsize).pointstroke(pointstroke).yNA(yNA);
   d3.select("div#" + chartdivid).datum({
     geno: gen,
     pheno: phe,
     indID: data.indID
   }).call(mychart);
-  return mychart.pointsSelect().attr("fill", function(d, i) {
+  mychart.pointsSelect().attr("fill", function(d, i) {
     if (inferred[i]) {
       return "Orchid";
     }
@@ -86,4 +91,10 @@ iplotPXG = function(data, chartOpts) {
     r = d3.select(this).attr("r");
     return d3.select(this).transition().duration(500).attr("r", r * 3).transition().duration(500).attr("r", r);
   });
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
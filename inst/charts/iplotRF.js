@@ -1,8 +1,9 @@
 // Generated by CoffeeScript 1.8.0
-var iplotRF;
+var iplotRF, marker_diagnostics,
+  __indexOf = [].indexOf || function(item) { for (var i = 0, l = this.length; i < l; i++) { if (i in this && this[i] === item) return i; } return -1; };
 
 iplotRF = function(rf_data, geno, chartOpts) {
-  var axispos, bordercolor, cellHeight, cellPad, cellWidth, cells, celltip, chartdivid, chrGap, chrtype, col, colors, create_crosstab, create_scan, crosstab_height, crosstab_width, crosstab_xpos, crosstab_ypos, darkrect, fontsize, g_crosstab, g_heatmap, g_scans, hbot, heatmap_height, heatmap_width, hilitcolor, htop, lightrect, lodlim, margin, max_ngeno, mychrheatmap, nullcolor, oneAtTop, pixelPerCell, pointcolor, pointsize, pointstroke, row, svg, totalh, totalw, totmar, w, wbot, _i, _j, _k, _l, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var axispos, bordercolor, build_diagnostics, canvas, cellHeight, cellPad, cellWidth, cells, celltip, chartdivid, chartg, chrGap, chrtype, col, colors, columns, create_crosstab, create_scan, crosstab_height, crosstab_width, crosstab_xpos, crosstab_ypos, crosstabview, darkrect, diagcolor, diagdiv, diaglod, diagnostics, diagtable, exportControl, fontsize, formatValue, g_crosstab, g_diag, g_heatmap, g_scans, hbot, heatmap_height, heatmap_width, hilitcolor, horizontal, htop, legendmargin, lightrect, lodlim, margin, max_ngeno, mychrheatmap, mycrosstab, mylegend, nullcolor, oneAtTop, orderlod, pixelPerCell, placement, pngScale, pointcolor, pointsize, pointstroke, responsive, row, scan_charts, select_cell, show_diagnostics, showdiag, showdiag_text, sortValue, svg, totalh, totalw, totmar, w, wbot, zlegend, _i, _j, _k, _l, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref32, _ref33, _ref34, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
   pixelPerCell = (_ref = chartOpts != null ? chartOpts.pixelPerCell : void 0) != null ? _ref : null;
   chrGap = (_ref1 = chartOpts != null ? chartOpts.chrGap : void 0) != null ? _ref1 : 2;
   cellHeight = (_ref2 = chartOpts != null ? chartOpts.cellHeight : void 0) != null ? _ref2 : 30;
@@ -10,31 +11,41 @@ iplotRF = function(rf_data, geno, chartOpts) {
   cellPad = (_ref4 = chartOpts != null ? chartOpts.cellPad : void 0) != null ? _ref4 : 20;
   hbot = (_ref5 = chartOpts != null ? chartOpts.hbot : void 0) != null ? _ref5 : 300;
   fontsize = (_ref6 = chartOpts != null ? chartOpts.fontsize : void 0) != null ? _ref6 : cellHeight * 0.7;
-  margin = (_ref7 = chartOpts != null ? chartOpts.margin : void 0) != null ? _ref7 : {
+  crosstabview = (_ref7 = chartOpts != null ? chartOpts.crosstabview : void 0) != null ? _ref7 : "counts";
+  margin = (_ref8 = chartOpts != null ? chartOpts.margin : void 0) != null ? _ref8 : {
     left: 60,
     top: 30,
     right: 10,
     bottom: 40,
     inner: 5
   };
-  axispos = (_ref8 = chartOpts != null ? chartOpts.axispos : void 0) != null ? _ref8 : {
+  axispos = (_ref9 = chartOpts != null ? chartOpts.axispos : void 0) != null ? _ref9 : {
     xtitle: 25,
     ytitle: 30,
     xlabel: 5,
     ylabel: 5
   };
-  lightrect = (_ref9 = chartOpts != null ? chartOpts.lightrect : void 0) != null ? _ref9 : "#e6e6e6";
-  darkrect = (_ref10 = chartOpts != null ? chartOpts.darkrect : void 0) != null ? _ref10 : "#c8c8c8";
-  hilitcolor = (_ref11 = chartOpts != null ? chartOpts.hilitcolor : void 0) != null ? _ref11 : "#e9cfec";
-  nullcolor = (_ref12 = chartOpts != null ? chartOpts.nullcolor : void 0) != null ? _ref12 : "#e6e6e6";
-  bordercolor = (_ref13 = chartOpts != null ? chartOpts.bordercolor : void 0) != null ? _ref13 : "black";
-  pointsize = (_ref14 = chartOpts != null ? chartOpts.pointsize : void 0) != null ? _ref14 : 2;
-  pointcolor = (_ref15 = chartOpts != null ? chartOpts.pointcolor : void 0) != null ? _ref15 : "slateblue";
-  pointstroke = (_ref16 = chartOpts != null ? chartOpts.pointstroke : void 0) != null ? _ref16 : "black";
-  colors = (_ref17 = chartOpts != null ? chartOpts.colors : void 0) != null ? _ref17 : ["crimson", "white", "slateblue"];
-  lodlim = (_ref18 = chartOpts != null ? chartOpts.lodlim : void 0) != null ? _ref18 : [0, 12];
-  oneAtTop = (_ref19 = chartOpts != null ? chartOpts.oneAtTop : void 0) != null ? _ref19 : false;
-  chartdivid = (_ref20 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref20 : 'chart';
+  lightrect = (_ref10 = chartOpts != null ? chartOpts.lightrect : void 0) != null ? _ref10 : "#e6e6e6";
+  darkrect = (_ref11 = chartOpts != null ? chartOpts.darkrect : void 0) != null ? _ref11 : "#c8c8c8";
+  hilitcolor = (_ref12 = chartOpts != null ? chartOpts.hilitcolor : void 0) != null ? _ref12 : "#e9cfec";
+  nullcolor = (_ref13 = chartOpts != null ? chartOpts.nullcolor : void 0) != null ? _ref13 : "#e6e6e6";
+  bordercolor = (_ref14 = chartOpts != null ? chartOpts.bordercolor : void 0) != null ? _ref14 : "black";
+  pointsize = (_ref15 = chartOpts != null ? chartOpts.pointsize : void 0) != null ? _ref15 : 2;
+  pointcolor = (_ref16 = chartOpts != null ? chartOpts.pointcolor : void 0) != null ? _ref16 : "slateblue";
+  pointstroke = (_ref17 = chartOpts != null ? chartOpts.pointstroke : void 0) != null ? _ref17 : "black";
+  colors = (_ref18 = chartOpts != null ? chartOpts.colors : void 0) != null ? _ref18 : ["crimson", "white", "slateblue"];
+  lodlim = (_ref19 = chartOpts != null ? chartOpts.lodlim : void 0) != null ? _ref19 : [0, 12];
+  zlegend = (_ref20 = chartOpts != null ? chartOpts.zlegend : void 0) != null ? _ref20 : null;
+  oneAtTop = (_ref21 = chartOpts != null ? chartOpts.oneAtTop : void 0) != null ? _ref21 : false;
+  canvas = (_ref22 = chartOpts != null ? chartOpts.canvas : void 0) != null ? _ref22 : false;
+  diagnostics = (_ref23 = chartOpts != null ? chartOpts.diagnostics : void 0) != null ? _ref23 : false;
+  diaglod = (_ref24 = chartOpts != null ? chartOpts.diaglod : void 0) != null ? _ref24 : 5;
+  orderlod = (_ref25 = chartOpts != null ? chartOpts.orderlod : void 0) != null ? _ref25 : 3;
+  diagcolor = (_ref26 = chartOpts != null ? chartOpts.diagcolor : void 0) != null ? _ref26 : "Orchid";
+  responsive = (_ref27 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref27 : false;
+  exportControl = (_ref28 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref28 : false;
+  pngScale = (_ref29 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref29 : 2;
+  chartdivid = (_ref30 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref30 : 'chart';
   totmar = sumArray(rf_data.nmar);
   if (pixelPerCell == null) {
     pixelPerCell = d3.max([2, Math.floor(600 / totmar)]);
@@ -51,7 +62,7 @@ iplotRF = function(rf_data, geno, chartOpts) {
     return _results;
   })());
   crosstab_width = cellWidth * (max_ngeno + 2) + margin.left + margin.right;
-  crosstab_height = cellHeight * (max_ngeno + 3) + margin.top + margin.bottom;
+  crosstab_height = cellHeight * (max_ngeno + 5) + margin.top + margin.bottom;
   crosstab_xpos = heatmap_width;
   crosstab_ypos = (heatmap_height - crosstab_height) / 2 - margin.top;
   if (crosstab_ypos < 0) {
@@ -61,7 +72,19 @@ iplotRF = function(rf_data, geno, chartOpts) {
   totalw = heatmap_width + crosstab_width;
   htop = d3.max([heatmap_height, crosstab_height]);
   totalh = htop + hbot;
+  if (zlegend != null) {
+    horizontal = zlegend === "top" || zlegend === "bottom";
+    mylegend = colorscale().orientation(horizontal ? "horizontal" : "vertical").side(zlegend).barlength(w).title("LOD (negative if rf > 1/2)").nullcolor(lightrect);
+    legendmargin = mylegend.margin();
+    placement = legendPlacement(zlegend, mylegend.size(), totalw, totalh, margin.left - legendmargin.left, margin.top - legendmargin.top);
+    totalw = placement.totalw;
+    totalh = placement.totalh;
+  }
   svg = d3.select("div#" + chartdivid).append("svg").attr("height", totalh).attr("width", totalw);
+  chartg = svg.append("g");
+  if (zlegend != null) {
+    chartg.attr("transform", "translate(" + placement.chart[0] + "," + placement.chart[1] + ")");
+  }
   if (d3.min(lodlim) < 0) {
     displayError("lodlim values must be non-negative; ignored", "error_" + chartdivid);
     lodlim = [2, 12];
@@ -75,15 +98,15 @@ iplotRF = function(rf_data, geno, chartOpts) {
       return dd;
     });
   });
-  for (row = _i = 0, _ref21 = rf_data.z.length; 0 <= _ref21 ? _i < _ref21 : _i > _ref21; row = 0 <= _ref21 ? ++_i : --_i) {
-    for (col = _j = 0, _ref22 = rf_data.z.length; 0 <= _ref22 ? _j < _ref22 : _j > _ref22; col = 0 <= _ref22 ? ++_j : --_j) {
+  for (row = _i = 0, _ref31 = rf_data.z.length; 0 <= _ref31 ? _i < _ref31 : _i > _ref31; row = 0 <= _ref31 ? ++_i : --_i) {
+    for (col = _j = 0, _ref32 = rf_data.z.length; 0 <= _ref32 ? _j < _ref32 : _j > _ref32; col = 0 <= _ref32 ? ++_j : --_j) {
       if (row > col) {
         rf_data.z[row][col] = rf_data.z[col][row];
       }
     }
   }
-  for (row = _k = 0, _ref23 = rf_data.z.length; 0 <= _ref23 ? _k < _ref23 : _k > _ref23; row = 0 <= _ref23 ? ++_k : --_k) {
-    for (col = _l = 0, _ref24 = rf_data.z.length; 0 <= _ref24 ? _l < _ref24 : _l > _ref24; col = 0 <= _ref24 ? ++_l : --_l) {
+  for (row = _k = 0, _ref33 = rf_data.z.length; 0 <= _ref33 ? _k < _ref33 : _k > _ref33; row = 0 <= _ref33 ? ++_k : --_k) {
+    for (col = _l = 0, _ref34 = rf_data.z.length; 0 <= _ref34 ? _l < _ref34 : _l > _ref34; col = 0 <= _ref34 ? ++_l : --_l) {
       if (row === col || ((rf_data.z[row][col] != null) && rf_data.z[row][col] > lodlim[1])) {
         rf_data.z[row][col] = lodlim[1];
       }
@@ -95,12 +118,17 @@ iplotRF = function(rf_data, geno, chartOpts) {
       }
     }
   }
-  mychrheatmap = chrheatmap().pixelPerCell(pixelPerCell).chrGap(chrGap).axispos(axispos).rectcolor(lightrect).nullcolor(nullcolor).bordercolor(bordercolor).colors(colors).zthresh(lodlim[0]).oneAtTop(oneAtTop).hover(false);
-  g_heatmap = svg.append("g").attr("id", "chrheatmap").datum(rf_data).call(mychrheatmap);
+  mychrheatmap = chrheatmap().pixelPerCell(pixelPerCell).canvas(canvas).chrGap(chrGap).axispos(axispos).rectcolor(lightrect).nullcolor(nullcolor).bordercolor(bordercolor).colors(colors).zthresh(lodlim[0]).oneAtTop(oneAtTop).hover(false);
+  g_heatmap = chartg.append("g").attr("id", "chrheatmap").datum(rf_data).call(mychrheatmap);
+  if (zlegend != null) {
+    svg.append("g").attr("id", "colorscale").attr("transform", "translate(" + placement.legend[0] + "," + placement.legend[1] + ")").call(mylegend.zscale(mychrheatmap.zscale()).zthresh(mychrheatmap.zthresh()));
+  }
   g_crosstab = null;
+  mycrosstab = crosstab().cellHeight(cellHeight).cellWidth(cellWidth).cellPad(cellPad).margin(margin).fontsize(fontsize).rectcolor(lightrect).hilitcolor(hilitcolor).bordercolor(bordercolor).mosaiccolors(colors).view(crosstabview);
   g_scans = [null, null];
+  scan_charts = [null, null];
   create_crosstab = function(marker1, marker2) {
-    var data, mycrosstab;
+    var data;
     data = {
       x: geno.geno[marker1],
       y: geno.geno[marker2],
@@ -112,11 +140,10 @@ iplotRF = function(rf_data, geno, chartOpts) {
     if (g_crosstab != null) {
       g_crosstab.remove();
     }
-    mycrosstab = crosstab().cellHeight(cellHeight).cellWidth(cellWidth).cellPad(cellPad).margin(margin).fontsize(fontsize).rectcolor(lightrect).hilitcolor(hilitcolor).bordercolor(bordercolor);
-    return g_crosstab = svg.append("g").attr("id", "crosstab").attr("transform", "translate(" + crosstab_xpos + ", " + crosstab_ypos + ")").datum(data).call(mycrosstab);
+    return g_crosstab = chartg.append("g").attr("id", "crosstab").attr("transform", "translate(" + crosstab_xpos + ", " + crosstab_ypos + ")").datum(data).call(mycrosstab);
   };
   create_scan = function(markerindex, panelindex) {
-    var data, i, mylodchart, _m, _ref25;
+    var data, i, mylodchart, _m, _ref35;
     data = {
       chrnames: rf_data.chrnames,
       lodnames: ["lod"],
@@ -132,7 +159,7 @@ iplotRF = function(rf_data, geno, chartOpts) {
       })(),
       markernames: rf_data.labels
     };
-    for (row = _m = 0, _ref25 = rf_data.rf.length; 0 <= _ref25 ? _m < _ref25 : _m > _ref25; row = 0 <= _ref25 ? ++_m : --_m) {
+    for (row = _m = 0, _ref35 = rf_data.rf.length; 0 <= _ref35 ? _m < _ref35 : _m > _ref35; row = 0 <= _ref35 ? ++_m : --_m) {
       if (row > markerindex) {
         data.lod[row] = rf_data.rf[markerindex][row];
       } else if (row < markerindex) {
@@ -141,10 +168,14 @@ iplotRF = function(rf_data, geno, chartOpts) {
     }
     data.lod[markerindex] = null;
     if (g_scans[panelindex] != null) {
-      g_scans[panelindex].remove();
+      mylodchart = scan_charts[panelindex];
+      mylodchart.ylim([0.0, d3.max(data.lod)]).title(data.markernames[markerindex]);
+      g_scans[panelindex].datum(data).call(mylodchart);
+    } else {
+      mylodchart = lodchart().height(hbot - margin.top - margin.bottom).width(wbot - margin.left - margin.right).margin(margin).axispos(axispos).ylim([0.0, d3.max(data.lod)]).lightrect(lightrect).darkrect(darkrect).linewidth(0).linecolor("").pointsize(pointsize).pointcolor(pointcolor).pointstroke(pointstroke).lodvarname("lod").title(data.markernames[markerindex]);
+      scan_charts[panelindex] = mylodchart;
+      g_scans[panelindex] = chartg.append("g").attr("id", "lod_rf_" + (panelindex + 1)).attr("transform", "translate(" + (wbot * panelindex) + ", " + htop + ")").datum(data).call(mylodchart);
     }
-    mylodchart = lodchart().height(hbot - margin.top - margin.bottom).width(wbot - margin.left - margin.right).margin(margin).axispos(axispos).ylim([0.0, d3.max(data.lod)]).lightrect(lightrect).darkrect(darkrect).linewidth(0).linecolor("").pointsize(pointsize).pointcolor(pointcolor).pointstroke(pointstroke).lodvarname("lod").title(data.markernames[markerindex]);
-    g_scans[panelindex] = svg.append("g").attr("id", "lod_rf_" + (panelindex + 1)).attr("transform", "translate(" + (wbot * panelindex) + ", " + htop + ")").datum(data).call(mylodchart);
     return mylodchart.markerSelect().on("click", function(d) {
       var newmarker;
       newmarker = d.name;
@@ -176,19 +207,243 @@ iplotRF = function(rf_data, geno, chartOpts) {
     return "(" + mari + " " + marj + "), LOD = " + (d3.format(".1f")(lod)) + ", rf = " + rf;
   }).direction('e').offset([0, 10]);
   svg.call(celltip);
+  select_cell = function(i, j) {
+    create_crosstab(rf_data.labels[j], rf_data.labels[i]);
+    create_scan(i, 0);
+    if (i !== j) {
+      return create_scan(j, 1);
+    } else if (g_scans[1] != null) {
+      g_scans[1].remove();
+      return g_scans[1] = null;
+    }
+  };
   cells = mychrheatmap.cellSelect();
-  return cells.on("mouseover", function(d) {
+  cells.on("mouseover", function(d) {
     return celltip.show(d);
   }).on("mouseout", function() {
     return celltip.hide();
   }).on("click", function(d) {
-    create_crosstab(rf_data.labels[d.j], rf_data.labels[d.i]);
-    create_scan(d.i, 0);
-    if (d.i !== d.j) {
-      return create_scan(d.j, 1);
+    return select_cell(+d.i, +d.j);
+  });
+  g_diag = null;
+  diagtable = null;
+  diagdiv = d3.select("div#" + chartdivid).append("div").attr("class", "markerdiag");
+  showdiag = diagdiv.append("label");
+  showdiag.append("input").attr("type", "checkbox").property("checked", diagnostics).on("change", function() {
+    return show_diagnostics(this.checked);
+  });
+  showdiag_text = showdiag.append("span").text(" Marker diagnostics");
+  columns = ["marker", "chr", "pos", "issue", "linked to", "LOD", "rf", "adjacent LOD"];
+  formatValue = function(d, column) {
+    switch (column) {
+      case "marker":
+        return rf_data.labels[d.index];
+      case "chr":
+        return rf_data.chr[d.index];
+      case "pos":
+        return d3.format(".1f")(rf_data.pos[d.index]);
+      case "issue":
+        return d.issue;
+      case "linked to":
+        return "" + rf_data.labels[d.partner] + " (chr " + rf_data.chr[d.partner] + ")";
+      case "LOD":
+        return d3.format(".1f")(d.lod);
+      case "rf":
+        if (d.rf >= 0.1) {
+          return d3.format(".2f")(d.rf);
+        } else {
+          return d3.format(".3f")(d.rf);
+        }
+      case "adjacent LOD":
+        if (d.adjlod != null) {
+          return d3.format(".1f")(d.adjlod);
+        } else {
+          return "";
+        }
+    }
+  };
+  sortValue = function(d, column) {
+    var _ref35;
+    switch (column) {
+      case "marker":
+        return d.index;
+      case "chr":
+        return rf_data.chrnames.indexOf(rf_data.chr[d.index]);
+      case "pos":
+        return d.index;
+      case "issue":
+        return d.issue;
+      case "linked to":
+        return d.partner;
+      case "LOD":
+        return d.lod;
+      case "rf":
+        return d.rf;
+      case "adjacent LOD":
+        return (_ref35 = d.adjlod) != null ? _ref35 : -1;
+    }
+  };
+  build_diagnostics = function() {
+    var band, cell, d, flagged, flaggedmarkers, g_jump, i, jump_to_marker, markerpos, rows, sortedby, _len, _len1, _m, _n, _ref35;
+    flagged = marker_diagnostics(rf_data, diaglod, orderlod);
+    markerpos = {};
+    _ref35 = rf_data.cells;
+    for (_m = 0, _len = _ref35.length; _m < _len; _m++) {
+      cell = _ref35[_m];
+      if (cell.i === cell.j) {
+        markerpos[+cell.i] = {
+          x: cell.x,
+          y: cell.y
+        };
+      }
+    }
+    g_diag = g_heatmap.select("svg g").append("g").attr("id", "diagnostics").style("pointer-events", "none");
+    band = function(g, i) {
+      g.append("rect").attr("x", markerpos[i].x).attr("y", margin.top).attr("width", pixelPerCell).attr("height", w);
+      return g.append("rect").attr("x", margin.left).attr("y", markerpos[i].y).attr("width", w).attr("height", pixelPerCell);
+    };
+    flaggedmarkers = d3.set((function() {
+      var _len1, _n, _results;
+      _results = [];
+      for (_n = 0, _len1 = flagged.length; _n < _len1; _n++) {
+        d = flagged[_n];
+        _results.push(d.index);
+      }
+      return _results;
+    })()).values();
+    for (_n = 0, _len1 = flaggedmarkers.length; _n < _len1; _n++) {
+      i = flaggedmarkers[_n];
+      band(g_diag.append("g").attr("class", "flagged").attr("fill", diagcolor).attr("opacity", 0.3), i);
+    }
+    g_jump = g_diag.append("g").attr("class", "jumpto").attr("fill", "none").attr("stroke", "black").attr("stroke-width", 1);
+    jump_to_marker = function(i, j) {
+      g_jump.selectAll("*").remove();
+      band(g_jump, i);
+      return select_cell(i, j);
+    };
+    showdiag_text.text(" Marker diagnostics (" + flaggedmarkers.length + " markers flagged)");
+    diagtable = diagdiv.append("table");
+    rows = diagtable.append("tbody").selectAll("tr").data(flagged).enter().append("tr").on("click", function(d) {
+      return jump_to_marker(d.index, d.partner);
+    });
+    rows.selectAll("td").data(function(d) {
+      var column, _len2, _o, _results;
+      _results = [];
+      for (_o = 0, _len2 = columns.length; _o < _len2; _o++) {
+        column = columns[_o];
+        _results.push(formatValue(d, column));
+      }
+      return _results;
+    }).enter().append("td").text(function(d) {
+      return d;
+    });
+    sortedby = null;
+    return diagtable.insert("thead", "tbody").append("tr").selectAll("th").data(columns).enter().append("th").text(function(d) {
+      return d;
+    }).on("click", function(column) {
+      var sign;
+      sign = sortedby === column ? -1 : 1;
+      sortedby = sign > 0 ? column : null;
+      return rows.sort(function(a, b) {
+        var va, vb, _ref36;
+        _ref36 = [sortValue(a, column), sortValue(b, column)], va = _ref36[0], vb = _ref36[1];
+        return sign * (va < vb ? -1 : va > vb ? 1 : a.index - b.index);
+      });
+    });
+  };
+  show_diagnostics = function(show) {
+    diagnostics = show;
+    if (diagnostics && (g_diag == null)) {
+      build_diagnostics();
+    }
+    if (g_diag != null) {
+      g_diag.style("display", diagnostics ? null : "none");
+      return diagtable.style("display", diagnostics ? null : "none");
+    }
+  };
+  show_diagnostics(diagnostics);
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
+};
+
+marker_diagnostics = function(rf_data, diaglod, orderlod) {
+  var adjacent, adjlod, best, chr, flag, i, j, lod, nmar, result, rf, type, _i, _j, _ref;
+  nmar = rf_data.labels.length;
+  lod = function(i, j) {
+    if (i < j) {
+      return rf_data.rf[i][j];
     } else {
-      g_scans[1].remove();
-      return g_scans[1] = null;
+      return rf_data.rf[j][i];
     }
-  });
+  };
+  rf = function(i, j) {
+    if (i > j) {
+      return rf_data.rf[i][j];
+    } else {
+      return rf_data.rf[j][i];
+    }
+  };
+  result = [];
+  for (i = _i = 0; 0 <= nmar ? _i < nmar : _i > nmar; i = 0 <= nmar ? ++_i : --_i) {
+    chr = rf_data.chr[i];
+    best = {
+      own: null,
+      other: null,
+      switched: null
+    };
+    for (j = _j = 0; 0 <= nmar ? _j < nmar : _j > nmar; j = 0 <= nmar ? ++_j : --_j) {
+      if (!(j !== i && (lod(i, j) != null))) {
+        continue;
+      }
+      type = rf(i, j) > 0.5 ? "switched" : rf_data.chr[j] === chr ? "own" : "other";
+      if ((best[type] == null) || lod(i, j) > lod(i, best[type])) {
+        best[type] = j;
+      }
+    }
+    adjacent = (function() {
+      var _k, _len, _ref, _results;
+      _ref = [i - 1, i + 1];
+      _results = [];
+      for (_k = 0, _len = _ref.length; _k < _len; _k++) {
+        j = _ref[_k];
+        if ((0 <= j && j < nmar) && rf_data.chr[j] === chr && (lod(i, j) != null) && rf(i, j) <= 0.5) {
+          _results.push(j);
+        }
+      }
+      return _results;
+    })();
+    adjlod = adjacent.length > 0 ? d3.max((function() {
+      var _k, _len, _results;
+      _results = [];
+      for (_k = 0, _len = adjacent.length; _k < _len; _k++) {
+        j = adjacent[_k];
+        _results.push(lod(i, j));
+      }
+      return _results;
+    })()) : null;
+    flag = function(issue, j) {
+      return result.push({
+        index: i,
+        issue: issue,
+        partner: j,
+        lod: lod(i, j),
+        rf: rf(i, j),
+        adjlod: adjlod
+      });
+    };
+    if ((best.other != null) && lod(i, best.other) >= diaglod) {
+      flag("other chr", best.other);
+    }
+    if ((best.switched != null) && lod(i, best.switched) >= diaglod) {
+      flag("rf > 1/2", best.switched);
+    }
+    if ((best.own != null) && (_ref = best.own, __indexOf.call(adjacent, _ref) < 0) && lod(i, best.own) - (adjlod != null ? adjlod : 0) >= orderlod) {
+      flag("out of order", best.own);
+    }
+  }
+  return result;
 };
@@ -2,7 +2,7 @@
 var iplotScanone_ci;
 
 iplotScanone_ci = function(lod_data, pxg_data, chartOpts) {
-  var chartdivid, chrGap, darkrect, eff_axispos, eff_linecolor, eff_linewidth, eff_nyticks, eff_rotate_ylab, eff_segwidth, eff_titlepos, eff_xlab, eff_ylab, eff_ylim, eff_yticks, g_lod, height, lightrect, lod_axispos, lod_linecolor, lod_linewidth, lod_nyticks, lod_pointcolor, lod_pointsize, lod_pointstroke, lod_rotate_ylab, lod_title, lod_titlepos, lod_xlab, lod_ylab, lod_ylim, lod_yticks, margin, markers, mylodchart, plotCI, svg, totalh, totalw, wleft, wright, x, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref32, _ref33, _ref34, _ref35, _ref36, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var chartdivid, chrGap, d, darkrect, eff_axispos, eff_linecolor, eff_linewidth, eff_nyticks, eff_rotate_ylab, eff_segwidth, eff_titlepos, eff_xlab, eff_ylab, eff_ylim, eff_yticks, exportControl, g_lod, height, lightrect, lod_axispos, lod_bayesintProb, lod_chrZoom, lod_intervalType, lod_linecolor, lod_linewidth, lod_lodintDrop, lod_nyticks, lod_pointcolor, lod_pointsize, lod_pointstroke, lod_rotate_ylab, lod_thresholdcolor, lod_thresholds, lod_thresholdshade, lod_title, lod_titlepos, lod_xlab, lod_ylab, lod_ylim, lod_yticks, margin, markerSearch, markers, mylodchart, plotCI, pngScale, responsive, svg, totalh, totalw, wleft, wright, x, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref32, _ref33, _ref34, _ref35, _ref36, _ref37, _ref38, _ref39, _ref4, _ref40, _ref41, _ref42, _ref43, _ref44, _ref45, _ref46, _ref47, _ref48, _ref49, _ref5, _ref50, _ref51, _ref52, _ref53, _ref6, _ref7, _ref8, _ref9;
   markers = (function() {
     var _results;
     _results = [];
@@ -43,30 +43,41 @@ iplotScanone_ci = function(lod_data, pxg_data, chartOpts) {
   lod_xlab = (_ref20 = chartOpts != null ? chartOpts.lod_xlab : void 0) != null ? _ref20 : "Chromosome";
   lod_ylab = (_ref21 = chartOpts != null ? chartOpts.lod_ylab : void 0) != null ? _ref21 : "LOD score";
   lod_rotate_ylab = (_ref22 = chartOpts != null ? chartOpts.lod_rotate_ylab : void 0) != null ? _ref22 : null;
-  eff_ylim = (_ref23 = chartOpts != null ? chartOpts.eff_ylim : void 0) != null ? _ref23 : null;
-  eff_nyticks = (_ref24 = chartOpts != null ? chartOpts.eff_nyticks : void 0) != null ? _ref24 : 5;
-  eff_yticks = (_ref25 = chartOpts != null ? chartOpts.eff_yticks : void 0) != null ? _ref25 : null;
-  eff_linecolor = (_ref26 = chartOpts != null ? chartOpts.eff_linecolor : void 0) != null ? _ref26 : "slateblue";
-  eff_linewidth = (_ref27 = chartOpts != null ? chartOpts.eff_linewidth : void 0) != null ? _ref27 : "3";
-  eff_xlab = (_ref28 = chartOpts != null ? chartOpts.eff_xlab : void 0) != null ? _ref28 : "Genotype";
-  eff_ylab = (_ref29 = chartOpts != null ? chartOpts.eff_ylab : void 0) != null ? _ref29 : "Phenotype";
-  eff_rotate_ylab = (_ref30 = chartOpts != null ? chartOpts.eff_rotate_ylab : void 0) != null ? _ref30 : null;
-  eff_segwidth = (_ref31 = chartOpts != null ? chartOpts.eff_segwidth : void 0) != null ? _ref31 : null;
-  eff_axispos = (_ref32 = (_ref33 = chartOpts != null ? chartOpts.eff_axispos : void 0) != null ? _ref33 : chartOpts != null ? chartOpts.axispos : void 0) != null ? _ref32 : {
+  lod_chrZoom = (_ref23 = chartOpts != null ? chartOpts.lod_chrZoom : void 0) != null ? _ref23 : true;
+  lod_thresholds = (_ref24 = (_ref25 = chartOpts != null ? chartOpts.lod_thresholds : void 0) != null ? _ref25 : chartOpts != null ? chartOpts.thresholds : void 0) != null ? _ref24 : null;
+  lod_thresholdcolor = (_ref26 = (_ref27 = chartOpts != null ? chartOpts.lod_thresholdcolor : void 0) != null ? _ref27 : chartOpts != null ? chartOpts.thresholdcolor : void 0) != null ? _ref26 : "crimson";
+  lod_thresholdshade = (_ref28 = (_ref29 = chartOpts != null ? chartOpts.lod_thresholdshade : void 0) != null ? _ref29 : chartOpts != null ? chartOpts.thresholdshade : void 0) != null ? _ref28 : false;
+  lod_intervalType = (_ref30 = (_ref31 = chartOpts != null ? chartOpts.lod_intervalType : void 0) != null ? _ref31 : chartOpts != null ? chartOpts.intervalType : void 0) != null ? _ref30 : null;
+  lod_lodintDrop = (_ref32 = (_ref33 = chartOpts != null ? chartOpts.lod_lodintDrop : void 0) != null ? _ref33 : chartOpts != null ? chartOpts.lodintDrop : void 0) != null ? _ref32 : 1.5;
+  lod_bayesintProb = (_ref34 = (_ref35 = chartOpts != null ? chartOpts.lod_bayesintProb : void 0) != null ? _ref35 : chartOpts != null ? chartOpts.bayesintProb : void 0) != null ? _ref34 : 0.95;
+  eff_ylim = (_ref36 = chartOpts != null ? chartOpts.eff_ylim : void 0) != null ? _ref36 : null;
+  eff_nyticks = (_ref37 = chartOpts != null ? chartOpts.eff_nyticks : void 0) != null ? _ref37 : 5;
+  eff_yticks = (_ref38 = chartOpts != null ? chartOpts.eff_yticks : void 0) != null ? _ref38 : null;
+  eff_linecolor = (_ref39 = chartOpts != null ? chartOpts.eff_linecolor : void 0) != null ? _ref39 : "slateblue";
+  eff_linewidth = (_ref40 = chartOpts != null ? chartOpts.eff_linewidth : void 0) != null ? _ref40 : "3";
+  eff_xlab = (_ref41 = chartOpts != null ? chartOpts.eff_xlab : void 0) != null ? _ref41 : "Genotype";
+  eff_ylab = (_ref42 = chartOpts != null ? chartOpts.eff_ylab : void 0) != null ? _ref42 : "Phenotype";
+  eff_rotate_ylab = (_ref43 = chartOpts != null ? chartOpts.eff_rotate_ylab : void 0) != null ? _ref43 : null;
+  eff_segwidth = (_ref44 = chartOpts != null ? chartOpts.eff_segwidth : void 0) != null ? _ref44 : null;
+  eff_axispos = (_ref45 = (_ref46 = chartOpts != null ? chartOpts.eff_axispos : void 0) != null ? _ref46 : chartOpts != null ? chartOpts.axispos : void 0) != null ? _ref45 : {
     xtitle: 25,
     ytitle: 30,
     xlabel: 5,
     ylabel: 5
   };
-  eff_titlepos = (_ref34 = (_ref35 = chartOpts != null ? chartOpts.eff_titlepos : void 0) != null ? _ref35 : chartOpts != null ? chartOpts.titlepos : void 0) != null ? _ref34 : 20;
-  chartdivid = (_ref36 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref36 : 'chart';
+  eff_titlepos = (_ref47 = (_ref48 = chartOpts != null ? chartOpts.eff_titlepos : void 0) != null ? _ref48 : chartOpts != null ? chartOpts.titlepos : void 0) != null ? _ref47 : 20;
+  markerSearch = (_ref49 = chartOpts != null ? chartOpts.markerSearch : void 0) != null ? _ref49 : false;
+  responsive = (_ref50 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref50 : false;
+  exportControl = (_ref51 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref51 : false;
+  pngScale = (_ref52 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref52 : 2;
+  chartdivid = (_ref53 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref53 : 'chart';
   totalh = height + margin.top + margin.bottom;
   totalw = wleft + wright + (margin.left + margin.right) * 2;
-  mylodchart = lodchart().lodvarname("lod").height(height).width(wleft).margin(margin).axispos(lod_axispos).titlepos(lod_titlepos).chrGap(chrGap).darkrect(darkrect).lightrect(lightrect).ylim(lod_ylim).nyticks(lod_nyticks).yticks(lod_yticks).linecolor(lod_linecolor).linewidth(lod_linewidth).pointcolor(lod_pointcolor).pointsize(lod_pointsize).pointstroke(lod_pointstroke).title(lod_title).xlab(lod_xlab).ylab(lod_ylab).rotate_ylab(lod_rotate_ylab);
+  mylodchart = lodchart().lodvarname("lod").height(height).width(wleft).margin(margin).axispos(lod_axispos).titlepos(lod_titlepos).chrGap(chrGap).darkrect(darkrect).lightrect(lightrect).ylim(lod_ylim).nyticks(lod_nyticks).yticks(lod_yticks).linecolor(lod_linecolor).linewidth(lod_linewidth).pointcolor(lod_pointcolor).pointsize(lod_pointsize).pointstroke(lod_pointstroke).title(lod_title).xlab(lod_xlab).ylab(lod_ylab).rotate_ylab(lod_rotate_ylab).chrZoom(lod_chrZoom).thresholds(lod_thresholds).thresholdcolor(lod_thresholdcolor).thresholdshade(lod_thresholdshade).intervalType(lod_intervalType).lodintDrop(lod_lodintDrop).bayesintProb(lod_bayesintProb);
   svg = d3.select("div#" + chartdivid).append("svg").attr("height", totalh).attr("width", totalw);
   g_lod = svg.append("g").attr("id", "lodchart").datum(lod_data).call(mylodchart);
   plotCI = function(markername, markerindex) {
-    var ave, chr, chrtype, g, gabs, genonames, high, i, j, low, means, mycichart, p, phesub, range, se, variance, _i, _ref37;
+    var ave, chr, chrtype, g, gabs, genonames, high, i, j, low, means, mycichart, p, phesub, range, se, variance, _i, _ref54;
     svg.select("g#cichart").remove();
     g = pxg_data.geno[markerindex];
     gabs = (function() {
@@ -83,13 +94,13 @@ iplotScanone_ci = function(lod_data, pxg_data, chartOpts) {
     genonames = pxg_data.genonames[chrtype];
     means = [];
     se = [];
-    for (j = _i = 1, _ref37 = genonames.length; 1 <= _ref37 ? _i <= _ref37 : _i >= _ref37; j = 1 <= _ref37 ? ++_i : --_i) {
+    for (j = _i = 1, _ref54 = genonames.length; 1 <= _ref54 ? _i <= _ref54 : _i >= _ref54; j = 1 <= _ref54 ? ++_i : --_i) {
       phesub = (function() {
-        var _j, _len, _ref38, _results;
-        _ref38 = pxg_data.pheno;
+        var _j, _len, _ref55, _results;
+        _ref55 = pxg_data.pheno;
         _results = [];
-        for (i = _j = 0, _len = _ref38.length; _j < _len; i = ++_j) {
-          p = _ref38[i];
+        for (i = _j = 0, _len = _ref55.length; _j < _len; i = ++_j) {
+          p = _ref55[i];
           if (gabs[i] === j) {
             _results.push(p);
           }
@@ -143,7 +154,27 @@ iplotScanone_ci = function(lod_data, pxg_data, chartOpts) {
       'categories': genonames
     }).call(mycichart);
   };
-  return mylodchart.markerSelect().on("click", function(d, i) {
-    return plotCI(markers[i], i);
+  mylodchart.markerSelect().on("click", function(d) {
+    return plotCI(d.name, markers.indexOf(d.name));
   });
+  if (markerSearch) {
+    addMarkerSearch(chartdivid, (function() {
+      var _i, _len, _ref54, _results;
+      _ref54 = mylodchart.markerSelect().data();
+      _results = [];
+      for (_i = 0, _len = _ref54.length; _i < _len; _i++) {
+        d = _ref54[_i];
+        _results.push(d.name);
+      }
+      return _results;
+    })(), function(marker) {
+      return mylodchart.showMarker(marker);
+    });
+  }
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
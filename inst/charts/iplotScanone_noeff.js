@@ -2,7 +2,7 @@
 var iplotScanone_noeff;
 
 iplotScanone_noeff = function(data, chartOpts) {
-  var axispos, chartdivid, chrGap, darkrect, halfh, height, lightrect, linecolor, linewidth, margin, mylodchart, nyticks, pointcolor, pointsize, pointstroke, rotate_ylab, title, titlepos, totalh, totalw, width, xlab, ylab, ylim, yticks, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref32, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var axispos, bayesintProb, chartdivid, chrGap, chrZoom, d, darkrect, exportControl, halfh, height, intervalType, lightrect, linecolor, linewidth, lodintDrop, margin, markerSearch, mylodchart, nyticks, pngScale, pointcolor, pointsize, pointstroke, responsive, rotate_ylab, thresholdcolor, thresholds, thresholdshade, title, titlepos, totalh, totalw, width, xlab, ylab, ylim, yticks, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref32, _ref33, _ref34, _ref35, _ref36, _ref37, _ref38, _ref39, _ref4, _ref40, _ref41, _ref42, _ref43, _ref44, _ref45, _ref46, _ref47, _ref48, _ref49, _ref5, _ref50, _ref6, _ref7, _ref8, _ref9;
   height = (_ref = chartOpts != null ? chartOpts.height : void 0) != null ? _ref : 450;
   width = (_ref1 = chartOpts != null ? chartOpts.width : void 0) != null ? _ref1 : 900;
   margin = (_ref2 = chartOpts != null ? chartOpts.margin : void 0) != null ? _ref2 : {
@@ -34,15 +34,46 @@ iplotScanone_noeff = function(data, chartOpts) {
   xlab = (_ref26 = (_ref27 = chartOpts != null ? chartOpts.xlab : void 0) != null ? _ref27 : chartOpts != null ? chartOpts.lod_xlab : void 0) != null ? _ref26 : "Chromosome";
   ylab = (_ref28 = (_ref29 = chartOpts != null ? chartOpts.ylab : void 0) != null ? _ref29 : chartOpts != null ? chartOpts.lod_ylab : void 0) != null ? _ref28 : "LOD score";
   rotate_ylab = (_ref30 = (_ref31 = chartOpts != null ? chartOpts.rotate_ylab : void 0) != null ? _ref31 : chartOpts != null ? chartOpts.lod_rotate_ylab : void 0) != null ? _ref30 : null;
-  chartdivid = (_ref32 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref32 : 'chart';
+  chrZoom = (_ref32 = (_ref33 = chartOpts != null ? chartOpts.chrZoom : void 0) != null ? _ref33 : chartOpts != null ? chartOpts.lod_chrZoom : void 0) != null ? _ref32 : true;
+  thresholds = (_ref34 = (_ref35 = chartOpts != null ? chartOpts.thresholds : void 0) != null ? _ref35 : chartOpts != null ? chartOpts.lod_thresholds : void 0) != null ? _ref34 : null;
+  thresholdcolor = (_ref36 = (_ref37 = chartOpts != null ? chartOpts.thresholdcolor : void 0) != null ? _ref37 : chartOpts != null ? chartOpts.lod_thresholdcolor : void 0) != null ? _ref36 : "crimson";
+  thresholdshade = (_ref38 = (_ref39 = chartOpts != null ? chartOpts.thresholdshade : void 0) != null ? _ref39 : chartOpts != null ? chartOpts.lod_thresholdshade : void 0) != null ? _ref38 : false;
+  intervalType = (_ref40 = (_ref41 = chartOpts != null ? chartOpts.intervalType : void 0) != null ? _ref41 : chartOpts != null ? chartOpts.lod_intervalType : void 0) != null ? _ref40 : null;
+  lodintDrop = (_ref42 = (_ref43 = chartOpts != null ? chartOpts.lodintDrop : void 0) != null ? _ref43 : chartOpts != null ? chartOpts.lod_lodintDrop : void 0) != null ? _ref42 : 1.5;
+  bayesintProb = (_ref44 = (_ref45 = chartOpts != null ? chartOpts.bayesintProb : void 0) != null ? _ref45 : chartOpts != null ? chartOpts.lod_bayesintProb : void 0) != null ? _ref44 : 0.95;
+  markerSearch = (_ref46 = chartOpts != null ? chartOpts.markerSearch : void 0) != null ? _ref46 : false;
+  responsive = (_ref47 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref47 : false;
+  exportControl = (_ref48 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref48 : false;
+  pngScale = (_ref49 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref49 : 2;
+  chartdivid = (_ref50 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref50 : 'chart';
   halfh = height + margin.top + margin.bottom;
   totalh = halfh * 2;
   totalw = width + margin.left + margin.right;
-  mylodchart = lodchart().lodvarname("lod").height(height).width(width).margin(margin).axispos(axispos).titlepos(titlepos).ylim(ylim).nyticks(nyticks).yticks(yticks).chrGap(chrGap).darkrect(darkrect).lightrect(lightrect).linecolor(linecolor).linewidth(linewidth).pointcolor(pointcolor).pointsize(pointsize).pointstroke(pointstroke).title(title).xlab(xlab).ylab(ylab).rotate_ylab(rotate_ylab);
+  mylodchart = lodchart().lodvarname("lod").height(height).width(width).margin(margin).axispos(axispos).titlepos(titlepos).ylim(ylim).nyticks(nyticks).yticks(yticks).chrGap(chrGap).darkrect(darkrect).lightrect(lightrect).linecolor(linecolor).linewidth(linewidth).pointcolor(pointcolor).pointsize(pointsize).pointstroke(pointstroke).title(title).xlab(xlab).ylab(ylab).rotate_ylab(rotate_ylab).chrZoom(chrZoom).thresholds(thresholds).thresholdcolor(thresholdcolor).thresholdshade(thresholdshade).intervalType(intervalType).lodintDrop(lodintDrop).bayesintProb(bayesintProb);
   d3.select("div#" + chartdivid).datum(data).call(mylodchart);
-  return mylodchart.markerSelect().on("click", function(d) {
+  mylodchart.markerSelect().on("click", function(d) {
     var r;
     r = d3.select(this).attr("r");
     return d3.select(this).transition().duration(500).attr("r", r * 3).transition().duration(500).attr("r", r);
   });
+  if (markerSearch) {
+    addMarkerSearch(chartdivid, (function() {
+      var _i, _len, _ref51, _results;
+      _ref51 = mylodchart.markerSelect().data();
+      _results = [];
+      for (_i = 0, _len = _ref51.length; _i < _len; _i++) {
+        d = _ref51[_i];
+        _results.push(d.name);
+      }
+      return _results;
+    })(), function(marker) {
+      return mylodchart.showMarker(marker);
+    });
+  }
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
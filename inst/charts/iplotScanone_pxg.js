@@ -2,7 +2,7 @@
 var iplotScanone_pxg;
 
 iplotScanone_pxg = function(lod_data, pxg_data, chartOpts) {
-  var chartdivid, chrGap, darkrect, eff_axispos, eff_nyticks, eff_pointcolor, eff_pointcolorhilit, eff_pointsize, eff_pointstroke, eff_rotate_ylab, eff_titlepos, eff_xlab, eff_yNA, eff_ylab, eff_ylim, eff_yticks, g_lod, height, lightrect, lod_axispos, lod_linecolor, lod_linewidth, lod_nyticks, lod_pointcolor, lod_pointsize, lod_pointstroke, lod_rotate_ylab, lod_title, lod_titlepos, lod_xlab, lod_ylab, lod_ylim, lod_yticks, margin, markers, mylodchart, plotPXG, svg, totalh, totalw, wleft, wright, x, xjitter, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref32, _ref33, _ref34, _ref35, _ref36, _ref37, _ref38, _ref39, _ref4, _ref40, _ref41, _ref42, _ref43, _ref44, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var chartdivid, chrGap, d, darkrect, eff_axispos, eff_nyticks, eff_pointcolor, eff_pointcolorhilit, eff_pointsize, eff_pointstroke, eff_rotate_ylab, eff_titlepos, eff_xlab, eff_yNA, eff_ylab, eff_ylim, eff_yticks, exportControl, g_lod, height, jitter, lightrect, lod_axispos, lod_bayesintProb, lod_chrZoom, lod_intervalType, lod_linecolor, lod_linewidth, lod_lodintDrop, lod_nyticks, lod_pointcolor, lod_pointsize, lod_pointstroke, lod_rotate_ylab, lod_thresholdcolor, lod_thresholds, lod_thresholdshade, lod_title, lod_titlepos, lod_xlab, lod_ylab, lod_ylim, lod_yticks, margin, markerSearch, markers, mylodchart, plotPXG, pngScale, responsive, svg, totalh, totalw, wleft, wright, x, xjitter, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref26, _ref27, _ref28, _ref29, _ref3, _ref30, _ref31, _ref32, _ref33, _ref34, _ref35, _ref36, _ref37, _ref38, _ref39, _ref4, _ref40, _ref41, _ref42, _ref43, _ref44, _ref45, _ref46, _ref47, _ref48, _ref49, _ref5, _ref50, _ref51, _ref52, _ref53, _ref54, _ref55, _ref56, _ref57, _ref58, _ref59, _ref6, _ref60, _ref61, _ref62, _ref63, _ref7, _ref8, _ref9;
   markers = (function() {
     var _results;
     _results = [];
@@ -43,38 +43,50 @@ iplotScanone_pxg = function(lod_data, pxg_data, chartOpts) {
   lod_xlab = (_ref20 = chartOpts != null ? chartOpts.lod_xlab : void 0) != null ? _ref20 : "Chromosome";
   lod_ylab = (_ref21 = chartOpts != null ? chartOpts.lod_ylab : void 0) != null ? _ref21 : "LOD score";
   lod_rotate_ylab = (_ref22 = chartOpts != null ? chartOpts.lod_rotate_ylab : void 0) != null ? _ref22 : null;
-  eff_pointcolor = (_ref23 = (_ref24 = chartOpts != null ? chartOpts.eff_pointcolor : void 0) != null ? _ref24 : chartOpts != null ? chartOpts.pointcolor : void 0) != null ? _ref23 : "slateblue";
-  eff_pointcolorhilit = (_ref25 = (_ref26 = chartOpts != null ? chartOpts.eff_pointcolorhilit : void 0) != null ? _ref26 : chartOpts != null ? chartOpts.pointcolorhilit : void 0) != null ? _ref25 : "Orchid";
-  eff_pointstroke = (_ref27 = (_ref28 = chartOpts != null ? chartOpts.eff_pointstroke : void 0) != null ? _ref28 : chartOpts != null ? chartOpts.pointstroke : void 0) != null ? _ref27 : "black";
-  eff_pointsize = (_ref29 = (_ref30 = chartOpts != null ? chartOpts.eff_pointsize : void 0) != null ? _ref30 : chartOpts != null ? chartOpts.pointsize : void 0) != null ? _ref29 : 3;
-  eff_ylim = (_ref31 = chartOpts != null ? chartOpts.eff_ylim : void 0) != null ? _ref31 : null;
-  eff_nyticks = (_ref32 = chartOpts != null ? chartOpts.eff_nyticks : void 0) != null ? _ref32 : 5;
-  eff_yticks = (_ref33 = chartOpts != null ? chartOpts.eff_yticks : void 0) != null ? _ref33 : null;
-  eff_xlab = (_ref34 = chartOpts != null ? chartOpts.eff_xlab : void 0) != null ? _ref34 : "Genotype";
-  eff_ylab = (_ref35 = chartOpts != null ? chartOpts.eff_ylab : void 0) != null ? _ref35 : "Phenotype";
-  eff_rotate_ylab = (_ref36 = chartOpts != null ? chartOpts.eff_rotate_ylab : void 0) != null ? _ref36 : null;
-  xjitter = (_ref37 = (_ref38 = chartOpts != null ? chartOpts.xjitter : void 0) != null ? _ref38 : chartOpts != null ? chartOpts.eff_xjitter : void 0) != null ? _ref37 : null;
-  eff_axispos = (_ref39 = (_ref40 = chartOpts != null ? chartOpts.eff_axispos : void 0) != null ? _ref40 : chartOpts != null ? chartOpts.axispos : void 0) != null ? _ref39 : {
+  lod_chrZoom = (_ref23 = chartOpts != null ? chartOpts.lod_chrZoom : void 0) != null ? _ref23 : true;
+  lod_thresholds = (_ref24 = (_ref25 = chartOpts != null ? chartOpts.lod_thresholds : void 0) != null ? _ref25 : chartOpts != null ? chartOpts.thresholds : void 0) != null ? _ref24 : null;
+  lod_thresholdcolor = (_ref26 = (_ref27 = chartOpts != null ? chartOpts.lod_thresholdcolor : void 0) != null ? _ref27 : chartOpts != null ? chartOpts.thresholdcolor : void 0) != null ? _ref26 : "crimson";
+  lod_thresholdshade = (_ref28 = (_ref29 = chartOpts != null ? chartOpts.lod_thresholdshade : void 0) != null ? _ref29 : chartOpts != null ? chartOpts.thresholdshade : void 0) != null ? _ref28 : false;
+  lod_intervalType = (_ref30 = (_ref31 = chartOpts != null ? chartOpts.lod_intervalType : void 0) != null ? _ref31 : chartOpts != null ? chartOpts.intervalType : void 0) != null ? _ref30 : null;
+  lod_lodintDrop = (_ref32 = (_ref33 = chartOpts != null ? chartOpts.lod_lodintDrop : void 0) != null ? _ref33 : chartOpts != null ? chartOpts.lodintDrop : void 0) != null ? _ref32 : 1.5;
+  lod_bayesintProb = (_ref34 = (_ref35 = chartOpts != null ? chartOpts.lod_bayesintProb : void 0) != null ? _ref35 : chartOpts != null ? chartOpts.bayesintProb : void 0) != null ? _ref34 : 0.95;
+  eff_pointcolor = (_ref36 = (_ref37 = chartOpts != null ? chartOpts.eff_pointcolor : void 0) != null ? _ref37 : chartOpts != null ? chartOpts.pointcolor : void 0) != null ? _ref36 : "slateblue";
+  eff_pointcolorhilit = (_ref38 = (_ref39 = chartOpts != null ? chartOpts.eff_pointcolorhilit : void 0) != null ? _ref39 : chartOpts != null ? chartOpts.pointcolorhilit : void 0) != null ? _ref38 : "Orchid";
+  eff_pointstroke = (_ref40 = (_ref41 = chartOpts != null ? chartOpts.eff_pointstroke : void 0) != null ? _ref41 : chartOpts != null ? chartOpts.pointstroke : void 0) != null ? _ref40 : "black";
+  eff_pointsize = (_ref42 = (_ref43 = chartOpts != null ? chartOpts.eff_pointsize : void 0) != null ? _ref43 : chartOpts != null ? chartOpts.pointsize : void 0) != null ? _ref42 : 3;
+  eff_ylim = (_ref44 = chartOpts != null ? chartOpts.eff_ylim : void 0) != null ? _ref44 : null;
+  eff_nyticks = (_ref45 = chartOpts != null ? chartOpts.eff_nyticks : void 0) != null ? _ref45 : 5;
+  eff_yticks = (_ref46 = chartOpts != null ? chartOpts.eff_yticks : void 0) != null ? _ref46 : null;
+  eff_xlab = (_ref47 = chartOpts != null ? chartOpts.eff_xlab : void 0) != null ? _ref47 : "Genotype";
+  eff_ylab = (_ref48 = chartOpts != null ? chartOpts.eff_ylab : void 0) != null ? _ref48 : "Phenotype";
+  eff_rotate_ylab = (_ref49 = chartOpts != null ? chartOpts.eff_rotate_ylab : void 0) != null ? _ref49 : null;
+  xjitter = (_ref50 = (_ref51 = chartOpts != null ? chartOpts.xjitter : void 0) != null ? _ref51 : chartOpts != null ? chartOpts.eff_xjitter : void 0) != null ? _ref50 : null;
+  jitter = (_ref52 = (_ref53 = chartOpts != null ? chartOpts.jitter : void 0) != null ? _ref53 : chartOpts != null ? chartOpts.eff_jitter : void 0) != null ? _ref52 : "beeswarm";
+  eff_axispos = (_ref54 = (_ref55 = chartOpts != null ? chartOpts.eff_axispos : void 0) != null ? _ref55 : chartOpts != null ? chartOpts.axispos : void 0) != null ? _ref54 : {
     xtitle: 25,
     ytitle: 30,
     xlabel: 5,
     ylabel: 5
   };
-  eff_titlepos = (_ref41 = (_ref42 = chartOpts != null ? chartOpts.eff_titlepos : void 0) != null ? _ref42 : chartOpts != null ? chartOpts.titlepos : void 0) != null ? _ref41 : 20;
-  eff_yNA = (_ref43 = chartOpts != null ? chartOpts.eff_yNA : void 0) != null ? _ref43 : {
+  eff_titlepos = (_ref56 = (_ref57 = chartOpts != null ? chartOpts.eff_titlepos : void 0) != null ? _ref57 : chartOpts != null ? chartOpts.titlepos : void 0) != null ? _ref56 : 20;
+  eff_yNA = (_ref58 = chartOpts != null ? chartOpts.eff_yNA : void 0) != null ? _ref58 : {
     handle: true,
     force: false,
     width: 15,
     gap: 10
   };
-  chartdivid = (_ref44 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref44 : 'chart';
+  markerSearch = (_ref59 = chartOpts != null ? chartOpts.markerSearch : void 0) != null ? _ref59 : false;
+  responsive = (_ref60 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref60 : false;
+  exportControl = (_ref61 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref61 : false;
+  pngScale = (_ref62 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref62 : 2;
+  chartdivid = (_ref63 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref63 : 'chart';
   totalh = height + margin.top + margin.bottom;
   totalw = wleft + wright + (margin.left + margin.right) * 2;
-  mylodchart = lodchart().lodvarname("lod").height(height).width(wleft).margin(margin).axispos(lod_axispos).titlepos(lod_titlepos).chrGap(chrGap).darkrect(darkrect).lightrect(lightrect).ylim(lod_ylim).nyticks(lod_nyticks).yticks(lod_yticks).linecolor(lod_linecolor).linewidth(lod_linewidth).pointcolor(lod_pointcolor).pointsize(lod_pointsize).pointstroke(lod_pointstroke).title(lod_title).xlab(lod_xlab).ylab(lod_ylab).rotate_ylab(lod_rotate_ylab);
+  mylodchart = lodchart().lodvarname("lod").height(height).width(wleft).margin(margin).axispos(lod_axispos).titlepos(lod_titlepos).chrGap(chrGap).darkrect(darkrect).lightrect(lightrect).ylim(lod_ylim).nyticks(lod_nyticks).yticks(lod_yticks).linecolor(lod_linecolor).linewidth(lod_linewidth).pointcolor(lod_pointcolor).pointsize(lod_pointsize).pointstroke(lod_pointstroke).title(lod_title).xlab(lod_xlab).ylab(lod_ylab).rotate_ylab(lod_rotate_ylab).chrZoom(lod_chrZoom).thresholds(lod_thresholds).thresholdcolor(lod_thresholdcolor).thresholdshade(lod_thresholdshade).intervalType(lod_intervalType).lodintDrop(lod_lodintDrop).bayesintProb(lod_bayesintProb);
   svg = d3.select("div#" + chartdivid).append("svg").attr("height", totalh).attr("width", totalw);
   g_lod = svg.append("g").attr("id", "lodchart").datum(lod_data).call(mylodchart);
   plotPXG = function(markername, markerindex) {
-    var chr, chrtype, g, gabs, genonames, inferred, mypxgchart, _i, _ref45, _results;
+    var chr, chrtype, g, gabs, genonames, inferred, mypxgchart, _i, _ref64, _results;
     svg.select("g#pxgchart").remove();
     g = pxg_data.geno[markerindex];
     gabs = (function() {
@@ -100,9 +112,9 @@ iplotScanone_pxg = function(lod_data, pxg_data, chartOpts) {
     genonames = pxg_data.genonames[chrtype];
     mypxgchart = dotchart().height(height).width(wright).margin(margin).xcategories((function() {
       _results = [];
-      for (var _i = 1, _ref45 = genonames.length; 1 <= _ref45 ? _i <= _ref45 : _i >= _ref45; 1 <= _ref45 ? _i++ : _i--){ _results.push(_i); }
+      for (var _i = 1, _ref64 = genonames.length; 1 <= _ref64 ? _i <= _ref64 : _i >= _ref64; 1 <= _ref64 ? _i++ : _i--){ _results.push(_i); }
       return _results;
-    }).apply(this)).xcatlabels(genonames).dataByInd(false).title(markername).xvar('geno').yvar('pheno').axispos(eff_axispos).titlepos(eff_titlepos).xlab(eff_xlab).ylab(eff_ylab).rotate_ylab(eff_rotate_ylab).ylim(eff_ylim).nyticks(eff_nyticks).yticks(eff_yticks).pointcolor(eff_pointcolor).pointstroke(eff_pointstroke).pointsize(eff_pointsize).rectcolor(lightrect).xjitter(xjitter).yNA(eff_yNA);
+    }).apply(this)).xcatlabels(genonames).dataByInd(false).title(markername).xvar('geno').yvar('pheno').axispos(eff_axispos).titlepos(eff_titlepos).xlab(eff_xlab).ylab(eff_ylab).rotate_ylab(eff_rotate_ylab).ylim(eff_ylim).nyticks(eff_nyticks).yticks(eff_yticks).pointcolor(eff_pointcolor).pointstroke(eff_pointstroke).pointsize(eff_pointsize).rectcolor(lightrect).xjitter(xjitter).jitter(jitter).yNA(eff_yNA);
     svg.append("g").attr("id", "pxgchart").attr("transform", "translate(" + (wleft + margin.left + margin.right) + ",0)").datum({
       'geno': gabs,
       'pheno': pxg_data.pheno,
@@ -115,7 +127,27 @@ iplotScanone_pxg = function(lod_data, pxg_data, chartOpts) {
       return eff_pointcolor;
     });
   };
-  return mylodchart.markerSelect().on("click", function(d, i) {
-    return plotPXG(markers[i], i);
+  mylodchart.markerSelect().on("click", function(d) {
+    return plotPXG(d.name, markers.indexOf(d.name));
   });
+  if (markerSearch) {
+    addMarkerSearch(chartdivid, (function() {
+      var _i, _len, _ref64, _results;
+      _ref64 = mylodchart.markerSelect().data();
+      _results = [];
+      for (_i = 0, _len = _ref64.length; _i < _len; _i++) {
+        d = _ref64[_i];
+        _results.push(d.name);
+      }
+      return _results;
+    })(), function(marker) {
+      return mylodchart.showMarker(marker);
+    });
+  }
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
@@ -1,8 +1,9 @@
 // Generated by CoffeeScript 1.8.0
-var add_symmetric_lod, iplotScantwo, lod_for_heatmap;
+var add_symmetric_lod, iplotScantwo, lod_for_heatmap, scantwo_summary,
+  __indexOf = [].indexOf || function(item) { for (var i = 0, l = this.length; i < l; i++) { if (i in this && this[i] === item) return i; } return -1; };
 
 iplotScantwo = function(scantwo_data, pheno_and_geno, chartOpts) {
-  var add_cell_tooltips, axispos, bordercolor, chartdivid, chrGap, cicolors, color, darkrect, div, eff_hpos, eff_vpos, form, g_eff, g_heatmap, g_scans, gn, hbot, heatmap_height, heatmap_width, hright, i, left, leftsel, leftvalue, lightrect, linecolor, linewidth, margin, mychrheatmap, n, ncat, nullcolor, oneAtTop, options, pixelPerCell, plot_effects, plot_scan, pointsize, pointstroke, right, rightsel, rightvalue, scans_hpos, scans_vpos, submit, svg, totalh, totalw, totmar, w, wbot, wright, x, zthresh, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref2, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
+  var add_cell_tooltips, axispos, bordercolor, canvas, celltip, chartdivid, chartg, chrGap, cicolors, color, columns, darkrect, div, draw_heatmap, eff_hpos, eff_vpos, efftips, exportControl, form, formatLod, formatPos, g_eff, g_heatmap, g_scans, gn, hbot, heatmap_data, heatmap_height, heatmap_width, hmdata, horizontal, hright, htop, i, jitter, left, leftsel, leftvalue, legendmargin, lightrect, linecolor, linewidth, margin, mark_selected, mychrheatmap, mylegend, n, ncat, ntop, nullcolor, oneAtTop, options, pairs, pixelPerCell, placement, plot_effects, plot_scan, plot_scans, pngScale, pointsize, pointstroke, redraw, responsive, right, rightsel, rightvalue, scan_charts, scans_hpos, scans_vpos, select_cell, selected, svg, table, totalh, totalw, totmar, value, w, wbot, wright, x, zlegend, zoombutton, zoomchr, zthresh, _ref, _ref1, _ref10, _ref11, _ref12, _ref13, _ref14, _ref15, _ref16, _ref17, _ref18, _ref19, _ref2, _ref20, _ref21, _ref22, _ref23, _ref24, _ref25, _ref3, _ref4, _ref5, _ref6, _ref7, _ref8, _ref9;
   pixelPerCell = (_ref = chartOpts != null ? chartOpts.pixelPerCell : void 0) != null ? _ref : null;
   chrGap = (_ref1 = chartOpts != null ? chartOpts.chrGap : void 0) != null ? _ref1 : 2;
   wright = (_ref2 = chartOpts != null ? chartOpts.wright : void 0) != null ? _ref2 : 500;
@@ -28,11 +29,18 @@ iplotScantwo = function(scantwo_data, pheno_and_geno, chartOpts) {
   linewidth = (_ref11 = chartOpts != null ? chartOpts.linewidth : void 0) != null ? _ref11 : 2;
   pointsize = (_ref12 = chartOpts != null ? chartOpts.pointsize : void 0) != null ? _ref12 : 3;
   pointstroke = (_ref13 = chartOpts != null ? chartOpts.pointstroke : void 0) != null ? _ref13 : "black";
-  cicolors = (_ref14 = chartOpts != null ? chartOpts.cicolors : void 0) != null ? _ref14 : null;
-  color = (_ref15 = chartOpts != null ? chartOpts.color : void 0) != null ? _ref15 : "slateblue";
-  oneAtTop = (_ref16 = chartOpts != null ? chartOpts.oneAtTop : void 0) != null ? _ref16 : false;
-  zthresh = (_ref17 = chartOpts != null ? chartOpts.zthresh : void 0) != null ? _ref17 : 0;
-  chartdivid = (_ref18 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref18 : 'chart';
+  jitter = (_ref14 = chartOpts != null ? chartOpts.jitter : void 0) != null ? _ref14 : "beeswarm";
+  cicolors = (_ref15 = chartOpts != null ? chartOpts.cicolors : void 0) != null ? _ref15 : null;
+  color = (_ref16 = chartOpts != null ? chartOpts.color : void 0) != null ? _ref16 : "slateblue";
+  oneAtTop = (_ref17 = chartOpts != null ? chartOpts.oneAtTop : void 0) != null ? _ref17 : false;
+  zthresh = (_ref18 = chartOpts != null ? chartOpts.zthresh : void 0) != null ? _ref18 : 0;
+  zlegend = (_ref19 = chartOpts != null ? chartOpts.zlegend : void 0) != null ? _ref19 : null;
+  canvas = (_ref20 = chartOpts != null ? chartOpts.canvas : void 0) != null ? _ref20 : false;
+  ntop = (_ref21 = chartOpts != null ? chartOpts.ntop : void 0) != null ? _ref21 : 10;
+  responsive = (_ref22 = chartOpts != null ? chartOpts.responsive : void 0) != null ? _ref22 : false;
+  exportControl = (_ref23 = chartOpts != null ? chartOpts.exportControl : void 0) != null ? _ref23 : false;
+  pngScale = (_ref24 = chartOpts != null ? chartOpts.pngScale : void 0) != null ? _ref24 : 2;
+  chartdivid = (_ref25 = chartOpts != null ? chartOpts.chartdivid : void 0) != null ? _ref25 : 'chart';
   totmar = sumArray(scantwo_data.nmar);
   if (pixelPerCell == null) {
     pixelPerCell = d3.max([2, Math.floor(600 / totmar)]);
@@ -40,12 +48,22 @@ iplotScantwo = function(scantwo_data, pheno_and_geno, chartOpts) {
   w = chrGap * scantwo_data.chrnames.length + pixelPerCell * totmar;
   heatmap_width = w + margin.left + margin.right;
   heatmap_height = w + margin.top + margin.bottom;
-  hright = heatmap_height / 2 - margin.top - margin.bottom;
+  hright = d3.max([heatmap_height / 2 - margin.top - margin.bottom, hbot]);
+  htop = d3.max([heatmap_height, (hright + margin.top + margin.bottom) * 3]);
   totalw = heatmap_width + wright + margin.left + margin.right;
-  totalh = heatmap_height + (hbot + margin.top + margin.bottom) * 2;
+  totalh = htop + (hbot + margin.top + margin.bottom) * 2;
   wbot = totalw / 2 - margin.left - margin.right;
+  if (zlegend != null) {
+    horizontal = zlegend === "top" || zlegend === "bottom";
+    mylegend = colorscale().orientation(horizontal ? "horizontal" : "vertical").side(zlegend).barlength(w).title("LOD (on LOD_full scale)").nullcolor("white");
+    legendmargin = mylegend.margin();
+    placement = legendPlacement(zlegend, mylegend.size(), totalw, totalh, margin.left - legendmargin.left, margin.top - legendmargin.top);
+    totalw = placement.totalw;
+    totalh = placement.totalh;
+  }
   leftvalue = "int";
   rightvalue = "fv1";
+  zoomchr = null;
   if (pheno_and_geno != null) {
     gn = pheno_and_geno.genonames;
     ncat = d3.max((function() {
@@ -101,70 +119,216 @@ iplotScantwo = function(scantwo_data, pheno_and_geno, chartOpts) {
     }
     return null;
   });
-  submit = form.append("div").style("float", "left").style("margin-left", "50px").append("button").attr("name", "refresh").text("Refresh").on("click", function() {
-    leftsel = document.getElementById('leftselect');
-    leftvalue = leftsel.options[leftsel.selectedIndex].value;
-    rightsel = document.getElementById('rightselect');
-    rightvalue = rightsel.options[rightsel.selectedIndex].value;
-    scantwo_data.z = lod_for_heatmap(scantwo_data, leftvalue, rightvalue);
-    d3.select("g#chrheatmap svg").remove();
-    d3.select("g#chrheatmap").datum(scantwo_data).call(mychrheatmap);
-    return add_cell_tooltips();
+  leftsel.on("change", function() {
+    leftvalue = leftsel.property("value");
+    return redraw();
+  });
+  rightsel.on("change", function() {
+    rightvalue = rightsel.property("value");
+    return redraw();
+  });
+  zoombutton = form.append("div").style("float", "left").style("margin-left", "50px").append("button").attr("name", "zoomout").text("Zoom out").property("disabled", true).on("click", function() {
+    zoomchr = null;
+    return draw_heatmap();
   });
   d3.select("body").insert("p", "div#" + chartdivid);
   svg = d3.select("div#" + chartdivid).append("svg").attr("height", totalh).attr("width", totalw);
+  chartg = svg.append("g");
+  if (zlegend != null) {
+    chartg.attr("transform", "translate(" + placement.chart[0] + "," + placement.chart[1] + ")");
+  }
   scantwo_data = add_symmetric_lod(scantwo_data);
-  scantwo_data.z = lod_for_heatmap(scantwo_data, leftvalue, rightvalue);
-  mychrheatmap = chrheatmap().pixelPerCell(pixelPerCell).chrGap(chrGap).axispos(axispos).rectcolor("white").nullcolor(nullcolor).bordercolor(bordercolor).colors(["white", color]).zlim([0, scantwo_data.max.full]).zthresh(zthresh).oneAtTop(oneAtTop).hover(false);
-  g_heatmap = svg.append("g").attr("id", "chrheatmap").datum(scantwo_data).call(mychrheatmap);
-  add_cell_tooltips = function() {
-    var cells, celltip;
-    d3.selectAll(".d3-tip").remove();
-    celltip = d3.tip().attr('class', 'd3-tip').html(function(d) {
-      var leftlod, mari, marj, rightlod;
-      mari = scantwo_data.labels[d.i];
-      marj = scantwo_data.labels[d.j];
-      if (+d.i > +d.j) {
-        leftlod = d3.format(".1f")(scantwo_data[leftvalue][d.i][d.j]);
-        rightlod = d3.format(".1f")(scantwo_data[rightvalue][d.j][d.i]);
-        return "(" + marj + " " + mari + ") " + rightvalue + " = " + rightlod + ", " + leftvalue + " = " + leftlod;
-      } else if (+d.j > +d.i) {
-        leftlod = d3.format(".1f")(scantwo_data[leftvalue][d.j][d.i]);
-        rightlod = d3.format(".1f")(scantwo_data[rightvalue][d.i][d.j]);
-        return "(" + marj + " " + mari + ") " + leftvalue + " = " + leftlod + ", " + rightvalue + " = " + rightlod;
-      } else {
-        return mari;
+  mychrheatmap = chrheatmap().pixelPerCell(pixelPerCell).canvas(canvas).chrGap(chrGap).axispos(axispos).rectcolor("white").nullcolor(nullcolor).bordercolor(bordercolor).colors(["white", color]).zlim([0, scantwo_data.max.full]).zthresh(zthresh).oneAtTop(oneAtTop).hover(false).brushMode(true);
+  g_heatmap = chartg.append("g").attr("id", "chrheatmap");
+  selected = null;
+  hmdata = null;
+  heatmap_data = function() {
+    var chr, index, j, k, z, _i, _ref26, _results;
+    z = lod_for_heatmap(scantwo_data, leftvalue, rightvalue);
+    index = (function() {
+      _results = [];
+      for (var _i = 0, _ref26 = z.length; 0 <= _ref26 ? _i < _ref26 : _i > _ref26; 0 <= _ref26 ? _i++ : _i--){ _results.push(_i); }
+      return _results;
+    }).apply(this);
+    if (zoomchr == null) {
+      return {
+        z: z,
+        nmar: scantwo_data.nmar,
+        chrnames: scantwo_data.chrnames,
+        labels: scantwo_data.labels,
+        index: index
+      };
+    }
+    index = (function() {
+      var _j, _len, _ref27, _results1;
+      _results1 = [];
+      for (_j = 0, _len = index.length; _j < _len; _j++) {
+        i = index[_j];
+        if (_ref27 = scantwo_data.chr[i], __indexOf.call(zoomchr, _ref27) >= 0) {
+          _results1.push(i);
+        }
+      }
+      return _results1;
+    })();
+    return {
+      z: (function() {
+        var _j, _len, _results1;
+        _results1 = [];
+        for (_j = 0, _len = index.length; _j < _len; _j++) {
+          i = index[_j];
+          _results1.push((function() {
+            var _k, _len1, _results2;
+            _results2 = [];
+            for (_k = 0, _len1 = index.length; _k < _len1; _k++) {
+              j = index[_k];
+              _results2.push(z[i][j]);
+            }
+            return _results2;
+          })());
+        }
+        return _results1;
+      })(),
+      nmar: (function() {
+        var _j, _len, _ref27, _results1;
+        _ref27 = scantwo_data.chrnames;
+        _results1 = [];
+        for (k = _j = 0, _len = _ref27.length; _j < _len; k = ++_j) {
+          chr = _ref27[k];
+          if (__indexOf.call(zoomchr, chr) >= 0) {
+            _results1.push(scantwo_data.nmar[k]);
+          }
+        }
+        return _results1;
+      })(),
+      chrnames: (function() {
+        var _j, _len, _ref27, _results1;
+        _ref27 = scantwo_data.chrnames;
+        _results1 = [];
+        for (_j = 0, _len = _ref27.length; _j < _len; _j++) {
+          chr = _ref27[_j];
+          if (__indexOf.call(zoomchr, chr) >= 0) {
+            _results1.push(chr);
+          }
+        }
+        return _results1;
+      })(),
+      labels: (function() {
+        var _j, _len, _results1;
+        _results1 = [];
+        for (_j = 0, _len = index.length; _j < _len; _j++) {
+          i = index[_j];
+          _results1.push(scantwo_data.labels[i]);
+        }
+        return _results1;
+      })(),
+      index: index
+    };
+  };
+  draw_heatmap = function() {
+    var npix;
+    hmdata = heatmap_data();
+    npix = pixelPerCell;
+    if (zoomchr != null) {
+      npix = d3.max([pixelPerCell, Math.floor((w - chrGap * hmdata.chrnames.length) / hmdata.labels.length)]);
+    }
+    g_heatmap.select("svg").remove();
+    g_heatmap.datum(hmdata).call(mychrheatmap.pixelPerCell(npix));
+    zoombutton.property("disabled", zoomchr == null);
+    add_cell_tooltips();
+    return mark_selected();
+  };
+  redraw = function() {
+    draw_heatmap();
+    if (selected != null) {
+      return plot_scans();
+    }
+  };
+  mychrheatmap.on("brushed", function(xchr, ychr) {
+    zoomchr = [xchr, ychr];
+    return draw_heatmap();
+  });
+  mark_selected = function() {
+    var c, cell;
+    g_heatmap.selectAll("rect.selectedcell").remove();
+    if (selected == null) {
+      return;
+    }
+    cell = (function() {
+      var _i, _len, _ref26, _results;
+      _ref26 = hmdata.cells;
+      _results = [];
+      for (_i = 0, _len = _ref26.length; _i < _len; _i++) {
+        c = _ref26[_i];
+        if (hmdata.index[c.i] === selected[0] && hmdata.index[c.j] === selected[1]) {
+          _results.push(c);
+        }
       }
-    }).direction('e').offset([0, 10]);
-    svg.call(celltip);
+      return _results;
+    })();
+    if (!(cell.length > 0)) {
+      return;
+    }
+    return g_heatmap.select("svg g").append("rect").attr("class", "selectedcell").attr("x", cell[0].x).attr("y", cell[0].y).attr("width", mychrheatmap.pixelPerCell()).attr("height", mychrheatmap.pixelPerCell()).attr("fill", "none").attr("stroke", "black").attr("stroke-width", 2).style("pointer-events", "none");
+  };
+  celltip = d3.tip().attr('class', 'd3-tip').html(function(d) {
+    var j, leftlod, mari, marj, rightlod;
+    i = hmdata.index[d.i];
+    j = hmdata.index[d.j];
+    mari = scantwo_data.labels[i];
+    marj = scantwo_data.labels[j];
+    if (i > j) {
+      leftlod = d3.format(".1f")(scantwo_data[leftvalue][i][j]);
+      rightlod = d3.format(".1f")(scantwo_data[rightvalue][j][i]);
+      return "(" + marj + " " + mari + ") " + rightvalue + " = " + rightlod + ", " + leftvalue + " = " + leftlod;
+    } else if (j > i) {
+      leftlod = d3.format(".1f")(scantwo_data[leftvalue][j][i]);
+      rightlod = d3.format(".1f")(scantwo_data[rightvalue][i][j]);
+      return "(" + marj + " " + mari + ") " + leftvalue + " = " + leftlod + ", " + rightvalue + " = " + rightlod;
+    } else {
+      return mari;
+    }
+  }).direction('e').offset([0, 10]);
+  svg.call(celltip);
+  add_cell_tooltips = function() {
+    var cells;
+    celltip.hide();
     cells = mychrheatmap.cellSelect();
     return cells.on("mouseover", function(d) {
       return celltip.show(d);
     }).on("mouseout", function() {
       return celltip.hide();
     }).on("click", function(d) {
-      var mari, marj;
-      mari = scantwo_data.labels[d.i];
-      marj = scantwo_data.labels[d.j];
-      if (d.i === d.j) {
+      var j;
+      i = hmdata.index[d.i];
+      j = hmdata.index[d.j];
+      if (i === j) {
         return null;
       }
-      plot_scan(d.i, 0, 0, leftvalue);
-      plot_scan(d.i, 1, 0, rightvalue);
-      plot_scan(d.j, 0, 1, leftvalue);
-      plot_scan(d.j, 1, 1, rightvalue);
-      if (pheno_and_geno != null) {
-        return plot_effects(d.i, d.j);
-      }
+      return select_cell(i, j);
     });
   };
-  add_cell_tooltips();
+  select_cell = function(i, j) {
+    selected = [i, j];
+    mark_selected();
+    plot_scans();
+    if (pheno_and_geno != null) {
+      return plot_effects(i, j);
+    }
+  };
+  plot_scans = function() {
+    plot_scan(selected[0], 0, 0, leftvalue);
+    plot_scan(selected[0], 1, 0, rightvalue);
+    plot_scan(selected[1], 0, 1, leftvalue);
+    return plot_scan(selected[1], 1, 1, rightvalue);
+  };
   g_scans = [[null, null], [null, null]];
+  scan_charts = [[null, null], [null, null]];
   scans_hpos = [0, wbot + margin.left + margin.right];
-  scans_vpos = [heatmap_height, heatmap_height + hbot + margin.top + margin.bottom];
-  g_eff = [null, null];
-  eff_hpos = [heatmap_width, heatmap_width];
-  eff_vpos = [0, heatmap_height / 2];
+  scans_vpos = [htop, htop + hbot + margin.top + margin.bottom];
+  g_eff = [null, null, null];
+  efftips = null;
+  eff_hpos = [heatmap_width, heatmap_width, heatmap_width];
+  eff_vpos = [0, hright + margin.top + margin.bottom, (hright + margin.top + margin.bottom) * 2];
   plot_scan = function(markerindex, panelrow, panelcol, lod) {
     var data, mylodchart;
     data = {
@@ -173,25 +337,27 @@ iplotScantwo = function(scantwo_data, pheno_and_geno, chartOpts) {
       chr: scantwo_data.chr,
       pos: scantwo_data.pos,
       lod: (function() {
-        var _i, _len, _ref19, _results;
-        _ref19 = scantwo_data[lod][markerindex];
+        var _i, _len, _ref26, _results;
+        _ref26 = scantwo_data[lod][markerindex];
         _results = [];
-        for (_i = 0, _len = _ref19.length; _i < _len; _i++) {
-          x = _ref19[_i];
+        for (_i = 0, _len = _ref26.length; _i < _len; _i++) {
+          x = _ref26[_i];
           _results.push(x);
         }
         return _results;
       })(),
       markernames: scantwo_data.labels
     };
-    if (g_scans[panelrow][panelcol] != null) {
-      g_scans[panelrow][panelcol].remove();
+    if (g_scans[panelrow][panelcol] == null) {
+      scan_charts[panelrow][panelcol] = lodchart().height(hbot).width(wbot).margin(margin).axispos(axispos).lightrect(lightrect).darkrect(darkrect).linewidth(linewidth).linecolor(linecolor).pointsize(0).pointcolor("").pointstroke("").lodvarname("lod").xlab("");
+      g_scans[panelrow][panelcol] = chartg.append("g").attr("id", "scan_" + (panelrow + 1) + "_" + (panelcol + 1)).attr("transform", "translate(" + scans_hpos[panelcol] + ", " + scans_vpos[panelrow] + ")");
     }
-    mylodchart = lodchart().height(hbot).width(wbot).margin(margin).axispos(axispos).ylim([0.0, scantwo_data.max[lod]]).lightrect(lightrect).darkrect(darkrect).linewidth(linewidth).linecolor(linecolor).pointsize(0).pointcolor("").pointstroke("").lodvarname("lod").xlab("").title("" + data.markernames[markerindex] + " : " + lod);
-    return g_scans[panelrow][panelcol] = svg.append("g").attr("id", "scan_" + (panelrow + 1) + "_" + (panelcol + 1)).attr("transform", "translate(" + scans_hpos[panelcol] + ", " + scans_vpos[panelrow] + ")").datum(data).call(mylodchart);
+    mylodchart = scan_charts[panelrow][panelcol];
+    mylodchart.ylim([0.0, scantwo_data.max[lod]]).title("" + data.markernames[markerindex] + " : " + lod);
+    return g_scans[panelrow][panelcol].datum(data).call(mylodchart);
   };
-  return plot_effects = function(markerindex1, markerindex2) {
-    var chr1, chr2, ci_data, cicolors_expanded, cis, dif, g, g1, g2, gn1, gn2, gnames1, gnames2, j, mar1, mar2, mycichart, mydotchart, ng1, ng2, p, pxg_data, segwidth, xs, _i, _j, _k, _l, _m, _n, _ref19, _ref20, _results, _results1, _results2;
+  plot_effects = function(markerindex1, markerindex2) {
+    var chr1, chr2, ci_data, cicolors_expanded, cis, dif, g, g1, g2, gn1, gn2, gnames1, gnames2, j, mar1, mar2, mycichart, mydotchart, myinteractionchart, ng1, ng2, oldtips, p, pxg_data, segwidth, xs, _i, _j, _k, _l, _m, _n, _o, _ref26, _ref27, _results, _results1, _results2;
     mar1 = scantwo_data.labels[markerindex1];
     mar2 = scantwo_data.labels[markerindex2];
     g1 = pheno_and_geno.geno[mar1];
@@ -220,54 +386,58 @@ iplotScantwo = function(scantwo_data, pheno_and_geno, chartOpts) {
         cicolors_expanded.push(cicolors[i]);
       }
     }
-    for (i = _k = 0; _k <= 1; i = ++_k) {
+    for (i = _k = 0; _k <= 2; i = ++_k) {
       if (g_eff[i] != null) {
         g_eff[i].remove();
       }
     }
+    if (efftips != null) {
+      efftips.remove();
+    }
+    oldtips = d3.selectAll(".d3-tip")[0];
     pxg_data = {
       g: g,
       y: pheno_and_geno.pheno,
       indID: pheno_and_geno.indID
     };
-    mydotchart = dotchart().height(hright).width(wright).margin(margin).axispos(axispos).rectcolor(lightrect).pointsize(3).pointstroke(pointstroke).xcategories((function() {
+    mydotchart = dotchart().height(hright).width(wright).margin(margin).axispos(axispos).rectcolor(lightrect).pointsize(3).pointstroke(pointstroke).jitter(jitter).xcategories((function() {
       _results = [];
-      for (var _l = 1, _ref19 = gn1.length; 1 <= _ref19 ? _l <= _ref19 : _l >= _ref19; 1 <= _ref19 ? _l++ : _l--){ _results.push(_l); }
+      for (var _l = 1, _ref26 = gn1.length; 1 <= _ref26 ? _l <= _ref26 : _l >= _ref26; 1 <= _ref26 ? _l++ : _l--){ _results.push(_l); }
       return _results;
     }).apply(this)).xcatlabels(gn1).xlab("").ylab("Phenotype").xvar("g").yvar("y").dataByInd(false).title("" + mar1 + " : " + mar2);
-    g_eff[1] = svg.append("g").attr("id", "eff_1").attr("transform", "translate(" + eff_hpos[1] + ", " + eff_vpos[1] + ")").datum(pxg_data).call(mydotchart);
+    g_eff[1] = chartg.append("g").attr("id", "eff_1").attr("transform", "translate(" + eff_hpos[1] + ", " + eff_vpos[1] + ")").datum(pxg_data).call(mydotchart);
     mydotchart.pointsSelect().attr("fill", function(d, i) {
       return cicolors_expanded[g[i] - 1];
     });
     cis = ci_by_group(g, pheno_and_geno.pheno, 2);
     ci_data = {
       means: (function() {
-        var _m, _ref20, _ref21, _ref22, _results1;
+        var _m, _ref27, _ref28, _ref29, _results1;
         _results1 = [];
-        for (x = _m = 1, _ref20 = gn1.length; 1 <= _ref20 ? _m <= _ref20 : _m >= _ref20; x = 1 <= _ref20 ? ++_m : --_m) {
-          _results1.push((_ref21 = (_ref22 = cis[x]) != null ? _ref22.mean : void 0) != null ? _ref21 : null);
+        for (x = _m = 1, _ref27 = gn1.length; 1 <= _ref27 ? _m <= _ref27 : _m >= _ref27; x = 1 <= _ref27 ? ++_m : --_m) {
+          _results1.push((_ref28 = (_ref29 = cis[x]) != null ? _ref29.mean : void 0) != null ? _ref28 : null);
         }
         return _results1;
       })(),
       low: (function() {
-        var _m, _ref20, _ref21, _ref22, _results1;
+        var _m, _ref27, _ref28, _ref29, _results1;
         _results1 = [];
-        for (x = _m = 1, _ref20 = gn1.length; 1 <= _ref20 ? _m <= _ref20 : _m >= _ref20; x = 1 <= _ref20 ? ++_m : --_m) {
-          _results1.push((_ref21 = (_ref22 = cis[x]) != null ? _ref22.low : void 0) != null ? _ref21 : null);
+        for (x = _m = 1, _ref27 = gn1.length; 1 <= _ref27 ? _m <= _ref27 : _m >= _ref27; x = 1 <= _ref27 ? ++_m : --_m) {
+          _results1.push((_ref28 = (_ref29 = cis[x]) != null ? _ref29.low : void 0) != null ? _ref28 : null);
         }
         return _results1;
       })(),
       high: (function() {
-        var _m, _ref20, _ref21, _ref22, _results1;
+        var _m, _ref27, _ref28, _ref29, _results1;
         _results1 = [];
-        for (x = _m = 1, _ref20 = gn1.length; 1 <= _ref20 ? _m <= _ref20 : _m >= _ref20; x = 1 <= _ref20 ? ++_m : --_m) {
-          _results1.push((_ref21 = (_ref22 = cis[x]) != null ? _ref22.high : void 0) != null ? _ref21 : null);
+        for (x = _m = 1, _ref27 = gn1.length; 1 <= _ref27 ? _m <= _ref27 : _m >= _ref27; x = 1 <= _ref27 ? ++_m : --_m) {
+          _results1.push((_ref28 = (_ref29 = cis[x]) != null ? _ref29.high : void 0) != null ? _ref28 : null);
         }
         return _results1;
       })(),
       categories: (function() {
         _results1 = [];
-        for (var _m = 1, _ref20 = gn1.length; 1 <= _ref20 ? _m <= _ref20 : _m >= _ref20; 1 <= _ref20 ? _m++ : _m--){ _results1.push(_m); }
+        for (var _m = 1, _ref27 = gn1.length; 1 <= _ref27 ? _m <= _ref27 : _m >= _ref27; 1 <= _ref27 ? _m++ : _m--){ _results1.push(_m); }
         return _results1;
       }).apply(this)
     };
@@ -275,22 +445,92 @@ iplotScantwo = function(scantwo_data, pheno_and_geno, chartOpts) {
     dif = xs(2) - xs(1);
     segwidth = gn1.length > 9 ? dif * 0.5 : dif * 0.25;
     mycichart = cichart().height(hright).width(wright).margin(margin).axispos(axispos).rectcolor(lightrect).segcolor(cicolors_expanded).segwidth(segwidth).vertsegcolor(cicolors_expanded).segstrokewidth(linewidth).xlab("").ylab("Phenotype").xcatlabels(gn1).title("" + mar1 + " : " + mar2);
-    g_eff[0] = svg.append("g").attr("id", "eff_0").attr("transform", "translate(" + eff_hpos[0] + ", " + eff_vpos[0] + ")").datum(ci_data).call(mycichart);
-    _results2 = [];
-    for (p = _n = 0; _n <= 1; p = ++_n) {
+    g_eff[0] = chartg.append("g").attr("id", "eff_0").attr("transform", "translate(" + eff_hpos[0] + ", " + eff_vpos[0] + ")").datum(ci_data).call(mycichart);
+    myinteractionchart = interactionchart().height(hright).width(wright).margin(margin).axispos(axispos).rectcolor(lightrect).linecolor(cicolors.slice(0, ng2)).linewidth(linewidth).pointsize(pointsize).pointstroke(pointstroke).xcategories((function() {
+      _results2 = [];
+      for (var _n = 1; 1 <= ng1 ? _n <= ng1 : _n >= ng1; 1 <= ng1 ? _n++ : _n--){ _results2.push(_n); }
+      return _results2;
+    }).apply(this)).xcatlabels(gnames1).xlab(mar1).ylab("Phenotype").legendtitle(mar2).title("" + mar1 + " : " + mar2);
+    g_eff[2] = chartg.append("g").attr("id", "eff_2").attr("transform", "translate(" + eff_hpos[2] + ", " + eff_vpos[2] + ")").datum({
+      x: g1,
+      group: g2,
+      y: pheno_and_geno.pheno,
+      groupnames: gnames2
+    }).call(myinteractionchart);
+    for (p = _o = 0; _o <= 1; p = ++_o) {
       g_eff[p].select("svg").append("g").attr("class", "x axis").selectAll("empty").data(gn2).enter().append("text").attr("x", function(d, i) {
         return mydotchart.xscale()(i + 1);
       }).attr("y", margin.top + hright + margin.bottom / 2 + axispos.xlabel).text(function(d) {
         return d;
       });
-      _results2.push(g_eff[p].select("svg").append("g").attr("class", "x axis").selectAll("empty").data([mar1, mar2]).enter().append("text").attr("x", (margin.left + mydotchart.xscale()(1)) / 2.0).attr("y", function(d, i) {
+      g_eff[p].select("svg").append("g").attr("class", "x axis").selectAll("empty").data([mar1, mar2]).enter().append("text").attr("x", (margin.left + mydotchart.xscale()(1)) / 2.0).attr("y", function(d, i) {
         return margin.top + hright + margin.bottom / 2 * i + axispos.xlabel;
       }).style("text-anchor", "end").text(function(d) {
         return d + ":";
-      }));
+      });
     }
-    return _results2;
+    return efftips = d3.selectAll(".d3-tip").filter(function() {
+      return __indexOf.call(oldtips, this) < 0;
+    });
   };
+  draw_heatmap();
+  if (zlegend != null) {
+    svg.append("g").attr("id", "colorscale").attr("transform", "translate(" + placement.legend[0] + "," + placement.legend[1] + ")").call(mylegend.zscale(mychrheatmap.zscale()).zthresh(mychrheatmap.zthresh()));
+  }
+  if (ntop > 0) {
+    pairs = scantwo_summary(scantwo_data).slice(0, ntop);
+    columns = ["chr1", "chr2", "pos1f", "pos2f", "lod.full", "lod.fv1", "lod.int", "pos1a", "pos2a", "lod.add", "lod.av1"];
+    formatPos = d3.format(".1f");
+    formatLod = d3.format(".2f");
+    value = function(pair, column) {
+      switch (column) {
+        case "chr1":
+          return pair.chr1;
+        case "chr2":
+          return pair.chr2;
+        case "pos1f":
+          return formatPos(scantwo_data.pos[pair.full[0]]);
+        case "pos2f":
+          return formatPos(scantwo_data.pos[pair.full[1]]);
+        case "pos1a":
+          return formatPos(scantwo_data.pos[pair.add[0]]);
+        case "pos2a":
+          return formatPos(scantwo_data.pos[pair.add[1]]);
+        default:
+          return formatLod(pair[column.replace(".", "_")]);
+      }
+    };
+    table = div.append("div").attr("class", "toppairs").append("table");
+    table.append("thead").append("tr").selectAll("th").data(columns).enter().append("th").text(function(d) {
+      return d;
+    });
+    table.append("tbody").selectAll("tr").data(pairs).enter().append("tr").selectAll("td").data(function(pair) {
+      var column, _i, _len, _results;
+      _results = [];
+      for (_i = 0, _len = columns.length; _i < _len; _i++) {
+        column = columns[_i];
+        _results.push({
+          pair: pair,
+          column: column
+        });
+      }
+      return _results;
+    }).enter().append("td").text(function(d) {
+      return value(d.pair, d.column);
+    }).on("click", function(d) {
+      var cell;
+      cell = columns.indexOf(d.column) >= 7 ? d.pair.add : d.pair.full;
+      zoomchr = [d.pair.chr1, d.pair.chr2];
+      draw_heatmap();
+      return select_cell(cell[0], cell[1]);
+    });
+  }
+  if (responsive) {
+    makeResponsive(chartdivid);
+  }
+  if (exportControl) {
+    return addExportControl(chartdivid, pngScale);
+  }
 };
 
 add_symmetric_lod = function(scantwo_data) {
@@ -350,6 +590,71 @@ add_symmetric_lod = function(scantwo_data) {
   return scantwo_data;
 };
 
+scantwo_summary = function(scantwo_data) {
+  var ai, aj, best, chr, chr1, chr2, fi, fj, i, j, k, lod, markers, result, value, _i, _j, _k, _l, _len, _len1, _len2, _len3, _len4, _m, _ref, _ref1, _ref2, _ref3, _ref4, _ref5, _ref6;
+  markers = {};
+  _ref = scantwo_data.chr;
+  for (i = _i = 0, _len = _ref.length; _i < _len; i = ++_i) {
+    chr = _ref[i];
+    if (markers[chr] == null) {
+      markers[chr] = [];
+    }
+    markers[chr].push(i);
+  }
+  result = [];
+  _ref1 = scantwo_data.chrnames;
+  for (k = _j = 0, _len1 = _ref1.length; _j < _len1; k = ++_j) {
+    chr1 = _ref1[k];
+    _ref2 = scantwo_data.chrnames.slice(k);
+    for (_k = 0, _len2 = _ref2.length; _k < _len2; _k++) {
+      chr2 = _ref2[_k];
+      best = {
+        full: null,
+        add: null
+      };
+      _ref3 = markers[chr1];
+      for (_l = 0, _len3 = _ref3.length; _l < _len3; _l++) {
+        i = _ref3[_l];
+        _ref4 = markers[chr2];
+        for (_m = 0, _len4 = _ref4.length; _m < _len4; _m++) {
+          j = _ref4[_m];
+          if (chr1 === chr2 && j <= i) {
+            continue;
+          }
+          for (lod in best) {
+            value = scantwo_data[lod][i][j];
+            if (value == null) {
+              continue;
+            }
+            if ((best[lod] == null) || value > scantwo_data[lod][best[lod][0]][best[lod][1]]) {
+              best[lod] = [i, j];
+            }
+          }
+        }
+      }
+      if (!((best.full != null) && (best.add != null))) {
+        continue;
+      }
+      _ref5 = best.full, fi = _ref5[0], fj = _ref5[1];
+      _ref6 = best.add, ai = _ref6[0], aj = _ref6[1];
+      result.push({
+        chr1: chr1,
+        chr2: chr2,
+        full: best.full,
+        add: best.add,
+        lod_full: scantwo_data.full[fi][fj],
+        lod_fv1: scantwo_data.fv1[fi][fj],
+        lod_int: scantwo_data.int[fi][fj],
+        lod_add: scantwo_data.add[ai][aj],
+        lod_av1: scantwo_data.av1[ai][aj]
+      });
+    }
+  }
+  return result.sort(function(a, b) {
+    return b.lod_full - a.lod_full;
+  });
+};
+
 lod_for_heatmap = function(scantwo_data, left, right) {
   var i, j, thelod, z, _i, _j, _ref, _ref1;
   z = scantwo_data.full.map(function(d) {
@@ -2,7 +2,7 @@
 var chrheatmap;
 
 chrheatmap = function() {
-  var axispos, bordercolor, cellSelect, chart, chrGap, colors, hover, margin, nullcolor, oneAtTop, pixelPerCell, rectcolor, rotate_ylab, title, titlepos, xlab, ylab, zlim, zscale, zthresh;
+  var axispos, bordercolor, brush, brushMode, brushg, brushlabel, canvas, cellSelect, celltip, chart, chrGap, colors, dispatch, hover, margin, nullcolor, oneAtTop, pixelPerCell, rectcolor, rotate_ylab, title, titlepos, xlab, ylab, zlim, zscale, zthresh;
   pixelPerCell = 3;
   chrGap = 4;
   margin = {
@@ -31,10 +31,17 @@ chrheatmap = function() {
   zscale = d3.scale.linear();
   oneAtTop = false;
   hover = true;
+  canvas = false;
   cellSelect = null;
+  celltip = null;
+  brushMode = false;
+  brush = null;
+  brushg = null;
+  dispatch = d3.dispatch("brushed");
+  brushlabel = hubLabel("chrheatmap");
   chart = function(selection) {
     return selection.each(function(data) {
-      var cell, cells, celltip, chrborders, cur, g, gEnter, height, i, j, nchr, nm, nx, ny, svg, titlegrp, totmar, val, width, x, xCellStart, xChrBorder, xaxis, yCellStart, yChrBorder, yaxis, zmax, zmin, _i, _j, _len, _ref;
+      var background, cell, cells, chrAt, chrborders, cur, g, gEnter, height, i, j, nchr, nm, nx, ny, shiftKey, svg, titlegrp, totmar, val, width, x, xCellStart, xChrBorder, xaxis, yCellStart, yChrBorder, yaxis, zmax, zmin, _i, _j, _len, _ref;
       ny = data.z.length;
       nx = (function() {
         var _i, _len, _ref, _results;
@@ -197,24 +204,49 @@ chrheatmap = function() {
       }).attr("x", margin.left - axispos.ylabel).text(function(d) {
         return d;
       });
-      celltip = d3.tip().attr('class', 'd3-tip').html(function(d) {
+      celltip = celltip != null ? celltip : d3.tip().attr('class', 'd3-tip').direction('e').offset([0, 10]);
+      celltip.hide();
+      celltip.html(function(d) {
         return "" + data.labels[d.i] + ", " + data.labels[d.j] + " &rarr; " + (formatAxis(data.allz)(d.z));
-      }).direction('e').offset([0, 10]);
+      });
       svg.call(celltip);
       cells = g.append("g").attr("id", "cells");
-      cellSelect = cells.selectAll("empty").data(data.cells).enter().append("rect").attr("x", function(d) {
-        return d.x;
-      }).attr("y", function(d) {
-        return d.y;
-      }).attr("width", pixelPerCell).attr("height", pixelPerCell).attr("class", function(d, i) {
-        return "cell" + i;
-      }).attr("fill", function(d) {
-        if (d.z != null) {
-          return zscale(d.z);
-        } else {
-          return nullcolor;
-        }
-      }).attr("stroke", "none").attr("stroke-width", "1").on("mouseover.paneltip", function(d) {
+      if (canvas) {
+        cellSelect = canvasCells(cells, data.cells, {
+          x: margin.left,
+          y: margin.top,
+          width: width,
+          height: height
+        }, (function(d) {
+          return {
+            x: d.x,
+            y: d.y,
+            width: pixelPerCell,
+            height: pixelPerCell
+          };
+        }), (function(d) {
+          if (d.z != null) {
+            return zscale(d.z);
+          } else {
+            return nullcolor;
+          }
+        }));
+      } else {
+        cellSelect = cells.selectAll("empty").data(data.cells).enter().append("rect").attr("x", function(d) {
+          return d.x;
+        }).attr("y", function(d) {
+          return d.y;
+        }).attr("width", pixelPerCell).attr("height", pixelPerCell).attr("class", function(d, i) {
+          return "cell" + i;
+        }).attr("fill", function(d) {
+          if (d.z != null) {
+            return zscale(d.z);
+          } else {
+            return nullcolor;
+          }
+        }).attr("stroke", "none").attr("stroke-width", "1");
+      }
+      cellSelect.on("mouseover.paneltip", function(d) {
         d3.select(this).attr("stroke", "black");
         if (hover) {
           return celltip.show(d);
@@ -225,6 +257,42 @@ chrheatmap = function() {
           return celltip.hide();
         }
       });
+      cellKeyboardNav(g, cellSelect, data.cells, "Heat map; arrow keys move among cells, Enter selects", (function(d) {
+        return "" + data.labels[d.i] + ", " + data.labels[d.j] + ": " + (formatAxis(data.allz)(d.z));
+      }), (function(d) {
+        return [+d.i, oneAtTop ? -d.j : +d.j];
+      }));
+      if (brushMode) {
+        brush = d3.svg.brush().x(d3.scale.identity().domain([margin.left, margin.left + width])).y(d3.scale.identity().domain([margin.top, margin.top + height]));
+        chrAt = function(borders, value) {
+          var _k;
+          for (i = _k = 0; 0 <= nchr ? _k < nchr : _k > nchr; i = 0 <= nchr ? ++_k : --_k) {
+            if ((d3.min([borders[i], borders[i + 1]]) <= value && value <= d3.max([borders[i], borders[i + 1]]))) {
+              return i;
+            }
+          }
+          return null;
+        };
+        brush.on("brushend", function() {
+          var extent, xchr, ychr;
+          if (brush.empty()) {
+            return;
+          }
+          extent = brush.extent();
+          xchr = chrAt(xChrBorder, (extent[0][0] + extent[1][0]) / 2 - margin.left);
+          ychr = chrAt(yChrBorder, (extent[0][1] + extent[1][1]) / 2 - margin.top);
+          brushg.call(brush.clear());
+          if ((xchr != null) && (ychr != null)) {
+            return dispatch.brushed(data.chrnames[xchr], data.chrnames[ychr]);
+          }
+        });
+        brushg = g.append("g").attr("class", "brush").call(brush);
+        background = brushg.selectAll("rect.background").style("pointer-events", "none");
+        shiftKey = function() {
+          return background.style("pointer-events", d3.event.shiftKey ? "all" : "none");
+        };
+        d3.select("body").on("keydown." + brushlabel, shiftKey).on("keyup." + brushlabel, shiftKey);
+      }
       return g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
     });
   };
@@ -347,11 +415,26 @@ chrheatmap = function() {
     hover = value;
     return chart;
   };
+  chart.canvas = function(value) {
+    if (!arguments.length) {
+      return canvas;
+    }
+    canvas = value;
+    return chart;
+  };
+  chart.brushMode = function(value) {
+    if (!arguments.length) {
+      return brushMode;
+    }
+    brushMode = value;
+    return chart;
+  };
   chart.zscale = function() {
     return zscale;
   };
   chart.cellSelect = function() {
     return cellSelect;
   };
+  d3.rebind(chart, dispatch, "on");
   return chart;
 };
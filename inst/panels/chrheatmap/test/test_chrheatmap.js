@@ -10,3 +10,21 @@ d3.json("data.json", function(data) {
   mychart = chrheatmap().pixelPerCell(20).chrGap(4).oneAtTop(true);
   return d3.select("div#chart2").datum(data).call(mychart);
 });
+
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = chrheatmap().pixelPerCell(20).chrGap(4).canvas(true);
+  d3.select("div#chart3").datum(data).call(mychart);
+  return mychart.cellSelect().on("click", function(d) {
+    return d3.select("p#chart3clicked").text("Clicked " + data.labels[d.i] + ", " + data.labels[d.j]);
+  });
+});
+
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = chrheatmap().pixelPerCell(20).chrGap(4).brushMode(true);
+  d3.select("div#chart4").datum(data).call(mychart);
+  return mychart.on("brushed", function(xchr, ychr) {
+    return d3.select("p#chart4brushed").text("Brushed chr " + xchr + " and " + ychr);
+  });
+});
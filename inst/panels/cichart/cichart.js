@@ -2,7 +2,7 @@
 var cichart;
 
 cichart = function() {
-  var axispos, chart, height, margin, nyticks, rectcolor, rotate_ylab, segcolor, segstrokewidth, segwidth, title, titlepos, vertsegcolor, width, xcatlabels, xlab, xscale, ylab, ylim, yscale, yticks;
+  var axispos, boxchart, chart, height, margin, nyticks, rectcolor, rotate_ylab, segcolor, segstrokewidth, segwidth, title, titlepos, vertsegcolor, width, xcatlabels, xlab, xscale, ylab, ylim, yscale, yticks;
   width = 400;
   height = 500;
   margin = {
@@ -28,6 +28,7 @@ cichart = function() {
   segcolor = "slateblue";
   segstrokewidth = "3";
   vertsegcolor = "slateblue";
+  boxchart = false;
   title = "";
   xlab = "Group";
   ylab = "Response";
@@ -36,25 +37,72 @@ cichart = function() {
   yscale = d3.scale.linear();
   chart = function(selection) {
     return selection.each(function(data) {
-      var categories, g, gEnter, high, low, means, segments, svg, tip, titlegrp, xaxis, xrange, yaxis, yrange, ys;
-      means = data.means;
-      low = data.low;
-      high = data.high;
+      var categories, g, gEnter, high, i, indices, low, means, s, segments, stats, svg, tip, titlegrp, v, xaxis, xrange, yaxis, yrange, ys;
       categories = data.categories;
-      if (means.length !== low.length) {
-        displayError("means.length != low.length");
-      }
-      if (means.length !== high.length) {
-        displayError("means.length != high.length");
-      }
-      if (means.length !== categories.length) {
-        displayError("means.length != categories.length");
+      if (boxchart) {
+        if (data.values.length !== categories.length) {
+          displayError("values.length != categories.length");
+        }
+        stats = (function() {
+          var _i, _len, _ref, _results;
+          _ref = data.values;
+          _results = [];
+          for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+            v = _ref[_i];
+            _results.push(boxStats(v));
+          }
+          return _results;
+        })();
+        means = (function() {
+          var _i, _len, _results;
+          _results = [];
+          for (_i = 0, _len = stats.length; _i < _len; _i++) {
+            s = stats[_i];
+            _results.push(s != null ? s.median : null);
+          }
+          return _results;
+        })();
+        low = (function() {
+          var _i, _len, _results;
+          _results = [];
+          for (_i = 0, _len = stats.length; _i < _len; _i++) {
+            s = stats[_i];
+            _results.push(s != null ? s.low : null);
+          }
+          return _results;
+        })();
+        high = (function() {
+          var _i, _len, _results;
+          _results = [];
+          for (_i = 0, _len = stats.length; _i < _len; _i++) {
+            s = stats[_i];
+            _results.push(s != null ? s.high : null);
+          }
+          return _results;
+        })();
+      } else {
+        means = data.means;
+        low = data.low;
+        high = data.high;
+        if (means.length !== low.length) {
+          displayError("means.length != low.length");
+        }
+        if (means.length !== high.length) {
+          displayError("means.length != high.length");
+        }
+        if (means.length !== categories.length) {
+          displayError("means.length != categories.length");
+        }
       }
       xcatlabels = xcatlabels != null ? xcatlabels : categories;
       if (xcatlabels.length !== categories.length) {
         displayError("xcatlabels.length != categories.length");
       }
-      ylim = ylim != null ? ylim : [d3.min(low), d3.max(high)];
+      if (boxchart) {
+        ylim = ylim != null ? ylim : d3.extent(d3.merge(data.values));
+      } else {
+        ylim = ylim != null ? ylim : [d3.min(low), d3.max(high)];
+      }
       svg = d3.select(this).selectAll("svg").data([data]);
       gEnter = svg.enter().append("svg").append("g");
       svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom);
@@ -64,7 +112,7 @@ cichart = function() {
       g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", rectcolor).attr("stroke", "none");
       xrange = [margin.left + margin.inner, margin.left + width - margin.inner];
       xscale.domain(categories).rangePoints(xrange, 1);
-      segwidth = segwidth != null ? segwidth : (xrange[1] - xrange[0]) / categories.length * 0.2;
+      segwidth = segwidth != null ? segwidth : (xrange[1] - xrange[0]) / categories.length * (boxchart ? 0.4 : 0.2);
       yrange = [margin.top + height - margin.inner, margin.top + margin.inner];
       yscale.domain(ylim).range(yrange);
       ys = d3.scale.linear().domain(ylim).range(yrange);
@@ -99,42 +147,120 @@ cichart = function() {
         var f, index;
         index = i % means.length;
         f = formatAxis([low[index], means[index]], 1);
-        return "" + (f(means[index])) + " (" + (f(low[index])) + " - " + (f(high[index])) + ")";
+        if (!boxchart) {
+          return "" + (f(means[index])) + " (" + (f(low[index])) + " - " + (f(high[index])) + ")";
+        }
+        return ["median " + (f(stats[index].median)), "quartiles " + (f(stats[index].q1)) + " - " + (f(stats[index].q3)), "range " + (f(low[index])) + " - " + (f(high[index])) + " (n = " + stats[index].n + ")"].join("<br>");
       }).direction('e').offset([0, 10]);
       svg.call(tip);
       segments = g.append("g").attr("id", "segments");
-      segments.selectAll("empty").data(low).enter().append("line").attr("x1", function(d, i) {
-        return xscale(categories[i]);
-      }).attr("x2", function(d, i) {
-        return xscale(categories[i]);
-      }).attr("y1", function(d) {
-        return yscale(d);
-      }).attr("y2", function(d, i) {
-        return yscale(high[i]);
-      }).attr("fill", "none").attr("stroke", function(d, i) {
-        return vertsegcolor[i];
-      }).attr("stroke-width", segstrokewidth);
-      segments.selectAll("empty").data(means.concat(low, high)).enter().append("line").attr("x1", function(d, i) {
-        var x;
-        x = xscale(categories[i % means.length]);
-        if (i < means.length) {
-          return x - segwidth / 2;
-        }
-        return x - segwidth / 3;
-      }).attr("x2", function(d, i) {
-        var x;
-        x = xscale(categories[i % means.length]);
-        if (i < means.length) {
-          return x + segwidth / 2;
-        }
-        return x + segwidth / 3;
-      }).attr("y1", function(d) {
-        return yscale(d);
-      }).attr("y2", function(d) {
-        return yscale(d);
-      }).attr("fill", "none").attr("stroke", function(d, i) {
-        return segcolor[i % means.length];
-      }).attr("stroke-width", segstrokewidth).on("mouseover.paneltip", tip.show).on("mouseout.paneltip", tip.hide);
+      if (boxchart) {
+        indices = (function() {
+          var _i, _ref, _results;
+          _results = [];
+          for (i = _i = 0, _ref = stats.length; 0 <= _ref ? _i < _ref : _i > _ref; i = 0 <= _ref ? ++_i : --_i) {
+            if (stats[i] != null) {
+              _results.push(i);
+            }
+          }
+          return _results;
+        })();
+        segments.selectAll("empty").data(indices).enter().append("line").attr("x1", function(i) {
+          return xscale(categories[i]);
+        }).attr("x2", function(i) {
+          return xscale(categories[i]);
+        }).attr("y1", function(i) {
+          return yscale(low[i]);
+        }).attr("y2", function(i) {
+          return yscale(high[i]);
+        }).attr("fill", "none").attr("stroke", function(i) {
+          return vertsegcolor[i];
+        }).attr("stroke-width", segstrokewidth);
+        segments.selectAll("empty").data(indices).enter().append("rect").attr("class", "box").attr("x", function(i) {
+          return xscale(categories[i]) - segwidth / 2;
+        }).attr("y", function(i) {
+          return yscale(stats[i].q3);
+        }).attr("width", segwidth).attr("height", function(i) {
+          return yscale(stats[i].q1) - yscale(stats[i].q3);
+        }).attr("fill", "white").attr("stroke", function(i) {
+          return segcolor[i];
+        }).attr("stroke-width", segstrokewidth).on("mouseover.paneltip", function(i) {
+          return tip.show(null, i);
+        }).on("mouseout.paneltip", tip.hide);
+        segments.selectAll("empty").data(indices.concat(indices, indices)).enter().append("line").attr("x1", function(i, j) {
+          var x;
+          x = xscale(categories[i]);
+          if (j < indices.length) {
+            return x - segwidth / 2;
+          }
+          return x - segwidth / 3;
+        }).attr("x2", function(i, j) {
+          var x;
+          x = xscale(categories[i]);
+          if (j < indices.length) {
+            return x + segwidth / 2;
+          }
+          return x + segwidth / 3;
+        }).attr("y1", function(i, j) {
+          return yscale([means, low, high][Math.floor(j / indices.length)][i]);
+        }).attr("y2", function(i, j) {
+          return yscale([means, low, high][Math.floor(j / indices.length)][i]);
+        }).attr("fill", "none").attr("stroke", function(i) {
+          return segcolor[i];
+        }).attr("stroke-width", segstrokewidth).on("mouseover.paneltip", function(i) {
+          return tip.show(null, i);
+        }).on("mouseout.paneltip", tip.hide);
+        segments.selectAll("empty").data(d3.merge((function() {
+          var _i, _len, _results;
+          _results = [];
+          for (_i = 0, _len = indices.length; _i < _len; _i++) {
+            i = indices[_i];
+            _results.push(stats[i].outliers.map(function(v) {
+              return [i, v];
+            }));
+          }
+          return _results;
+        })())).enter().append("circle").attr("class", "outlier").attr("cx", function(d) {
+          return xscale(categories[d[0]]);
+        }).attr("cy", function(d) {
+          return yscale(d[1]);
+        }).attr("r", 3).attr("fill", "none").attr("stroke", function(d) {
+          return segcolor[d[0]];
+        });
+      } else {
+        segments.selectAll("empty").data(low).enter().append("line").attr("x1", function(d, i) {
+          return xscale(categories[i]);
+        }).attr("x2", function(d, i) {
+          return xscale(categories[i]);
+        }).attr("y1", function(d) {
+          return yscale(d);
+        }).attr("y2", function(d, i) {
+          return yscale(high[i]);
+        }).attr("fill", "none").attr("stroke", function(d, i) {
+          return vertsegcolor[i];
+        }).attr("stroke-width", segstrokewidth);
+        segments.selectAll("empty").data(means.concat(low, high)).enter().append("line").attr("x1", function(d, i) {
+          var x;
+          x = xscale(categories[i % means.length]);
+          if (i < means.length) {
+            return x - segwidth / 2;
+          }
+          return x - segwidth / 3;
+        }).attr("x2", function(d, i) {
+          var x;
+          x = xscale(categories[i % means.length]);
+          if (i < means.length) {
+            return x + segwidth / 2;
+          }
+          return x + segwidth / 3;
+        }).attr("y1", function(d) {
+          return yscale(d);
+        }).attr("y2", function(d) {
+          return yscale(d);
+        }).attr("fill", "none").attr("stroke", function(d, i) {
+          return segcolor[i % means.length];
+        }).attr("stroke-width", segstrokewidth).on("mouseover.paneltip", tip.show).on("mouseout.paneltip", tip.hide);
+      }
       return g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
     });
   };
@@ -236,6 +362,13 @@ cichart = function() {
     vertsegcolor = value;
     return chart;
   };
+  chart.boxchart = function(value) {
+    if (!arguments.length) {
+      return boxchart;
+    }
+    boxchart = value;
+    return chart;
+  };
   chart.title = function(value) {
     if (!arguments.length) {
       return title;
@@ -21,3 +21,9 @@ d3.json("data.json", function(data) {
   mychart = cichart().margin(margin).axispos(axispos);
   return d3.select("div#chart1").datum(data).call(mychart);
 });
+
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = cichart().margin(margin).axispos(axispos).boxchart(true);
+  return d3.select("div#chart2").datum(data).call(mychart);
+});
@@ -0,0 +1,315 @@
+// Generated by CoffeeScript 1.8.0
+var cistranschart;
+
+cistranschart = function() {
+  var axispos, chart, chrGap, diagcolor, gridcolor, height, lod, lodband, margin, pointcolor, pointsSelect, pointsize, pointstroke, rectcolor, rotate_ylab, showBand, title, titlepos, width, xlab, xscale, ylab, yscale;
+  width = 800;
+  height = 800;
+  margin = {
+    left: 60,
+    top: 40,
+    right: 40,
+    bottom: 40,
+    inner: 5
+  };
+  axispos = {
+    xtitle: 25,
+    ytitle: 30,
+    xlabel: 5,
+    ylabel: 5
+  };
+  titlepos = 20;
+  chrGap = 8;
+  rectcolor = "#e6e6e6";
+  gridcolor = "white";
+  diagcolor = "#aaa";
+  pointcolor = "slateblue";
+  pointstroke = "black";
+  pointsize = 3;
+  lodband = null;
+  title = "";
+  xlab = "QTL position";
+  ylab = "Gene position";
+  rotate_ylab = null;
+  xscale = null;
+  yscale = null;
+  pointsSelect = null;
+  lod = null;
+  chart = function(selection) {
+    return selection.each(function(data) {
+      var chr, flip, g, gEnter, genes, genetip, grid, i, posByChr, svg, v, xaxis, xbreaks, xchr, yaxis, ybreaks, ychr, _i, _j, _k, _len, _len1, _len2, _ref, _ref1, _ref2;
+      _ref = ["genechr", "genepos", "qtlchr", "qtlpos", "lod"];
+      for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+        v = _ref[_i];
+        if (data[v].length !== data.gene.length) {
+          displayError("" + v + ".length (" + data[v].length + ") != gene.length (" + data.gene.length + ")");
+        }
+      }
+      posByChr = {};
+      _ref1 = data.chrnames;
+      for (i = _j = 0, _len1 = _ref1.length; _j < _len1; i = ++_j) {
+        chr = _ref1[i];
+        posByChr[chr] = [data.chrstart[i], data.chrend[i]];
+      }
+      xchr = chrscales({
+        chrnames: data.chrnames,
+        posByChr: posByChr
+      }, width, chrGap, margin.left, false);
+      ychr = chrscales({
+        chrnames: data.chrnames,
+        posByChr: posByChr
+      }, height, chrGap, margin.top, false);
+      xscale = xchr.xscale;
+      flip = function(y) {
+        return 2 * margin.top + height - y;
+      };
+      yscale = {};
+      _ref2 = data.chrnames;
+      for (_k = 0, _len2 = _ref2.length; _k < _len2; _k++) {
+        chr = _ref2[_k];
+        yscale[chr] = ychr.xscale[chr].copy().range(ychr.xscale[chr].range().map(flip));
+      }
+      ychr.chrStart = ychr.chrStart.map(flip);
+      ychr.chrEnd = ychr.chrEnd.map(flip);
+      lod = data.lod;
+      genes = (function() {
+        var _l, _ref3, _results;
+        _results = [];
+        for (i = _l = 0, _ref3 = data.gene.length; 0 <= _ref3 ? _l < _ref3 : _l > _ref3; i = 0 <= _ref3 ? ++_l : --_l) {
+          if ((xscale[data.qtlchr[i]] != null) && (yscale[data.genechr[i]] != null) && (data.qtlpos[i] != null) && (data.genepos[i] != null) && (data.lod[i] != null)) {
+            _results.push(i);
+          }
+        }
+        return _results;
+      })();
+      svg = d3.select(this).selectAll("svg").data([data]);
+      gEnter = svg.enter().append("svg").append("g");
+      svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom);
+      g = svg.select("g");
+      g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", rectcolor).attr("stroke", "none");
+      xbreaks = (function() {
+        var _l, _ref3, _results;
+        _results = [];
+        for (i = _l = 0, _ref3 = data.chrnames.length - 1; 0 <= _ref3 ? _l < _ref3 : _l > _ref3; i = 0 <= _ref3 ? ++_l : --_l) {
+          _results.push(xchr.chrEnd[i] + chrGap / 2);
+        }
+        return _results;
+      })();
+      ybreaks = (function() {
+        var _l, _ref3, _results;
+        _results = [];
+        for (i = _l = 0, _ref3 = data.chrnames.length - 1; 0 <= _ref3 ? _l < _ref3 : _l > _ref3; i = 0 <= _ref3 ? ++_l : --_l) {
+          _results.push(ychr.chrEnd[i] - chrGap / 2);
+        }
+        return _results;
+      })();
+      grid = g.append("g").attr("class", "grid");
+      grid.selectAll("empty").data(xbreaks).enter().append("line").attr("x1", function(d) {
+        return d;
+      }).attr("x2", function(d) {
+        return d;
+      }).attr("y1", margin.top).attr("y2", margin.top + height).attr("stroke", gridcolor).attr("stroke-width", chrGap).style("pointer-events", "none");
+      grid.selectAll("empty").data(ybreaks).enter().append("line").attr("y1", function(d) {
+        return d;
+      }).attr("y2", function(d) {
+        return d;
+      }).attr("x1", margin.left).attr("x2", margin.left + width).attr("stroke", gridcolor).attr("stroke-width", chrGap).style("pointer-events", "none");
+      g.append("g").attr("class", "diagonal").selectAll("empty").data(data.chrnames).enter().append("line").attr("x1", function(d, i) {
+        return xscale[d](data.chrstart[i]);
+      }).attr("x2", function(d, i) {
+        return xscale[d](data.chrend[i]);
+      }).attr("y1", function(d, i) {
+        return yscale[d](data.chrstart[i]);
+      }).attr("y2", function(d, i) {
+        return yscale[d](data.chrend[i]);
+      }).attr("stroke", diagcolor).attr("stroke-dasharray", "4,4").style("pointer-events", "none");
+      xaxis = g.append("g").attr("class", "x axis");
+      xaxis.selectAll("empty").data(data.chrnames).enter().append("text").attr("x", function(d, i) {
+        return (xchr.chrStart[i] + xchr.chrEnd[i]) / 2;
+      }).attr("y", margin.top + height + axispos.xlabel).text(function(d) {
+        return d;
+      });
+      xaxis.append("text").attr("class", "title").attr("y", margin.top + height + axispos.xtitle).attr("x", margin.left + width / 2).text(xlab);
+      rotate_ylab = rotate_ylab != null ? rotate_ylab : ylab.length > 1;
+      yaxis = g.append("g").attr("class", "y axis");
+      yaxis.selectAll("empty").data(data.chrnames).enter().append("text").attr("y", function(d, i) {
+        return (ychr.chrStart[i] + ychr.chrEnd[i]) / 2;
+      }).attr("x", margin.left - axispos.ylabel).text(function(d) {
+        return d;
+      });
+      yaxis.append("text").attr("class", "title").attr("y", margin.top + height / 2).attr("x", margin.left - axispos.ytitle).text(ylab).attr("transform", rotate_ylab ? "rotate(270," + (margin.left - axispos.ytitle) + "," + (margin.top + height / 2) + ")" : "");
+      g.append("g").attr("class", "title").append("text").attr("x", margin.left + width / 2).attr("y", margin.top - titlepos).text(title);
+      genetip = d3.tip().attr('class', 'd3-tip').html(function(i) {
+        var f;
+        f = d3.format(".1f");
+        return ["<strong>" + data.gene[i] + "</strong>", "gene at " + data.genechr[i] + "@" + (f(data.genepos[i])), "QTL at " + data.qtlchr[i] + "@" + (f(data.qtlpos[i])), "LOD = " + (d3.format('.2f')(data.lod[i]))].join("<br>");
+      }).direction('e').offset([0, 10]);
+      svg.call(genetip);
+      pointsSelect = g.append("g").attr("id", "points").selectAll("empty").data(genes).enter().append("circle").attr("cx", function(i) {
+        return xscale[data.qtlchr[i]](data.qtlpos[i]);
+      }).attr("cy", function(i) {
+        return yscale[data.genechr[i]](data.genepos[i]);
+      }).attr("r", pointsize).attr("fill", pointcolor).attr("stroke", pointstroke).attr("stroke-width", "1").on("mouseover.paneltip", genetip.show).on("mouseout.paneltip", genetip.hide);
+      showBand();
+      pointKeyboardNav(g, pointsSelect, "Cis/trans plot; arrow keys move among points, Enter selects", (function(i) {
+        var j;
+        j = genes[i];
+        return "" + data.gene[j] + ": gene on chr " + data.genechr[j] + ", QTL on chr " + data.qtlchr[j] + ", LOD " + (d3.format('.2f')(data.lod[j]));
+      }));
+      return g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
+    });
+  };
+  showBand = function() {
+    var inBand;
+    if (pointsSelect == null) {
+      return;
+    }
+    inBand = function(i) {
+      var _ref;
+      return (lodband == null) || (lodband[0] <= (_ref = lod[i]) && _ref <= lodband[1]);
+    };
+    return pointsSelect.attr("opacity", function(i) {
+      if (inBand(i)) {
+        return 1;
+      } else {
+        return 0;
+      }
+    }).style("pointer-events", function(i) {
+      if (inBand(i)) {
+        return null;
+      } else {
+        return "none";
+      }
+    });
+  };
+  chart.width = function(value) {
+    if (!arguments.length) {
+      return width;
+    }
+    width = value;
+    return chart;
+  };
+  chart.height = function(value) {
+    if (!arguments.length) {
+      return height;
+    }
+    height = value;
+    return chart;
+  };
+  chart.margin = function(value) {
+    if (!arguments.length) {
+      return margin;
+    }
+    margin = value;
+    return chart;
+  };
+  chart.axispos = function(value) {
+    if (!arguments.length) {
+      return axispos;
+    }
+    axispos = value;
+    return chart;
+  };
+  chart.titlepos = function(value) {
+    if (!arguments.length) {
+      return titlepos;
+    }
+    titlepos = value;
+    return chart;
+  };
+  chart.chrGap = function(value) {
+    if (!arguments.length) {
+      return chrGap;
+    }
+    chrGap = value;
+    return chart;
+  };
+  chart.rectcolor = function(value) {
+    if (!arguments.length) {
+      return rectcolor;
+    }
+    rectcolor = value;
+    return chart;
+  };
+  chart.gridcolor = function(value) {
+    if (!arguments.length) {
+      return gridcolor;
+    }
+    gridcolor = value;
+    return chart;
+  };
+  chart.diagcolor = function(value) {
+    if (!arguments.length) {
+      return diagcolor;
+    }
+    diagcolor = value;
+    return chart;
+  };
+  chart.pointcolor = function(value) {
+    if (!arguments.length) {
+      return pointcolor;
+    }
+    pointcolor = value;
+    return chart;
+  };
+  chart.pointstroke = function(value) {
+    if (!arguments.length) {
+      return pointstroke;
+    }
+    pointstroke = value;
+    return chart;
+  };
+  chart.pointsize = function(value) {
+    if (!arguments.length) {
+      return pointsize;
+    }
+    pointsize = value;
+    return chart;
+  };
+  chart.lodband = function(value) {
+    if (!arguments.length) {
+      return lodband;
+    }
+    lodband = value;
+    showBand();
+    return chart;
+  };
+  chart.title = function(value) {
+    if (!arguments.length) {
+      return title;
+    }
+    title = value;
+    return chart;
+  };
+  chart.xlab = function(value) {
+    if (!arguments.length) {
+      return xlab;
+    }
+    xlab = value;
+    return chart;
+  };
+  chart.ylab = function(value) {
+    if (!arguments.length) {
+      return ylab;
+    }
+    ylab = value;
+    return chart;
+  };
+  chart.rotate_ylab = function(value) {
+    if (!arguments.length) {
+      return rotate_ylab;
+    }
+    rotate_ylab = value;
+    return chart;
+  };
+  chart.xscale = function() {
+    return xscale;
+  };
+  chart.yscale = function() {
+    return yscale;
+  };
+  chart.pointsSelect = function() {
+    return pointsSelect;
+  };
+  return chart;
+};
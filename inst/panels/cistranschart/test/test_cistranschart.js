@@ -0,0 +1,15 @@
+// Generated by CoffeeScript 1.8.0
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = cistranschart().height(600).width(600);
+  d3.select("div#chart1").datum(data).call(mychart);
+  return mychart.pointsSelect().on("click", function(i) {
+    return d3.select("p#chart1clicked").text("Clicked " + data.gene[i] + " (LOD = " + (d3.format('.2f')(data.lod[i])) + ")");
+  });
+});
+
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = cistranschart().height(400).width(400).pointsize(5).pointcolor("Orchid").lodband([5, Infinity]);
+  return d3.select("div#chart2").datum(data).call(mychart);
+});
@@ -0,0 +1,272 @@
+// Generated by CoffeeScript 1.8.0
+var colorscale;
+
+colorscale = function() {
+  var axispos, barlength, barwidth, chart, margin, nullcolor, nzticks, orientation, pscale, side, threshcolor, title, zscale, zthresh, zticks;
+  barlength = 200;
+  barwidth = 15;
+  margin = {
+    left: 10,
+    top: 10,
+    right: 10,
+    bottom: 10
+  };
+  axispos = {
+    label: 5,
+    title: 40
+  };
+  orientation = "vertical";
+  side = null;
+  zscale = null;
+  zthresh = null;
+  nullcolor = "#e6e6e6";
+  threshcolor = "black";
+  nzticks = 5;
+  zticks = null;
+  title = "";
+  pscale = d3.scale.linear();
+  chart = function(selection) {
+    return selection.each(function() {
+      var axis, barh, barw, curside, curzticks, cutoffs, edge, g, gEnter, gradid, gradient, h, hi, labelspace, lo, outward, svg, thresh, titlex, titley, vertical, w, x0, y0, z, zlim, _ref;
+      if (zscale == null) {
+        displayError("colorscale: zscale not provided");
+      }
+      vertical = orientation === "vertical";
+      curside = side != null ? side : (vertical ? "right" : "bottom");
+      outward = curside === "right" || curside === "bottom" ? 1 : -1;
+      _ref = chart.size(), w = _ref[0], h = _ref[1];
+      barw = vertical ? barwidth : barlength;
+      barh = vertical ? barlength : barwidth;
+      labelspace = axispos.title + 10;
+      x0 = margin.left + (curside === "left" ? labelspace : 0);
+      y0 = margin.top + (curside === "top" ? labelspace : 0);
+      zlim = d3.extent(zscale.domain());
+      if (vertical) {
+        pscale.domain(zlim).range([y0 + barh, y0]);
+      } else {
+        pscale.domain(zlim).range([x0, x0 + barw]);
+      }
+      curzticks = zticks != null ? zticks : pscale.ticks(nzticks);
+      curzticks = (function() {
+        var _i, _len, _results;
+        _results = [];
+        for (_i = 0, _len = curzticks.length; _i < _len; _i++) {
+          z = curzticks[_i];
+          if ((zlim[0] <= z && z <= zlim[1])) {
+            _results.push(z);
+          }
+        }
+        return _results;
+      })();
+      svg = d3.select(this).selectAll("svg").data([0]);
+      gEnter = svg.enter().append("svg").append("g");
+      svg.attr("width", w).attr("height", h);
+      g = svg.select("g");
+      g.selectAll("*").remove();
+      gradid = "colorscale" + (Math.random().toString(36).slice(2));
+      gradient = g.append("defs").append("linearGradient").attr("id", gradid).attr("x1", "0%").attr("y1", vertical ? "100%" : "0%").attr("x2", vertical ? "0%" : "100%").attr("y2", "0%");
+      gradient.selectAll("stop").data(zscale.domain().slice().sort(function(a, b) {
+        return a - b;
+      })).enter().append("stop").attr("offset", function(d) {
+        return "" + ((d - zlim[0]) / (zlim[1] - zlim[0]) * 100) + "%";
+      }).attr("stop-color", function(d) {
+        return zscale(d);
+      });
+      g.append("rect").attr("class", "colorbar").attr("x", x0).attr("y", y0).attr("width", barw).attr("height", barh).attr("fill", "url(#" + gradid + ")").attr("stroke", "none");
+      if ((zthresh != null) && zthresh > 0) {
+        lo = Math.max(zlim[0], -zthresh);
+        hi = Math.min(zlim[1], zthresh);
+        cutoffs = (function() {
+          var _i, _len, _ref1, _results;
+          _ref1 = [-zthresh, zthresh];
+          _results = [];
+          for (_i = 0, _len = _ref1.length; _i < _len; _i++) {
+            z = _ref1[_i];
+            if ((zlim[0] < z && z < zlim[1])) {
+              _results.push(z);
+            }
+          }
+          return _results;
+        })();
+        thresh = g.append("g").attr("class", "zthresh");
+        if (lo < hi) {
+          thresh.append("rect").attr("x", vertical ? x0 : pscale(lo)).attr("y", vertical ? pscale(hi) : y0).attr("width", vertical ? barw : pscale(hi) - pscale(lo)).attr("height", vertical ? pscale(lo) - pscale(hi) : barh).attr("fill", nullcolor).attr("stroke", "none");
+        }
+        thresh.selectAll("empty").data(cutoffs).enter().append("line").attr("x1", function(d) {
+          if (vertical) {
+            return x0 - 3;
+          } else {
+            return pscale(d);
+          }
+        }).attr("x2", function(d) {
+          if (vertical) {
+            return x0 + barw + 3;
+          } else {
+            return pscale(d);
+          }
+        }).attr("y1", function(d) {
+          if (vertical) {
+            return pscale(d);
+          } else {
+            return y0 - 3;
+          }
+        }).attr("y2", function(d) {
+          if (vertical) {
+            return pscale(d);
+          } else {
+            return y0 + barh + 3;
+          }
+        }).attr("stroke", threshcolor).attr("stroke-width", 2);
+      }
+      g.append("rect").attr("x", x0).attr("y", y0).attr("width", barw).attr("height", barh).attr("fill", "none").attr("stroke", "black").attr("stroke-width", 1);
+      edge = vertical ? (outward > 0 ? x0 + barw : x0) : (outward > 0 ? y0 + barh : y0);
+      axis = g.append("g").attr("class", "z axis");
+      axis.selectAll("empty").data(curzticks).enter().append("line").attr("x1", function(d) {
+        if (vertical) {
+          return edge;
+        } else {
+          return pscale(d);
+        }
+      }).attr("x2", function(d) {
+        if (vertical) {
+          return edge + outward * (axispos.label - 1);
+        } else {
+          return pscale(d);
+        }
+      }).attr("y1", function(d) {
+        if (vertical) {
+          return pscale(d);
+        } else {
+          return edge;
+        }
+      }).attr("y2", function(d) {
+        if (vertical) {
+          return pscale(d);
+        } else {
+          return edge + outward * (axispos.label - 1);
+        }
+      }).attr("stroke", "black");
+      axis.selectAll("empty").data(curzticks).enter().append("text").attr("x", function(d) {
+        if (vertical) {
+          return edge + outward * (axispos.label + 2);
+        } else {
+          return pscale(d);
+        }
+      }).attr("y", function(d) {
+        if (vertical) {
+          return pscale(d);
+        } else {
+          return edge + outward * (axispos.label + 2);
+        }
+      }).text(function(d) {
+        return formatAxis(curzticks)(d);
+      }).style("text-anchor", vertical ? (outward > 0 ? "start" : "end") : "middle").style("dominant-baseline", vertical ? "middle" : (outward > 0 ? "hanging" : "auto"));
+      titlex = vertical ? edge + outward * axispos.title : x0 + barw / 2;
+      titley = vertical ? y0 + barh / 2 : edge + outward * axispos.title;
+      return axis.append("text").attr("class", "title").attr("x", titlex).attr("y", titley).text(title).style("text-anchor", "middle").style("dominant-baseline", "middle").attr("transform", vertical ? "rotate(270," + titlex + "," + titley + ")" : "");
+    });
+  };
+  chart.barlength = function(value) {
+    if (!arguments.length) {
+      return barlength;
+    }
+    barlength = value;
+    return chart;
+  };
+  chart.barwidth = function(value) {
+    if (!arguments.length) {
+      return barwidth;
+    }
+    barwidth = value;
+    return chart;
+  };
+  chart.margin = function(value) {
+    if (!arguments.length) {
+      return margin;
+    }
+    margin = value;
+    return chart;
+  };
+  chart.axispos = function(value) {
+    if (!arguments.length) {
+      return axispos;
+    }
+    axispos = value;
+    return chart;
+  };
+  chart.orientation = function(value) {
+    if (!arguments.length) {
+      return orientation;
+    }
+    orientation = value;
+    return chart;
+  };
+  chart.side = function(value) {
+    if (!arguments.length) {
+      return side;
+    }
+    side = value;
+    return chart;
+  };
+  chart.zscale = function(value) {
+    if (!arguments.length) {
+      return zscale;
+    }
+    zscale = value;
+    return chart;
+  };
+  chart.zthresh = function(value) {
+    if (!arguments.length) {
+      return zthresh;
+    }
+    zthresh = value;
+    return chart;
+  };
+  chart.nullcolor = function(value) {
+    if (!arguments.length) {
+      return nullcolor;
+    }
+    nullcolor = value;
+    return chart;
+  };
+  chart.threshcolor = function(value) {
+    if (!arguments.length) {
+      return threshcolor;
+    }
+    threshcolor = value;
+    return chart;
+  };
+  chart.nzticks = function(value) {
+    if (!arguments.length) {
+      return nzticks;
+    }
+    nzticks = value;
+    return chart;
+  };
+  chart.zticks = function(value) {
+    if (!arguments.length) {
+      return zticks;
+    }
+    zticks = value;
+    return chart;
+  };
+  chart.title = function(value) {
+    if (!arguments.length) {
+      return title;
+    }
+    title = value;
+    return chart;
+  };
+  chart.size = function() {
+    var thickness;
+    thickness = barwidth + axispos.title + 10;
+    if (orientation === "vertical") {
+      return [margin.left + thickness + margin.right, margin.top + barlength + margin.bottom];
+    }
+    return [margin.left + barlength + margin.right, margin.top + thickness + margin.bottom];
+  };
+  chart.pscale = function() {
+    return pscale;
+  };
+  return chart;
+};
@@ -0,0 +1,39 @@
+// Generated by CoffeeScript 1.8.0
+var h, i, margin, mylegend, side, w, zscale, _i, _len, _ref;
+
+h = 400;
+
+w = 400;
+
+margin = {
+  left: 60,
+  top: 40,
+  right: 40,
+  bottom: 40,
+  inner: 5
+};
+
+d3.json("data.json", function(data) {
+  var legendw, myheatmap, mylegend, svg;
+  myheatmap = heatmap().height(h).width(w).margin(margin).zthresh(0.5);
+  mylegend = colorscale().barlength(h).title("Z");
+  legendw = mylegend.size()[0];
+  svg = d3.select("div#chart1").append("svg").attr("height", h + margin.top + margin.bottom).attr("width", w + margin.left + margin.right + legendw);
+  svg.append("g").datum(data).call(myheatmap);
+  return svg.append("g").attr("transform", "translate(" + (w + margin.left + margin.right) + "," + (margin.top - mylegend.margin().top) + ")").call(mylegend.zscale(myheatmap.zscale()).zthresh(myheatmap.zthresh()));
+});
+
+zscale = d3.scale.linear().domain([-2, 0, 2]).range(["slateblue", "white", "crimson"]);
+
+_ref = ["bottom", "top"];
+for (i = _i = 0, _len = _ref.length; _i < _len; i = ++_i) {
+  side = _ref[i];
+  mylegend = colorscale().orientation("horizontal").side(side).barlength(w).zscale(zscale).zthresh(side === "top" ? 0.5 : null).title(side === "top" ? "with zthresh = 0.5" : "no zthresh");
+  d3.select("div#chart2").append("div").call(mylegend);
+}
+
+zscale = d3.scale.linear().domain([0, 10]).range(["white", "darkslateblue"]);
+
+mylegend = colorscale().side("left").barlength(200).nzticks(10).zscale(zscale).zthresh(2).title("LOD");
+
+d3.select("div#chart3").call(mylegend);
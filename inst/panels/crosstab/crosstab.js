@@ -2,7 +2,7 @@
 var crosstab;
 
 crosstab = function() {
-  var bordercolor, cellHeight, cellPad, cellWidth, chart, fontsize, hilitcolor, margin, rectcolor, title, titlepos;
+  var bordercolor, cellHeight, cellPad, cellWidth, chart, fontsize, hilitcolor, margin, mosaiccolors, rectcolor, showtest, tip, title, titlepos, view, viewcontrol;
   cellHeight = 30;
   cellWidth = 80;
   cellPad = 20;
@@ -18,9 +18,14 @@ crosstab = function() {
   rectcolor = "#e6e6e6";
   hilitcolor = "#e9cfec";
   bordercolor = "black";
+  view = "counts";
+  showtest = true;
+  viewcontrol = true;
+  mosaiccolors = ["crimson", "white", "slateblue"];
+  tip = null;
   chart = function(selection) {
     return selection.each(function(data) {
-      var borders, cell, cells, collab, colrect, denom, g, gEnter, height, i, j, n, ncol, nrow, rect, rowlab, rowrect, svg, tab, titles, values, width, xscale, yscale, _i, _j, _k, _l, _ref, _ref1, _ref2, _ref3, _results, _results1;
+      var cell, cells, denom, draw, draw_mosaic, draw_table, draw_test, draw_titles, draw_viewcontrol, expcell, expcells, extra, fexp, g, gEnter, height, i, j, n, ncol, nrow, svg, tab, test, width, xscale, yscale, _i, _j, _k, _l, _len, _m, _ref, _ref1, _ref2, _ref3, _ref4, _results, _results1;
       n = data.x.length;
       if (data.y.length !== n) {
         displayError("data.x.length != data.y.length");
@@ -74,97 +79,326 @@ crosstab = function() {
           cells.push(cell);
         }
       }
+      test = calc_crosstab_test(tab);
+      fexp = d3.format(".1f");
+      expcells = [];
+      for (_k = 0, _len = cells.length; _k < _len; _k++) {
+        cell = cells[_k];
+        expcell = {
+          value: "\u2014",
+          row: cell.row,
+          col: cell.col
+        };
+        _ref2 = [cell.row, cell.col], i = _ref2[0], j = _ref2[1];
+        if (i < nrow - 1 && j < ncol - 1) {
+          expcell.value = fexp(test.expected[i][j]);
+        } else if (i < nrow - 1 && j === ncol) {
+          expcell.value = tab[i][ncol] - tab[i][ncol - 1];
+        } else if (i === nrow && j < ncol - 1) {
+          expcell.value = tab[nrow][j] - tab[nrow - 1][j];
+        } else if (i === nrow && j === ncol) {
+          expcell.value = test.n;
+        }
+        expcells.push(expcell);
+      }
       width = margin.left + margin.right + (ncol + 2) * cellWidth;
       height = margin.top + margin.bottom + (nrow + 2) * cellHeight;
+      extra = (showtest ? 1 : 0) + (viewcontrol ? 1 : 0);
       xscale = d3.scale.ordinal().domain((function() {
         _results = [];
-        for (var _k = 0, _ref2 = ncol + 1; 0 <= _ref2 ? _k <= _ref2 : _k >= _ref2; 0 <= _ref2 ? _k++ : _k--){ _results.push(_k); }
+        for (var _l = 0, _ref3 = ncol + 1; 0 <= _ref3 ? _l <= _ref3 : _l >= _ref3; 0 <= _ref3 ? _l++ : _l--){ _results.push(_l); }
         return _results;
       }).apply(this)).rangeBands([margin.left, width - margin.right], 0, 0);
       yscale = d3.scale.ordinal().domain((function() {
         _results1 = [];
-        for (var _l = 0, _ref3 = nrow + 1; 0 <= _ref3 ? _l <= _ref3 : _l >= _ref3; 0 <= _ref3 ? _l++ : _l--){ _results1.push(_l); }
+        for (var _m = 0, _ref4 = nrow + 1; 0 <= _ref4 ? _m <= _ref4 : _m >= _ref4; 0 <= _ref4 ? _m++ : _m--){ _results1.push(_m); }
         return _results1;
       }).apply(this)).rangeBands([margin.top, height - margin.bottom], 0, 0);
       svg = d3.select(this).selectAll("svg").data([data]);
       gEnter = svg.enter().append("svg").append("g");
-      svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom);
+      svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom + extra * cellHeight);
       g = svg.select("g");
-      rect = g.append("g").attr("id", "value_rect");
-      rect.selectAll("empty").data(cells).enter().append("rect").attr("x", function(d) {
-        return xscale(d.col + 1);
-      }).attr("y", function(d) {
-        return yscale(d.row + 1);
-      }).attr("width", cellWidth).attr("height", cellHeight).attr("fill", function(d) {
-        if (d.shaded) {
-          return rectcolor;
+      tip = tip != null ? tip : d3.tip().attr('class', 'd3-tip').direction('e').offset([0, 10]);
+      tip.hide();
+      svg.call(tip);
+      draw = function() {
+        g.selectAll("*").remove();
+        tip.hide();
+        if (view === "mosaic") {
+          draw_mosaic();
         } else {
-          return "none";
+          draw_table();
         }
-      }).attr("stroke", function(d) {
-        if (d.shaded) {
-          return rectcolor;
-        } else {
-          return "none";
+        draw_titles();
+        if (showtest) {
+          draw_test();
         }
-      }).attr("stroke-width", 0).style("pointer-events", "none");
-      values = g.append("g").attr("id", "values");
-      values.selectAll("empty").data(cells).enter().append("text").attr("x", function(d) {
-        return xscale(d.col + 1) + cellWidth - cellPad;
-      }).attr("y", function(d) {
-        return yscale(d.row + 1) + cellHeight / 2;
-      }).text(function(d) {
-        return d.value;
-      }).attr("class", function(d) {
-        return "crosstab row" + d.row + " col" + d.col;
-      }).style("font-size", fontsize).style("pointer-events", "none");
-      colrect = g.append("g").attr("id", "colrect");
-      colrect.selectAll("empty").data(data.xcat.concat("Total")).enter().append("rect").attr("x", function(d, i) {
-        return xscale(i + 1);
-      }).attr("y", yscale(0)).attr("width", cellWidth).attr("height", cellHeight).attr("fill", "white").attr("stroke", "white").on("mouseover", function(d, i) {
-        d3.select(this).attr("fill", hilitcolor).attr("stroke", hilitcolor);
-        return values.selectAll(".col" + i).text(function(d) {
-          return d.colpercent;
-        });
-      }).on("mouseout", function(d, i) {
-        d3.select(this).attr("fill", "white").attr("stroke", "white");
-        return values.selectAll("text.col" + i).text(function(d) {
+        if (viewcontrol) {
+          return draw_viewcontrol();
+        }
+      };
+      draw_table = function() {
+        var borders, collab, colrect, rect, rowlab, rowrect, values;
+        rect = g.append("g").attr("id", "value_rect");
+        rect.selectAll("empty").data(cells).enter().append("rect").attr("x", function(d) {
+          return xscale(d.col + 1);
+        }).attr("y", function(d) {
+          return yscale(d.row + 1);
+        }).attr("width", cellWidth).attr("height", cellHeight).attr("fill", function(d) {
+          if (d.shaded) {
+            return rectcolor;
+          } else {
+            return "none";
+          }
+        }).attr("stroke", function(d) {
+          if (d.shaded) {
+            return rectcolor;
+          } else {
+            return "none";
+          }
+        }).attr("stroke-width", 0).style("pointer-events", "none");
+        values = g.append("g").attr("id", "values");
+        values.selectAll("empty").data(view === "expected" ? expcells : cells).enter().append("text").attr("x", function(d) {
+          return xscale(d.col + 1) + cellWidth - cellPad;
+        }).attr("y", function(d) {
+          return yscale(d.row + 1) + cellHeight / 2;
+        }).text(function(d) {
           return d.value;
+        }).attr("class", function(d) {
+          return "crosstab row" + d.row + " col" + d.col;
+        }).style("font-size", fontsize).style("pointer-events", "none");
+        colrect = g.append("g").attr("id", "colrect");
+        colrect.selectAll("empty").data(data.xcat.concat("Total")).enter().append("rect").attr("x", function(d, i) {
+          return xscale(i + 1);
+        }).attr("y", yscale(0)).attr("width", cellWidth).attr("height", cellHeight).attr("fill", "white").attr("stroke", "white").on("mouseover", function(d, i) {
+          d3.select(this).attr("fill", hilitcolor).attr("stroke", hilitcolor);
+          if (view === "counts") {
+            return values.selectAll(".col" + i).text(function(d) {
+              return d.colpercent;
+            });
+          }
+        }).on("mouseout", function(d, i) {
+          d3.select(this).attr("fill", "white").attr("stroke", "white");
+          return values.selectAll("text.col" + i).text(function(d) {
+            return d.value;
+          });
+        });
+        collab = g.append("g").attr("id", "collab");
+        collab.selectAll("empty").data(data.xcat.concat("Total")).enter().append("text").attr("x", function(d, i) {
+          return xscale(i + 1) + cellWidth - cellPad;
+        }).attr("y", yscale(0) + cellHeight / 2).text(function(d) {
+          return d;
+        }).attr("class", "crosstab").style("font-size", fontsize).style("pointer-events", "none");
+        rowrect = g.append("g").attr("id", "rowrect");
+        rowrect.selectAll("empty").data(data.ycat.concat("Total")).enter().append("rect").attr("x", xscale(0)).attr("y", function(d, i) {
+          return yscale(i + 1);
+        }).attr("width", cellWidth).attr("height", cellHeight).attr("fill", "white").attr("stroke", "white").on("mouseover", function(d, i) {
+          d3.select(this).attr("fill", hilitcolor).attr("stroke", hilitcolor);
+          if (view === "counts") {
+            return values.selectAll(".row" + i).text(function(d) {
+              return d.rowpercent;
+            });
+          }
+        }).on("mouseout", function(d, i) {
+          d3.select(this).attr("fill", "white").attr("stroke", "white");
+          return values.selectAll(".row" + i).text(function(d) {
+            return d.value;
+          });
         });
-      });
-      collab = g.append("g").attr("id", "collab");
-      collab.selectAll("empty").data(data.xcat.concat("Total")).enter().append("text").attr("x", function(d, i) {
-        return xscale(i + 1) + cellWidth - cellPad;
-      }).attr("y", yscale(0) + cellHeight / 2).text(function(d) {
-        return d;
-      }).attr("class", "crosstab").style("font-size", fontsize).style("pointer-events", "none");
-      rowrect = g.append("g").attr("id", "rowrect");
-      rowrect.selectAll("empty").data(data.ycat.concat("Total")).enter().append("rect").attr("x", xscale(0)).attr("y", function(d, i) {
-        return yscale(i + 1);
-      }).attr("width", cellWidth).attr("height", cellHeight).attr("fill", "white").attr("stroke", "white").on("mouseover", function(d, i) {
-        d3.select(this).attr("fill", hilitcolor).attr("stroke", hilitcolor);
-        return values.selectAll(".row" + i).text(function(d) {
-          return d.rowpercent;
+        rowlab = g.append("g").attr("id", "rowlab");
+        rowlab.selectAll("empty").data(data.ycat.concat("Total")).enter().append("text").attr("x", xscale(0) + cellWidth - cellPad).attr("y", function(d, i) {
+          return yscale(i + 1) + cellHeight / 2;
+        }).text(function(d) {
+          return d;
+        }).attr("class", "crosstab").style("font-size", fontsize).style("pointer-events", "none");
+        borders = g.append("g").attr("id", "borders");
+        borders.append("rect").attr("x", xscale(1)).attr("y", yscale(1)).attr("width", cellWidth * ncol).attr("height", cellHeight * nrow).attr("fill", "none").attr("stroke", bordercolor).attr("stroke-width", 2).style("pointer-events", "none");
+        return borders.append("rect").attr("x", xscale(ncol + 1)).attr("y", yscale(nrow + 1)).attr("width", cellWidth).attr("height", cellHeight).attr("fill", "none").attr("stroke", bordercolor).attr("stroke-width", 2).style("pointer-events", "none");
+      };
+      draw_mosaic = function() {
+        var box, cols, coltot, colx, e, gap, h, htot, mosaic, residscale, rows, rowy, tile, tiles, w, wtot, x, y, _len1, _len2, _len3, _n, _o, _p;
+        rows = (function() {
+          var _n, _ref5, _results2;
+          _results2 = [];
+          for (i = _n = 0, _ref5 = nrow - 1; 0 <= _ref5 ? _n < _ref5 : _n > _ref5; i = 0 <= _ref5 ? ++_n : --_n) {
+            if (tab[i][ncol] - tab[i][ncol - 1] > 0) {
+              _results2.push(i);
+            }
+          }
+          return _results2;
+        })();
+        cols = (function() {
+          var _n, _ref5, _results2;
+          _results2 = [];
+          for (j = _n = 0, _ref5 = ncol - 1; 0 <= _ref5 ? _n < _ref5 : _n > _ref5; j = 0 <= _ref5 ? ++_n : --_n) {
+            if (tab[nrow][j] - tab[nrow - 1][j] > 0) {
+              _results2.push(j);
+            }
+          }
+          return _results2;
+        })();
+        gap = 2;
+        box = {
+          x: xscale(1),
+          y: yscale(1),
+          width: (ncol + 1) * cellWidth,
+          height: (nrow + 1) * cellHeight
+        };
+        residscale = d3.scale.linear().domain([-4, 0, 4]).range(mosaiccolors).clamp(true);
+        tiles = [];
+        colx = {};
+        if (!(test.n > 0)) {
+          return;
+        }
+        wtot = box.width - gap * (cols.length - 1);
+        x = box.x;
+        for (_n = 0, _len1 = cols.length; _n < _len1; _n++) {
+          j = cols[_n];
+          w = wtot * (tab[nrow][j] - tab[nrow - 1][j]) / test.n;
+          colx[j] = x + w / 2;
+          coltot = tab[nrow][j] - tab[nrow - 1][j];
+          htot = box.height - gap * (rows.length - 1);
+          y = box.y;
+          for (_o = 0, _len2 = rows.length; _o < _len2; _o++) {
+            i = rows[_o];
+            h = htot * tab[i][j] / coltot;
+            e = test.expected[i][j];
+            tiles.push({
+              row: i,
+              col: j,
+              x: x,
+              y: y,
+              width: w,
+              height: h,
+              value: tab[i][j],
+              expected: e,
+              resid: (tab[i][j] - e) / Math.sqrt(e)
+            });
+            y += h + gap;
+          }
+          x += w + gap;
+        }
+        tip.html(function(d) {
+          return "" + data.xcat[d.col] + " : " + data.ycat[d.row] + ": " + d.value + " (expected " + (fexp(d.expected)) + ")";
         });
-      }).on("mouseout", function(d, i) {
-        d3.select(this).attr("fill", "white").attr("stroke", "white");
-        return values.selectAll(".row" + i).text(function(d) {
+        mosaic = g.append("g").attr("id", "mosaic");
+        mosaic.selectAll("empty").data(tiles).enter().append("rect").attr("x", function(d) {
+          return d.x;
+        }).attr("y", function(d) {
+          return d.y;
+        }).attr("width", function(d) {
+          return d.width;
+        }).attr("height", function(d) {
+          return d.height;
+        }).attr("fill", function(d) {
+          return residscale(d.resid);
+        }).attr("stroke", bordercolor).attr("stroke-width", 1).on("mouseover", function(d) {
+          d3.select(this).attr("stroke-width", 3);
+          return tip.show(d);
+        }).on("mouseout", function(d) {
+          d3.select(this).attr("stroke-width", 1);
+          return tip.hide();
+        });
+        mosaic.selectAll("empty").data((function() {
+          var _len3, _p, _results2;
+          _results2 = [];
+          for (_p = 0, _len3 = tiles.length; _p < _len3; _p++) {
+            tile = tiles[_p];
+            if (tile.height > fontsize && tile.width > fontsize) {
+              _results2.push(tile);
+            }
+          }
+          return _results2;
+        })()).enter().append("text").attr("x", function(d) {
+          return d.x + d.width / 2;
+        }).attr("y", function(d) {
+          return d.y + d.height / 2;
+        }).text(function(d) {
           return d.value;
+        }).style("font-size", fontsize).style("text-anchor", "middle").style("dominant-baseline", "middle").style("pointer-events", "none");
+        g.append("g").attr("id", "collab").selectAll("empty").data(cols).enter().append("text").attr("x", function(j) {
+          return colx[j];
+        }).attr("y", yscale(0) + cellHeight / 2).text(function(j) {
+          return data.xcat[j];
+        }).attr("class", "crosstab").style("font-size", fontsize).style("text-anchor", "middle").style("pointer-events", "none");
+        rowy = {};
+        htot = box.height - gap * (rows.length - 1);
+        y = box.y;
+        for (_p = 0, _len3 = rows.length; _p < _len3; _p++) {
+          i = rows[_p];
+          h = htot * (tab[i][ncol] - tab[i][ncol - 1]) / test.n;
+          rowy[i] = y + h / 2;
+          y += h + gap;
+        }
+        return g.append("g").attr("id", "rowlab").selectAll("empty").data(rows).enter().append("text").attr("x", xscale(0) + cellWidth - cellPad).attr("y", function(i) {
+          return rowy[i];
+        }).text(function(i) {
+          return data.ycat[i];
+        }).attr("class", "crosstab").style("font-size", fontsize).style("pointer-events", "none");
+      };
+      draw_titles = function() {
+        var titles;
+        titles = g.append("g").attr("id", "titles");
+        titles.append("text").attr("class", "crosstabtitle").attr("x", margin.left + (ncol + 1) * cellWidth / 2).attr("y", margin.top - cellHeight / 2).text(data.xlabel).style("font-size", fontsize).style("font-weight", "bold");
+        titles.append("text").attr("class", "crosstab").attr("x", xscale(0) + cellWidth - cellPad).attr("y", yscale(0) + cellHeight / 2).text(data.ylabel).style("font-size", fontsize).style("font-weight", "bold");
+        return titles.append("text").attr("class", "crosstabtitle").attr("x", margin.left + (width - margin.left - margin.right) / 2).attr("y", margin.top - titlepos).text(title).style("font-size", fontsize);
+      };
+      draw_test = function() {
+        var fp, text;
+        fp = function(p) {
+          if (p >= 0.001) {
+            return d3.format(".3f")(p);
+          } else {
+            return p.toExponential(1);
+          }
+        };
+        if (test.test === "fisher") {
+          text = "Fisher's exact test: P = " + (fp(test.pvalue));
+        } else if (test.stat != null) {
+          text = "\u03C7\u00B2 = " + (d3.format(".2f")(test.stat)) + ", df = " + test.df + ", P = " + (fp(test.pvalue));
+        } else {
+          text = "No test (fewer than two genotypes observed)";
+        }
+        return g.append("text").attr("id", "crosstabtest").attr("x", xscale(0)).attr("y", height - margin.bottom + cellHeight / 2).text(text).style("font-size", fontsize * 0.8).style("dominant-baseline", "middle");
+      };
+      draw_viewcontrol = function() {
+        var v, viewlinks, views, x, xpos, _len1, _n;
+        views = [
+          {
+            view: "counts",
+            label: "counts"
+          }, {
+            view: "expected",
+            label: "expected counts"
+          }, {
+            view: "mosaic",
+            label: "mosaic plot"
+          }
+        ];
+        xpos = [];
+        x = xscale(0);
+        for (_n = 0, _len1 = views.length; _n < _len1; _n++) {
+          v = views[_n];
+          xpos.push(x);
+          x += (v.label.length * 0.5 + 1) * fontsize * 0.8;
+        }
+        viewlinks = g.append("g").attr("id", "viewcontrol");
+        return viewlinks.selectAll("empty").data(views).enter().append("text").attr("class", "crosstabview").attr("x", function(d, i) {
+          return xpos[i];
+        }).attr("y", height - margin.bottom + cellHeight * (extra - 0.5)).text(function(d) {
+          return d.label;
+        }).style("font-size", fontsize * 0.8).style("dominant-baseline", "middle").style("font-weight", function(d) {
+          if (d.view === view) {
+            return "bold";
+          } else {
+            return "normal";
+          }
+        }).on("click", function(d) {
+          view = d.view;
+          return draw();
         });
-      });
-      rowlab = g.append("g").attr("id", "rowlab");
-      rowlab.selectAll("empty").data(data.ycat.concat("Total")).enter().append("text").attr("x", xscale(0) + cellWidth - cellPad).attr("y", function(d, i) {
-        return yscale(i + 1) + cellHeight / 2;
-      }).text(function(d) {
-        return d;
-      }).attr("class", "crosstab").style("font-size", fontsize).style("pointer-events", "none");
-      borders = g.append("g").attr("id", "borders");
-      borders.append("rect").attr("x", xscale(1)).attr("y", yscale(1)).attr("width", cellWidth * ncol).attr("height", cellHeight * nrow).attr("fill", "none").attr("stroke", bordercolor).attr("stroke-width", 2).style("pointer-events", "none");
-      borders.append("rect").attr("x", xscale(ncol + 1)).attr("y", yscale(nrow + 1)).attr("width", cellWidth).attr("height", cellHeight).attr("fill", "none").attr("stroke", bordercolor).attr("stroke-width", 2).style("pointer-events", "none");
-      titles = g.append("g").attr("id", "titles");
-      titles.append("text").attr("class", "crosstabtitle").attr("x", margin.left + (ncol + 1) * cellWidth / 2).attr("y", margin.top - cellHeight / 2).text(data.xlabel).style("font-size", fontsize).style("font-weight", "bold");
-      titles.append("text").attr("class", "crosstab").attr("x", xscale(0) + cellWidth - cellPad).attr("y", yscale(0) + cellHeight / 2).text(data.ylabel).style("font-size", fontsize).style("font-weight", "bold");
-      return titles.append("text").attr("class", "crosstabtitle").attr("x", margin.left + (width - margin.left - margin.right) / 2).attr("y", margin.top - titlepos).text(title).style("font-size", fontsize);
+      };
+      return draw();
     });
   };
   chart.cellHeight = function(value) {
@@ -237,5 +471,33 @@ crosstab = function() {
     fontsize = value;
     return chart;
   };
+  chart.view = function(value) {
+    if (!arguments.length) {
+      return view;
+    }
+    view = value;
+    return chart;
+  };
+  chart.showtest = function(value) {
+    if (!arguments.length) {
+      return showtest;
+    }
+    showtest = value;
+    return chart;
+  };
+  chart.viewcontrol = function(value) {
+    if (!arguments.length) {
+      return viewcontrol;
+    }
+    viewcontrol = value;
+    return chart;
+  };
+  chart.mosaiccolors = function(value) {
+    if (!arguments.length) {
+      return mosaiccolors;
+    }
+    mosaiccolors = value;
+    return chart;
+  };
   return chart;
 };
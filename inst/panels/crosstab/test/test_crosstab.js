@@ -43,3 +43,18 @@ d3.json("data.json", function(data) {
   };
   return d3.select("div#chart3").datum(data2pass).call(mychart);
 });
+
+d3.json("data.json", function(data) {
+  var data2pass, markers, mychart;
+  markers = ["D1M430", "D1M318"];
+  mychart = crosstab().view("mosaic");
+  data2pass = {
+    x: data.geno[markers[0]],
+    y: data.geno[markers[1]],
+    xcat: data.genocat[data.chrtype[markers[0]]],
+    ycat: data.genocat[data.chrtype[markers[1]]],
+    xlabel: markers[0],
+    ylabel: markers[1]
+  };
+  return d3.select("div#chart4").datum(data2pass).call(mychart);
+});
@@ -2,7 +2,7 @@
 var curvechart;
 
 curvechart = function() {
-  var axispos, chart, commonX, curvesSelect, height, margin, nxticks, nyticks, rectcolor, rotate_ylab, strokecolor, strokecolorhilit, strokewidth, strokewidthhilit, title, titlepos, width, xlab, xlim, xscale, xticks, ylab, ylim, yscale, yticks;
+  var axispos, chart, commonX, curvesSelect, height, hub, hublabel, margin, nxticks, nyticks, rectcolor, rotate_ylab, strokecolor, strokecolorhilit, strokewidth, strokewidthhilit, title, titlepos, width, xlab, xlim, xscale, xticks, ylab, ylim, yscale, yticks;
   width = 800;
   height = 500;
   margin = {
@@ -38,9 +38,11 @@ curvechart = function() {
   xscale = d3.scale.linear();
   curvesSelect = null;
   commonX = true;
+  hub = null;
+  hublabel = hubLabel("curvechart");
   chart = function(selection) {
     return selection.each(function(data) {
-      var curve, curves, g, gEnter, group, i, indID, ind_data, indtip, j, lastpoint, ngroup, points, pointsg, svg, titlegrp, tmp, v, xaxis, xrange, xs, yaxis, yrange, ys, _i, _j, _len, _ref, _ref1, _ref2, _ref3, _results;
+      var curve, curves, g, gEnter, group, hilitCurves, hovered, i, indID, ind_data, indtip, isSelected, j, lastpoint, ngroup, points, pointsg, svg, titlegrp, tmp, v, xaxis, xrange, xs, yaxis, yrange, ys, _i, _j, _len, _ref, _ref1, _ref2, _ref3, _results;
       indID = (_ref = data != null ? data.indID : void 0) != null ? _ref : null;
       indID = indID != null ? indID : (function() {
         _results = [];
@@ -218,6 +220,47 @@ curvechart = function() {
       }).attr("cy", function(d) {
         return yscale(d.y);
       }).attr("r", 1).attr("opacity", 0);
+      if (hub != null) {
+        curvesSelect.on("mouseover.hub", function(d, i) {
+          return hub.publish("individual:hover", indID[i], chart);
+        }).on("mouseout.hub", function() {
+          return hub.publish("individual:hover", null, chart);
+        });
+        hovered = null;
+        isSelected = {};
+        hilitCurves = function() {
+          var hilit;
+          hilit = function(i) {
+            return (isSelected[indID[i]] != null) || ((hovered != null) && ("" + indID[i]) === ("" + hovered));
+          };
+          curvesSelect.attr("stroke", function(d, i) {
+            if (hilit(i)) {
+              return strokecolorhilit[group[i]];
+            } else {
+              return strokecolor[group[i]];
+            }
+          });
+          return curvesSelect.filter(function(d, i) {
+            return hilit(i);
+          }).moveToFront();
+        };
+        hub.on("individual:hover." + hublabel, function(id, source) {
+          if (source === chart) {
+            return;
+          }
+          hovered = id;
+          return hilitCurves();
+        });
+        hub.on("individual:select." + hublabel, function(ids, source) {
+          var id, _k, _len1;
+          isSelected = {};
+          for (_k = 0, _len1 = ids.length; _k < _len1; _k++) {
+            id = ids[_k];
+            isSelected[id] = true;
+          }
+          return hilitCurves();
+        });
+      }
       return g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
     });
   };
@@ -368,6 +411,13 @@ curvechart = function() {
     rotate_ylab = value;
     return chart;
   };
+  chart.hub = function(value) {
+    if (!arguments.length) {
+      return hub;
+    }
+    hub = value;
+    return chart;
+  };
   chart.yscale = function() {
     return yscale;
   };
@@ -3,7 +3,7 @@ var dotchart,
   __indexOf = [].indexOf || function(item) { for (var i = 0, l = this.length; i < l; i++) { if (i in this && this[i] === item) return i; } return -1; };
 
 dotchart = function() {
-  var axispos, chart, dataByInd, height, margin, nyticks, pointcolor, pointsSelect, pointsize, pointstroke, rectcolor, rotate_ylab, title, titlepos, width, xcategories, xcatlabels, xjitter, xlab, xscale, xvar, yNA, ylab, ylim, yscale, yticks, yvar;
+  var axispos, chart, dataByInd, height, hub, hublabel, jitter, margin, nyticks, pointcolor, pointsSelect, pointsize, pointstroke, rectcolor, rotate_ylab, summary, summarycolor, summarystroke, title, titlepos, width, xcategories, xcatlabels, xjitter, xlab, xscale, xvar, yNA, ylab, ylim, yscale, yticks, yvar;
   width = 400;
   height = 500;
   margin = {
@@ -23,6 +23,7 @@ dotchart = function() {
   xcategories = null;
   xcatlabels = null;
   xjitter = null;
+  jitter = "random";
   yNA = {
     handle: true,
     force: false,
@@ -36,6 +37,9 @@ dotchart = function() {
   pointcolor = "slateblue";
   pointstroke = "black";
   pointsize = 3;
+  summary = null;
+  summarycolor = "#bbb";
+  summarystroke = "black";
   title = "";
   xlab = "Group";
   ylab = "Response";
@@ -46,9 +50,11 @@ dotchart = function() {
   yvar = 1;
   pointsSelect = null;
   dataByInd = true;
+  hub = null;
+  hublabel = hubLabel("dotchart");
   chart = function(selection) {
     return selection.each(function(data) {
-      var g, gEnter, indID, indtip, na_value, panelheight, points, svg, titlegrp, v, w, x, xaxis, xrange, xv, y, yaxis, yrange, ys, _i, _ref, _ref1, _results;
+      var cat, cats, curxjitter, dens, g, gEnter, grid, grp, hi, i, indID, indtip, j, layout, lo, maxdens, medwidth, na_value, npts, panelheight, points, stats, summaries, sumtip, sumwidth, svg, titlegrp, v, w, x, xaxis, xrange, xv, y, yaxis, ybycat, ypix, yrange, ys, _i, _j, _len, _ref, _ref1, _ref2, _results;
       if (dataByInd) {
         x = data.map(function(d) {
           return d[xvar];
@@ -110,51 +116,93 @@ dotchart = function() {
       }
       xrange = [margin.left + margin.inner, margin.left + width - margin.inner];
       xscale.domain(xcategories).rangePoints(xrange, 1);
-      if (xjitter === null) {
-        w = (xrange[1] - xrange[0]) / xcategories.length;
-        xjitter = (function() {
-          var _j, _len, _ref2, _results1;
-          _ref2 = d3.range(x.length);
+      yrange = [margin.top + panelheight - margin.inner, margin.top + margin.inner];
+      yscale.domain(ylim).range(yrange);
+      ys = d3.scale.linear().domain(ylim).range(yrange);
+      ybycat = (function() {
+        var _j, _len, _results1;
+        _results1 = [];
+        for (_j = 0, _len = xcategories.length; _j < _len; _j++) {
+          cat = xcategories[_j];
+          _results1.push((function() {
+            var _k, _ref2, _results2;
+            _results2 = [];
+            for (i = _k = 0, _ref2 = y.length; 0 <= _ref2 ? _k < _ref2 : _k > _ref2; i = 0 <= _ref2 ? ++_k : --_k) {
+              if (x[i] === cat && (y[i] != null)) {
+                _results2.push(y[i]);
+              }
+            }
+            return _results2;
+          })());
+        }
+        return _results1;
+      })();
+      if (yNA.handle) {
+        yscale.domain([na_value].concat(ylim)).range([height + margin.top - yNA.width / 2].concat(yrange));
+        y = y.map(function(e) {
+          if (e != null) {
+            return e;
+          } else {
+            return na_value;
+          }
+        });
+      }
+      w = (xrange[1] - xrange[0]) / xcategories.length;
+      if (xjitter === null && (jitter === "beeswarm" || jitter === "force")) {
+        grp = (function() {
+          var _j, _len, _results1;
           _results1 = [];
-          for (_j = 0, _len = _ref2.length; _j < _len; _j++) {
-            v = _ref2[_j];
-            _results1.push((Math.random() - 0.5) * w * 0.2);
+          for (i = _j = 0, _len = y.length; _j < _len; i = ++_j) {
+            v = y[i];
+            _results1.push(v != null ? x[i] : "NA" + i);
           }
           return _results1;
         })();
+        ypix = (function() {
+          var _j, _len, _results1;
+          _results1 = [];
+          for (_j = 0, _len = y.length; _j < _len; _j++) {
+            v = y[_j];
+            _results1.push(v != null ? yscale(v) : 0);
+          }
+          return _results1;
+        })();
+        layout = jitter === "force" ? forceOffsets : beeswarmOffsets;
+        curxjitter = layout(grp, ypix, 2 * pointsize + 1, w * 0.45);
       } else {
-        if (typeof xjitter === 'number') {
-          xjitter = [xjitter];
-        }
-        if (xjitter.length === 1) {
+        if (xjitter === null) {
           xjitter = (function() {
             var _j, _len, _ref2, _results1;
             _ref2 = d3.range(x.length);
             _results1 = [];
             for (_j = 0, _len = _ref2.length; _j < _len; _j++) {
               v = _ref2[_j];
-              _results1.push(xjitter[0]);
+              _results1.push((Math.random() - 0.5) * w * 0.2);
             }
             return _results1;
           })();
+        } else {
+          if (typeof xjitter === 'number') {
+            xjitter = [xjitter];
+          }
+          if (xjitter.length === 1) {
+            xjitter = (function() {
+              var _j, _len, _ref2, _results1;
+              _ref2 = d3.range(x.length);
+              _results1 = [];
+              for (_j = 0, _len = _ref2.length; _j < _len; _j++) {
+                v = _ref2[_j];
+                _results1.push(xjitter[0]);
+              }
+              return _results1;
+            })();
+          }
         }
+        curxjitter = xjitter;
       }
-      if (xjitter.length !== x.length) {
+      if (curxjitter.length !== x.length) {
         displayError("xjitter.length != x.length");
       }
-      yrange = [margin.top + panelheight - margin.inner, margin.top + margin.inner];
-      yscale.domain(ylim).range(yrange);
-      ys = d3.scale.linear().domain(ylim).range(yrange);
-      if (yNA.handle) {
-        yscale.domain([na_value].concat(ylim)).range([height + margin.top - yNA.width / 2].concat(yrange));
-        y = y.map(function(e) {
-          if (e != null) {
-            return e;
-          } else {
-            return na_value;
-          }
-        });
-      }
       yticks = yticks != null ? yticks : ys.ticks(nyticks);
       titlegrp = g.append("g").attr("class", "title").append("text").attr("x", margin.left + width / 2).attr("y", margin.top - titlepos).text(title);
       xaxis = g.append("g").attr("class", "x axis");
@@ -185,24 +233,150 @@ dotchart = function() {
       if (yNA.handle) {
         yaxis.append("text").attr("x", margin.left - axispos.ylabel).attr("y", margin.top + height - yNA.width / 2).text("N/A");
       }
+      if (summary === "box" || summary === "violin") {
+        stats = (function() {
+          var _j, _len, _results1;
+          _results1 = [];
+          for (_j = 0, _len = ybycat.length; _j < _len; _j++) {
+            v = ybycat[_j];
+            _results1.push(boxStats(v));
+          }
+          return _results1;
+        })();
+        cats = (function() {
+          var _j, _ref2, _results1;
+          _results1 = [];
+          for (i = _j = 0, _ref2 = xcategories.length; 0 <= _ref2 ? _j < _ref2 : _j > _ref2; i = 0 <= _ref2 ? ++_j : --_j) {
+            if (stats[i] != null) {
+              _results1.push(i);
+            }
+          }
+          return _results1;
+        })();
+        sumwidth = w * 0.6;
+        sumtip = d3.tip().attr('class', 'd3-tip').html(function(i) {
+          var f;
+          f = formatAxis([stats[i].q1, stats[i].q3], 1);
+          return ["<strong>" + xcatlabels[i] + "</strong> (n = " + stats[i].n + ")", "median " + (f(stats[i].median)), "quartiles " + (f(stats[i].q1)) + " - " + (f(stats[i].q3))].join("<br>");
+        }).direction('e').offset([0, 10]);
+        svg.call(sumtip);
+        summaries = g.append("g").attr("class", "summary").selectAll("empty").data(cats).enter().append("g").on("mouseover.paneltip", sumtip.show).on("mouseout.paneltip", sumtip.hide);
+        if (summary === "box") {
+          summaries.append("line").attr("class", "whisker").attr("x1", function(i) {
+            return xscale(xcategories[i]);
+          }).attr("x2", function(i) {
+            return xscale(xcategories[i]);
+          }).attr("y1", function(i) {
+            return yscale(stats[i].low);
+          }).attr("y2", function(i) {
+            return yscale(stats[i].high);
+          }).attr("stroke", summarystroke);
+          summaries.append("rect").attr("class", "box").attr("x", function(i) {
+            return xscale(xcategories[i]) - sumwidth / 2;
+          }).attr("y", function(i) {
+            return yscale(stats[i].q3);
+          }).attr("width", sumwidth).attr("height", function(i) {
+            return yscale(stats[i].q1) - yscale(stats[i].q3);
+          }).attr("fill", summarycolor).attr("stroke", summarystroke);
+        } else {
+          npts = 50;
+          grid = [];
+          dens = [];
+          for (_j = 0, _len = cats.length; _j < _len; _j++) {
+            i = cats[_j];
+            _ref2 = d3.extent(ybycat[i]), lo = _ref2[0], hi = _ref2[1];
+            grid[i] = (function() {
+              var _k, _results1;
+              _results1 = [];
+              for (j = _k = 0; 0 <= npts ? _k < npts : _k > npts; j = 0 <= npts ? ++_k : --_k) {
+                _results1.push(lo + (hi - lo) * j / (npts - 1));
+              }
+              return _results1;
+            })();
+            dens[i] = kernelDensity(ybycat[i], grid[i]);
+          }
+          maxdens = d3.max(cats, function(i) {
+            return d3.max(dens[i]);
+          });
+          summaries.append("path").attr("class", "violin").attr("d", function(i) {
+            var halfw, xmid;
+            xmid = xscale(xcategories[i]);
+            halfw = function(j) {
+              return dens[i][j] / maxdens * sumwidth / 2;
+            };
+            return d3.svg.area().y(function(v) {
+              return yscale(v);
+            }).x0(function(v, j) {
+              return xmid - halfw(j);
+            }).x1(function(v, j) {
+              return xmid + halfw(j);
+            })(grid[i]);
+          }).attr("fill", summarycolor).attr("stroke", summarystroke);
+        }
+        medwidth = summary === "box" ? sumwidth : sumwidth / 3;
+        summaries.append("line").attr("class", "median").attr("x1", function(i) {
+          return xscale(xcategories[i]) - medwidth / 2;
+        }).attr("x2", function(i) {
+          return xscale(xcategories[i]) + medwidth / 2;
+        }).attr("y1", function(i) {
+          return yscale(stats[i].median);
+        }).attr("y2", function(i) {
+          return yscale(stats[i].median);
+        }).attr("stroke", summarystroke).attr("stroke-width", 2);
+      }
       indtip = d3.tip().attr('class', 'd3-tip').html(function(d, i) {
         return indID[i];
       }).direction('e').offset([0, 10]);
       svg.call(indtip);
       points = g.append("g").attr("id", "points");
       pointsSelect = points.selectAll("empty").data(x).enter().append("circle").attr("cx", function(d, i) {
-        return xscale(x[i]) + xjitter[i];
+        return xscale(x[i]) + curxjitter[i];
       }).attr("cy", function(d, i) {
         return yscale(y[i]);
       }).attr("class", function(d, i) {
         return "pt" + i;
       }).attr("r", pointsize).attr("fill", pointcolor).attr("stroke", pointstroke).attr("stroke-width", "1").attr("opacity", function(d, i) {
-        var _ref2;
-        if (((y[i] != null) || yNA.handle) && (x[i] != null) && (_ref2 = x[i], __indexOf.call(xcategories, _ref2) >= 0)) {
+        var _ref3;
+        if (((y[i] != null) || yNA.handle) && (x[i] != null) && (_ref3 = x[i], __indexOf.call(xcategories, _ref3) >= 0)) {
           return 1;
         }
         return 0;
       }).on("mouseover.paneltip", indtip.show).on("mouseout.paneltip", indtip.hide);
+      if (hub != null) {
+        pointsSelect.on("mouseover.hub", function(d, i) {
+          return hub.publish("individual:hover", indID[i], chart);
+        }).on("mouseout.hub", function() {
+          return hub.publish("individual:hover", null, chart);
+        });
+        hub.on("individual:hover." + hublabel, function(id, source) {
+          if (source === chart) {
+            return;
+          }
+          return pointsSelect.classed("hilit", function(d, i) {
+            return (id != null) && ("" + indID[i]) === ("" + id);
+          });
+        });
+        hub.on("individual:select." + hublabel, function(ids, source) {
+          var id, isSelected, _k, _len1;
+          if (source === chart) {
+            return;
+          }
+          isSelected = {};
+          for (_k = 0, _len1 = ids.length; _k < _len1; _k++) {
+            id = ids[_k];
+            isSelected[id] = true;
+          }
+          return pointsSelect.classed("selected", function(d, i) {
+            return isSelected[indID[i]] != null;
+          });
+        });
+      }
+      pointKeyboardNav(g, pointsSelect, "Dot chart; arrow keys move among points, Enter selects", (function(i) {
+        var xval, yval;
+        xval = xcatlabels[xcategories.indexOf(x[i])];
+        yval = y[i] != null ? formatAxis(y)(y[i]) : "missing";
+        return "" + indID[i] + ": " + xlab + " " + xval + ", " + ylab + " " + yval;
+      }));
       g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", panelheight).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
       if (yNA.handle) {
         return g.append("rect").attr("x", margin.left).attr("y", margin.top + height - yNA.width).attr("height", yNA.width).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
@@ -265,6 +439,13 @@ dotchart = function() {
     xjitter = value;
     return chart;
   };
+  chart.jitter = function(value) {
+    if (!arguments.length) {
+      return jitter;
+    }
+    jitter = value;
+    return chart;
+  };
   chart.ylim = function(value) {
     if (!arguments.length) {
       return ylim;
@@ -314,6 +495,27 @@ dotchart = function() {
     pointstroke = value;
     return chart;
   };
+  chart.summary = function(value) {
+    if (!arguments.length) {
+      return summary;
+    }
+    summary = value;
+    return chart;
+  };
+  chart.summarycolor = function(value) {
+    if (!arguments.length) {
+      return summarycolor;
+    }
+    summarycolor = value;
+    return chart;
+  };
+  chart.summarystroke = function(value) {
+    if (!arguments.length) {
+      return summarystroke;
+    }
+    summarystroke = value;
+    return chart;
+  };
   chart.dataByInd = function(value) {
     if (!arguments.length) {
       return dataByInd;
@@ -370,6 +572,13 @@ dotchart = function() {
     yNA = value;
     return chart;
   };
+  chart.hub = function(value) {
+    if (!arguments.length) {
+      return hub;
+    }
+    hub = value;
+    return chart;
+  };
   chart.yscale = function() {
     return yscale;
   };
@@ -84,3 +84,29 @@ d3.json("data.json", function(data) {
     return d3.select(this).attr("fill", mychart.pointcolor()).attr("r", mychart.pointsize());
   });
 });
+
+d3.json("data.json", function(data) {
+  var i, jitter, mychart, svg, _i, _len, _ref, _results;
+  svg = d3.select("div#chart4").append("svg").attr("height", halfh).attr("width", totalw);
+  _ref = ["beeswarm", "force"];
+  _results = [];
+  for (i = _i = 0, _len = _ref.length; _i < _len; i = ++_i) {
+    jitter = _ref[i];
+    mychart = dotchart().xvar(0).yvar(1).xlab("X").ylab("Y").title(jitter === "force" ? "Force-directed" : "Beeswarm").height(h).width(w).margin(margin).jitter(jitter);
+    _results.push(svg.append("g").attr("transform", "translate(" + (halfw * i) + ",0)").datum(data).call(mychart));
+  }
+  return _results;
+});
+
+d3.json("data.json", function(data) {
+  var i, mychart, summary, svg, _i, _len, _ref, _results;
+  svg = d3.select("div#chart5").append("svg").attr("height", halfh).attr("width", totalw);
+  _ref = ["box", "violin"];
+  _results = [];
+  for (i = _i = 0, _len = _ref.length; _i < _len; i = ++_i) {
+    summary = _ref[i];
+    mychart = dotchart().xvar(0).yvar(1).xlab("X").ylab("Y").title(summary === "box" ? "Boxplots" : "Violins").height(h).width(w).margin(margin).jitter("beeswarm").summary(summary);
+    _results.push(svg.append("g").attr("transform", "translate(" + (halfw * i) + ",0)").datum(data).call(mychart));
+  }
+  return _results;
+});
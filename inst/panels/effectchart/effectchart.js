@@ -0,0 +1,501 @@
+// Generated by CoffeeScript 1.8.0
+var effectchart,
+  __indexOf = [].indexOf || function(item) { for (var i = 0, l = this.length; i < l; i++) { if (i in this && this[i] === item) return i; } return -1; };
+
+effectchart = function() {
+  var axispos, chart, chrGap, darkrect, effectnames, effecttip, height, hub, hublabel, lightrect, linecolor, linewidth, margin, nyticks, pad4heatmap, ribbonopacity, rotate_ylab, title, titlepos, width, xlab, xscale, ylab, ylim, yscale, yticks, zerocolor, zoomchr;
+  width = 800;
+  height = 300;
+  margin = {
+    left: 60,
+    top: 40,
+    right: 40,
+    bottom: 40,
+    inner: 5
+  };
+  axispos = {
+    xtitle: 25,
+    ytitle: 30,
+    xlabel: 5,
+    ylabel: 5
+  };
+  titlepos = 20;
+  ylim = null;
+  nyticks = 5;
+  yticks = null;
+  chrGap = 8;
+  darkrect = "#c8c8c8";
+  lightrect = "#e6e6e6";
+  linecolor = null;
+  linewidth = 2;
+  ribbonopacity = 0.3;
+  zerocolor = "black";
+  title = "";
+  xlab = "Chromosome";
+  ylab = "QTL effect";
+  rotate_ylab = null;
+  effectnames = null;
+  pad4heatmap = false;
+  zoomchr = null;
+  yscale = d3.scale.linear();
+  xscale = null;
+  effecttip = null;
+  hub = null;
+  hublabel = hubLabel("effectchart");
+  chart = function(selection) {
+    return selection.each(function(data) {
+      var chr, container, curlinecolor, curnames, curylim, curyticks, eff, effects, g, gEnter, hover, i, legend, neff, se, showPosition, shownchr, svg, xaxis, xticks, yaxis, yvals, _i, _j, _k, _l, _len, _len1, _len2, _len3, _len4, _len5, _m, _n, _ref, _ref1, _ref2, _ref3, _ref4, _ref5, _ref6;
+      container = d3.select(this);
+      if (__indexOf.call(data.chrnames, zoomchr) < 0) {
+        zoomchr = null;
+      }
+      curnames = forceAsArray(effectnames != null ? effectnames : data.effectnames);
+      neff = curnames.length;
+      curlinecolor = linecolor != null ? expand2vector(linecolor, neff) : selectGroupColors(neff, "dark");
+      curlinecolor = forceAsArray(curlinecolor);
+      se = function(eff, i) {
+        var _ref;
+        return (_ref = data["se." + eff]) != null ? _ref[i] : void 0;
+      };
+      if (data.chr.length !== data.pos.length) {
+        displayError("chr.length (" + data.chr.length + ") != pos.length (" + data.pos.length + ")");
+      }
+      for (_i = 0, _len = curnames.length; _i < _len; _i++) {
+        eff = curnames[_i];
+        if (((_ref = data[eff]) != null ? _ref.length : void 0) !== data.chr.length) {
+          displayError("" + eff + ".length (" + ((_ref1 = data[eff]) != null ? _ref1.length : void 0) + ") != chr.length (" + data.chr.length + ")");
+        }
+      }
+      data.posByChr = {};
+      data.indexByChr = {};
+      _ref2 = data.chrnames;
+      for (_j = 0, _len1 = _ref2.length; _j < _len1; _j++) {
+        chr = _ref2[_j];
+        data.posByChr[chr] = [];
+        data.indexByChr[chr] = [];
+      }
+      _ref3 = data.chr;
+      for (i = _k = 0, _len2 = _ref3.length; _k < _len2; i = ++_k) {
+        chr = _ref3[i];
+        data.posByChr[chr].push(data.pos[i]);
+        data.indexByChr[chr].push(i);
+      }
+      data = chrscales(data, width, chrGap, margin.left, pad4heatmap);
+      xscale = data.xscale;
+      shownchr = data.chrnames;
+      if (zoomchr != null) {
+        shownchr = [zoomchr];
+        xscale[zoomchr] = d3.scale.linear().domain(d3.extent(data.posByChr[zoomchr])).range([margin.left, margin.left + width]);
+      }
+      yvals = [0];
+      for (_l = 0, _len3 = curnames.length; _l < _len3; _l++) {
+        eff = curnames[_l];
+        for (_m = 0, _len4 = shownchr.length; _m < _len4; _m++) {
+          chr = shownchr[_m];
+          _ref4 = data.indexByChr[chr];
+          for (_n = 0, _len5 = _ref4.length; _n < _len5; _n++) {
+            i = _ref4[_n];
+            if (!(data[eff][i] != null)) {
+              continue;
+            }
+            yvals.push(data[eff][i] - ((_ref5 = se(eff, i)) != null ? _ref5 : 0));
+            yvals.push(data[eff][i] + ((_ref6 = se(eff, i)) != null ? _ref6 : 0));
+          }
+        }
+      }
+      curylim = ylim != null ? ylim : d3.extent(yvals);
+      yscale.domain(curylim).range([height + margin.top, margin.top + margin.inner]);
+      curyticks = yticks != null ? yticks : yscale.ticks(nyticks);
+      xticks = zoomchr != null ? xscale[zoomchr].ticks(nyticks) : [];
+      svg = container.selectAll("svg").data([data]);
+      gEnter = svg.enter().append("svg").append("g");
+      svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom);
+      g = svg.select("g");
+      g.selectAll("*").remove();
+      g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", darkrect).attr("stroke", "none");
+      g.append("g").attr("class", "chrRect").selectAll("empty").data(shownchr).enter().append("rect").attr("id", function(d) {
+        return "chrrect" + d;
+      }).attr("fill", function(d) {
+        if (data.chrnames.indexOf(d) % 2) {
+          return darkrect;
+        }
+        return lightrect;
+      }).attr("x", function(d) {
+        if (zoomchr != null) {
+          return margin.left;
+        }
+        i = data.chrnames.indexOf(d);
+        if (i === 0 && pad4heatmap) {
+          return data.chrStart[i];
+        }
+        return data.chrStart[i] - chrGap / 2;
+      }).attr("width", function(d) {
+        if (zoomchr != null) {
+          return width;
+        }
+        i = data.chrnames.indexOf(d);
+        if ((i === 0 || i + 1 === data.chrnames.length) && pad4heatmap) {
+          return data.chrEnd[i] - data.chrStart[i] + chrGap / 2;
+        }
+        return data.chrEnd[i] - data.chrStart[i] + chrGap;
+      }).attr("y", margin.top).attr("height", height).attr("stroke", "none");
+      xaxis = g.append("g").attr("class", "x axis");
+      xaxis.selectAll("empty").data(xticks).enter().append("line").attr("x1", function(d) {
+        return xscale[zoomchr](d);
+      }).attr("x2", function(d) {
+        return xscale[zoomchr](d);
+      }).attr("y1", margin.top).attr("y2", margin.top + height).attr("fill", "none").attr("stroke", "white").attr("stroke-width", 1).style("pointer-events", "none");
+      xaxis.selectAll("empty").data(zoomchr != null ? xticks : data.chrnames).enter().append("text").attr("x", function(d, i) {
+        if (zoomchr != null) {
+          return xscale[zoomchr](d);
+        }
+        return (data.chrStart[i] + data.chrEnd[i]) / 2;
+      }).attr("y", margin.top + height + axispos.xlabel).text(function(d) {
+        if (zoomchr != null) {
+          return formatAxis(xticks)(d);
+        } else {
+          return d;
+        }
+      });
+      xaxis.append("text").attr("class", "title").attr("y", margin.top + height + axispos.xtitle).attr("x", margin.left + width / 2).text(zoomchr != null ? "Chromosome " + zoomchr + " position (cM)" : xlab);
+      rotate_ylab = rotate_ylab != null ? rotate_ylab : ylab.length > 1;
+      yaxis = g.append("g").attr("class", "y axis");
+      yaxis.selectAll("empty").data(curyticks).enter().append("line").attr("y1", function(d) {
+        return yscale(d);
+      }).attr("y2", function(d) {
+        return yscale(d);
+      }).attr("x1", margin.left).attr("x2", margin.left + width).attr("fill", "none").attr("stroke", "white").attr("stroke-width", 1).style("pointer-events", "none");
+      yaxis.selectAll("empty").data(curyticks).enter().append("text").attr("y", function(d) {
+        return yscale(d);
+      }).attr("x", margin.left - axispos.ylabel).text(function(d) {
+        return formatAxis(curyticks)(d);
+      });
+      yaxis.append("text").attr("class", "title").attr("y", margin.top + height / 2).attr("x", margin.left - axispos.ytitle).text(ylab).attr("transform", rotate_ylab ? "rotate(270," + (margin.left - axispos.ytitle) + "," + (margin.top + height / 2) + ")" : "");
+      g.append("line").attr("class", "zero").attr("x1", margin.left).attr("x2", margin.left + width).attr("y1", yscale(0)).attr("y2", yscale(0)).attr("stroke", zerocolor).attr("stroke-width", 1).style("pointer-events", "none");
+      effects = g.append("g").attr("id", "effects").selectAll("empty").data(curnames).enter().append("g").attr("class", "effect").style("pointer-events", "none");
+      effects.selectAll("empty").data(function(eff) {
+        var _len6, _o, _results;
+        _results = [];
+        for (_o = 0, _len6 = shownchr.length; _o < _len6; _o++) {
+          chr = shownchr[_o];
+          if (data["se." + eff] != null) {
+            _results.push({
+              chr: chr,
+              eff: eff
+            });
+          }
+        }
+        return _results;
+      }).enter().append("path").attr("class", "ribbon").attr("fill", function(d) {
+        return curlinecolor[curnames.indexOf(d.eff)];
+      }).attr("opacity", ribbonopacity).attr("stroke", "none").attr("d", function(d) {
+        return d3.svg.area().defined(function(i) {
+          return (data[d.eff][i] != null) && (se(d.eff, i) != null);
+        }).x(function(i) {
+          return xscale[d.chr](data.pos[i]);
+        }).y0(function(i) {
+          return yscale(data[d.eff][i] - se(d.eff, i));
+        }).y1(function(i) {
+          return yscale(data[d.eff][i] + se(d.eff, i));
+        })(data.indexByChr[d.chr]);
+      });
+      effects.selectAll("empty").data(function(eff) {
+        var _len6, _o, _results;
+        _results = [];
+        for (_o = 0, _len6 = shownchr.length; _o < _len6; _o++) {
+          chr = shownchr[_o];
+          _results.push({
+            chr: chr,
+            eff: eff
+          });
+        }
+        return _results;
+      }).enter().append("path").attr("class", "curve").attr("fill", "none").attr("stroke", function(d) {
+        return curlinecolor[curnames.indexOf(d.eff)];
+      }).attr("stroke-width", linewidth).attr("d", function(d) {
+        return d3.svg.line().defined(function(i) {
+          return data[d.eff][i] != null;
+        }).x(function(i) {
+          return xscale[d.chr](data.pos[i]);
+        }).y(function(i) {
+          return yscale(data[d.eff][i]);
+        })(data.indexByChr[d.chr]);
+      });
+      legend = g.append("g").attr("class", "legend").selectAll("empty").data(neff > 1 ? curnames : []).enter().append("g").attr("class", "legenditem");
+      legend.append("line").attr("x1", margin.left + width - 25).attr("x2", margin.left + width - 10).attr("y1", function(d, i) {
+        return margin.top + 15 + i * 18;
+      }).attr("y2", function(d, i) {
+        return margin.top + 15 + i * 18;
+      }).attr("stroke", function(d, i) {
+        return curlinecolor[i];
+      }).attr("stroke-width", linewidth);
+      legend.append("text").attr("x", margin.left + width - 30).attr("y", function(d, i) {
+        return margin.top + 15 + i * 18;
+      }).text(function(d) {
+        return d;
+      }).style("text-anchor", "end").style("dominant-baseline", "middle");
+      g.append("g").attr("class", "title").append("text").attr("x", margin.left + width / 2).attr("y", margin.top - titlepos).text(title);
+      g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
+      if (effecttip != null) {
+        effecttip.hide();
+      }
+      effecttip = d3.tip().attr('class', 'd3-tip').html(function(d) {
+        var p, s, val, vals;
+        p = d3.format(".1f")(data.pos[d.index]);
+        vals = (function() {
+          var _len6, _o, _results;
+          _results = [];
+          for (_o = 0, _len6 = curnames.length; _o < _len6; _o++) {
+            eff = curnames[_o];
+            val = data[eff][d.index];
+            if (val == null) {
+              continue;
+            }
+            s = se(eff, d.index);
+            _results.push(("" + eff + " = " + (d3.format('.2f')(val))) + (s != null ? " &plusmn; " + (d3.format('.2f')(s)) : ""));
+          }
+          return _results;
+        })();
+        return ["" + d.chr + "@" + p].concat(vals).join("<br>");
+      }).direction('e').offset([0, 10]);
+      svg.call(effecttip);
+      hover = g.append("g").attr("class", "positionhover").style("pointer-events", "none");
+      showPosition = function(position) {
+        var index, points, px, target, _ref7;
+        hover.selectAll("*").remove();
+        if (!((position != null) && (_ref7 = position.chr, __indexOf.call(shownchr, _ref7) >= 0))) {
+          effecttip.hide();
+          return;
+        }
+        index = data.indexByChr[position.chr][nearestIndex(data.posByChr[position.chr], position.pos)];
+        px = xscale[position.chr](data.pos[index]);
+        hover.append("line").attr("x1", px).attr("x2", px).attr("y1", margin.top).attr("y2", margin.top + height).attr("stroke", "black").attr("stroke-dasharray", "4,4");
+        points = hover.selectAll("empty").data((function() {
+          var _len6, _o, _results;
+          _results = [];
+          for (_o = 0, _len6 = curnames.length; _o < _len6; _o++) {
+            eff = curnames[_o];
+            if (data[eff][index] != null) {
+              _results.push(eff);
+            }
+          }
+          return _results;
+        })()).enter().append("circle").attr("cx", px).attr("cy", function(eff) {
+          return yscale(data[eff][index]);
+        }).attr("r", 4).attr("fill", function(eff) {
+          return curlinecolor[curnames.indexOf(eff)];
+        }).attr("stroke", "black");
+        target = hover.select("line").node();
+        if (points.size() > 0) {
+          target = points.node();
+        }
+        return effecttip.show({
+          chr: position.chr,
+          index: index
+        }, target);
+      };
+      g.append("rect").attr("class", "positioncatcher").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("pointer-events", "all").on("mousemove.paneltip", function() {
+        var position;
+        position = nearestPosition(data, xscale, shownchr, d3.mouse(this)[0]);
+        showPosition(position);
+        if (hub != null) {
+          return hub.publish("position:hover", position, chart);
+        }
+      }).on("mouseout.paneltip", function() {
+        showPosition(null);
+        if (hub != null) {
+          return hub.publish("position:hover", null, chart);
+        }
+      });
+      if (hub != null) {
+        hub.on("position:hover." + hublabel, function(position, source) {
+          if (source === chart) {
+            return;
+          }
+          return showPosition(position);
+        });
+        return hub.on("chr:select." + hublabel, function(chr, source) {
+          if (source === chart) {
+            return;
+          }
+          if (__indexOf.call(data.chrnames, chr) < 0) {
+            chr = null;
+          }
+          if (chr === zoomchr) {
+            return;
+          }
+          zoomchr = chr;
+          return container.call(chart);
+        });
+      }
+    });
+  };
+  chart.width = function(value) {
+    if (!arguments.length) {
+      return width;
+    }
+    width = value;
+    return chart;
+  };
+  chart.height = function(value) {
+    if (!arguments.length) {
+      return height;
+    }
+    height = value;
+    return chart;
+  };
+  chart.margin = function(value) {
+    if (!arguments.length) {
+      return margin;
+    }
+    margin = value;
+    return chart;
+  };
+  chart.axispos = function(value) {
+    if (!arguments.length) {
+      return axispos;
+    }
+    axispos = value;
+    return chart;
+  };
+  chart.titlepos = function(value) {
+    if (!arguments.length) {
+      return titlepos;
+    }
+    titlepos = value;
+    return chart;
+  };
+  chart.ylim = function(value) {
+    if (!arguments.length) {
+      return ylim;
+    }
+    ylim = value;
+    return chart;
+  };
+  chart.nyticks = function(value) {
+    if (!arguments.length) {
+      return nyticks;
+    }
+    nyticks = value;
+    return chart;
+  };
+  chart.yticks = function(value) {
+    if (!arguments.length) {
+      return yticks;
+    }
+    yticks = value;
+    return chart;
+  };
+  chart.chrGap = function(value) {
+    if (!arguments.length) {
+      return chrGap;
+    }
+    chrGap = value;
+    return chart;
+  };
+  chart.darkrect = function(value) {
+    if (!arguments.length) {
+      return darkrect;
+    }
+    darkrect = value;
+    return chart;
+  };
+  chart.lightrect = function(value) {
+    if (!arguments.length) {
+      return lightrect;
+    }
+    lightrect = value;
+    return chart;
+  };
+  chart.linecolor = function(value) {
+    if (!arguments.length) {
+      return linecolor;
+    }
+    linecolor = value;
+    return chart;
+  };
+  chart.linewidth = function(value) {
+    if (!arguments.length) {
+      return linewidth;
+    }
+    linewidth = value;
+    return chart;
+  };
+  chart.ribbonopacity = function(value) {
+    if (!arguments.length) {
+      return ribbonopacity;
+    }
+    ribbonopacity = value;
+    return chart;
+  };
+  chart.zerocolor = function(value) {
+    if (!arguments.length) {
+      return zerocolor;
+    }
+    zerocolor = value;
+    return chart;
+  };
+  chart.title = function(value) {
+    if (!arguments.length) {
+      return title;
+    }
+    title = value;
+    return chart;
+  };
+  chart.xlab = function(value) {
+    if (!arguments.length) {
+      return xlab;
+    }
+    xlab = value;
+    return chart;
+  };
+  chart.ylab = function(value) {
+    if (!arguments.length) {
+      return ylab;
+    }
+    ylab = value;
+    return chart;
+  };
+  chart.rotate_ylab = function(value) {
+    if (!arguments.length) {
+      return rotate_ylab;
+    }
+    rotate_ylab = value;
+    return chart;
+  };
+  chart.effectnames = function(value) {
+    if (!arguments.length) {
+      return effectnames;
+    }
+    effectnames = value;
+    return chart;
+  };
+  chart.pad4heatmap = function(value) {
+    if (!arguments.length) {
+      return pad4heatmap;
+    }
+    pad4heatmap = value;
+    return chart;
+  };
+  chart.zoomchr = function(value) {
+    if (!arguments.length) {
+      return zoomchr;
+    }
+    zoomchr = value;
+    return chart;
+  };
+  chart.hub = function(value) {
+    if (!arguments.length) {
+      return hub;
+    }
+    hub = value;
+    return chart;
+  };
+  chart.yscale = function() {
+    return yscale;
+  };
+  chart.xscale = function() {
+    return xscale;
+  };
+  return chart;
+};
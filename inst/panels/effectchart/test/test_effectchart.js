@@ -0,0 +1,16 @@
+// Generated by CoffeeScript 1.8.0
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = effectchart().title("Additive and dominance effects");
+  return d3.select("div#chart1").datum(data.effects).call(mychart);
+});
+
+d3.json("data.json", function(data) {
+  var hub, myeffchart, mylodchart, svg;
+  hub = eventHub();
+  mylodchart = lodchart().lodvarname("lod").height(250).chrZoom(true).maxZoom(1).hub(hub);
+  myeffchart = effectchart().height(250).effectnames("a").hub(hub);
+  svg = d3.select("div#chart2").append("svg").attr("height", 250 * 2 + 80 * 2).attr("width", 800 + 100);
+  svg.append("g").datum(data.lod).call(mylodchart);
+  return svg.append("g").attr("transform", "translate(0," + (250 + 80) + ")").datum(data.effects).call(myeffchart);
+});
@@ -0,0 +1,506 @@
+// Generated by CoffeeScript 1.8.0
+var genochart;
+
+genochart = function() {
+  var axispos, chart, chr, colors, countXO_f2, countXO_simple, errorcolor, errorlodCutoff, genoSelect, height, hub, hublabel, margin, nxticks, rectcolor, rotate_ylab, sortByXO, title, titlepos, trackSelect, width, xlab, xoF2, xoSelect, xocolor, xscale, xticks, ylab, yscale;
+  width = 800;
+  height = 500;
+  margin = {
+    left: 60,
+    top: 40,
+    right: 40,
+    bottom: 40,
+    inner: 5
+  };
+  axispos = {
+    xtitle: 25,
+    ytitle: 30,
+    xlabel: 5,
+    ylabel: 5
+  };
+  titlepos = 20;
+  chr = null;
+  nxticks = 5;
+  xticks = null;
+  rectcolor = "#e6e6e6";
+  colors = null;
+  xocolor = "black";
+  errorcolor = "crimson";
+  errorlodCutoff = 4;
+  sortByXO = false;
+  title = "";
+  xlab = null;
+  ylab = "Individual";
+  rotate_ylab = null;
+  xscale = d3.scale.linear();
+  yscale = d3.scale.ordinal();
+  genoSelect = null;
+  xoSelect = null;
+  trackSelect = null;
+  hub = null;
+  hublabel = hubLabel("genochart");
+  chart = function(selection) {
+    return selection.each(function(data) {
+      var band, count, countXO, curcolors, d, errorlod, g, gEnter, genonames, genos, i, id, ind, indindex, intercross, j, k, labelevery, left, lod, markRows, marker, markerline, markers, nind, nxo, order, pos, right, rowmarks, sel, state, svg, tip, titlegrp, tracks, trackwidth, typed, xaxis, xocounts, xos, xosize, yaxis, ycenter, _i, _j, _k, _l, _len, _len1, _len2, _len3, _m, _n, _ref, _ref1, _ref2, _ref3, _ref4, _ref5, _ref6, _results;
+      chr = chr != null ? chr : data.chr[0];
+      if (!(data.map[chr] != null)) {
+        displayError("chr " + chr + " not in data.map");
+      }
+      if (!(data.geno[chr] != null)) {
+        displayError("chr " + chr + " not in data.geno");
+      }
+      nind = data.indID.length;
+      markers = (function() {
+        var _results;
+        _results = [];
+        for (marker in data.map[chr]) {
+          _results.push(marker);
+        }
+        return _results;
+      })();
+      markers.sort(function(a, b) {
+        return data.map[chr][a] - data.map[chr][b];
+      });
+      pos = (function() {
+        var _i, _len, _results;
+        _results = [];
+        for (_i = 0, _len = markers.length; _i < _len; _i++) {
+          marker = markers[_i];
+          _results.push(data.map[chr][marker]);
+        }
+        return _results;
+      })();
+      errorlod = (_ref = data.errorlod) != null ? _ref[chr] : void 0;
+      genonames = Array.isArray(data.genonames) ? data.genonames : data.genonames[data.chrtype[chr]];
+      curcolors = colors != null ? colors : selectGroupColors(genonames.length, "dark");
+      intercross = data.crosstype === "f2" && ((_ref1 = data.chrtype) != null ? _ref1[chr] : void 0) !== "X";
+      countXO = intercross ? countXO_f2 : countXO_simple;
+      tracks = [];
+      genos = [];
+      xos = [];
+      for (ind = _i = 0; 0 <= nind ? _i < nind : _i > nind; ind = 0 <= nind ? ++_i : --_i) {
+        typed = (function() {
+          var _j, _len, _results;
+          _results = [];
+          for (j = _j = 0, _len = markers.length; _j < _len; j = ++_j) {
+            marker = markers[j];
+            if (data.geno[chr][marker][ind] != null) {
+              _results.push({
+                marker: marker,
+                pos: pos[j],
+                geno: Math.abs(data.geno[chr][marker][ind])
+              });
+            }
+          }
+          return _results;
+        })();
+        nxo = 0;
+        state = null;
+        for (k = _j = 0, _len = typed.length; _j < _len; k = ++_j) {
+          d = typed[k];
+          left = k > 0 ? (typed[k - 1].pos + d.pos) / 2 : d.pos;
+          right = k < typed.length - 1 ? (d.pos + typed[k + 1].pos) / 2 : d.pos;
+          lod = errorlod != null ? (_ref2 = errorlod[d.marker]) != null ? _ref2[ind] : void 0 : void 0;
+          genos.push({
+            type: "geno",
+            ind: ind,
+            marker: d.marker,
+            pos: d.pos,
+            geno: d.geno,
+            left: left,
+            right: right,
+            errorlod: lod,
+            error: (lod != null) && lod > errorlodCutoff
+          });
+          if (state != null) {
+            _ref3 = countXO(state, d.geno), count = _ref3[0], state = _ref3[1];
+            if (count > 0) {
+              nxo += count;
+              xos.push({
+                type: "xo",
+                ind: ind,
+                markers: [typed[k - 1].marker, d.marker],
+                interval: [typed[k - 1].pos, d.pos],
+                pos: left,
+                nxo: count
+              });
+            }
+          } else {
+            state = d.geno;
+          }
+        }
+        tracks.push({
+          type: "track",
+          ind: ind,
+          nxo: nxo
+        });
+      }
+      svg = d3.select(this).selectAll("svg").data([data]);
+      gEnter = svg.enter().append("svg").append("g");
+      svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom);
+      g = svg.select("g");
+      g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", rectcolor).attr("stroke", "none");
+      xscale.domain(d3.extent(pos)).range([margin.left + margin.inner, margin.left + width - margin.inner]);
+      order = (function() {
+        _results = [];
+        for (var _k = 0; 0 <= nind ? _k < nind : _k > nind; 0 <= nind ? _k++ : _k--){ _results.push(_k); }
+        return _results;
+      }).apply(this);
+      if (sortByXO) {
+        order.sort(function(a, b) {
+          return tracks[b].nxo - tracks[a].nxo || a - b;
+        });
+      }
+      yscale.domain(order).rangeBands([margin.top, margin.top + height], 0.1);
+      band = yscale.rangeBand();
+      trackwidth = Math.max(1, Math.min(band, 8));
+      xosize = Math.max(2, Math.min(band / 2, 5));
+      ycenter = function(ind) {
+        return yscale(ind) + band / 2;
+      };
+      xticks = xticks != null ? xticks : xscale.ticks(nxticks);
+      titlegrp = g.append("g").attr("class", "title").append("text").attr("x", margin.left + width / 2).attr("y", margin.top - titlepos).text(title);
+      xaxis = g.append("g").attr("class", "x axis");
+      xaxis.selectAll("empty").data(xticks).enter().append("line").attr("x1", function(d) {
+        return xscale(d);
+      }).attr("x2", function(d) {
+        return xscale(d);
+      }).attr("y1", margin.top).attr("y2", margin.top + height).attr("fill", "none").attr("stroke", "white").attr("stroke-width", 1).style("pointer-events", "none");
+      xaxis.selectAll("empty").data(xticks).enter().append("text").attr("x", function(d) {
+        return xscale(d);
+      }).attr("y", margin.top + height + axispos.xlabel).text(function(d) {
+        return formatAxis(xticks)(d);
+      });
+      xaxis.append("text").attr("class", "title").attr("x", margin.left + width / 2).attr("y", margin.top + height + axispos.xtitle).text(xlab != null ? xlab : "Chromosome " + chr + " position (cM)");
+      rotate_ylab = rotate_ylab != null ? rotate_ylab : ylab.length > 1;
+      labelevery = Math.ceil(12 / band);
+      yaxis = g.append("g").attr("class", "y axis");
+      yaxis.selectAll("empty").data((function() {
+        var _l, _results1;
+        _results1 = [];
+        for (k = _l = 0; labelevery > 0 ? _l < nind : _l > nind; k = _l += labelevery) {
+          _results1.push(order[k]);
+        }
+        return _results1;
+      })()).enter().append("text").attr("y", function(d) {
+        return ycenter(d);
+      }).attr("x", margin.left - axispos.ylabel).text(function(d) {
+        return data.indID[d];
+      });
+      yaxis.append("text").attr("class", "title").attr("y", margin.top + height / 2).attr("x", margin.left - axispos.ytitle).text(ylab).attr("transform", rotate_ylab ? "rotate(270," + (margin.left - axispos.ytitle) + "," + (margin.top + height / 2) + ")" : "");
+      xocounts = g.append("g").attr("class", "xocounts");
+      xocounts.selectAll("empty").data((function() {
+        var _l, _results1;
+        _results1 = [];
+        for (k = _l = 0; labelevery > 0 ? _l < nind : _l > nind; k = _l += labelevery) {
+          _results1.push(tracks[order[k]]);
+        }
+        return _results1;
+      })()).enter().append("text").attr("y", function(d) {
+        return ycenter(d.ind);
+      }).attr("x", margin.left + width + axispos.ylabel).text(function(d) {
+        return d.nxo;
+      }).style("dominant-baseline", "middle");
+      tip = d3.tip().attr('class', 'd3-tip').html(function(d) {
+        var indid, p, result, x, xo;
+        indid = data.indID[d.ind];
+        if (d.type === "track") {
+          return "" + indid + ": " + d.nxo + " crossover" + (d.nxo === 1 ? '' : 's');
+        }
+        if (d.type === "xo") {
+          p = (function() {
+            var _l, _len1, _ref4, _results1;
+            _ref4 = d.interval;
+            _results1 = [];
+            for (_l = 0, _len1 = _ref4.length; _l < _len1; _l++) {
+              x = _ref4[_l];
+              _results1.push(d3.format(".1f")(x));
+            }
+            return _results1;
+          })();
+          xo = d.nxo === 1 ? "crossover" : "" + d.nxo + " crossovers";
+          return "" + indid + ": " + xo + " between " + d.markers[0] + " and " + d.markers[1] + " (" + p[0] + "&ndash;" + p[1] + ")";
+        }
+        p = d3.format(".1f")(d.pos);
+        result = "" + indid + ", " + d.marker + " (" + p + ") &rarr; " + genonames[d.geno - 1];
+        if (d.errorlod != null) {
+          result += "<br>error LOD = " + (d3.format(".1f")(d.errorlod));
+        }
+        return result;
+      }).direction('e').offset([0, 10]);
+      svg.call(tip);
+      trackSelect = g.append("g").attr("id", "tracks").selectAll("empty").data(tracks).enter().append("rect").attr("x", margin.left).attr("y", function(d) {
+        return yscale(d.ind);
+      }).attr("width", width).attr("height", band).attr("fill", "none").attr("pointer-events", "all").on("mouseover.paneltip", tip.show).on("mouseout.paneltip", tip.hide);
+      genoSelect = g.append("g").attr("id", "genotypes").selectAll("empty").data(genos).enter().append("line").attr("x1", function(d) {
+        return xscale(d.left);
+      }).attr("x2", function(d) {
+        return xscale(d.right);
+      }).attr("y1", function(d) {
+        return ycenter(d.ind);
+      }).attr("y2", function(d) {
+        return ycenter(d.ind);
+      }).attr("stroke", function(d) {
+        return curcolors[d.geno - 1];
+      }).attr("stroke-width", trackwidth).on("mouseover.paneltip", function(d) {
+        d3.select(this).attr("stroke", "black");
+        return tip.show(d);
+      }).on("mouseout.paneltip", function(d) {
+        d3.select(this).attr("stroke", curcolors[d.geno - 1]);
+        return tip.hide();
+      });
+      g.append("g").attr("id", "errors").selectAll("empty").data(genos.filter(function(d) {
+        return d.error;
+      })).enter().append("rect").attr("x", function(d) {
+        return xscale(d.pos) - trackwidth;
+      }).attr("y", function(d) {
+        return ycenter(d.ind) - trackwidth;
+      }).attr("width", trackwidth * 2).attr("height", trackwidth * 2).attr("fill", "none").attr("stroke", errorcolor).attr("stroke-width", 2).attr("pointer-events", "none");
+      xoSelect = g.append("g").attr("id", "crossovers").selectAll("empty").data(xos).enter().append("path").attr("d", function(d) {
+        var x, y;
+        x = xscale(d.pos);
+        y = ycenter(d.ind);
+        return "M" + (x - xosize) + "," + (y - xosize) + "L" + (x + xosize) + "," + (y + xosize) + "M" + (x - xosize) + "," + (y + xosize) + "L" + (x + xosize) + "," + (y - xosize);
+      }).attr("fill", "none").attr("stroke", xocolor).attr("stroke-width", 2).on("mouseover.paneltip", tip.show).on("mouseout.paneltip", tip.hide);
+      markerline = g.append("line").attr("class", "markerline").attr("y1", margin.top).attr("y2", margin.top + height).attr("stroke", "black").attr("stroke-dasharray", "4,4").attr("pointer-events", "none").style("display", "none");
+      rowmarks = g.append("g").attr("class", "rowmarks");
+      indindex = {};
+      _ref4 = data.indID;
+      for (i = _l = 0, _len1 = _ref4.length; _l < _len1; i = ++_l) {
+        id = _ref4[i];
+        indindex[id] = i;
+      }
+      markRows = function(type, ids) {
+        var marks, rows;
+        rows = (function() {
+          var _len2, _m, _results1;
+          _results1 = [];
+          for (_m = 0, _len2 = ids.length; _m < _len2; _m++) {
+            id = ids[_m];
+            if (indindex[id] != null) {
+              _results1.push(indindex[id]);
+            }
+          }
+          return _results1;
+        })();
+        marks = rowmarks.selectAll("rect." + type).data(rows);
+        marks.enter().append("rect").attr("class", type).attr("x", margin.left).attr("width", width);
+        marks.exit().remove();
+        return marks.attr("y", function(d) {
+          return yscale(d);
+        }).attr("height", band);
+      };
+      _ref5 = [trackSelect, genoSelect, xoSelect];
+      for (_m = 0, _len2 = _ref5.length; _m < _len2; _m++) {
+        sel = _ref5[_m];
+        sel.on("mouseover.rowmarks", function(d) {
+          return markRows("hilit", [data.indID[d.ind]]);
+        }).on("mouseout.rowmarks", function() {
+          return markRows("hilit", []);
+        }).on("click.rowmarks", function(d) {
+          return markRows("selected", [data.indID[d.ind]]);
+        });
+      }
+      if (hub != null) {
+        _ref6 = [trackSelect, genoSelect, xoSelect];
+        for (_n = 0, _len3 = _ref6.length; _n < _len3; _n++) {
+          sel = _ref6[_n];
+          sel.on("mouseover.hub", function(d) {
+            return hub.publish("individual:hover", data.indID[d.ind], chart);
+          }).on("mouseout.hub", function() {
+            return hub.publish("individual:hover", null, chart);
+          }).on("click.hub", function(d) {
+            return hub.publish("individual:select", [data.indID[d.ind]], chart);
+          });
+        }
+        genoSelect.on("mouseover.hubmarker", function(d) {
+          return hub.publish("marker:hover", d.marker, chart);
+        }).on("mouseout.hubmarker", function() {
+          return hub.publish("marker:hover", null, chart);
+        });
+        hub.on("individual:hover." + hublabel, function(id, source) {
+          if (source === chart) {
+            return;
+          }
+          return markRows("hilit", id != null ? [id] : []);
+        });
+        hub.on("individual:select." + hublabel, function(ids, source) {
+          if (source === chart) {
+            return;
+          }
+          return markRows("selected", ids);
+        });
+        hub.on("marker:hover." + hublabel, function(marker, source) {
+          var x;
+          if (source === chart) {
+            return;
+          }
+          if ((marker != null) && (data.map[chr][marker] != null)) {
+            x = xscale(data.map[chr][marker]);
+            return markerline.attr("x1", x).attr("x2", x).style("display", null);
+          } else {
+            return markerline.style("display", "none");
+          }
+        });
+      }
+      return g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
+    });
+  };
+  countXO_simple = function(state, geno) {
+    return [(geno === state ? 0 : 1), geno];
+  };
+  xoF2 = [[[0, 1], [1, 2], [2, 3], [0, 1], [1, 5]], [[1, 1], [0, 2], [1, 3], [0, 2], [0, 2]], [[2, 1], [1, 2], [0, 3], [1, 4], [0, 3]], [[0, 1], [0, 2], [1, 3], [0, 4], [0, 2]], [[1, 1], [0, 2], [0, 3], [0, 2], [0, 5]]];
+  countXO_f2 = function(state, geno) {
+    var _ref, _ref1;
+    return (_ref = (_ref1 = xoF2[state - 1]) != null ? _ref1[geno - 1] : void 0) != null ? _ref : countXO_simple(state, geno);
+  };
+  chart.width = function(value) {
+    if (!arguments.length) {
+      return width;
+    }
+    width = value;
+    return chart;
+  };
+  chart.height = function(value) {
+    if (!arguments.length) {
+      return height;
+    }
+    height = value;
+    return chart;
+  };
+  chart.margin = function(value) {
+    if (!arguments.length) {
+      return margin;
+    }
+    margin = value;
+    return chart;
+  };
+  chart.axispos = function(value) {
+    if (!arguments.length) {
+      return axispos;
+    }
+    axispos = value;
+    return chart;
+  };
+  chart.titlepos = function(value) {
+    if (!arguments.length) {
+      return titlepos;
+    }
+    titlepos = value;
+    return chart;
+  };
+  chart.chr = function(value) {
+    if (!arguments.length) {
+      return chr;
+    }
+    chr = value;
+    return chart;
+  };
+  chart.nxticks = function(value) {
+    if (!arguments.length) {
+      return nxticks;
+    }
+    nxticks = value;
+    return chart;
+  };
+  chart.xticks = function(value) {
+    if (!arguments.length) {
+      return xticks;
+    }
+    xticks = value;
+    return chart;
+  };
+  chart.rectcolor = function(value) {
+    if (!arguments.length) {
+      return rectcolor;
+    }
+    rectcolor = value;
+    return chart;
+  };
+  chart.colors = function(value) {
+    if (!arguments.length) {
+      return colors;
+    }
+    colors = value;
+    return chart;
+  };
+  chart.xocolor = function(value) {
+    if (!arguments.length) {
+      return xocolor;
+    }
+    xocolor = value;
+    return chart;
+  };
+  chart.errorcolor = function(value) {
+    if (!arguments.length) {
+      return errorcolor;
+    }
+    errorcolor = value;
+    return chart;
+  };
+  chart.errorlodCutoff = function(value) {
+    if (!arguments.length) {
+      return errorlodCutoff;
+    }
+    errorlodCutoff = value;
+    return chart;
+  };
+  chart.sortByXO = function(value) {
+    if (!arguments.length) {
+      return sortByXO;
+    }
+    sortByXO = value;
+    return chart;
+  };
+  chart.title = function(value) {
+    if (!arguments.length) {
+      return title;
+    }
+    title = value;
+    return chart;
+  };
+  chart.xlab = function(value) {
+    if (!arguments.length) {
+      return xlab;
+    }
+    xlab = value;
+    return chart;
+  };
+  chart.ylab = function(value) {
+    if (!arguments.length) {
+      return ylab;
+    }
+    ylab = value;
+    return chart;
+  };
+  chart.rotate_ylab = function(value) {
+    if (!arguments.length) {
+      return rotate_ylab;
+    }
+    rotate_ylab = value;
+    return chart;
+  };
+  chart.hub = function(value) {
+    if (!arguments.length) {
+      return hub;
+    }
+    hub = value;
+    return chart;
+  };
+  chart.xscale = function() {
+    return xscale;
+  };
+  chart.yscale = function() {
+    return yscale;
+  };
+  chart.trackSelect = function() {
+    return trackSelect;
+  };
+  chart.genoSelect = function() {
+    return genoSelect;
+  };
+  chart.xoSelect = function() {
+    return xoSelect;
+  };
+  return chart;
+};
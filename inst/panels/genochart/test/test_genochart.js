@@ -0,0 +1,22 @@
+// Generated by CoffeeScript 1.8.0
+d3.json("data.json", function(data) {
+  var mychart;
+  data.indID = data.indID.slice(0, 50);
+  mychart = genochart().chr("1").height(600);
+  return d3.select("div#chart1").datum(data).call(mychart);
+});
+
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = genochart().chr("4").height(1000).sortByXO(true);
+  d3.select("div#chart2").datum(data).call(mychart);
+  return mychart.trackSelect().on("click", function(d) {
+    return d3.select("p#chart2clicked").text("Clicked " + data.indID[d.ind] + " (" + d.nxo + " crossovers)");
+  });
+});
+
+d3.json("data_f2.json", function(data) {
+  var mychart;
+  mychart = genochart().height(800).sortByXO(true);
+  return d3.select("div#chart3").datum(data).call(mychart);
+});
@@ -0,0 +1,427 @@
+// Generated by CoffeeScript 1.8.0
+var genoimage;
+
+genoimage = function() {
+  var axispos, canvas, cellSelect, chart, chrGap, clipid, colors, height, hub, hublabel, margin, maxZoom, nullcolor, nyticks, rectcolor, rotate_ylab, title, titlepos, width, xlab, xscale, ylab, yscale, zoom;
+  width = 1000;
+  height = 500;
+  margin = {
+    left: 60,
+    top: 40,
+    right: 40,
+    bottom: 40
+  };
+  axispos = {
+    xtitle: 25,
+    ytitle: 30,
+    xlabel: 5,
+    ylabel: 5
+  };
+  chrGap = 8;
+  titlepos = 20;
+  rectcolor = "#e6e6e6";
+  nullcolor = "white";
+  colors = null;
+  title = "";
+  xlab = "Chromosome";
+  ylab = "Individual";
+  rotate_ylab = null;
+  nyticks = 5;
+  maxZoom = 20;
+  canvas = true;
+  xscale = null;
+  yscale = d3.scale.linear();
+  cellSelect = null;
+  zoom = d3.behavior.zoom();
+  clipid = "genoimageclip" + (Math.random().toString(36).slice(2));
+  hub = null;
+  hublabel = hubLabel("genoimage");
+  chart = function(selection) {
+    return selection.each(function(data) {
+      var cells, celltip, chr, curcolors, drawAxes, fill, g, gEnter, geno, genoLabel, genonames, i, id, indindex, j, left, markRows, markergeno, markerindex, ngeno, nind, nmar, plot, rectHeight, resetlink, right, rowmarks, svg, titlegrp, xaxis, xlabels, yaxis, ylabels, zoomed, _i, _j, _k, _l, _len, _len1, _len2, _len3, _len4, _m, _ref, _ref1, _ref2, _ref3;
+      nmar = data.markernames.length;
+      nind = data.indID.length;
+      if (data.chr.length !== nmar) {
+        displayError("chr.length (" + data.chr.length + ") != markernames.length (" + nmar + ")");
+      }
+      if (data.geno.length !== nmar) {
+        displayError("geno.length (" + data.geno.length + ") != markernames.length (" + nmar + ")");
+      }
+      data.posByChr = {};
+      _ref = data.chrnames;
+      for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+        chr = _ref[_i];
+        data.posByChr[chr] = [];
+      }
+      markerindex = [];
+      _ref1 = data.chr;
+      for (j = _j = 0, _len1 = _ref1.length; _j < _len1; j = ++_j) {
+        chr = _ref1[j];
+        markerindex.push(data.posByChr[chr].length);
+        data.posByChr[chr].push(markerindex[j]);
+      }
+      data = chrscales(data, width, chrGap, margin.left, true);
+      xscale = data.xscale;
+      yscale.domain([0, nind]).range([margin.top, margin.top + height]);
+      rectHeight = yscale(1) - yscale(0);
+      genonames = function(chr) {
+        if (Array.isArray(data.genonames)) {
+          return data.genonames;
+        }
+        return data.genonames[data.chrtype[chr]];
+      };
+      ngeno = d3.max((function() {
+        var _k, _len2, _ref2, _results;
+        _ref2 = data.chrnames;
+        _results = [];
+        for (_k = 0, _len2 = _ref2.length; _k < _len2; _k++) {
+          chr = _ref2[_k];
+          _results.push(genonames(chr).length);
+        }
+        return _results;
+      })());
+      curcolors = colors != null ? colors : selectGroupColors(ngeno, "dark");
+      data.cells = [];
+      _ref2 = data.geno;
+      for (j = _k = 0, _len2 = _ref2.length; _k < _len2; j = ++_k) {
+        markergeno = _ref2[j];
+        left = xscale[data.chr[j]](markerindex[j] - 0.5);
+        right = xscale[data.chr[j]](markerindex[j] + 0.5);
+        for (i = _l = 0, _len3 = markergeno.length; _l < _len3; i = ++_l) {
+          geno = markergeno[i];
+          data.cells.push({
+            ind: i,
+            marker: j,
+            chr: data.chr[j],
+            geno: geno,
+            left: left,
+            right: right
+          });
+        }
+      }
+      genoLabel = function(d) {
+        var label;
+        if (d.geno == null) {
+          return "missing";
+        }
+        label = genonames(d.chr)[Math.abs(d.geno) - 1];
+        if (d.geno < 0) {
+          return "" + label + " (imputed)";
+        } else {
+          return label;
+        }
+      };
+      svg = d3.select(this).selectAll("svg").data([data]);
+      gEnter = svg.enter().append("svg").append("g");
+      svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom);
+      g = svg.select("g");
+      g.append("clipPath").attr("id", clipid).append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width);
+      plot = g.append("g").attr("class", "plotregion");
+      plot.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", rectcolor).attr("stroke", "none");
+      zoomed = plot.append("g").attr("clip-path", "url(#" + clipid + ")").append("g").attr("class", "zoomed");
+      titlegrp = g.append("g").attr("class", "title").append("text").attr("x", margin.left + width / 2).attr("y", margin.top - titlepos).text(title);
+      xaxis = g.append("g").attr("class", "x axis");
+      xlabels = xaxis.selectAll("empty").data(data.chrnames).enter().append("text").attr("y", margin.top + height + axispos.xlabel).text(function(d) {
+        return d;
+      });
+      xaxis.append("text").attr("class", "title").attr("x", margin.left + width / 2).attr("y", margin.top + height + axispos.xtitle).text(xlab);
+      rotate_ylab = rotate_ylab != null ? rotate_ylab : ylab.length > 1;
+      yaxis = g.append("g").attr("class", "y axis");
+      yaxis.append("text").attr("class", "title").attr("y", margin.top + height / 2).attr("x", margin.left - axispos.ytitle).text(ylab).attr("transform", rotate_ylab ? "rotate(270," + (margin.left - axispos.ytitle) + "," + (margin.top + height / 2) + ")" : "");
+      ylabels = yaxis.append("g");
+      drawAxes = function() {
+        var labels, s, tx, ty, visible, y, yticks, _ref3;
+        s = zoom.scale();
+        _ref3 = zoom.translate(), tx = _ref3[0], ty = _ref3[1];
+        xlabels.attr("x", function(d, i) {
+          return tx + s * (data.chrStart[i] + data.chrEnd[i]) / 2;
+        }).style("display", function(d, i) {
+          var x;
+          x = tx + s * (data.chrStart[i] + data.chrEnd[i]) / 2;
+          if (x < margin.left || x > margin.left + width) {
+            return "none";
+          } else {
+            return null;
+          }
+        });
+        visible = [yscale.invert((margin.top - ty) / s), yscale.invert((margin.top + height - ty) / s)];
+        yticks = (function() {
+          var _len4, _m, _ref4, _results;
+          _ref4 = d3.scale.linear().domain(visible).ticks(nyticks);
+          _results = [];
+          for (_m = 0, _len4 = _ref4.length; _m < _len4; _m++) {
+            y = _ref4[_m];
+            if (y >= 1 && y <= nind && y === Math.round(y)) {
+              _results.push(y);
+            }
+          }
+          return _results;
+        })();
+        labels = ylabels.selectAll("text").data(yticks, function(d) {
+          return d;
+        });
+        labels.enter().append("text").attr("x", margin.left - axispos.ylabel).text(function(d) {
+          return d;
+        });
+        labels.exit().remove();
+        return labels.attr("y", function(d) {
+          return ty + s * yscale(d - 0.5);
+        });
+      };
+      celltip = d3.tip().attr('class', 'd3-tip').html(function(d) {
+        var p;
+        p = d3.format(".1f")(data.pos[d.marker]);
+        return "" + data.indID[d.ind] + ", " + data.markernames[d.marker] + " (" + d.chr + "@" + p + ") &rarr; " + (genoLabel(d));
+      }).direction('e').offset([0, 10]);
+      svg.call(celltip);
+      cells = zoomed.append("g").attr("id", "cells");
+      fill = function(d) {
+        if (d.geno != null) {
+          return curcolors[Math.abs(d.geno) - 1];
+        } else {
+          return nullcolor;
+        }
+      };
+      if (canvas) {
+        cellSelect = canvasCells(cells, data.cells, {
+          x: margin.left,
+          y: margin.top,
+          width: width,
+          height: height
+        }, (function(d) {
+          return {
+            x: d.left,
+            y: yscale(d.ind),
+            width: d.right - d.left,
+            height: rectHeight
+          };
+        }), fill);
+        cells.select("canvas").style("image-rendering", "pixelated");
+      } else {
+        cellSelect = cells.selectAll("empty").data(data.cells).enter().append("rect").attr("x", function(d) {
+          return d.left;
+        }).attr("y", function(d) {
+          return yscale(d.ind);
+        }).attr("width", function(d) {
+          return d.right - d.left;
+        }).attr("height", rectHeight).attr("class", function(d, i) {
+          return "cell" + i;
+        }).attr("fill", fill).attr("stroke", "none").attr("stroke-width", "1").attr("vector-effect", "non-scaling-stroke");
+      }
+      cellSelect.on("mouseover.paneltip", function(d) {
+        d3.select(this).attr("stroke", "black").attr("vector-effect", "non-scaling-stroke");
+        return celltip.show(d);
+      }).on("mouseout.paneltip", function() {
+        d3.select(this).attr("stroke", "none");
+        return celltip.hide();
+      });
+      zoomed.append("g").attr("id", "boxes").selectAll("empty").data(data.chrnames).enter().append("rect").attr("x", function(d, i) {
+        return data.chrStart[i];
+      }).attr("y", margin.top).attr("height", height).attr("width", function(d, i) {
+        return data.chrEnd[i] - data.chrStart[i];
+      }).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "1").attr("vector-effect", "non-scaling-stroke").attr("pointer-events", "none");
+      rowmarks = zoomed.append("g").attr("class", "rowmarks");
+      indindex = {};
+      _ref3 = data.indID;
+      for (i = _m = 0, _len4 = _ref3.length; _m < _len4; i = ++_m) {
+        id = _ref3[i];
+        indindex[id] = i;
+      }
+      markRows = function(type, ids) {
+        var marks, rows;
+        rows = (function() {
+          var _len5, _n, _results;
+          _results = [];
+          for (_n = 0, _len5 = ids.length; _n < _len5; _n++) {
+            id = ids[_n];
+            if (indindex[id] != null) {
+              _results.push(indindex[id]);
+            }
+          }
+          return _results;
+        })();
+        marks = rowmarks.selectAll("rect." + type).data(rows);
+        marks.enter().append("rect").attr("class", type).attr("x", margin.left).attr("width", width).attr("vector-effect", "non-scaling-stroke");
+        marks.exit().remove();
+        return marks.attr("y", function(d) {
+          return yscale(d);
+        }).attr("height", rectHeight);
+      };
+      cellSelect.on("click.paneltip", function(d) {
+        return markRows("selected", [data.indID[d.ind]]);
+      });
+      if (hub != null) {
+        cellSelect.on("mouseover.hub", function(d) {
+          return hub.publish("individual:hover", data.indID[d.ind], chart);
+        }).on("mouseout.hub", function() {
+          return hub.publish("individual:hover", null, chart);
+        }).on("click.hub", function(d) {
+          return hub.publish("individual:select", [data.indID[d.ind]], chart);
+        });
+        hub.on("individual:hover." + hublabel, function(id, source) {
+          if (source === chart) {
+            return;
+          }
+          return markRows("hilit", id != null ? [id] : []);
+        });
+        hub.on("individual:select." + hublabel, function(ids, source) {
+          if (source === chart) {
+            return;
+          }
+          return markRows("selected", ids);
+        });
+      }
+      cellKeyboardNav(g, cellSelect, data.cells, "Genotype image; arrow keys move among cells, Enter selects the individual", (function(d) {
+        return "" + data.indID[d.ind] + ", " + data.markernames[d.marker] + ": " + (genoLabel(d));
+      }), (function(d) {
+        return [d.marker, -d.ind];
+      }));
+      resetlink = g.append("text").attr("class", "resetzoom").attr("x", margin.left + width).attr("y", margin.top - titlepos).text("reset zoom").style("text-anchor", "end").style("cursor", "pointer").style("display", "none").on("click", function() {
+        zoom.scale(1).translate([0, 0]);
+        return zoom.event(plot);
+      });
+      zoom.scaleExtent([1, maxZoom]).scale(1).translate([0, 0]).on("zoom", function() {
+        var s, tx, ty, _ref4;
+        s = zoom.scale();
+        _ref4 = zoom.translate(), tx = _ref4[0], ty = _ref4[1];
+        tx = Math.min(margin.left * (1 - s), Math.max((margin.left + width) * (1 - s), tx));
+        ty = Math.min(margin.top * (1 - s), Math.max((margin.top + height) * (1 - s), ty));
+        zoom.translate([tx, ty]);
+        zoomed.attr("transform", "translate(" + tx + "," + ty + ")scale(" + s + ")");
+        resetlink.style("display", s > 1 ? null : "none");
+        return drawAxes();
+      });
+      plot.call(zoom);
+      return drawAxes();
+    });
+  };
+  chart.width = function(value) {
+    if (!arguments.length) {
+      return width;
+    }
+    width = value;
+    return chart;
+  };
+  chart.height = function(value) {
+    if (!arguments.length) {
+      return height;
+    }
+    height = value;
+    return chart;
+  };
+  chart.margin = function(value) {
+    if (!arguments.length) {
+      return margin;
+    }
+    margin = value;
+    return chart;
+  };
+  chart.axispos = function(value) {
+    if (!arguments.length) {
+      return axispos;
+    }
+    axispos = value;
+    return chart;
+  };
+  chart.titlepos = function(value) {
+    if (!arguments.length) {
+      return titlepos;
+    }
+    titlepos = value;
+    return chart;
+  };
+  chart.chrGap = function(value) {
+    if (!arguments.length) {
+      return chrGap;
+    }
+    chrGap = value;
+    return chart;
+  };
+  chart.rectcolor = function(value) {
+    if (!arguments.length) {
+      return rectcolor;
+    }
+    rectcolor = value;
+    return chart;
+  };
+  chart.nullcolor = function(value) {
+    if (!arguments.length) {
+      return nullcolor;
+    }
+    nullcolor = value;
+    return chart;
+  };
+  chart.colors = function(value) {
+    if (!arguments.length) {
+      return colors;
+    }
+    colors = value;
+    return chart;
+  };
+  chart.title = function(value) {
+    if (!arguments.length) {
+      return title;
+    }
+    title = value;
+    return chart;
+  };
+  chart.xlab = function(value) {
+    if (!arguments.length) {
+      return xlab;
+    }
+    xlab = value;
+    return chart;
+  };
+  chart.ylab = function(value) {
+    if (!arguments.length) {
+      return ylab;
+    }
+    ylab = value;
+    return chart;
+  };
+  chart.rotate_ylab = function(value) {
+    if (!arguments.length) {
+      return rotate_ylab;
+    }
+    rotate_ylab = value;
+    return chart;
+  };
+  chart.nyticks = function(value) {
+    if (!arguments.length) {
+      return nyticks;
+    }
+    nyticks = value;
+    return chart;
+  };
+  chart.maxZoom = function(value) {
+    if (!arguments.length) {
+      return maxZoom;
+    }
+    maxZoom = value;
+    return chart;
+  };
+  chart.canvas = function(value) {
+    if (!arguments.length) {
+      return canvas;
+    }
+    canvas = value;
+    return chart;
+  };
+  chart.hub = function(value) {
+    if (!arguments.length) {
+      return hub;
+    }
+    hub = value;
+    return chart;
+  };
+  chart.xscale = function() {
+    return xscale;
+  };
+  chart.yscale = function() {
+    return yscale;
+  };
+  chart.cellSelect = function() {
+    return cellSelect;
+  };
+  return chart;
+};
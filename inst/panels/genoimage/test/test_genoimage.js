@@ -0,0 +1,9 @@
+// Generated by CoffeeScript 1.8.0
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = genoimage();
+  d3.select("div#chart").datum(data).call(mychart);
+  return mychart.cellSelect().on("click", function(d) {
+    return d3.select("p#clicked").text("Clicked " + data.indID[d.ind] + "; phenotype = " + data.pheno[d.ind]);
+  });
+});
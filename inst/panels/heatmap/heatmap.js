@@ -2,7 +2,7 @@
 var heatmap;
 
 heatmap = function() {
-  var axispos, cellSelect, chart, colors, dataByCell, height, margin, nullcolor, nxticks, nyticks, rectcolor, rotate_ylab, title, titlepos, width, xlab, xlim, xscale, xticks, ylab, ylim, yscale, yticks, zlim, zscale, zthresh;
+  var axispos, canvas, cellSelect, chart, colors, dataByCell, height, margin, nullcolor, nxticks, nyticks, rectcolor, rotate_ylab, title, titlepos, width, xlab, xlim, xscale, xticks, ylab, ylim, yscale, yticks, zlim, zscale, zthresh;
   width = 400;
   height = 500;
   margin = {
@@ -38,9 +38,10 @@ heatmap = function() {
   zscale = d3.scale.linear();
   cellSelect = null;
   dataByCell = false;
+  canvas = false;
   chart = function(selection) {
     return selection.each(function(data) {
-      var cell, cells, celltip, g, gEnter, i, j, nx, ny, svg, titlegrp, xLR, xaxis, xrange, yLR, yaxis, yrange, zmax, zmin, _i, _len, _ref;
+      var cell, cells, celltip, g, gEnter, i, j, nx, ny, svg, titlegrp, x, xLR, xaxis, xindex, xrange, y, yLR, yaxis, yindex, yrange, zmax, zmin, _i, _j, _k, _len, _ref, _ref1, _ref2;
       if (dataByCell) {
         data.x = (function() {
           var _i, _len, _ref, _results;
@@ -191,29 +192,71 @@ heatmap = function() {
       }).direction('e').offset([0, 10]);
       svg.call(celltip);
       cells = g.append("g").attr("id", "cells");
-      cellSelect = cells.selectAll("empty").data(data.cells).enter().append("rect").attr("x", function(d) {
-        return xscale(d.recLeft);
-      }).attr("y", function(d) {
-        return yscale(d.recTop);
-      }).attr("width", function(d) {
-        return xscale(d.recRight) - xscale(d.recLeft);
-      }).attr("height", function(d) {
-        return yscale(d.recBottom) - yscale(d.recTop);
-      }).attr("class", function(d, i) {
-        return "cell" + i;
-      }).attr("fill", function(d) {
-        if (d.z != null) {
-          return zscale(d.z);
-        } else {
-          return nullcolor;
-        }
-      }).attr("stroke", "none").attr("stroke-width", "1").on("mouseover.paneltip", function(d) {
+      if (canvas) {
+        cellSelect = canvasCells(cells, data.cells, {
+          x: margin.left,
+          y: margin.top,
+          width: width,
+          height: height
+        }, (function(d) {
+          return {
+            x: xscale(d.recLeft),
+            y: yscale(d.recTop),
+            width: xscale(d.recRight) - xscale(d.recLeft),
+            height: yscale(d.recBottom) - yscale(d.recTop)
+          };
+        }), (function(d) {
+          if (d.z != null) {
+            return zscale(d.z);
+          } else {
+            return nullcolor;
+          }
+        }));
+      } else {
+        cellSelect = cells.selectAll("empty").data(data.cells).enter().append("rect").attr("x", function(d) {
+          return xscale(d.recLeft);
+        }).attr("y", function(d) {
+          return yscale(d.recTop);
+        }).attr("width", function(d) {
+          return xscale(d.recRight) - xscale(d.recLeft);
+        }).attr("height", function(d) {
+          return yscale(d.recBottom) - yscale(d.recTop);
+        }).attr("class", function(d, i) {
+          return "cell" + i;
+        }).attr("fill", function(d) {
+          if (d.z != null) {
+            return zscale(d.z);
+          } else {
+            return nullcolor;
+          }
+        }).attr("stroke", "none").attr("stroke-width", "1");
+      }
+      cellSelect.on("mouseover.paneltip", function(d) {
         d3.select(this).attr("stroke", "black");
         return celltip.show(d);
       }).on("mouseout.paneltip", function() {
         d3.select(this).attr("stroke", "none");
         return celltip.hide();
       });
+      xindex = {};
+      _ref1 = data.x;
+      for (i = _j = _ref1.length - 1; _j >= 0; i = _j += -1) {
+        x = _ref1[i];
+        xindex[x] = i;
+      }
+      yindex = {};
+      _ref2 = data.y;
+      for (i = _k = _ref2.length - 1; _k >= 0; i = _k += -1) {
+        y = _ref2[i];
+        yindex[y] = i;
+      }
+      cellKeyboardNav(g, cellSelect, data.cells, "Heat map; arrow keys move among cells, Enter selects", (function(d) {
+        x = formatAxis(data.x)(d.x);
+        y = formatAxis(data.y)(d.y);
+        return "x = " + x + ", y = " + y + ": " + (formatAxis(data.allz)(d.z));
+      }), (function(d) {
+        return [xindex[d.x], yindex[d.y]];
+      }));
       return g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
     });
   };
@@ -370,6 +413,13 @@ heatmap = function() {
   chart.yscale = function() {
     return yscale;
   };
+  chart.canvas = function(value) {
+    if (!arguments.length) {
+      return canvas;
+    }
+    canvas = value;
+    return chart;
+  };
   chart.zscale = function() {
     return zscale;
   };
@@ -10,3 +10,9 @@ d3.json("data.json", function(data) {
   mychart = heatmap().height(h).width(w).zthresh(0.5);
   return d3.select("div#chart").datum(data).call(mychart);
 });
+
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = heatmap().height(h).width(w).zthresh(0.5).canvas(true);
+  return d3.select("div#chart2").datum(data).call(mychart);
+});
@@ -0,0 +1,460 @@
+// Generated by CoffeeScript 1.8.0
+var histogram;
+
+histogram = function() {
+  var axispos, bintip, breaks, chart, density, drawFrame, fillopacity, height, histSelect, lastframe, linecolor, linewidth, margin, nxticks, nyticks, rectcolor, rotate_ylab, title, titlepos, width, xlab, xlim, xscale, xticks, ylab, ylim, yscale, yticks;
+  width = 400;
+  height = 300;
+  margin = {
+    left: 60,
+    top: 40,
+    right: 40,
+    bottom: 40,
+    inner: 5
+  };
+  axispos = {
+    xtitle: 25,
+    ytitle: 30,
+    xlabel: 5,
+    ylabel: 5
+  };
+  titlepos = 20;
+  breaks = 20;
+  xlim = null;
+  nxticks = 5;
+  xticks = null;
+  ylim = null;
+  nyticks = 5;
+  yticks = null;
+  rectcolor = "#e6e6e6";
+  linecolor = null;
+  linewidth = 2;
+  fillopacity = 0;
+  density = false;
+  title = "";
+  xlab = "Response";
+  ylab = "Count";
+  rotate_ylab = null;
+  xscale = d3.scale.linear();
+  yscale = d3.scale.linear();
+  histSelect = null;
+  bintip = null;
+  lastframe = null;
+  chart = function(selection) {
+    return selection.each(function(data) {
+      var binwidth, c, container, counts, curbreaks, curlinecolor, curxlim, curxticks, curylim, curyticks, densities, densitySelect, dv, frame, g, gEnter, grid, group, hi, histline, i, legend, legendEnter, lo, names, nbins, ngroup, nhist, svg, v, values, x, ymax, _i, _j, _len, _len1, _ref, _ref1, _ref2, _ref3, _ref4;
+      container = d3.select(this);
+      values = null;
+      if (data.counts != null) {
+        curbreaks = data.breaks;
+        counts = data.counts;
+        if (!Array.isArray(counts[0])) {
+          counts = [counts];
+        }
+      } else {
+        x = data.x;
+        group = (_ref = data != null ? data.group : void 0) != null ? _ref : (function() {
+          var _i, _len, _results;
+          _results = [];
+          for (_i = 0, _len = x.length; _i < _len; _i++) {
+            v = x[_i];
+            _results.push(1);
+          }
+          return _results;
+        })();
+        if (group.length !== x.length) {
+          displayError("group.length (" + group.length + ") != x.length (" + x.length + ")");
+        }
+        ngroup = d3.max(group);
+        values = (function() {
+          var _i, _results;
+          _results = [];
+          for (g = _i = 1; 1 <= ngroup ? _i <= ngroup : _i >= ngroup; g = 1 <= ngroup ? ++_i : --_i) {
+            _results.push((function() {
+              var _j, _len, _results1;
+              _results1 = [];
+              for (i = _j = 0, _len = x.length; _j < _len; i = ++_j) {
+                v = x[i];
+                if ((v != null) && group[i] === g) {
+                  _results1.push(v);
+                }
+              }
+              return _results1;
+            })());
+          }
+          return _results;
+        })();
+        if (Array.isArray(breaks)) {
+          curbreaks = breaks;
+        } else {
+          _ref1 = d3.extent(x), lo = _ref1[0], hi = _ref1[1];
+          if (lo === hi) {
+            _ref2 = [lo - 0.5, hi + 0.5], lo = _ref2[0], hi = _ref2[1];
+          }
+          curbreaks = (function() {
+            var _i, _results;
+            _results = [];
+            for (i = _i = 0; 0 <= breaks ? _i <= breaks : _i >= breaks; i = 0 <= breaks ? ++_i : --_i) {
+              _results.push(lo + (hi - lo) * i / breaks);
+            }
+            return _results;
+          })();
+          curbreaks[breaks] = hi;
+        }
+        counts = (function() {
+          var _i, _len, _results;
+          _results = [];
+          for (_i = 0, _len = values.length; _i < _len; _i++) {
+            v = values[_i];
+            _results.push(histCounts(v, curbreaks));
+          }
+          return _results;
+        })();
+      }
+      nbins = curbreaks.length - 1;
+      for (i = _i = 0, _len = counts.length; _i < _len; i = ++_i) {
+        c = counts[i];
+        if (c.length !== nbins) {
+          displayError("counts[" + i + "].length (" + c.length + ") != breaks.length-1 (" + nbins + ")");
+        }
+      }
+      nhist = counts.length;
+      names = (_ref3 = (_ref4 = data.names) != null ? _ref4 : data.groupnames) != null ? _ref3 : (function() {
+        var _j, _results;
+        _results = [];
+        for (i = _j = 1; 1 <= nhist ? _j <= nhist : _j >= nhist; i = 1 <= nhist ? ++_j : --_j) {
+          _results.push("" + i);
+        }
+        return _results;
+      })();
+      curlinecolor = linecolor != null ? expand2vector(forceAsArray(linecolor), nhist) : selectGroupColors(nhist, "dark");
+      curlinecolor = forceAsArray(curlinecolor);
+      curxlim = xlim != null ? xlim : [curbreaks[0], curbreaks[nbins]];
+      xscale.domain(curxlim).range([margin.left + margin.inner, margin.left + width - margin.inner]);
+      curxticks = xticks != null ? xticks : xscale.ticks(nxticks);
+      densities = [];
+      if (density && (values != null)) {
+        binwidth = (curbreaks[nbins] - curbreaks[0]) / nbins;
+        grid = (function() {
+          var _j, _results;
+          _results = [];
+          for (i = _j = 0; _j <= 100; i = ++_j) {
+            _results.push(curxlim[0] + (curxlim[1] - curxlim[0]) * i / 100);
+          }
+          return _results;
+        })();
+        for (_j = 0, _len1 = values.length; _j < _len1; _j++) {
+          v = values[_j];
+          densities.push(d3.zip(grid, (function() {
+            var _k, _len2, _ref5, _results;
+            _ref5 = kernelDensity(v, grid);
+            _results = [];
+            for (_k = 0, _len2 = _ref5.length; _k < _len2; _k++) {
+              dv = _ref5[_k];
+              _results.push(dv * v.length * binwidth);
+            }
+            return _results;
+          })()));
+        }
+      }
+      ymax = d3.max(counts, function(c) {
+        return d3.max(c);
+      });
+      ymax = d3.max([
+        ymax, d3.max(densities, function(d) {
+          return d3.max(d, function(p) {
+            return p[1];
+          });
+        })
+      ]);
+      curylim = ylim != null ? ylim : [0, ymax];
+      yscale.domain(curylim).range([height + margin.top - margin.inner, margin.top + margin.inner]);
+      curyticks = yticks != null ? yticks : yscale.ticks(nyticks);
+      svg = container.selectAll("svg").data([data]);
+      gEnter = svg.enter().append("svg").append("g");
+      svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom);
+      rotate_ylab = rotate_ylab != null ? rotate_ylab : ylab.length > 1;
+      frame = JSON.stringify([width, height, margin, axispos, titlepos, curbreaks, curxlim, curylim, curxticks, curyticks, rectcolor, title, xlab, ylab, rotate_ylab]);
+      g = svg.select("g");
+      if (frame !== lastframe || !gEnter.empty()) {
+        lastframe = frame;
+        drawFrame(g, curbreaks, curxticks, curyticks);
+      }
+      histline = function(c) {
+        var cv, pts, _k, _len2;
+        pts = [[curbreaks[0], 0]];
+        for (i = _k = 0, _len2 = c.length; _k < _len2; i = ++_k) {
+          cv = c[i];
+          pts.push([curbreaks[i], cv], [curbreaks[i + 1], cv]);
+        }
+        pts.push([curbreaks[nbins], 0]);
+        return d3.svg.line().x(function(p) {
+          return xscale(p[0]);
+        }).y(function(p) {
+          return yscale(p[1]);
+        })(pts);
+      };
+      histSelect = g.select("g#histograms").selectAll("path.hist").data(counts);
+      histSelect.enter().append("path").attr("class", "hist").style("pointer-events", "none");
+      histSelect.exit().remove();
+      histSelect.attr("d", histline).attr("fill", function(d, i) {
+        return curlinecolor[i];
+      }).attr("fill-opacity", fillopacity).attr("stroke", function(d, i) {
+        return curlinecolor[i];
+      }).attr("stroke-width", linewidth);
+      densitySelect = g.select("g#densities").selectAll("path.density").data(densities);
+      densitySelect.enter().append("path").attr("class", "density").attr("fill", "none").attr("stroke-dasharray", "6,3").style("pointer-events", "none");
+      densitySelect.exit().remove();
+      densitySelect.attr("d", d3.svg.line().x(function(p) {
+        return xscale(p[0]);
+      }).y(function(p) {
+        return yscale(p[1]);
+      })).attr("stroke", function(d, i) {
+        return curlinecolor[i];
+      }).attr("stroke-width", linewidth);
+      legend = g.select("g.legend").selectAll("g.legenditem").data(nhist > 1 ? names : []);
+      legendEnter = legend.enter().append("g").attr("class", "legenditem");
+      legendEnter.append("line");
+      legendEnter.append("text").style("text-anchor", "end").style("dominant-baseline", "middle");
+      legend.exit().remove();
+      legend.select("line").attr("x1", margin.left + width - 25).attr("x2", margin.left + width - 10).attr("y1", function(d, i) {
+        return margin.top + 15 + i * 18;
+      }).attr("y2", function(d, i) {
+        return margin.top + 15 + i * 18;
+      }).attr("stroke", function(d, i) {
+        return curlinecolor[i];
+      }).attr("stroke-width", linewidth);
+      legend.select("text").attr("x", margin.left + width - 30).attr("y", function(d, i) {
+        return margin.top + 15 + i * 18;
+      }).text(function(d) {
+        return d;
+      });
+      bintip = bintip != null ? bintip : d3.tip().attr('class', 'd3-tip').direction('e').offset([0, 10]);
+      bintip.hide();
+      bintip.html(function(i) {
+        var bin, f, j;
+        f = formatAxis([curbreaks[i], curbreaks[i + 1]], 1);
+        bin = "(" + (f(curbreaks[i])) + ", " + (f(curbreaks[i + 1])) + "]";
+        if (nhist === 1) {
+          return "" + bin + ": " + counts[0][i];
+        }
+        return ["<strong>" + bin + "</strong>"].concat((function() {
+          var _k, _len2, _results;
+          _results = [];
+          for (j = _k = 0, _len2 = counts.length; _k < _len2; j = ++_k) {
+            c = counts[j];
+            _results.push("" + names[j] + ": " + c[i]);
+          }
+          return _results;
+        })()).join("<br>");
+      });
+      return svg.call(bintip);
+    });
+  };
+  drawFrame = function(g, curbreaks, curxticks, curyticks) {
+    var xaxis, yaxis, _i, _ref, _results;
+    g.selectAll("*").remove();
+    g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", rectcolor).attr("stroke", "none");
+    xaxis = g.append("g").attr("class", "x axis");
+    xaxis.selectAll("empty").data(curxticks).enter().append("line").attr("x1", function(d) {
+      return xscale(d);
+    }).attr("x2", function(d) {
+      return xscale(d);
+    }).attr("y1", margin.top).attr("y2", margin.top + height).attr("class", "x axis grid");
+    xaxis.selectAll("empty").data(curxticks).enter().append("text").attr("x", function(d) {
+      return xscale(d);
+    }).attr("y", margin.top + height + axispos.xlabel).text(function(d) {
+      return formatAxis(curxticks)(d);
+    });
+    xaxis.append("text").attr("class", "title").attr("x", margin.left + width / 2).attr("y", margin.top + height + axispos.xtitle).text(xlab);
+    yaxis = g.append("g").attr("class", "y axis");
+    yaxis.selectAll("empty").data(curyticks).enter().append("line").attr("y1", function(d) {
+      return yscale(d);
+    }).attr("y2", function(d) {
+      return yscale(d);
+    }).attr("x1", margin.left).attr("x2", margin.left + width).attr("class", "y axis grid");
+    yaxis.selectAll("empty").data(curyticks).enter().append("text").attr("y", function(d) {
+      return yscale(d);
+    }).attr("x", margin.left - axispos.ylabel).text(function(d) {
+      return formatAxis(curyticks)(d);
+    });
+    yaxis.append("text").attr("class", "title").attr("y", margin.top + height / 2).attr("x", margin.left - axispos.ytitle).text(ylab).attr("transform", rotate_ylab ? "rotate(270," + (margin.left - axispos.ytitle) + "," + (margin.top + height / 2) + ")" : "");
+    g.append("g").attr("class", "title").append("text").attr("x", margin.left + width / 2).attr("y", margin.top - titlepos).text(title);
+    g.append("g").attr("id", "histograms");
+    g.append("g").attr("id", "densities");
+    g.append("g").attr("class", "legend");
+    g.append("g").attr("id", "bins").selectAll("empty").data((function() {
+      _results = [];
+      for (var _i = 0, _ref = curbreaks.length - 1; 0 <= _ref ? _i < _ref : _i > _ref; 0 <= _ref ? _i++ : _i--){ _results.push(_i); }
+      return _results;
+    }).apply(this)).enter().append("rect").attr("class", "bincatcher").attr("x", function(i) {
+      return xscale(curbreaks[i]);
+    }).attr("width", function(i) {
+      return Math.max(1, xscale(curbreaks[i + 1]) - xscale(curbreaks[i]));
+    }).attr("y", margin.top).attr("height", height).attr("fill", "black").attr("opacity", 0).on("mouseover.paneltip", function(i) {
+      d3.select(this).attr("opacity", 0.1);
+      return bintip.show(i);
+    }).on("mouseout.paneltip", function() {
+      d3.select(this).attr("opacity", 0);
+      return bintip.hide();
+    });
+    return g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
+  };
+  chart.width = function(value) {
+    if (!arguments.length) {
+      return width;
+    }
+    width = value;
+    return chart;
+  };
+  chart.height = function(value) {
+    if (!arguments.length) {
+      return height;
+    }
+    height = value;
+    return chart;
+  };
+  chart.margin = function(value) {
+    if (!arguments.length) {
+      return margin;
+    }
+    margin = value;
+    return chart;
+  };
+  chart.axispos = function(value) {
+    if (!arguments.length) {
+      return axispos;
+    }
+    axispos = value;
+    return chart;
+  };
+  chart.titlepos = function(value) {
+    if (!arguments.length) {
+      return titlepos;
+    }
+    titlepos = value;
+    return chart;
+  };
+  chart.breaks = function(value) {
+    if (!arguments.length) {
+      return breaks;
+    }
+    breaks = value;
+    return chart;
+  };
+  chart.xlim = function(value) {
+    if (!arguments.length) {
+      return xlim;
+    }
+    xlim = value;
+    return chart;
+  };
+  chart.nxticks = function(value) {
+    if (!arguments.length) {
+      return nxticks;
+    }
+    nxticks = value;
+    return chart;
+  };
+  chart.xticks = function(value) {
+    if (!arguments.length) {
+      return xticks;
+    }
+    xticks = value;
+    return chart;
+  };
+  chart.ylim = function(value) {
+    if (!arguments.length) {
+      return ylim;
+    }
+    ylim = value;
+    return chart;
+  };
+  chart.nyticks = function(value) {
+    if (!arguments.length) {
+      return nyticks;
+    }
+    nyticks = value;
+    return chart;
+  };
+  chart.yticks = function(value) {
+    if (!arguments.length) {
+      return yticks;
+    }
+    yticks = value;
+    return chart;
+  };
+  chart.rectcolor = function(value) {
+    if (!arguments.length) {
+      return rectcolor;
+    }
+    rectcolor = value;
+    return chart;
+  };
+  chart.linecolor = function(value) {
+    if (!arguments.length) {
+      return linecolor;
+    }
+    linecolor = value;
+    return chart;
+  };
+  chart.linewidth = function(value) {
+    if (!arguments.length) {
+      return linewidth;
+    }
+    linewidth = value;
+    return chart;
+  };
+  chart.fillopacity = function(value) {
+    if (!arguments.length) {
+      return fillopacity;
+    }
+    fillopacity = value;
+    return chart;
+  };
+  chart.density = function(value) {
+    if (!arguments.length) {
+      return density;
+    }
+    density = value;
+    return chart;
+  };
+  chart.title = function(value) {
+    if (!arguments.length) {
+      return title;
+    }
+    title = value;
+    return chart;
+  };
+  chart.xlab = function(value) {
+    if (!arguments.length) {
+      return xlab;
+    }
+    xlab = value;
+    return chart;
+  };
+  chart.ylab = function(value) {
+    if (!arguments.length) {
+      return ylab;
+    }
+    ylab = value;
+    return chart;
+  };
+  chart.rotate_ylab = function(value) {
+    if (!arguments.length) {
+      return rotate_ylab;
+    }
+    rotate_ylab = value;
+    return chart;
+  };
+  chart.xscale = function() {
+    return xscale;
+  };
+  chart.yscale = function() {
+    return yscale;
+  };
+  chart.histSelect = function() {
+    return histSelect;
+  };
+  return chart;
+};
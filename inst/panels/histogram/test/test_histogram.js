@@ -0,0 +1,45 @@
+// Generated by CoffeeScript 1.8.0
+var counted, mychart4, x;
+
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = histogram().xlab("Blood pressure");
+  return d3.select("div#chart1").datum({
+    x: data.x
+  }).call(mychart);
+});
+
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = histogram().xlab("Blood pressure").breaks(40).density(true).fillopacity(0.2).title("By genotype at D4Mit164");
+  return d3.select("div#chart2").datum(data).call(mychart);
+});
+
+d3.json("data.json", function(data) {
+  var all, mychart;
+  mychart = histogram().xlab("Blood pressure").linecolor(["slateblue", "Orchid"]).ylim([0, d3.max(d3.merge(data.binned.counts))]);
+  d3.select("div#chart3").datum(data.binned).call(mychart);
+  all = true;
+  return d3.select("div#chart3").on("click", function() {
+    var counts;
+    all = !all;
+    counts = all ? data.binned.counts : [data.binned.counts[0]];
+    return d3.select("div#chart3").datum({
+      breaks: data.binned.breaks,
+      counts: counts,
+      names: data.binned.names
+    }).call(mychart);
+  });
+});
+
+x = [-0.3461125503471729, 1, 2, 3.4232594381275527];
+
+mychart4 = histogram().breaks(4);
+
+d3.select("div#chart4").datum({
+  x: x
+}).call(mychart4);
+
+counted = sumArray(d3.merge(mychart4.histSelect().data()));
+
+d3.select("p#chart4counts").text("" + counted + " of " + x.length + " values counted");
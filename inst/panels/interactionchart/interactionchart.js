@@ -0,0 +1,439 @@
+// Generated by CoffeeScript 1.8.0
+var interactionchart;
+
+interactionchart = function() {
+  var axispos, chart, dodge, height, legendtitle, linecolor, linewidth, margin, nyticks, pointsSelect, pointsize, pointstroke, rectcolor, rotate_ylab, semult, tip, title, titlepos, width, xcategories, xcatlabels, xlab, xscale, ylab, ylim, yscale, yticks;
+  width = 400;
+  height = 300;
+  margin = {
+    left: 60,
+    top: 40,
+    right: 40,
+    bottom: 40,
+    inner: 5
+  };
+  axispos = {
+    xtitle: 25,
+    ytitle: 30,
+    xlabel: 5,
+    ylabel: 5
+  };
+  titlepos = 20;
+  xcategories = null;
+  xcatlabels = null;
+  ylim = null;
+  nyticks = 5;
+  yticks = null;
+  rectcolor = "#e6e6e6";
+  linecolor = null;
+  linewidth = 2;
+  pointsize = 3;
+  pointstroke = "black";
+  semult = 2;
+  dodge = 0.05;
+  title = "";
+  xlab = "Genotype";
+  ylab = "Response";
+  rotate_ylab = null;
+  legendtitle = "";
+  xscale = d3.scale.ordinal();
+  yscale = d3.scale.linear();
+  pointsSelect = null;
+  tip = null;
+  chart = function(selection) {
+    return selection.each(function(data) {
+      var cat, categories, ci, curlinecolor, curxcatlabels, curylim, curyticks, g, gEnter, gr, group, groupnames, i, index, j, legend, legendg, line, n, ngroup, offset, s, spacing, stats, svg, titlegrp, v, x, xaxis, xpos, xrange, y, yaxis, yrange, _i, _j, _k, _len, _len1, _ref, _ref1, _ref2;
+      x = data.x;
+      y = data.y;
+      group = (_ref = data != null ? data.group : void 0) != null ? _ref : (function() {
+        var _i, _len, _results;
+        _results = [];
+        for (_i = 0, _len = x.length; _i < _len; _i++) {
+          v = x[_i];
+          _results.push(1);
+        }
+        return _results;
+      })();
+      if (y.length !== x.length) {
+        displayError("y.length (" + y.length + ") != x.length (" + x.length + ")");
+      }
+      if (group.length !== x.length) {
+        displayError("group.length (" + group.length + ") != x.length (" + x.length + ")");
+      }
+      ngroup = d3.max(group);
+      groupnames = (_ref1 = data.groupnames) != null ? _ref1 : (function() {
+        var _i, _results;
+        _results = [];
+        for (i = _i = 1; 1 <= ngroup ? _i <= ngroup : _i >= ngroup; i = 1 <= ngroup ? ++_i : --_i) {
+          _results.push("" + i);
+        }
+        return _results;
+      })();
+      categories = xcategories != null ? xcategories : (unique((function() {
+        var _i, _len, _results;
+        _results = [];
+        for (_i = 0, _len = x.length; _i < _len; _i++) {
+          v = x[_i];
+          if (v != null) {
+            _results.push(v);
+          }
+        }
+        return _results;
+      })())).sort(function(a, b) {
+        return a - b;
+      });
+      curxcatlabels = xcatlabels != null ? xcatlabels : categories;
+      if (curxcatlabels.length !== categories.length) {
+        displayError("xcatlabels.length != categories.length");
+      }
+      curlinecolor = linecolor != null ? expand2vector(forceAsArray(linecolor), ngroup) : selectGroupColors(ngroup, "dark");
+      curlinecolor = forceAsArray(curlinecolor);
+      stats = [];
+      for (gr = _i = 1; 1 <= ngroup ? _i <= ngroup : _i >= ngroup; gr = 1 <= ngroup ? ++_i : --_i) {
+        index = (function() {
+          var _j, _ref2, _results;
+          _results = [];
+          for (i = _j = 0, _ref2 = x.length; 0 <= _ref2 ? _j < _ref2 : _j > _ref2; i = 0 <= _ref2 ? ++_j : --_j) {
+            if (group[i] === gr && (x[i] != null) && (y[i] != null)) {
+              _results.push(i);
+            }
+          }
+          return _results;
+        })();
+        ci = ci_by_group((function() {
+          var _j, _len, _results;
+          _results = [];
+          for (_j = 0, _len = index.length; _j < _len; _j++) {
+            i = index[_j];
+            _results.push(x[i]);
+          }
+          return _results;
+        })(), (function() {
+          var _j, _len, _results;
+          _results = [];
+          for (_j = 0, _len = index.length; _j < _len; _j++) {
+            i = index[_j];
+            _results.push(y[i]);
+          }
+          return _results;
+        })(), semult);
+        n = {};
+        for (_j = 0, _len = index.length; _j < _len; _j++) {
+          i = index[_j];
+          n[x[i]] = ((_ref2 = n[x[i]]) != null ? _ref2 : 0) + 1;
+        }
+        for (j = _k = 0, _len1 = categories.length; _k < _len1; j = ++_k) {
+          cat = categories[j];
+          if (ci[cat] != null) {
+            stats.push({
+              group: gr - 1,
+              category: j,
+              mean: ci[cat].mean,
+              low: ci[cat].low,
+              high: ci[cat].high,
+              n: n[cat]
+            });
+          }
+        }
+      }
+      curylim = ylim != null ? ylim : d3.extent(d3.merge([
+        (function() {
+          var _l, _len2, _results;
+          _results = [];
+          for (_l = 0, _len2 = stats.length; _l < _len2; _l++) {
+            s = stats[_l];
+            _results.push(s.low);
+          }
+          return _results;
+        })(), (function() {
+          var _l, _len2, _results;
+          _results = [];
+          for (_l = 0, _len2 = stats.length; _l < _len2; _l++) {
+            s = stats[_l];
+            _results.push(s.high);
+          }
+          return _results;
+        })()
+      ]));
+      svg = d3.select(this).selectAll("svg").data([data]);
+      gEnter = svg.enter().append("svg").append("g");
+      svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom);
+      g = svg.select("g");
+      g.selectAll("*").remove();
+      g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", rectcolor).attr("stroke", "none");
+      xrange = [margin.left + margin.inner, margin.left + width - margin.inner];
+      xscale.domain(categories).rangePoints(xrange, 1);
+      yrange = [margin.top + height - margin.inner, margin.top + margin.inner];
+      yscale.domain(curylim).range(yrange);
+      curyticks = yticks != null ? yticks : yscale.ticks(nyticks);
+      spacing = (xrange[1] - xrange[0]) / categories.length;
+      xpos = function(s) {
+        return xscale(categories[s.category]) + (s.group - (ngroup - 1) / 2) * dodge * spacing;
+      };
+      titlegrp = g.append("g").attr("class", "title").append("text").attr("x", margin.left + width / 2).attr("y", margin.top - titlepos).text(title);
+      xaxis = g.append("g").attr("class", "x axis");
+      xaxis.selectAll("empty").data(categories).enter().append("line").attr("x1", function(d) {
+        return xscale(d);
+      }).attr("x2", function(d) {
+        return xscale(d);
+      }).attr("y1", margin.top).attr("y2", margin.top + height).attr("class", "x axis grid");
+      xaxis.selectAll("empty").data(categories).enter().append("text").attr("x", function(d) {
+        return xscale(d);
+      }).attr("y", margin.top + height + axispos.xlabel).text(function(d, i) {
+        return curxcatlabels[i];
+      });
+      xaxis.append("text").attr("class", "title").attr("x", margin.left + width / 2).attr("y", margin.top + height + axispos.xtitle).text(xlab);
+      rotate_ylab = rotate_ylab != null ? rotate_ylab : ylab.length > 1;
+      yaxis = g.append("g").attr("class", "y axis");
+      yaxis.selectAll("empty").data(curyticks).enter().append("line").attr("y1", function(d) {
+        return yscale(d);
+      }).attr("y2", function(d) {
+        return yscale(d);
+      }).attr("x1", margin.left).attr("x2", margin.left + width).attr("class", "y axis grid");
+      yaxis.selectAll("empty").data(curyticks).enter().append("text").attr("y", function(d) {
+        return yscale(d);
+      }).attr("x", margin.left - axispos.ylabel).text(function(d) {
+        return formatAxis(curyticks)(d);
+      });
+      yaxis.append("text").attr("class", "title").attr("y", margin.top + height / 2).attr("x", margin.left - axispos.ytitle).text(ylab).attr("transform", rotate_ylab ? "rotate(270," + (margin.left - axispos.ytitle) + "," + (margin.top + height / 2) + ")" : "");
+      line = d3.svg.line().x(function(s) {
+        return xpos(s);
+      }).y(function(s) {
+        return yscale(s.mean);
+      });
+      g.append("g").attr("id", "lines").selectAll("empty").data((function() {
+        var _l, _results;
+        _results = [];
+        for (gr = _l = 0; 0 <= ngroup ? _l < ngroup : _l > ngroup; gr = 0 <= ngroup ? ++_l : --_l) {
+          _results.push((function() {
+            var _len2, _m, _results1;
+            _results1 = [];
+            for (_m = 0, _len2 = stats.length; _m < _len2; _m++) {
+              s = stats[_m];
+              if (s.group === gr) {
+                _results1.push(s);
+              }
+            }
+            return _results1;
+          })());
+        }
+        return _results;
+      })()).enter().append("path").attr("d", line).attr("fill", "none").attr("stroke", function(d, i) {
+        return curlinecolor[i];
+      }).attr("stroke-width", linewidth);
+      if (semult > 0) {
+        g.append("g").attr("id", "errorbars").selectAll("empty").data(stats).enter().append("line").attr("x1", function(s) {
+          return xpos(s);
+        }).attr("x2", function(s) {
+          return xpos(s);
+        }).attr("y1", function(s) {
+          return yscale(s.low);
+        }).attr("y2", function(s) {
+          return yscale(s.high);
+        }).attr("stroke", function(s) {
+          return curlinecolor[s.group];
+        }).attr("stroke-width", linewidth);
+      }
+      tip = tip != null ? tip : d3.tip().attr('class', 'd3-tip').direction('e').offset([0, 10]);
+      tip.hide();
+      tip.html(function(s) {
+        var f, label;
+        f = formatAxis([s.low, s.mean], 1);
+        label = "" + curxcatlabels[s.category] + " : " + groupnames[s.group];
+        if (!(semult > 0)) {
+          return "" + label + ": " + (f(s.mean)) + " (n = " + s.n + ")";
+        }
+        return "" + label + ": " + (f(s.mean)) + " (" + (f(s.low)) + " - " + (f(s.high)) + "; n = " + s.n + ")";
+      });
+      svg.call(tip);
+      pointsSelect = g.append("g").attr("id", "points").selectAll("empty").data(stats).enter().append("circle").attr("cx", function(s) {
+        return xpos(s);
+      }).attr("cy", function(s) {
+        return yscale(s.mean);
+      }).attr("r", pointsize).attr("fill", function(s) {
+        return curlinecolor[s.group];
+      }).attr("stroke", pointstroke).attr("stroke-width", "1").on("mouseover.paneltip", tip.show).on("mouseout.paneltip", tip.hide);
+      legendg = g.append("g").attr("class", "legend");
+      legendg.append("text").attr("x", margin.left + width - 10).attr("y", margin.top + 15).text(ngroup > 1 ? legendtitle : "").style("text-anchor", "end").style("dominant-baseline", "middle");
+      offset = legendtitle !== "" ? 1 : 0;
+      legend = legendg.selectAll("empty").data(ngroup > 1 ? groupnames : []).enter().append("g").attr("class", "legenditem");
+      legend.append("line").attr("x1", margin.left + width - 25).attr("x2", margin.left + width - 10).attr("y1", function(d, i) {
+        return margin.top + 15 + (i + offset) * 18;
+      }).attr("y2", function(d, i) {
+        return margin.top + 15 + (i + offset) * 18;
+      }).attr("stroke", function(d, i) {
+        return curlinecolor[i];
+      }).attr("stroke-width", linewidth);
+      legend.append("text").attr("x", margin.left + width - 30).attr("y", function(d, i) {
+        return margin.top + 15 + (i + offset) * 18;
+      }).text(function(d) {
+        return d;
+      }).style("text-anchor", "end").style("dominant-baseline", "middle");
+      return g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
+    });
+  };
+  chart.width = function(value) {
+    if (!arguments.length) {
+      return width;
+    }
+    width = value;
+    return chart;
+  };
+  chart.height = function(value) {
+    if (!arguments.length) {
+      return height;
+    }
+    height = value;
+    return chart;
+  };
+  chart.margin = function(value) {
+    if (!arguments.length) {
+      return margin;
+    }
+    margin = value;
+    return chart;
+  };
+  chart.axispos = function(value) {
+    if (!arguments.length) {
+      return axispos;
+    }
+    axispos = value;
+    return chart;
+  };
+  chart.titlepos = function(value) {
+    if (!arguments.length) {
+      return titlepos;
+    }
+    titlepos = value;
+    return chart;
+  };
+  chart.xcategories = function(value) {
+    if (!arguments.length) {
+      return xcategories;
+    }
+    xcategories = value;
+    return chart;
+  };
+  chart.xcatlabels = function(value) {
+    if (!arguments.length) {
+      return xcatlabels;
+    }
+    xcatlabels = value;
+    return chart;
+  };
+  chart.ylim = function(value) {
+    if (!arguments.length) {
+      return ylim;
+    }
+    ylim = value;
+    return chart;
+  };
+  chart.nyticks = function(value) {
+    if (!arguments.length) {
+      return nyticks;
+    }
+    nyticks = value;
+    return chart;
+  };
+  chart.yticks = function(value) {
+    if (!arguments.length) {
+      return yticks;
+    }
+    yticks = value;
+    return chart;
+  };
+  chart.rectcolor = function(value) {
+    if (!arguments.length) {
+      return rectcolor;
+    }
+    rectcolor = value;
+    return chart;
+  };
+  chart.linecolor = function(value) {
+    if (!arguments.length) {
+      return linecolor;
+    }
+    linecolor = value;
+    return chart;
+  };
+  chart.linewidth = function(value) {
+    if (!arguments.length) {
+      return linewidth;
+    }
+    linewidth = value;
+    return chart;
+  };
+  chart.pointsize = function(value) {
+    if (!arguments.length) {
+      return pointsize;
+    }
+    pointsize = value;
+    return chart;
+  };
+  chart.pointstroke = function(value) {
+    if (!arguments.length) {
+      return pointstroke;
+    }
+    pointstroke = value;
+    return chart;
+  };
+  chart.semult = function(value) {
+    if (!arguments.length) {
+      return semult;
+    }
+    semult = value;
+    return chart;
+  };
+  chart.dodge = function(value) {
+    if (!arguments.length) {
+      return dodge;
+    }
+    dodge = value;
+    return chart;
+  };
+  chart.title = function(value) {
+    if (!arguments.length) {
+      return title;
+    }
+    title = value;
+    return chart;
+  };
+  chart.xlab = function(value) {
+    if (!arguments.length) {
+      return xlab;
+    }
+    xlab = value;
+    return chart;
+  };
+  chart.ylab = function(value) {
+    if (!arguments.length) {
+      return ylab;
+    }
+    ylab = value;
+    return chart;
+  };
+  chart.rotate_ylab = function(value) {
+    if (!arguments.length) {
+      return rotate_ylab;
+    }
+    rotate_ylab = value;
+    return chart;
+  };
+  chart.legendtitle = function(value) {
+    if (!arguments.length) {
+      return legendtitle;
+    }
+    legendtitle = value;
+    return chart;
+  };
+  chart.yscale = function() {
+    return yscale;
+  };
+  chart.xscale = function() {
+    return xscale;
+  };
+  chart.pointsSelect = function() {
+    return pointsSelect;
+  };
+  return chart;
+};
@@ -0,0 +1,22 @@
+// Generated by CoffeeScript 1.8.0
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = interactionchart().xcatlabels(data.genonames).xlab(data.markers[0]).legendtitle(data.markers[1]).ylab("log2 survival time");
+  return d3.select("div#chart1").datum(data).call(mychart);
+});
+
+d3.json("data.json", function(data) {
+  var mychart, swapped;
+  mychart = interactionchart().xcatlabels(data.genonames).xlab(data.markers[1]).legendtitle(data.markers[0]).ylab("log2 survival time").linecolor(["slateblue", "Orchid", "darkgreen"]).semult(0).dodge(0);
+  swapped = {
+    x: data.group,
+    group: data.x,
+    y: data.y,
+    groupnames: data.groupnames
+  };
+  d3.select("div#chart2").datum(swapped).call(mychart);
+  return d3.select("div#chart2").on("click", function() {
+    mychart.semult(mychart.semult() > 0 ? 0 : 2).dodge(mychart.dodge() > 0 ? 0 : 0.05);
+    return d3.select("div#chart2").datum(swapped).call(mychart);
+  });
+});
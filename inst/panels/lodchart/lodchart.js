@@ -1,8 +1,9 @@
 // Generated by CoffeeScript 1.8.0
-var lodchart;
+var lodchart,
+  __indexOf = [].indexOf || function(item) { for (var i = 0, l = this.length; i < l; i++) { if (i in this && this[i] === item) return i; } return -1; };
 
 lodchart = function() {
-  var axispos, chart, chrGap, chrSelect, darkrect, height, lightrect, linecolor, linewidth, lodcurve, lodvarname, margin, markerSelect, nyticks, pad4heatmap, pointcolor, pointsAtMarkers, pointsize, pointstroke, rotate_ylab, title, titlepos, width, xlab, xscale, ylab, ylim, yscale, yticks;
+  var axispos, bayesintProb, chart, chrGap, chrSelect, chrZoom, clipid, container, curylim, curyticks, darkrect, duration, height, hiddencurves, hub, hublabel, interval, intervalType, intervalcolor, keynav, lightrect, linecolor, linewidth, lodcurve, lodintDrop, lodvarname, lodvarnames, margin, markerSelect, markertip, maxZoom, nxticks, nyticks, pad4heatmap, panning, pointcolor, pointsAtMarkers, pointsize, pointstroke, redraw, rotate_ylab, setupZoom, thresholdcolor, thresholds, thresholdshade, title, titlepos, width, xlab, xscale, ylab, ylim, yscale, yticks, zoom, zoomTo, zoomchr, zoomscale, zoomscalechr;
   width = 800;
   height = 500;
   margin = {
@@ -42,77 +43,356 @@ lodchart = function() {
   markerSelect = null;
   chrSelect = null;
   pointsAtMarkers = true;
+  duration = 0;
+  thresholds = null;
+  thresholdcolor = "crimson";
+  thresholdshade = false;
+  intervalType = null;
+  lodintDrop = 1.5;
+  bayesintProb = 0.95;
+  intervalcolor = "slateblue";
+  interval = null;
+  chrZoom = false;
+  maxZoom = 50;
+  nxticks = 5;
+  zoomchr = null;
+  zoomscale = d3.scale.linear();
+  zoomscalechr = null;
+  zoom = d3.behavior.zoom();
+  panning = false;
+  clipid = "lodchartclip" + (Math.random().toString(36).slice(2));
+  lodvarnames = [];
+  hiddencurves = {};
+  curylim = null;
+  curyticks = null;
+  markertip = null;
+  keynav = null;
+  container = null;
+  hub = null;
+  hublabel = hubLabel("lodchart");
   chart = function(selection) {
     return selection.each(function(data) {
-      var bigpointsize, chr, curves, g, gEnter, hiddenpoints, lodvarnum, markerpoints, markertip, svg, titlegrp, x, xaxis, yaxis, _i, _len, _ref, _ref1;
+      var band, bigpointsize, curlinecolor, curthresholds, curvepaths, curves, d, ends, g, gEnter, intervalg, legend, legendEnter, lod, lodcol, marker, markerpoints, maxlod, nlod, pos, shown, shownchr, svg, t, threshold, thresholdEnter, visibleMarkers, x, xaxis, xlabels, xlines, xticks, yaxis, ylabels, ylines, _i, _j, _len, _len1, _ref, _ref1;
       lodvarname = lodvarname != null ? lodvarname : data.lodnames[0];
-      data[lodvarname] = (function() {
-        var _i, _len, _ref, _results;
-        _ref = data[lodvarname];
+      lodvarnames = forceAsArray(lodvarname);
+      for (_i = 0, _len = lodvarnames.length; _i < _len; _i++) {
+        lodcol = lodvarnames[_i];
+        data[lodcol] = (function() {
+          var _j, _len1, _ref, _results;
+          _ref = data[lodcol];
+          _results = [];
+          for (_j = 0, _len1 = _ref.length; _j < _len1; _j++) {
+            x = _ref[_j];
+            _results.push(abs(x));
+          }
+          return _results;
+        })();
+      }
+      curthresholds = (function() {
+        var _j, _len1, _ref, _ref1, _results;
+        _ref1 = (_ref = forceAsArray(thresholds)) != null ? _ref : [];
+        _results = [];
+        for (_j = 0, _len1 = _ref1.length; _j < _len1; _j++) {
+          t = _ref1[_j];
+          _results.push(typeof t === "number" ? {
+            lod: t
+          } : t);
+        }
+        return _results;
+      })();
+      maxlod = (function() {
+        var _j, _len1, _results;
         _results = [];
-        for (_i = 0, _len = _ref.length; _i < _len; _i++) {
-          x = _ref[_i];
-          _results.push(abs(x));
+        for (_j = 0, _len1 = lodvarnames.length; _j < _len1; _j++) {
+          lodcol = lodvarnames[_j];
+          _results.push(d3.max(data[lodcol]));
         }
         return _results;
       })();
-      ylim = ylim != null ? ylim : [0, d3.max(data[lodvarname])];
-      lodvarnum = data.lodnames.indexOf(lodvarname);
+      curylim = ylim != null ? ylim : [
+        0, d3.max(maxlod.concat((function() {
+          var _j, _len1, _results;
+          _results = [];
+          for (_j = 0, _len1 = curthresholds.length; _j < _len1; _j++) {
+            t = curthresholds[_j];
+            _results.push(t.lod);
+          }
+          return _results;
+        })()))
+      ];
+      nlod = lodvarnames.length;
+      if (Array.isArray(linecolor)) {
+        curlinecolor = expand2vector(linecolor, nlod);
+      } else if (nlod > 1) {
+        curlinecolor = selectGroupColors(nlod, "dark");
+      } else {
+        curlinecolor = [linecolor];
+      }
       if (data.chr.length !== data.pos.length) {
         displayError("chr.length (" + data.chr.length + ") != pos.length (" + data.pos.length + ")");
       }
       if (data.chr.length !== data.markernames.length) {
         displayError("chr.length (" + data.chr.length + ") != markernames.length (" + data.markernames.length + ")");
       }
-      svg = d3.select(this).selectAll("svg").data([data]);
+      container = d3.select(this);
+      if (__indexOf.call(data.chrnames, zoomchr) < 0) {
+        zoomchr = null;
+      }
+      svg = container.selectAll("svg").data([data]);
       gEnter = svg.enter().append("svg").append("g");
-      svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom);
+      gEnter.append("clipPath").attr("id", clipid).append("rect");
+      gEnter.append("rect").attr("class", "innerBox");
+      gEnter.append("g").attr("class", "chrRect");
+      gEnter.append("g").attr("class", "x axis").append("text").attr("class", "title");
+      gEnter.append("g").attr("class", "y axis").append("text").attr("class", "title");
+      gEnter.append("g").attr("class", "thresholds");
+      gEnter.append("g").attr("class", "interval").style("pointer-events", "none");
+      gEnter.append("g").attr("id", "curves");
+      gEnter.append("g").attr("id", "markerpoints_visible");
+      gEnter.append("g").attr("id", "markerpoints_hidden");
+      gEnter.append("g").attr("class", "positionhover").style("pointer-events", "none");
+      gEnter.append("g").attr("class", "legend");
+      gEnter.append("g").attr("class", "title").append("text");
+      gEnter.append("rect").attr("class", "outerBox");
+      gEnter.append("text").attr("class", "genomelink").text("back to genome").style("text-anchor", "end").style("cursor", "pointer");
+      if (svg.attr("viewBox") == null) {
+        svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom);
+      }
       g = svg.select("g");
-      g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", darkrect).attr("stroke", "none");
+      g.select("rect.innerBox").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", darkrect).attr("stroke", "none");
+      g.select("clipPath rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width);
       margin.inner = (_ref = margin != null ? margin.inner : void 0) != null ? _ref : 0;
-      yscale.domain(ylim).range([height + margin.top, margin.top + margin.inner]);
-      yticks = yticks != null ? yticks : yscale.ticks(nyticks);
-      data = reorgLodData(data, lodvarname);
+      yscale.domain(curylim).range([height + margin.top, margin.top + margin.inner]);
+      curyticks = yticks != null ? yticks : yscale.ticks(nyticks);
+      data = reorgLodData(data, lodvarnames[0]);
+      if (nlod > 1) {
+        shown = (function() {
+          var _j, _len1, _results;
+          _results = [];
+          for (_j = 0, _len1 = lodvarnames.length; _j < _len1; _j++) {
+            lodcol = lodvarnames[_j];
+            if (!hiddencurves[lodcol]) {
+              _results.push(lodcol);
+            }
+          }
+          return _results;
+        })();
+        if (shown.length === 0) {
+          shown = [lodvarnames[0]];
+        }
+        _ref1 = data.markers;
+        for (_j = 0, _len1 = _ref1.length; _j < _len1; _j++) {
+          marker = _ref1[_j];
+          marker.lods = (function() {
+            var _k, _len2, _results;
+            _results = [];
+            for (_k = 0, _len2 = lodvarnames.length; _k < _len2; _k++) {
+              lodcol = lodvarnames[_k];
+              _results.push(data[lodcol][marker.index]);
+            }
+            return _results;
+          })();
+          marker.lod = d3.max((function() {
+            var _k, _len2, _results;
+            _results = [];
+            for (_k = 0, _len2 = shown.length; _k < _len2; _k++) {
+              lodcol = shown[_k];
+              _results.push(data[lodcol][marker.index]);
+            }
+            return _results;
+          })());
+        }
+      }
       data = chrscales(data, width, chrGap, margin.left, pad4heatmap);
       xscale = data.xscale;
-      chrSelect = g.append("g").attr("class", "chrRect").selectAll("empty").data(data.chrnames).enter().append("rect").attr("id", function(d) {
+      if (zoomchr != null) {
+        if (zoomscalechr !== zoomchr) {
+          setupZoom(container, data.posByChr[zoomchr]);
+        }
+        zoomscale.range([margin.left, margin.left + width]);
+        xscale[zoomchr] = zoomscale;
+        xticks = zoomscale.ticks(nxticks);
+        if (!panning) {
+          g.call(zoom);
+        }
+      } else {
+        zoomscalechr = null;
+        xticks = [];
+        g.on(".zoom", null);
+      }
+      chrSelect = g.select("g.chrRect").selectAll("rect").data(data.chrnames, function(d) {
+        return d;
+      });
+      chrSelect.enter().append("rect").attr("id", function(d) {
         return "chrrect" + d;
-      }).attr("x", function(d, i) {
+      }).attr("y", margin.top).attr("height", height).attr("stroke", "none");
+      chrSelect.exit().remove();
+      chrSelect.attr("fill", function(d, i) {
+        if (i % 2) {
+          return darkrect;
+        }
+        return lightrect;
+      }).style("display", function(d) {
+        if ((zoomchr != null) && d !== zoomchr) {
+          return "none";
+        } else {
+          return null;
+        }
+      }).style("cursor", chrZoom && (zoomchr == null) ? "pointer" : null).on("click.zoom", function(d) {
+        if (chrZoom && (zoomchr == null)) {
+          return zoomTo(container, d);
+        }
+      });
+      redraw(chrSelect).attr("x", function(d, i) {
+        if (zoomchr != null) {
+          return margin.left;
+        }
         if (i === 0 && pad4heatmap) {
           return data.chrStart[i];
         }
         return data.chrStart[i] - chrGap / 2;
       }).attr("width", function(d, i) {
+        if (zoomchr != null) {
+          return width;
+        }
         if ((i === 0 || i + 1 === data.chrnames.length) && pad4heatmap) {
           return data.chrEnd[i] - data.chrStart[i] + chrGap / 2;
         }
         return data.chrEnd[i] - data.chrStart[i] + chrGap;
-      }).attr("y", margin.top).attr("height", height).attr("fill", function(d, i) {
-        if (i % 2) {
-          return darkrect;
+      }).attr("y", margin.top).attr("height", height);
+      xaxis = g.select("g.x.axis");
+      xlabels = xaxis.selectAll("text.label").data((zoomchr != null ? xticks : data.chrnames), function(d) {
+        if (zoomchr != null) {
+          return "pos" + d;
+        } else {
+          return d;
+        }
+      });
+      xlabels.enter().append("text").attr("class", "label");
+      xlabels.exit().remove();
+      xlabels.text(function(d) {
+        if (zoomchr != null) {
+          return formatAxis(xticks)(d);
+        } else {
+          return d;
+        }
+      });
+      redraw(xlabels).attr("x", function(d, i) {
+        if (zoomchr != null) {
+          return zoomscale(d);
         }
-        return lightrect;
-      }).attr("stroke", "none");
-      xaxis = g.append("g").attr("class", "x axis");
-      xaxis.selectAll("empty").data(data.chrnames).enter().append("text").text(function(d) {
-        return d;
-      }).attr("x", function(d, i) {
         return (data.chrStart[i] + data.chrEnd[i]) / 2;
       }).attr("y", margin.top + height + axispos.xlabel);
-      xaxis.append("text").attr("class", "title").attr("y", margin.top + height + axispos.xtitle).attr("x", margin.left + width / 2).text(xlab);
+      xlines = xaxis.selectAll("line").data(xticks);
+      xlines.enter().append("line").attr("fill", "none").attr("stroke", "white").attr("stroke-width", 1).style("pointer-events", "none");
+      xlines.exit().remove();
+      xlines.attr("x1", function(d) {
+        return zoomscale(d);
+      }).attr("x2", function(d) {
+        return zoomscale(d);
+      }).attr("y1", margin.top).attr("y2", margin.top + height);
+      xaxis.select("text.title").attr("y", margin.top + height + axispos.xtitle).attr("x", margin.left + width / 2).text(zoomchr != null ? "Chromosome " + zoomchr + " position (cM)" : xlab);
       rotate_ylab = rotate_ylab != null ? rotate_ylab : ylab.length > 1;
-      yaxis = g.append("g").attr("class", "y axis");
-      yaxis.selectAll("empty").data(yticks).enter().append("line").attr("y1", function(d) {
+      yaxis = g.select("g.y.axis");
+      ylines = yaxis.selectAll("line").data(curyticks, function(d) {
+        return d;
+      });
+      ylines.enter().append("line").attr("y1", function(d) {
         return yscale(d);
       }).attr("y2", function(d) {
         return yscale(d);
-      }).attr("x1", margin.left).attr("x2", margin.left + width).attr("fill", "none").attr("stroke", "white").attr("stroke-width", 1).style("pointer-events", "none");
-      yaxis.selectAll("empty").data(yticks).enter().append("text").attr("y", function(d) {
+      }).attr("fill", "none").attr("stroke", "white").attr("stroke-width", 1).style("pointer-events", "none");
+      ylines.exit().remove();
+      redraw(ylines).attr("y1", function(d) {
+        return yscale(d);
+      }).attr("y2", function(d) {
+        return yscale(d);
+      }).attr("x1", margin.left).attr("x2", margin.left + width);
+      ylabels = yaxis.selectAll("text.label").data(curyticks, function(d) {
+        return d;
+      });
+      ylabels.enter().append("text").attr("class", "label").attr("y", function(d) {
+        return yscale(d);
+      });
+      ylabels.exit().remove();
+      redraw(ylabels).attr("y", function(d) {
         return yscale(d);
       }).attr("x", margin.left - axispos.ylabel).text(function(d) {
-        return formatAxis(yticks)(d);
+        return formatAxis(curyticks)(d);
+      });
+      yaxis.select("text.title").attr("y", margin.top + height / 2).attr("x", margin.left - axispos.ytitle).text(ylab).attr("transform", rotate_ylab ? "rotate(270," + (margin.left - axispos.ytitle) + "," + (margin.top + height / 2) + ")" : "");
+      threshold = g.select("g.thresholds").selectAll("g.threshold").data(curthresholds);
+      thresholdEnter = threshold.enter().append("g").attr("class", "threshold").style("pointer-events", "none");
+      thresholdEnter.append("rect").attr("y", margin.top).attr("height", 0).attr("stroke", "none").attr("fill-opacity", 0.15);
+      thresholdEnter.append("line").attr("stroke-width", 1).attr("stroke-dasharray", "6,4");
+      thresholdEnter.append("text").style("text-anchor", "end");
+      threshold.exit().remove();
+      threshold.style("display", function(d) {
+        if (d.lod > curylim[1] || d.lod < curylim[0]) {
+          return "none";
+        } else {
+          return null;
+        }
+      });
+      threshold.select("rect").attr("x", margin.left).attr("width", width).attr("fill", thresholdcolor).style("display", thresholdshade ? null : "none");
+      redraw(threshold.select("rect")).attr("y", margin.top).attr("height", function(d) {
+        return d3.max([0, yscale(d.lod) - margin.top]);
+      });
+      threshold.select("line").attr("x1", margin.left).attr("x2", margin.left + width).attr("stroke", thresholdcolor);
+      redraw(threshold.select("line")).attr("y1", function(d) {
+        return yscale(d.lod);
+      }).attr("y2", function(d) {
+        return yscale(d.lod);
       });
-      yaxis.append("text").attr("class", "title").attr("y", margin.top + height / 2).attr("x", margin.left - axispos.ytitle).text(ylab).attr("transform", rotate_ylab ? "rotate(270," + (margin.left - axispos.ytitle) + "," + (margin.top + height / 2) + ")" : "");
+      threshold.select("text").attr("x", margin.left + width - axispos.ylabel).attr("fill", thresholdcolor).text(function(d) {
+        if (d.label != null) {
+          return d.label;
+        }
+        if (d.alpha != null) {
+          return "\u03b1 = " + d.alpha;
+        }
+        return "";
+      });
+      redraw(threshold.select("text")).attr("y", function(d) {
+        return yscale(d.lod) - axispos.ylabel;
+      });
+      interval = null;
+      if ((zoomchr != null) && (intervalType != null)) {
+        pos = data.posByChr[zoomchr];
+        lod = (function() {
+          var _k, _len2, _ref2, _results;
+          _ref2 = data.lodByChr[zoomchr];
+          _results = [];
+          for (_k = 0, _len2 = _ref2.length; _k < _len2; _k++) {
+            d = _ref2[_k];
+            _results.push(d[data.lodnames.indexOf(lodvarnames[0])]);
+          }
+          return _results;
+        })();
+        if (intervalType === "bayesint") {
+          interval = calc_bayesint(pos, lod, bayesintProb);
+        } else {
+          interval = calc_lodint(pos, lod, lodintDrop);
+        }
+        interval.chr = zoomchr;
+      }
+      intervalg = g.select("g.interval").attr("clip-path", "url(#" + clipid + ")").style("display", interval != null ? null : "none");
+      if (interval != null) {
+        band = intervalg.selectAll("rect").data([interval]);
+        band.enter().append("rect").attr("stroke", "none").attr("fill-opacity", 0.2);
+        band.attr("y", margin.top).attr("height", height).attr("fill", intervalcolor).attr("x", function(d) {
+          return zoomscale(d.lo);
+        }).attr("width", function(d) {
+          return zoomscale(d.hi) - zoomscale(d.lo);
+        });
+        ends = intervalg.selectAll("line").data([interval.lo, interval.hi]);
+        ends.enter().append("line").attr("stroke-width", 2);
+        ends.attr("y1", margin.top).attr("y2", margin.top + height).attr("x1", function(d) {
+          return zoomscale(d);
+        }).attr("x2", function(d) {
+          return zoomscale(d);
+        }).attr("stroke", intervalcolor);
+      }
       lodcurve = function(chr, lodcolumn) {
         return d3.svg.line().x(function(d) {
           return xscale[chr](d);
@@ -120,61 +400,342 @@ lodchart = function() {
           return yscale(data.lodByChr[chr][i][lodcolumn]);
         });
       };
-      curves = g.append("g").attr("id", "curves");
-      _ref1 = data.chrnames;
-      for (_i = 0, _len = _ref1.length; _i < _len; _i++) {
-        chr = _ref1[_i];
-        curves.append("path").datum(data.posByChr[chr]).attr("d", lodcurve(chr, lodvarnum)).attr("stroke", linecolor).attr("fill", "none").attr("stroke-width", linewidth).style("pointer-events", "none");
-      }
-      if (pointsize > 0) {
-        markerpoints = g.append("g").attr("id", "markerpoints_visible");
-        markerpoints.selectAll("empty").data(data.markers).enter().append("circle").attr("cx", function(d) {
-          return xscale[d.chr](d.pos);
-        }).attr("cy", function(d) {
-          return yscale(d.lod);
-        }).attr("r", function(d) {
-          if (d.lod != null) {
-            return pointsize;
-          } else {
-            return null;
-          }
-        }).attr("fill", pointcolor).attr("stroke", pointstroke).attr("pointer-events", "hidden");
-      }
-      if (pointsAtMarkers) {
-        hiddenpoints = g.append("g").attr("id", "markerpoints_hidden");
+      curves = g.select("g#curves").attr("clip-path", zoomchr != null ? "url(#" + clipid + ")" : null).selectAll("g.lodcurve").data(lodvarnames, function(d) {
+        return d;
+      });
+      curves.enter().append("g").attr("class", "lodcurve");
+      curves.exit().remove();
+      curves.attr("stroke", function(d, i) {
+        return curlinecolor[i];
+      }).style("display", function(d) {
+        if (hiddencurves[d]) {
+          return "none";
+        } else {
+          return null;
+        }
+      });
+      curvepaths = curves.selectAll("path").data((function(lodcol) {
+        var chr, _k, _len2, _ref2, _results;
+        _ref2 = data.chrnames;
+        _results = [];
+        for (_k = 0, _len2 = _ref2.length; _k < _len2; _k++) {
+          chr = _ref2[_k];
+          _results.push({
+            chr: chr,
+            lodcol: lodcol
+          });
+        }
+        return _results;
+      }), function(d) {
+        return d.chr;
+      });
+      curvepaths.enter().append("path").attr("fill", "none").style("pointer-events", "none");
+      curvepaths.exit().remove();
+      curvepaths.attr("stroke-width", linewidth).style("display", function(d) {
+        if ((zoomchr != null) && d.chr !== zoomchr) {
+          return "none";
+        } else {
+          return null;
+        }
+      });
+      redraw(curvepaths).attr("d", function(d) {
+        return lodcurve(d.chr, data.lodnames.indexOf(d.lodcol))(data.posByChr[d.chr]);
+      });
+      markerpoints = g.select("g#markerpoints_visible").attr("clip-path", zoomchr != null ? "url(#" + clipid + ")" : null).selectAll("circle").data((pointsize > 0 ? data.markers : []), function(d) {
+        return d.name;
+      });
+      markerpoints.enter().append("circle").attr("pointer-events", "hidden");
+      markerpoints.exit().remove();
+      markerpoints.attr("fill", pointcolor).attr("stroke", pointstroke).style("display", function(d) {
+        if ((zoomchr != null) && d.chr !== zoomchr) {
+          return "none";
+        } else {
+          return null;
+        }
+      });
+      redraw(markerpoints).attr("cx", function(d) {
+        return xscale[d.chr](d.pos);
+      }).attr("cy", function(d) {
+        return yscale(d.lod);
+      }).attr("r", function(d) {
+        if (d.lod != null) {
+          return pointsize;
+        } else {
+          return null;
+        }
+      });
+      if (markertip == null) {
         markertip = d3.tip().attr('class', 'd3-tip').html(function(d) {
-          return [d.name, " LOD = " + (d3.format('.2f')(d.lod))];
+          var i, lods;
+          if (d.lods == null) {
+            return [d.name, " LOD = " + (d3.format('.2f')(d.lod))];
+          }
+          lods = (function() {
+            var _k, _len2, _results;
+            _results = [];
+            for (i = _k = 0, _len2 = lodvarnames.length; _k < _len2; i = ++_k) {
+              lodcol = lodvarnames[i];
+              _results.push("" + lodcol + " = " + (d3.format('.2f')(d.lods[i])));
+            }
+            return _results;
+          })();
+          return [d.name].concat(lods).join("<br>");
         }).direction("e").offset([0, 10]);
         svg.call(markertip);
-        bigpointsize = d3.max([2 * pointsize, 3]);
-        markerSelect = hiddenpoints.selectAll("empty").data(data.markers).enter().append("circle").attr("cx", function(d) {
-          return xscale[d.chr](d.pos);
-        }).attr("cy", function(d) {
-          return yscale(d.lod);
-        }).attr("id", function(d) {
-          return d.name;
-        }).attr("r", function(d) {
-          if (d.lod != null) {
-            return bigpointsize;
+      }
+      bigpointsize = d3.max([2 * pointsize, 3]);
+      markerSelect = g.select("g#markerpoints_hidden").attr("clip-path", zoomchr != null ? "url(#" + clipid + ")" : null).selectAll("circle").data((pointsAtMarkers ? data.markers : []), function(d) {
+        return d.name;
+      });
+      markerSelect.enter().append("circle").attr("id", function(d) {
+        return d.name;
+      }).attr("opacity", 0).attr("stroke-width", "1");
+      markerSelect.exit().remove();
+      markerSelect.style("display", function(d) {
+        if ((zoomchr != null) && d.chr !== zoomchr) {
+          return "none";
+        } else {
+          return null;
+        }
+      }).attr("cx", function(d) {
+        return xscale[d.chr](d.pos);
+      }).attr("cy", function(d) {
+        return yscale(d.lod);
+      }).attr("r", function(d) {
+        if (d.lod != null) {
+          return bigpointsize;
+        } else {
+          return null;
+        }
+      }).attr("fill", pointcolor).attr("stroke", pointstroke).on("mouseover.paneltip", function(d) {
+        d3.select(this).attr("opacity", 1);
+        return markertip.show(d);
+      }).on("mouseout.paneltip", function() {
+        return d3.select(this).attr("opacity", 0).call(markertip.hide);
+      });
+      if (hub != null) {
+        markerSelect.on("mouseover.hub", function(d) {
+          return hub.publish("marker:hover", d.name, chart);
+        }).on("mouseout.hub", function() {
+          return hub.publish("marker:hover", null, chart);
+        }).on("click.hub", function(d) {
+          return hub.publish("marker:select", d.name, chart);
+        });
+        hub.on("marker:hover." + hublabel, function(marker, source) {
+          if (source === chart) {
+            return;
+          }
+          return markerSelect.attr("opacity", function(d) {
+            if (d.name === marker) {
+              return 1;
+            } else {
+              return 0;
+            }
+          });
+        });
+        hub.on("chr:select." + hublabel, function(chr, source) {
+          if (source === chart || !chrZoom) {
+            return;
+          }
+          if (__indexOf.call(data.chrnames, chr) < 0) {
+            chr = null;
+          }
+          if (chr === zoomchr) {
+            return;
+          }
+          zoomchr = chr;
+          return container.call(chart);
+        });
+        shownchr = function() {
+          if (zoomchr != null) {
+            return [zoomchr];
           } else {
-            return null;
+            return data.chrnames;
+          }
+        };
+        g.on("mousemove.hubposition", function() {
+          var mx, my, position, _ref2;
+          _ref2 = d3.mouse(this), mx = _ref2[0], my = _ref2[1];
+          position = null;
+          if (my >= margin.top && my <= margin.top + height) {
+            position = nearestPosition(data, xscale, shownchr(), mx);
+          }
+          return hub.publish("position:hover", position, chart);
+        });
+        g.on("mouseleave.hubposition", function() {
+          return hub.publish("position:hover", null, chart);
+        });
+        hub.on("position:hover." + hublabel, function(position, source) {
+          var chrpos, hover, i, j, lods, px, _ref2;
+          if (source === chart) {
+            return;
+          }
+          hover = g.select("g.positionhover");
+          hover.selectAll("*").remove();
+          if (!((position != null) && (_ref2 = position.chr, __indexOf.call(shownchr(), _ref2) >= 0))) {
+            return;
+          }
+          chrpos = data.posByChr[position.chr];
+          j = nearestIndex(chrpos, position.pos);
+          px = xscale[position.chr](chrpos[j]);
+          hover.append("line").attr("x1", px).attr("x2", px).attr("y1", margin.top).attr("y2", margin.top + height).attr("stroke", "black").attr("stroke-dasharray", "4,4");
+          lods = (function() {
+            var _k, _len2, _results;
+            _results = [];
+            for (i = _k = 0, _len2 = lodvarnames.length; _k < _len2; i = ++_k) {
+              lodcol = lodvarnames[i];
+              if (!hiddencurves[lodcol]) {
+                _results.push({
+                  lod: data.lodByChr[position.chr][j][data.lodnames.indexOf(lodcol)],
+                  color: curlinecolor[i]
+                });
+              }
+            }
+            return _results;
+          })();
+          return hover.selectAll("empty").data(lods.filter(function(d) {
+            return d.lod != null;
+          })).enter().append("circle").attr("cx", px).attr("cy", function(d) {
+            return yscale(d.lod);
+          }).attr("r", 4).attr("fill", function(d) {
+            return d.color;
+          }).attr("stroke", "black");
+        });
+      }
+      if (keynav == null) {
+        visibleMarkers = function() {
+          return markerSelect.filter(function(d) {
+            return (d.lod != null) && !((zoomchr != null) && d.chr !== zoomchr);
+          })[0];
+        };
+        keynav = keyboardNav(g, {
+          description: "LOD curves; arrow keys move among markers, Enter selects",
+          nodes: visibleMarkers,
+          n: function() {
+            return visibleMarkers().length;
+          },
+          label: function(i) {
+            d = d3.select(visibleMarkers()[i]).datum();
+            return "Marker " + d.name + ", chromosome " + d.chr + " at " + (d3.format('.1f')(d.pos)) + ", LOD " + (d3.format('.2f')(d.lod));
+          },
+          move: function(i, direction) {
+            var chr, j, nodes;
+            nodes = visibleMarkers();
+            chr = function(j) {
+              return d3.select(nodes[j]).datum().chr;
+            };
+            switch (direction) {
+              case "left":
+                if (i > 0) {
+                  return i - 1;
+                } else {
+                  return null;
+                }
+              case "right":
+                if (i < nodes.length - 1) {
+                  return i + 1;
+                } else {
+                  return null;
+                }
+              case "down":
+                j = i;
+                while (j < nodes.length && chr(j) === chr(i)) {
+                  j++;
+                }
+                if (j < nodes.length) {
+                  return j;
+                } else {
+                  return null;
+                }
+              case "up":
+                j = i;
+                while (j >= 0 && chr(j) === chr(i)) {
+                  j--;
+                }
+                if (j < 0) {
+                  return null;
+                }
+                while (j > 0 && chr(j - 1) === chr(j)) {
+                  j--;
+                }
+                return j;
+            }
           }
-        }).attr("opacity", 0).attr("fill", pointcolor).attr("stroke", pointstroke).attr("stroke-width", "1").on("mouseover.paneltip", function(d) {
-          d3.select(this).attr("opacity", 1);
-          return markertip.show(d);
-        }).on("mouseout.paneltip", function() {
-          return d3.select(this).attr("opacity", 0).call(markertip.hide);
         });
       }
-      titlegrp = g.append("g").attr("class", "title").append("text").attr("x", margin.left + width / 2).attr("y", margin.top - titlepos).text(title);
-      return g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", function() {
+      legend = g.select("g.legend").selectAll("g.legenditem").data((nlod > 1 ? lodvarnames : []), function(d) {
+        return d;
+      });
+      legendEnter = legend.enter().append("g").attr("class", "legenditem").style("cursor", "pointer");
+      legendEnter.append("line");
+      legendEnter.append("text").style("text-anchor", "end").style("dominant-baseline", "middle");
+      legend.exit().remove();
+      legend.attr("opacity", function(d) {
+        if (hiddencurves[d]) {
+          return 0.3;
+        } else {
+          return 1;
+        }
+      }).on("click", function(d) {
+        hiddencurves[d] = !hiddencurves[d];
+        return container.call(chart);
+      });
+      legend.select("line").attr("x1", margin.left + width - 25).attr("x2", margin.left + width - 10).attr("y1", function(d, i) {
+        return margin.top + 15 + i * 18;
+      }).attr("y2", function(d, i) {
+        return margin.top + 15 + i * 18;
+      }).attr("stroke", function(d, i) {
+        return curlinecolor[i];
+      }).attr("stroke-width", linewidth);
+      legend.select("text").attr("x", margin.left + width - 30).attr("y", function(d, i) {
+        return margin.top + 15 + i * 18;
+      }).text(function(d) {
+        return d;
+      });
+      g.select("g.title text").attr("x", margin.left + width / 2).attr("y", margin.top - titlepos).text(title);
+      g.select("rect.outerBox").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
+      redraw(g.select("rect.outerBox")).attr("width", function() {
+        if (zoomchr != null) {
+          return width;
+        }
         if (pad4heatmap) {
           return data.chrEnd.slice(-1)[0] - margin.left;
         }
         return data.chrEnd.slice(-1)[0] - margin.left + chrGap / 2;
-      }).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
+      });
+      return g.select("text.genomelink").attr("x", margin.left + width).attr("y", margin.top - titlepos).style("display", zoomchr != null ? null : "none").on("click", function() {
+        return zoomTo(container, null);
+      });
     });
   };
+  zoomTo = function(container, chr) {
+    zoomchr = chr;
+    container.call(chart);
+    if (hub != null) {
+      return hub.publish("chr:select", chr, chart);
+    }
+  };
+  setupZoom = function(container, pos) {
+    zoomscalechr = zoomchr;
+    zoomscale.domain(d3.extent(pos)).range([margin.left, margin.left + width]);
+    return zoom.x(zoomscale).scaleExtent([1, maxZoom]).scale(1).translate([0, 0]).on("zoom", function() {
+      var s, tx, x0, x1;
+      s = zoom.scale();
+      x0 = zoomscale.range()[0];
+      x1 = zoomscale.range()[1];
+      tx = Math.min(x0 * (1 - s), Math.max(x1 * (1 - s), zoom.translate()[0]));
+      zoom.translate([tx, 0]);
+      panning = true;
+      container.call(chart);
+      return panning = false;
+    });
+  };
+  redraw = function(sel) {
+    if (!(duration > 0 && !panning)) {
+      return sel;
+    }
+    return sel.transition().duration(duration);
+  };
   chart.width = function(value) {
     if (!arguments.length) {
       return width;
@@ -212,7 +773,7 @@ lodchart = function() {
   };
   chart.ylim = function(value) {
     if (!arguments.length) {
-      return ylim;
+      return ylim != null ? ylim : curylim;
     }
     ylim = value;
     return chart;
@@ -226,7 +787,7 @@ lodchart = function() {
   };
   chart.yticks = function(value) {
     if (!arguments.length) {
-      return yticks;
+      return yticks != null ? yticks : curyticks;
     }
     yticks = value;
     return chart;
@@ -336,6 +897,100 @@ lodchart = function() {
     pointsAtMarkers = value;
     return chart;
   };
+  chart.chrZoom = function(value) {
+    if (!arguments.length) {
+      return chrZoom;
+    }
+    chrZoom = value;
+    return chart;
+  };
+  chart.maxZoom = function(value) {
+    if (!arguments.length) {
+      return maxZoom;
+    }
+    maxZoom = value;
+    return chart;
+  };
+  chart.nxticks = function(value) {
+    if (!arguments.length) {
+      return nxticks;
+    }
+    nxticks = value;
+    return chart;
+  };
+  chart.zoomchr = function(value) {
+    if (!arguments.length) {
+      return zoomchr;
+    }
+    zoomchr = value;
+    return chart;
+  };
+  chart.intervalType = function(value) {
+    if (!arguments.length) {
+      return intervalType;
+    }
+    intervalType = value;
+    return chart;
+  };
+  chart.lodintDrop = function(value) {
+    if (!arguments.length) {
+      return lodintDrop;
+    }
+    lodintDrop = value;
+    return chart;
+  };
+  chart.bayesintProb = function(value) {
+    if (!arguments.length) {
+      return bayesintProb;
+    }
+    bayesintProb = value;
+    return chart;
+  };
+  chart.intervalcolor = function(value) {
+    if (!arguments.length) {
+      return intervalcolor;
+    }
+    intervalcolor = value;
+    return chart;
+  };
+  chart.thresholds = function(value) {
+    if (!arguments.length) {
+      return thresholds;
+    }
+    thresholds = value;
+    return chart;
+  };
+  chart.thresholdcolor = function(value) {
+    if (!arguments.length) {
+      return thresholdcolor;
+    }
+    thresholdcolor = value;
+    return chart;
+  };
+  chart.thresholdshade = function(value) {
+    if (!arguments.length) {
+      return thresholdshade;
+    }
+    thresholdshade = value;
+    return chart;
+  };
+  chart.duration = function(value) {
+    if (!arguments.length) {
+      return duration;
+    }
+    duration = value;
+    return chart;
+  };
+  chart.hub = function(value) {
+    if (!arguments.length) {
+      return hub;
+    }
+    hub = value;
+    return chart;
+  };
+  chart.interval = function() {
+    return interval;
+  };
   chart.yscale = function() {
     return yscale;
   };
@@ -351,5 +1006,23 @@ lodchart = function() {
   chart.chrSelect = function() {
     return chrSelect;
   };
+  chart.showMarker = function(markername) {
+    var chr, marker;
+    marker = markerSelect.filter(function(d) {
+      return d.name === markername;
+    });
+    if (marker.empty()) {
+      return chart;
+    }
+    chr = marker.datum().chr;
+    if (chrZoom && zoomchr !== chr) {
+      zoomTo(container, chr);
+    }
+    markerSelect.attr("opacity", 0);
+    marker.attr("opacity", 1);
+    markertip.show(marker.datum(), marker.node());
+    marker.node().dispatchEvent(new MouseEvent("click"));
+    return chart;
+  };
   return chart;
 };
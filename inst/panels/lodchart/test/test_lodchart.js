@@ -21,7 +21,7 @@ totalw = w + margin.left + margin.right;
 
 d3.json("data.json", function(data) {
   var chrrect, mychart;
-  mychart = lodchart().lodvarname("lod.em").height(h).width(w).margin(margin);
+  mychart = lodchart().lodvarname("lod.em").height(h).width(w).margin(margin).chrZoom(true).intervalType("lodint");
   d3.select("div#topchart").datum(data).call(mychart);
   chrrect = mychart.chrSelect();
   chrrect.on("mouseover", function() {
@@ -43,7 +43,15 @@ d3.json("data.json", function(data) {
 
 d3.json("data.json", function(data) {
   var chart1, chart2, mychart_em, mychart_hk, svg;
-  mychart_em = lodchart().lodvarname("lod.em").height(h).width(w).margin(margin).ylab("LOD score (by EM)").pointsize(1).nyticks(9).title("Standard interval mapping");
+  mychart_em = lodchart().lodvarname("lod.em").height(h).width(w).margin(margin).ylab("LOD score (by EM)").pointsize(1).nyticks(9).thresholds([
+    {
+      lod: 3.5,
+      alpha: 0.05
+    }, {
+      lod: 2.7,
+      alpha: 0.20
+    }
+  ]).thresholdshade(true).title("Standard interval mapping");
   mychart_hk = lodchart().lodvarname("lod.hk").height(h).width(w).margin(margin).ylab("LOD score (by H-K)").linecolor("Crimson").yticks([0, 1, 2, 4, 6, 8]).title("Haley-Knott regression");
   svg = d3.select("div#bottomchart").append("svg").attr("height", totalh).attr("width", totalw);
   chart1 = svg.append("g").attr("id", "chart1");
@@ -51,3 +59,29 @@ d3.json("data.json", function(data) {
   chart1.datum(data).call(mychart_em);
   return chart2.datum(data).call(mychart_hk);
 });
+
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = lodchart().lodvarname(["lod.em", "lod.hk"]).height(h).width(w).margin(margin).linecolor(["slateblue", "Crimson"]).title("Interval mapping and Haley-Knott regression");
+  return d3.select("div#multichart").datum(data).call(mychart);
+});
+
+d3.json("data.json", function(data) {
+  var div, mychart;
+  mychart = lodchart().lodvarname("lod.em").height(h).width(w).margin(margin).pointsize(1).title("lod.em").duration(500);
+  div = d3.select("div#redrawchart");
+  div.datum(data).call(mychart);
+  return div.on("click", function() {
+    var lodvarname;
+    lodvarname = mychart.lodvarname() === "lod.em" ? "lod.hk" : "lod.em";
+    mychart.lodvarname(lodvarname).title(lodvarname);
+    return div.call(mychart);
+  });
+});
+
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = lodchart().lodvarname("lod.em").height(h).width(w).margin(margin).chrZoom(true);
+  d3.select("div#responsivechart").datum(data).call(mychart);
+  return makeResponsive("responsivechart");
+});
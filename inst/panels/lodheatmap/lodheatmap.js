@@ -2,7 +2,7 @@
 var lodheatmap;
 
 lodheatmap = function() {
-  var axispos, cellSelect, chart, chrGap, colors, height, lod_labels, margin, nullcolor, nyticks, quantScale, rectcolor, rotate_ylab, title, titlepos, width, xlab, xscale, ylab, yscale, yticks, zlim, zscale, zthresh;
+  var axispos, canvas, cellSelect, chart, chrGap, colors, height, lod_labels, margin, nullcolor, nyticks, quantScale, rectcolor, rotate_ylab, title, titlepos, width, xlab, xscale, ylab, yscale, yticks, zlim, zscale, zthresh;
   width = 1200;
   height = 600;
   margin = {
@@ -35,6 +35,7 @@ lodheatmap = function() {
   xscale = d3.scale.linear();
   yscale = d3.scale.linear();
   zscale = d3.scale.linear();
+  canvas = false;
   cellSelect = null;
   chart = function(selection) {
     return selection.each(function(data) {
@@ -146,21 +147,44 @@ lodheatmap = function() {
       }).direction('e').offset([0, 10]);
       svg.call(celltip);
       cells = g.append("g").attr("id", "cells");
-      cellSelect = cells.selectAll("empty").data(data.cells).enter().append("rect").attr("x", function(d) {
-        return d.left;
-      }).attr("y", function(d) {
-        return yscale(d.lodindex) - rectHeight / 2;
-      }).attr("width", function(d) {
-        return d.right - d.left;
-      }).attr("height", rectHeight).attr("class", function(d, i) {
-        return "cell" + i;
-      }).attr("fill", function(d) {
-        if (d.z != null) {
-          return zscale(d.z);
-        } else {
-          return nullcolor;
-        }
-      }).attr("stroke", "none").attr("stroke-width", "1").on("mouseover.paneltip", function(d) {
+      if (canvas) {
+        cellSelect = canvasCells(cells, data.cells, {
+          x: margin.left,
+          y: margin.top,
+          width: width,
+          height: height
+        }, (function(d) {
+          return {
+            x: d.left,
+            y: yscale(d.lodindex) - rectHeight / 2,
+            width: d.right - d.left,
+            height: rectHeight
+          };
+        }), (function(d) {
+          if (d.z != null) {
+            return zscale(d.z);
+          } else {
+            return nullcolor;
+          }
+        }));
+      } else {
+        cellSelect = cells.selectAll("empty").data(data.cells).enter().append("rect").attr("x", function(d) {
+          return d.left;
+        }).attr("y", function(d) {
+          return yscale(d.lodindex) - rectHeight / 2;
+        }).attr("width", function(d) {
+          return d.right - d.left;
+        }).attr("height", rectHeight).attr("class", function(d, i) {
+          return "cell" + i;
+        }).attr("fill", function(d) {
+          if (d.z != null) {
+            return zscale(d.z);
+          } else {
+            return nullcolor;
+          }
+        }).attr("stroke", "none").attr("stroke-width", "1");
+      }
+      cellSelect.on("mouseover.paneltip", function(d) {
         yaxis.select("text#yaxis" + d.lodindex).attr("opacity", 1);
         d3.select(this).attr("stroke", "black");
         return celltip.show(d);
@@ -313,6 +337,13 @@ lodheatmap = function() {
     lod_labels = value;
     return chart;
   };
+  chart.canvas = function(value) {
+    if (!arguments.length) {
+      return canvas;
+    }
+    canvas = value;
+    return chart;
+  };
   chart.xscale = function() {
     return xscale;
   };
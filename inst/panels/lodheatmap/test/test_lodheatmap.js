@@ -33,3 +33,9 @@ d3.json("data.json", function(data) {
   mychart = lodheatmap().height(h).width(w).zthresh(1.0).quantScale(times).lod_labels(lod_labels);
   return d3.select("div#chart2").datum(data).call(mychart);
 });
+
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = lodheatmap().height(h).width(w).zthresh(1.0).canvas(true);
+  return d3.select("div#chart3").datum(data).call(mychart);
+});
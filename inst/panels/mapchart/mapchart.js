@@ -2,7 +2,7 @@
 var mapchart;
 
 mapchart = function() {
-  var axispos, chart, height, linecolor, linecolorhilit, linewidth, margin, markerSelect, nyticks, rectcolor, rotate_ylab, tickwidth, title, titlepos, width, xlab, xscale, ylab, ylim, yscale, yticks;
+  var axispos, chart, height, hub, hublabel, linecolor, linecolorhilit, linewidth, margin, markerSelect, nyticks, rectcolor, rotate_ylab, tickwidth, title, titlepos, width, xlab, xscale, ylab, ylim, yscale, yticks;
   width = 1000;
   height = 600;
   margin = {
@@ -34,6 +34,8 @@ mapchart = function() {
   xscale = d3.scale.ordinal();
   yscale = d3.scale.linear();
   markerSelect = null;
+  hub = null;
+  hublabel = hubLabel("mapchart");
   chart = function(selection) {
     return selection.each(function(data) {
       var chr, g, gEnter, mar, marker, markernames, markerpos, markers, martip, pos, svg, titlegrp, xaxis, xrange, yaxis, yextentByChr, ymax, ymin, yrange, _i, _j, _len, _len1, _ref, _ref1;
@@ -181,6 +183,27 @@ mapchart = function() {
         d3.select(this).attr("stroke", linecolor);
         return martip.hide();
       });
+      if (hub != null) {
+        markerSelect.on("mouseover.hub", function(d) {
+          return hub.publish("marker:hover", d, chart);
+        }).on("mouseout.hub", function() {
+          return hub.publish("marker:hover", null, chart);
+        }).on("click.hub", function(d) {
+          return hub.publish("marker:select", d, chart);
+        });
+        hub.on("marker:hover." + hublabel, function(marker, source) {
+          if (source === chart) {
+            return;
+          }
+          return markerSelect.attr("stroke", function(d) {
+            if (d === marker) {
+              return linecolorhilit;
+            } else {
+              return linecolor;
+            }
+          });
+        });
+      }
       return g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
     });
   };
@@ -303,6 +326,13 @@ mapchart = function() {
     rotate_ylab = value;
     return chart;
   };
+  chart.hub = function(value) {
+    if (!arguments.length) {
+      return hub;
+    }
+    hub = value;
+    return chart;
+  };
   chart.yscale = function() {
     return yscale;
   };
@@ -0,0 +1,540 @@
+// Generated by CoffeeScript 1.8.0
+var mapcomparechart;
+
+mapcomparechart = function() {
+  var axispos, chart, chrpad, connectcolor, connectwidth, flagcolor, flagged, height, hub, hublabel, linecolor, linecolorhilit, linewidth, longestInOrder, margin, markerSelect, nyticks, rectcolor, rotate_ylab, tickwidth, title, titlepos, width, xlab, xscale, ylab, ylim, yscale, yticks;
+  width = 1000;
+  height = 600;
+  margin = {
+    left: 60,
+    top: 40,
+    right: 40,
+    bottom: 40,
+    inner: 10
+  };
+  axispos = {
+    xtitle: 25,
+    ytitle: 30,
+    xlabel: 5,
+    ylabel: 5
+  };
+  titlepos = 20;
+  ylim = null;
+  nyticks = 5;
+  yticks = null;
+  tickwidth = 5;
+  chrpad = 0.3;
+  rectcolor = "#e6e6e6";
+  linecolor = "slateblue";
+  linecolorhilit = "Orchid";
+  linewidth = 3;
+  connectcolor = "#aaa";
+  connectwidth = 1;
+  flagcolor = "crimson";
+  title = "";
+  xlab = "Chromosome";
+  ylab = "Position (cM)";
+  rotate_ylab = null;
+  xscale = d3.scale.ordinal();
+  yscale = d3.scale.linear();
+  markerSelect = null;
+  flagged = [];
+  hub = null;
+  hublabel = hubLabel("mapcomparechart");
+  chart = function(selection) {
+    return selection.each(function(data) {
+      var chr, chromosomes, extentByChr, g, gEnter, hilit, i, inorder, m, map, mapnames, maps, marker, markerpos, markers, martip, points, shared, svg, tickcolor, titlegrp, xaxis, xpos, xrange, yaxis, yrange, _i, _j, _k, _l, _len, _len1, _len2, _len3, _len4, _len5, _m, _n, _o, _p, _ref, _ref1, _ref2;
+      mapnames = (_ref = data.mapnames) != null ? _ref : ["map 1", "map 2"];
+      maps = [data.map1, data.map2];
+      for (i = _i = 0, _len = maps.length; _i < _len; i = ++_i) {
+        map = maps[i];
+        if (sumArray((function() {
+          var _j, _len1, _ref1, _results;
+          _ref1 = data.chr;
+          _results = [];
+          for (_j = 0, _len1 = _ref1.length; _j < _len1; _j++) {
+            chr = _ref1[_j];
+            _results.push(!(map[chr] != null));
+          }
+          return _results;
+        })()) > 0) {
+          displayError("Some chr in data.chr not in data.map" + (i + 1));
+        }
+      }
+      markerpos = {};
+      for (i = _j = 0, _len1 = maps.length; _j < _len1; i = ++_j) {
+        map = maps[i];
+        _ref1 = data.chr;
+        for (_k = 0, _len2 = _ref1.length; _k < _len2; _k++) {
+          chr = _ref1[_k];
+          for (marker in map[chr]) {
+            if (markerpos[marker] == null) {
+              markerpos[marker] = {
+                name: marker,
+                chr: [null, null],
+                pos: [null, null]
+              };
+            }
+            markerpos[marker].chr[i] = chr;
+            markerpos[marker].pos[i] = map[chr][marker];
+          }
+        }
+      }
+      markers = (function() {
+        var _results;
+        _results = [];
+        for (marker in markerpos) {
+          _results.push(markerpos[marker]);
+        }
+        return _results;
+      })();
+      _ref2 = data.chr;
+      for (_l = 0, _len3 = _ref2.length; _l < _len3; _l++) {
+        chr = _ref2[_l];
+        shared = (function() {
+          var _len4, _m, _results;
+          _results = [];
+          for (_m = 0, _len4 = markers.length; _m < _len4; _m++) {
+            m = markers[_m];
+            if (m.chr[0] === chr && m.chr[1] === chr) {
+              _results.push(m);
+            }
+          }
+          return _results;
+        })();
+        shared.sort(function(a, b) {
+          return (a.pos[0] - b.pos[0]) || (a.pos[1] - b.pos[1]);
+        });
+        inorder = longestInOrder((function() {
+          var _len4, _m, _results;
+          _results = [];
+          for (_m = 0, _len4 = shared.length; _m < _len4; _m++) {
+            m = shared[_m];
+            _results.push(m.pos[1]);
+          }
+          return _results;
+        })());
+        for (i = _m = 0, _len4 = shared.length; _m < _len4; i = ++_m) {
+          m = shared[i];
+          m.flagged = !inorder[i];
+        }
+      }
+      for (_n = 0, _len5 = markers.length; _n < _len5; _n++) {
+        m = markers[_n];
+        if ((m.chr[0] != null) && (m.chr[1] != null) && m.chr[0] !== m.chr[1]) {
+          m.flagged = true;
+        }
+      }
+      flagged = (function() {
+        var _len6, _o, _results;
+        _results = [];
+        for (_o = 0, _len6 = markers.length; _o < _len6; _o++) {
+          m = markers[_o];
+          if (m.flagged) {
+            _results.push(m.name);
+          }
+        }
+        return _results;
+      })();
+      extentByChr = (function() {
+        var _len6, _o, _results;
+        _results = [];
+        for (_o = 0, _len6 = maps.length; _o < _len6; _o++) {
+          map = maps[_o];
+          _results.push((function() {
+            var _len7, _p, _ref3, _results1;
+            _ref3 = data.chr;
+            _results1 = [];
+            for (_p = 0, _len7 = _ref3.length; _p < _len7; _p++) {
+              chr = _ref3[_p];
+              _results1.push(d3.extent((function() {
+                var _results2;
+                _results2 = [];
+                for (marker in map[chr]) {
+                  _results2.push(map[chr][marker]);
+                }
+                return _results2;
+              })()));
+            }
+            return _results1;
+          })());
+        }
+        return _results;
+      })();
+      ylim = ylim != null ? ylim : d3.extent(d3.merge(d3.merge(extentByChr)));
+      svg = d3.select(this).selectAll("svg").data([data]);
+      gEnter = svg.enter().append("svg").append("g");
+      svg.attr("width", width + margin.left + margin.right).attr("height", height + margin.top + margin.bottom);
+      g = svg.select("g");
+      g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", rectcolor).attr("stroke", "none");
+      xrange = [margin.left + margin.inner, margin.left + width - margin.inner];
+      xscale.domain(data.chr).rangeBands(xrange, chrpad, chrpad / 2);
+      xpos = function(chr, i) {
+        if (i === 0) {
+          return xscale(chr) + tickwidth;
+        }
+        return xscale(chr) + xscale.rangeBand() - tickwidth;
+      };
+      yrange = [margin.top + margin.inner, margin.top + height - margin.inner];
+      yscale.domain(ylim).range(yrange);
+      yticks = yticks != null ? yticks : yscale.ticks(nyticks);
+      titlegrp = g.append("g").attr("class", "title").append("text").attr("x", margin.left + width / 2).attr("y", margin.top - titlepos).text(title);
+      xaxis = g.append("g").attr("class", "x axis");
+      xaxis.selectAll("empty").data(data.chr).enter().append("text").attr("x", function(d) {
+        return xscale(d) + xscale.rangeBand() / 2;
+      }).attr("y", margin.top + height + axispos.xlabel).text(function(d) {
+        return d;
+      });
+      xaxis.append("text").attr("class", "title").attr("x", margin.left + width / 2).attr("y", margin.top + height + axispos.xtitle).text(xlab);
+      g.append("g").attr("class", "mapnames").selectAll("empty").data(mapnames).enter().append("text").attr("x", function(d, i) {
+        return xpos(data.chr[0], i);
+      }).attr("y", margin.top - axispos.xlabel).style("text-anchor", function(d, i) {
+        if (i === 0) {
+          return "end";
+        } else {
+          return "start";
+        }
+      }).text(function(d) {
+        return d;
+      });
+      rotate_ylab = rotate_ylab != null ? rotate_ylab : ylab.length > 1;
+      yaxis = g.append("g").attr("class", "y axis");
+      yaxis.selectAll("empty").data(yticks).enter().append("line").attr("y1", function(d) {
+        return yscale(d);
+      }).attr("y2", function(d) {
+        return yscale(d);
+      }).attr("x1", margin.left).attr("x2", margin.left + width).attr("class", "y axis grid");
+      yaxis.selectAll("empty").data(yticks).enter().append("text").attr("y", function(d) {
+        return yscale(d);
+      }).attr("x", margin.left - axispos.ylabel).text(function(d) {
+        return formatAxis(yticks)(d);
+      });
+      yaxis.append("text").attr("class", "title").attr("y", margin.top + height / 2).attr("x", margin.left - axispos.ytitle).text(ylab).attr("transform", rotate_ylab ? "rotate(270," + (margin.left - axispos.ytitle) + "," + (margin.top + height / 2) + ")" : "");
+      chromosomes = g.append("g").attr("id", "chromosomes");
+      for (i = _o = 0; _o <= 1; i = ++_o) {
+        chromosomes.selectAll("empty").data(data.chr).enter().append("line").attr("x1", function(d) {
+          return xpos(d, i);
+        }).attr("x2", function(d) {
+          return xpos(d, i);
+        }).attr("y1", function(d, j) {
+          return yscale(extentByChr[i][j][0]);
+        }).attr("y2", function(d, j) {
+          return yscale(extentByChr[i][j][1]);
+        }).attr("fill", "none").attr("stroke", linecolor).attr("stroke-width", linewidth).style("pointer-events", "none");
+      }
+      martip = d3.tip().attr('class', 'd3-tip').html(function(d) {
+        var f, k, pos, result;
+        f = d3.format(".1f");
+        pos = (function() {
+          var _p, _results;
+          _results = [];
+          for (k = _p = 0; _p <= 1; k = ++_p) {
+            if (d.chr[k] != null) {
+              _results.push("" + mapnames[k] + ": " + d.chr[k] + "@" + (f(d.pos[k])));
+            } else {
+              _results.push("" + mapnames[k] + ": absent");
+            }
+          }
+          return _results;
+        })();
+        result = [d.name].concat(pos);
+        if ((d.chr[0] != null) && d.chr[0] === d.chr[1]) {
+          result.push("difference: " + (f(d.pos[1] - d.pos[0])));
+        }
+        if (d.flagged) {
+          result.push("(order changed)");
+        }
+        return result.join("<br>");
+      }).direction('e').offset([0, 10]);
+      svg.call(martip);
+      tickcolor = function(d) {
+        if (d.flagged) {
+          return flagcolor;
+        } else {
+          return linecolor;
+        }
+      };
+      points = g.append("g").attr("id", "points");
+      markerSelect = points.selectAll("empty").data(markers).enter().append("g").attr("class", "marker").attr("id", function(d) {
+        return d.name;
+      });
+      markerSelect.filter(function(d) {
+        return (d.chr[0] != null) && d.chr[0] === d.chr[1];
+      }).append("line").attr("class", "connect").attr("x1", function(d) {
+        return xpos(d.chr[0], 0);
+      }).attr("x2", function(d) {
+        return xpos(d.chr[1], 1);
+      }).attr("y1", function(d) {
+        return yscale(d.pos[0]);
+      }).attr("y2", function(d) {
+        return yscale(d.pos[1]);
+      }).attr("stroke", function(d) {
+        if (d.flagged) {
+          return flagcolor;
+        } else {
+          return connectcolor;
+        }
+      }).attr("stroke-width", connectwidth);
+      for (i = _p = 0; _p <= 1; i = ++_p) {
+        markerSelect.filter(function(d) {
+          return d.chr[i] != null;
+        }).append("line").attr("class", "tick" + (i + 1)).attr("x1", function(d) {
+          return xpos(d.chr[i], i) + (i === 0 ? -tickwidth : 0);
+        }).attr("x2", function(d) {
+          return xpos(d.chr[i], i) + (i === 0 ? 0 : tickwidth);
+        }).attr("y1", function(d) {
+          return yscale(d.pos[i]);
+        }).attr("y2", function(d) {
+          return yscale(d.pos[i]);
+        }).attr("stroke", tickcolor).attr("stroke-width", linewidth);
+      }
+      hilit = function(marker, highlight) {
+        marker.selectAll("line.tick1, line.tick2").attr("stroke", function(d) {
+          if (highlight) {
+            return linecolorhilit;
+          } else {
+            return tickcolor(d);
+          }
+        });
+        return marker.selectAll("line.connect").attr("stroke", function(d) {
+          if (highlight) {
+            return linecolorhilit;
+          } else {
+            if (d.flagged) {
+              return flagcolor;
+            } else {
+              return connectcolor;
+            }
+          }
+        }).attr("stroke-width", highlight ? linewidth : connectwidth);
+      };
+      markerSelect.on("mouseover.paneltip", function(d) {
+        hilit(d3.select(this), true);
+        return martip.show(d);
+      }).on("mouseout.paneltip", function() {
+        hilit(d3.select(this), false);
+        return martip.hide();
+      });
+      if (hub != null) {
+        markerSelect.on("mouseover.hub", function(d) {
+          return hub.publish("marker:hover", d.name, chart);
+        }).on("mouseout.hub", function() {
+          return hub.publish("marker:hover", null, chart);
+        }).on("click.hub", function(d) {
+          return hub.publish("marker:select", d.name, chart);
+        });
+        hub.on("marker:hover." + hublabel, function(marker, source) {
+          if (source === chart) {
+            return;
+          }
+          return markerSelect.each(function(d) {
+            return hilit(d3.select(this), d.name === marker);
+          });
+        });
+      }
+      return g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", height).attr("width", width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
+    });
+  };
+  longestInOrder = function(x) {
+    var hi, i, lo, mid, prev, result, tails, v, _i, _len;
+    tails = [];
+    prev = [];
+    for (i = _i = 0, _len = x.length; _i < _len; i = ++_i) {
+      v = x[i];
+      lo = 0;
+      hi = tails.length;
+      while (lo < hi) {
+        mid = (lo + hi) >> 1;
+        if (x[tails[mid]] <= v) {
+          lo = mid + 1;
+        } else {
+          hi = mid;
+        }
+      }
+      prev[i] = lo > 0 ? tails[lo - 1] : null;
+      tails[lo] = i;
+    }
+    result = (function() {
+      var _j, _len1, _results;
+      _results = [];
+      for (_j = 0, _len1 = x.length; _j < _len1; _j++) {
+        v = x[_j];
+        _results.push(false);
+      }
+      return _results;
+    })();
+    i = tails[tails.length - 1];
+    while (i != null) {
+      result[i] = true;
+      i = prev[i];
+    }
+    return result;
+  };
+  chart.width = function(value) {
+    if (!arguments.length) {
+      return width;
+    }
+    width = value;
+    return chart;
+  };
+  chart.height = function(value) {
+    if (!arguments.length) {
+      return height;
+    }
+    height = value;
+    return chart;
+  };
+  chart.margin = function(value) {
+    if (!arguments.length) {
+      return margin;
+    }
+    margin = value;
+    return chart;
+  };
+  chart.axispos = function(value) {
+    if (!arguments.length) {
+      return axispos;
+    }
+    axispos = value;
+    return chart;
+  };
+  chart.titlepos = function(value) {
+    if (!arguments.length) {
+      return titlepos;
+    }
+    titlepos = value;
+    return chart;
+  };
+  chart.ylim = function(value) {
+    if (!arguments.length) {
+      return ylim;
+    }
+    ylim = value;
+    return chart;
+  };
+  chart.nyticks = function(value) {
+    if (!arguments.length) {
+      return nyticks;
+    }
+    nyticks = value;
+    return chart;
+  };
+  chart.yticks = function(value) {
+    if (!arguments.length) {
+      return yticks;
+    }
+    yticks = value;
+    return chart;
+  };
+  chart.tickwidth = function(value) {
+    if (!arguments.length) {
+      return tickwidth;
+    }
+    tickwidth = value;
+    return chart;
+  };
+  chart.chrpad = function(value) {
+    if (!arguments.length) {
+      return chrpad;
+    }
+    chrpad = value;
+    return chart;
+  };
+  chart.rectcolor = function(value) {
+    if (!arguments.length) {
+      return rectcolor;
+    }
+    rectcolor = value;
+    return chart;
+  };
+  chart.linecolor = function(value) {
+    if (!arguments.length) {
+      return linecolor;
+    }
+    linecolor = value;
+    return chart;
+  };
+  chart.linecolorhilit = function(value) {
+    if (!arguments.length) {
+      return linecolorhilit;
+    }
+    linecolorhilit = value;
+    return chart;
+  };
+  chart.linewidth = function(value) {
+    if (!arguments.length) {
+      return linewidth;
+    }
+    linewidth = value;
+    return chart;
+  };
+  chart.connectcolor = function(value) {
+    if (!arguments.length) {
+      return connectcolor;
+    }
+    connectcolor = value;
+    return chart;
+  };
+  chart.connectwidth = function(value) {
+    if (!arguments.length) {
+      return connectwidth;
+    }
+    connectwidth = value;
+    return chart;
+  };
+  chart.flagcolor = function(value) {
+    if (!arguments.length) {
+      return flagcolor;
+    }
+    flagcolor = value;
+    return chart;
+  };
+  chart.title = function(value) {
+    if (!arguments.length) {
+      return title;
+    }
+    title = value;
+    return chart;
+  };
+  chart.xlab = function(value) {
+    if (!arguments.length) {
+      return xlab;
+    }
+    xlab = value;
+    return chart;
+  };
+  chart.ylab = function(value) {
+    if (!arguments.length) {
+      return ylab;
+    }
+    ylab = value;
+    return chart;
+  };
+  chart.rotate_ylab = function(value) {
+    if (!arguments.length) {
+      return rotate_ylab;
+    }
+    rotate_ylab = value;
+    return chart;
+  };
+  chart.hub = function(value) {
+    if (!arguments.length) {
+      return hub;
+    }
+    hub = value;
+    return chart;
+  };
+  chart.yscale = function() {
+    return yscale;
+  };
+  chart.xscale = function() {
+    return xscale;
+  };
+  chart.markerSelect = function() {
+    return markerSelect;
+  };
+  chart.flagged = function() {
+    return flagged;
+  };
+  return chart;
+};
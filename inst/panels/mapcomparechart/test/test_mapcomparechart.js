@@ -0,0 +1,7 @@
+// Generated by CoffeeScript 1.8.0
+d3.json("data.json", function(data) {
+  var mychart;
+  mychart = mapcomparechart();
+  d3.select("div#chart").datum(data).call(mychart);
+  return d3.select("p#flagged").text("Markers that change order: " + (mychart.flagged().join(', ')));
+});
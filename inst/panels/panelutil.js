@@ -1,5 +1,7 @@
 // Generated by CoffeeScript 1.8.0
-var abs, calc_crosstab, chrscales, ci_by_group, colSums, count_groups, displayError, expand2vector, forceAsArray, formatAxis, getLeftRight, log10, log2, matrixExtent, matrixMax, matrixMaxAbs, matrixMin, maxdiff, mean_by_group, median, missing2null, pullVarAsArray, reorgLodData, rowSums, sd_by_group, selectGroupColors, sumArray, transpose, unique;
+var abs, addExportControl, addMarkerSearch, addRangeSlider, beeswarmOffsets, boxStats, calc_bayesint, calc_crosstab, calc_crosstab_test, calc_lodint, canvasCells, cellKeyboardNav, chartCSS, chartSVG, chrscales, ci_by_group, colSums, count_groups, displayError, eventHub, expand2vector, fisher2x2, forceAsArray, forceOffsets, formatAxis, gammaUpper, getLeftRight, histCounts, hubEvents, hubLabel, inlineStyles, kernelDensity, keyboardNav, legendPlacement, lfactorial, lgamma, log10, log2, makeResponsive, matrixExtent, matrixMax, matrixMaxAbs, matrixMin, maxdiff, mean_by_group, median, missing2null, nearestIndex, nearestPosition, pchisq, pointKeyboardNav, pullVarAsArray, reorgLodData, rowSums, saveChart, sd_by_group, selectGroupColors, sumArray, transpose, unique,
+  __slice = [].slice,
+  __indexOf = [].indexOf || function(item) { for (var i = 0, l = this.length; i < l; i++) { if (i in this && this[i] === item) return i; } return -1; };
 
 formatAxis = function(d, extra_digits) {
   var ndig;
@@ -84,7 +86,8 @@ reorgLodData = function(data, lodvarname) {
           name: marker,
           chr: data.chr[i],
           pos: data.pos[i],
-          lod: data[lodvarname][i]
+          lod: data[lodvarname][i],
+          index: i
         });
       }
     }
@@ -145,6 +148,172 @@ chrscales = function(data, width, chrGap, leftMargin, pad4heatmap) {
   return data;
 };
 
+nearestPosition = function(data, xscale, chrs, x) {
+  var chr, pos, range, _i, _len;
+  for (_i = 0, _len = chrs.length; _i < _len; _i++) {
+    chr = chrs[_i];
+    range = xscale[chr].range();
+    if (x < range[0] || x > range[1]) {
+      continue;
+    }
+    pos = data.posByChr[chr];
+    return {
+      chr: chr,
+      pos: pos[nearestIndex(pos, xscale[chr].invert(x))]
+    };
+  }
+  return null;
+};
+
+nearestIndex = function(x, value) {
+  var i, result, v, _i, _len;
+  result = null;
+  for (i = _i = 0, _len = x.length; _i < _len; i = ++_i) {
+    v = x[i];
+    if ((result == null) || Math.abs(v - value) < Math.abs(x[result] - value)) {
+      result = i;
+    }
+  }
+  return result;
+};
+
+beeswarmOffsets = function(group, y, d, maxoffset) {
+  var byGroup, candidates, dx, fits, g, i, index, j, near, offset, placed, v, x, _i, _j, _k, _l, _len, _len1, _len2, _len3, _len4, _m, _results;
+  if (maxoffset == null) {
+    maxoffset = Infinity;
+  }
+  offset = (function() {
+    var _i, _len, _results;
+    _results = [];
+    for (_i = 0, _len = y.length; _i < _len; _i++) {
+      v = y[_i];
+      _results.push(0);
+    }
+    return _results;
+  })();
+  byGroup = {};
+  for (i = _i = 0, _len = group.length; _i < _len; i = ++_i) {
+    g = group[i];
+    if (byGroup[g] == null) {
+      byGroup[g] = [];
+    }
+    byGroup[g].push(i);
+  }
+  for (g in byGroup) {
+    index = byGroup[g];
+    index.sort(function(a, b) {
+      if (y[a] === y[b]) {
+        return a - b;
+      } else {
+        return y[a] - y[b];
+      }
+    });
+    placed = [];
+    for (_j = 0, _len1 = index.length; _j < _len1; _j++) {
+      i = index[_j];
+      near = (function() {
+        var _k, _len2, _results;
+        _results = [];
+        for (_k = 0, _len2 = placed.length; _k < _len2; _k++) {
+          j = placed[_k];
+          if (Math.abs(y[j] - y[i]) < d) {
+            _results.push(j);
+          }
+        }
+        return _results;
+      })();
+      candidates = [0];
+      for (_k = 0, _len2 = near.length; _k < _len2; _k++) {
+        j = near[_k];
+        dx = Math.sqrt(d * d - (y[j] - y[i]) * (y[j] - y[i]));
+        candidates.push(offset[j] - dx, offset[j] + dx);
+      }
+      candidates.sort(function(a, b) {
+        if (Math.abs(a) === Math.abs(b)) {
+          return a - b;
+        } else {
+          return Math.abs(a) - Math.abs(b);
+        }
+      });
+      fits = function(x) {
+        var _l, _len3;
+        for (_l = 0, _len3 = near.length; _l < _len3; _l++) {
+          j = near[_l];
+          if ((x - offset[j]) * (x - offset[j]) + (y[i] - y[j]) * (y[i] - y[j]) < d * d - 1e-6) {
+            return false;
+          }
+        }
+        return true;
+      };
+      offset[i] = 0;
+      for (_l = 0, _len3 = candidates.length; _l < _len3; _l++) {
+        x = candidates[_l];
+        if (!(fits(x))) {
+          continue;
+        }
+        offset[i] = x;
+        break;
+      }
+      placed.push(i);
+    }
+  }
+  _results = [];
+  for (_m = 0, _len4 = offset.length; _m < _len4; _m++) {
+    x = offset[_m];
+    _results.push(Math.max(-maxoffset, Math.min(maxoffset, x)));
+  }
+  return _results;
+};
+
+forceOffsets = function(group, y, d, maxoffset, iterations) {
+  var dir, dist, dx, dy, i, iter, j, offset, pull, push, x, _i, _j, _k, _l, _len, _ref, _ref1, _ref2, _results;
+  if (maxoffset == null) {
+    maxoffset = Infinity;
+  }
+  if (iterations == null) {
+    iterations = 100;
+  }
+  offset = beeswarmOffsets(group, y, d);
+  for (iter = _i = 0; 0 <= iterations ? _i < iterations : _i > iterations; iter = 0 <= iterations ? ++_i : --_i) {
+    pull = 0.1 * Math.max(0, 1 - 1.5 * iter / iterations);
+    offset = (function() {
+      var _j, _len, _results;
+      _results = [];
+      for (_j = 0, _len = offset.length; _j < _len; _j++) {
+        x = offset[_j];
+        _results.push(x * (1 - pull));
+      }
+      return _results;
+    })();
+    for (i = _j = 0, _ref = y.length; 0 <= _ref ? _j < _ref : _j > _ref; i = 0 <= _ref ? ++_j : --_j) {
+      for (j = _k = _ref1 = i + 1, _ref2 = y.length; _ref1 <= _ref2 ? _k < _ref2 : _k > _ref2; j = _ref1 <= _ref2 ? ++_k : --_k) {
+        if (!(group[i] === group[j])) {
+          continue;
+        }
+        dy = y[j] - y[i];
+        if (!(Math.abs(dy) < d)) {
+          continue;
+        }
+        dx = offset[j] - offset[i];
+        dist = Math.sqrt(dx * dx + dy * dy);
+        if (!(dist < d)) {
+          continue;
+        }
+        push = (Math.sqrt(d * d - dy * dy) - Math.abs(dx)) / 2;
+        dir = dx === 0 ? 1 : dx / Math.abs(dx);
+        offset[i] -= push * dir;
+        offset[j] += push * dir;
+      }
+    }
+  }
+  _results = [];
+  for (_l = 0, _len = offset.length; _l < _len; _l++) {
+    x = offset[_l];
+    _results.push(Math.max(-maxoffset, Math.min(maxoffset, x)));
+  }
+  return _results;
+};
+
 selectGroupColors = function(ngroup, palette) {
   if (ngroup === 0) {
     return [];
@@ -264,6 +433,236 @@ getLeftRight = function(x) {
   return result;
 };
 
+boxStats = function(x, coef) {
+  var half, hi, inside, lo, n, outliers, q1, q3, xv;
+  if (coef == null) {
+    coef = 1.5;
+  }
+  if (x == null) {
+    return null;
+  }
+  x = (function() {
+    var _i, _len, _results;
+    _results = [];
+    for (_i = 0, _len = x.length; _i < _len; _i++) {
+      xv = x[_i];
+      if (xv != null) {
+        _results.push(xv);
+      }
+    }
+    return _results;
+  })();
+  n = x.length;
+  if (!(n > 0)) {
+    return null;
+  }
+  x.sort(function(a, b) {
+    return a - b;
+  });
+  half = Math.ceil(n / 2);
+  q1 = median(x.slice(0, half));
+  q3 = median(x.slice(n - half, n));
+  lo = q1 - coef * (q3 - q1);
+  hi = q3 + coef * (q3 - q1);
+  inside = (function() {
+    var _i, _len, _results;
+    _results = [];
+    for (_i = 0, _len = x.length; _i < _len; _i++) {
+      xv = x[_i];
+      if ((lo <= xv && xv <= hi)) {
+        _results.push(xv);
+      }
+    }
+    return _results;
+  })();
+  outliers = (function() {
+    var _i, _len, _results;
+    _results = [];
+    for (_i = 0, _len = x.length; _i < _len; _i++) {
+      xv = x[_i];
+      if (xv < lo || xv > hi) {
+        _results.push(xv);
+      }
+    }
+    return _results;
+  })();
+  return {
+    n: n,
+    q1: q1,
+    median: median(x),
+    q3: q3,
+    low: inside[0],
+    high: inside[inside.length - 1],
+    outliers: outliers
+  };
+};
+
+histCounts = function(x, breaks) {
+  var bin, counts, i, xv, _i, _len;
+  counts = (function() {
+    var _i, _ref, _results;
+    _results = [];
+    for (i = _i = 1, _ref = breaks.length; 1 <= _ref ? _i < _ref : _i > _ref; i = 1 <= _ref ? ++_i : --_i) {
+      _results.push(0);
+    }
+    return _results;
+  })();
+  for (_i = 0, _len = x.length; _i < _len; _i++) {
+    xv = x[_i];
+    if (!(xv != null)) {
+      continue;
+    }
+    if (xv < breaks[0] || xv > breaks[breaks.length - 1]) {
+      continue;
+    }
+    bin = Math.max(0, d3.bisectLeft(breaks, xv) - 1);
+    counts[bin]++;
+  }
+  return counts;
+};
+
+kernelDensity = function(x, at, bw) {
+  var a, n, sd, spread, stats, xmean, xv, _i, _len, _results;
+  if (bw == null) {
+    bw = null;
+  }
+  x = (function() {
+    var _i, _len, _results;
+    _results = [];
+    for (_i = 0, _len = x.length; _i < _len; _i++) {
+      xv = x[_i];
+      if (xv != null) {
+        _results.push(xv);
+      }
+    }
+    return _results;
+  })();
+  n = x.length;
+  if (!(n > 0)) {
+    return (function() {
+      var _i, _len, _results;
+      _results = [];
+      for (_i = 0, _len = at.length; _i < _len; _i++) {
+        a = at[_i];
+        _results.push(0);
+      }
+      return _results;
+    })();
+  }
+  if (bw == null) {
+    xmean = sumArray(x) / n;
+    sd = n > 1 ? Math.sqrt(sumArray((function() {
+      var _i, _len, _results;
+      _results = [];
+      for (_i = 0, _len = x.length; _i < _len; _i++) {
+        xv = x[_i];
+        _results.push((xv - xmean) * (xv - xmean));
+      }
+      return _results;
+    })()) / (n - 1)) : 0;
+    stats = boxStats(x);
+    spread = Math.min(sd, (stats.q3 - stats.q1) / 1.34);
+    if (!(spread > 0)) {
+      spread = sd;
+    }
+    if (!(spread > 0)) {
+      spread = Math.abs(x[0]);
+    }
+    if (!(spread > 0)) {
+      spread = 1;
+    }
+    bw = 0.9 * spread * Math.pow(n, -0.2);
+  }
+  _results = [];
+  for (_i = 0, _len = at.length; _i < _len; _i++) {
+    a = at[_i];
+    _results.push(sumArray((function() {
+      var _j, _len1, _results1;
+      _results1 = [];
+      for (_j = 0, _len1 = x.length; _j < _len1; _j++) {
+        xv = x[_j];
+        _results1.push(Math.exp(-0.5 * (a - xv) * (a - xv) / (bw * bw)));
+      }
+      return _results1;
+    })()) / (n * bw * Math.sqrt(2 * Math.PI)));
+  }
+  return _results;
+};
+
+calc_lodint = function(pos, lod, drop) {
+  var above, hi, i, lo, n, peak, _i;
+  if (drop == null) {
+    drop = 1.5;
+  }
+  n = pos.length;
+  peak = 0;
+  for (i = _i = 0; 0 <= n ? _i < n : _i > n; i = 0 <= n ? ++_i : --_i) {
+    if (lod[i] > lod[peak]) {
+      peak = i;
+    }
+  }
+  above = (function() {
+    var _j, _results;
+    _results = [];
+    for (i = _j = 0; 0 <= n ? _j < n : _j > n; i = 0 <= n ? ++_j : --_j) {
+      if (lod[i] > lod[peak] - drop) {
+        _results.push(i);
+      }
+    }
+    return _results;
+  })();
+  lo = d3.max([d3.min(above) - 1, 0]);
+  hi = d3.min([d3.max(above) + 1, n - 1]);
+  return {
+    lo: pos[lo],
+    peak: pos[peak],
+    hi: pos[hi]
+  };
+};
+
+calc_bayesint = function(pos, lod, prob) {
+  var area, cumsum, i, included, left, n, o, peak, right, total, _i, _j, _k, _l, _len, _results;
+  if (prob == null) {
+    prob = 0.95;
+  }
+  n = pos.length;
+  peak = 0;
+  for (i = _i = 0; 0 <= n ? _i < n : _i > n; i = 0 <= n ? ++_i : --_i) {
+    if (lod[i] > lod[peak]) {
+      peak = i;
+    }
+  }
+  area = [];
+  for (i = _j = 0; 0 <= n ? _j < n : _j > n; i = 0 <= n ? ++_j : --_j) {
+    left = i > 0 ? (pos[i] + pos[i - 1]) / 2 : pos[i];
+    right = i < n - 1 ? (pos[i] + pos[i + 1]) / 2 : pos[i];
+    area.push(Math.pow(10, lod[i] - lod[peak]) * (right - left));
+  }
+  total = sumArray(area);
+  o = (function() {
+    _results = [];
+    for (var _k = 0; 0 <= n ? _k < n : _k > n; 0 <= n ? _k++ : _k--){ _results.push(_k); }
+    return _results;
+  }).apply(this).sort(function(a, b) {
+    return lod[b] - lod[a];
+  });
+  cumsum = 0;
+  included = [];
+  for (_l = 0, _len = o.length; _l < _len; _l++) {
+    i = o[_l];
+    included.push(i);
+    cumsum += area[i] / total;
+    if (cumsum >= prob) {
+      break;
+    }
+  }
+  return {
+    lo: pos[d3.min(included)],
+    peak: pos[peak],
+    hi: pos[d3.max(included)]
+  };
+};
+
 maxdiff = function(x) {
   var d, i, result, _i, _ref;
   if (x.length < 2) {
@@ -434,6 +833,225 @@ calc_crosstab = function(data) {
   return result;
 };
 
+calc_crosstab_test = function(tab) {
+  var cols, cs, expected, i, j, n, ncol, nrow, result, rows, rs, _i, _j, _ref;
+  nrow = tab.length - 2;
+  ncol = tab[0].length - 2;
+  rs = (function() {
+    var _i, _results;
+    _results = [];
+    for (i = _i = 0; 0 <= nrow ? _i < nrow : _i > nrow; i = 0 <= nrow ? ++_i : --_i) {
+      _results.push(sumArray(tab[i].slice(0, ncol)));
+    }
+    return _results;
+  })();
+  cs = (function() {
+    var _i, _results;
+    _results = [];
+    for (j = _i = 0; 0 <= ncol ? _i < ncol : _i > ncol; j = 0 <= ncol ? ++_i : --_i) {
+      _results.push(sumArray((function() {
+        var _j, _results1;
+        _results1 = [];
+        for (i = _j = 0; 0 <= nrow ? _j < nrow : _j > nrow; i = 0 <= nrow ? ++_j : --_j) {
+          _results1.push(tab[i][j]);
+        }
+        return _results1;
+      })()));
+    }
+    return _results;
+  })();
+  n = (_ref = sumArray(rs)) != null ? _ref : 0;
+  expected = (function() {
+    var _i, _results;
+    _results = [];
+    for (i = _i = 0; 0 <= nrow ? _i <= nrow : _i >= nrow; i = 0 <= nrow ? ++_i : --_i) {
+      _results.push((function() {
+        var _j, _results1;
+        _results1 = [];
+        for (j = _j = 0; 0 <= ncol ? _j <= ncol : _j >= ncol; j = 0 <= ncol ? ++_j : --_j) {
+          _results1.push(null);
+        }
+        return _results1;
+      })());
+    }
+    return _results;
+  })();
+  for (i = _i = 0; 0 <= nrow ? _i < nrow : _i > nrow; i = 0 <= nrow ? ++_i : --_i) {
+    for (j = _j = 0; 0 <= ncol ? _j < ncol : _j > ncol; j = 0 <= ncol ? ++_j : --_j) {
+      expected[i][j] = n > 0 ? rs[i] * cs[j] / n : 0;
+    }
+  }
+  rows = (function() {
+    var _k, _results;
+    _results = [];
+    for (i = _k = 0; 0 <= nrow ? _k < nrow : _k > nrow; i = 0 <= nrow ? ++_k : --_k) {
+      if (rs[i] > 0) {
+        _results.push(i);
+      }
+    }
+    return _results;
+  })();
+  cols = (function() {
+    var _k, _results;
+    _results = [];
+    for (j = _k = 0; 0 <= ncol ? _k < ncol : _k > ncol; j = 0 <= ncol ? ++_k : --_k) {
+      if (cs[j] > 0) {
+        _results.push(j);
+      }
+    }
+    return _results;
+  })();
+  result = {
+    expected: expected,
+    stat: null,
+    df: (rows.length - 1) * (cols.length - 1),
+    pvalue: null,
+    test: "chisq",
+    n: n
+  };
+  if (!(result.df > 0)) {
+    return result;
+  }
+  if (result.df === 1 && d3.min(d3.merge((function() {
+    var _k, _len, _results;
+    _results = [];
+    for (_k = 0, _len = rows.length; _k < _len; _k++) {
+      i = rows[_k];
+      _results.push((function() {
+        var _l, _len1, _results1;
+        _results1 = [];
+        for (_l = 0, _len1 = cols.length; _l < _len1; _l++) {
+          j = cols[_l];
+          _results1.push(expected[i][j]);
+        }
+        return _results1;
+      })());
+    }
+    return _results;
+  })())) < 5) {
+    result.test = "fisher";
+    result.pvalue = fisher2x2((function() {
+      var _k, _len, _results;
+      _results = [];
+      for (_k = 0, _len = rows.length; _k < _len; _k++) {
+        i = rows[_k];
+        _results.push((function() {
+          var _l, _len1, _results1;
+          _results1 = [];
+          for (_l = 0, _len1 = cols.length; _l < _len1; _l++) {
+            j = cols[_l];
+            _results1.push(tab[i][j]);
+          }
+          return _results1;
+        })());
+      }
+      return _results;
+    })());
+    return result;
+  }
+  result.stat = sumArray(d3.merge((function() {
+    var _k, _len, _results;
+    _results = [];
+    for (_k = 0, _len = rows.length; _k < _len; _k++) {
+      i = rows[_k];
+      _results.push((function() {
+        var _l, _len1, _results1;
+        _results1 = [];
+        for (_l = 0, _len1 = cols.length; _l < _len1; _l++) {
+          j = cols[_l];
+          _results1.push((tab[i][j] - expected[i][j]) * (tab[i][j] - expected[i][j]) / expected[i][j]);
+        }
+        return _results1;
+      })());
+    }
+    return _results;
+  })()));
+  result.pvalue = pchisq(result.stat, result.df);
+  return result;
+};
+
+fisher2x2 = function(tab) {
+  var a, c1, logprob, lp, n, observed, pvalue, r1, _i, _ref, _ref1;
+  r1 = tab[0][0] + tab[0][1];
+  c1 = tab[0][0] + tab[1][0];
+  n = r1 + tab[1][0] + tab[1][1];
+  logprob = function(a) {
+    return lfactorial(r1) + lfactorial(n - r1) + lfactorial(c1) + lfactorial(n - c1) - lfactorial(n) - lfactorial(a) - lfactorial(r1 - a) - lfactorial(c1 - a) - lfactorial(n - r1 - c1 + a);
+  };
+  observed = logprob(tab[0][0]);
+  pvalue = 0;
+  for (a = _i = _ref = Math.max(0, r1 + c1 - n), _ref1 = Math.min(r1, c1); _ref <= _ref1 ? _i <= _ref1 : _i >= _ref1; a = _ref <= _ref1 ? ++_i : --_i) {
+    lp = logprob(a);
+    if (lp <= observed + 1e-7) {
+      pvalue += Math.exp(lp);
+    }
+  }
+  return Math.min(pvalue, 1);
+};
+
+pchisq = function(x, df) {
+  return gammaUpper(df / 2, x / 2);
+};
+
+gammaUpper = function(a, x) {
+  var an, b, c, d, front, h, k, sum, term, tiny, _i, _j;
+  if (x <= 0) {
+    return 1;
+  }
+  front = Math.exp(a * Math.log(x) - x - lgamma(a));
+  if (x < a + 1) {
+    term = sum = 1 / a;
+    for (k = _i = 1; _i <= 500; k = ++_i) {
+      term *= x / (a + k);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-14) {
+        break;
+      }
+    }
+    return Math.max(1 - front * sum, 0);
+  }
+  tiny = 1e-300;
+  b = x + 1 - a;
+  c = 1 / tiny;
+  d = 1 / b;
+  h = d;
+  for (k = _j = 1; _j <= 500; k = ++_j) {
+    an = -k * (k - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < tiny) {
+      d = tiny;
+    }
+    c = b + an / c;
+    if (Math.abs(c) < tiny) {
+      c = tiny;
+    }
+    d = 1 / d;
+    h *= d * c;
+    if (Math.abs(d * c - 1) < 1e-14) {
+      break;
+    }
+  }
+  return Math.min(front * h, 1);
+};
+
+lgamma = function(x) {
+  var c, coef, k, ser, tmp, _i, _len;
+  coef = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  tmp = x + 5.5;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  ser = 1.000000000190015;
+  for (k = _i = 0, _len = coef.length; _i < _len; k = ++_i) {
+    c = coef[k];
+    ser += c / (x + k + 1);
+  }
+  return -tmp + Math.log(2.5066282746310005 * ser / x);
+};
+
+lfactorial = function(n) {
+  return lgamma(n + 1);
+};
+
 rowSums = function(mat) {
   var x, _i, _len, _results;
   _results = [];
@@ -597,3 +1215,824 @@ ci_by_group = function(g, y, m) {
   }
   return ci;
 };
+
+canvasCells = function(g, cells, box, rect, fill) {
+  var bin, bins, binsize, binx, biny, canvas, catcher, cellAt, cellrect, context, current, d, enter, fire, i, leave, listeners, nbinx, nbiny, r, ratio, rects, select, xbin, ybin, _i, _j, _k, _l, _len, _len1, _len2, _m, _ref, _ref1, _ref2, _ref3, _ref4, _results, _results1;
+  ratio = (_ref = window.devicePixelRatio) != null ? _ref : 1;
+  canvas = g.append("foreignObject").attr("class", "canvascells").attr("x", box.x).attr("y", box.y).attr("width", box.width).attr("height", box.height).append("xhtml:canvas").attr("width", Math.ceil(box.width * ratio)).attr("height", Math.ceil(box.height * ratio)).style("width", "" + box.width + "px").style("height", "" + box.height + "px").style("display", "block");
+  context = canvas.node().getContext("2d");
+  context.scale(ratio, ratio);
+  binsize = 10;
+  nbinx = Math.floor(box.width / binsize) + 1;
+  nbiny = Math.floor(box.height / binsize) + 1;
+  bins = [];
+  rects = [];
+  for (i = _i = 0, _len = cells.length; _i < _len; i = ++_i) {
+    d = cells[i];
+    r = rect(d, i);
+    rects.push(r);
+    context.fillStyle = fill(d, i);
+    context.fillRect(r.x - box.x, r.y - box.y, r.width, r.height);
+    binx = (function() {
+      _results = [];
+      for (var _j = _ref1 = Math.max(0, Math.floor((r.x - box.x) / binsize)), _ref2 = Math.min(nbinx - 1, Math.floor((r.x + r.width - box.x) / binsize)); _ref1 <= _ref2 ? _j <= _ref2 : _j >= _ref2; _ref1 <= _ref2 ? _j++ : _j--){ _results.push(_j); }
+      return _results;
+    }).apply(this);
+    biny = (function() {
+      _results1 = [];
+      for (var _k = _ref3 = Math.max(0, Math.floor((r.y - box.y) / binsize)), _ref4 = Math.min(nbiny - 1, Math.floor((r.y + r.height - box.y) / binsize)); _ref3 <= _ref4 ? _k <= _ref4 : _k >= _ref4; _ref3 <= _ref4 ? _k++ : _k--){ _results1.push(_k); }
+      return _results1;
+    }).apply(this);
+    for (_l = 0, _len1 = binx.length; _l < _len1; _l++) {
+      xbin = binx[_l];
+      for (_m = 0, _len2 = biny.length; _m < _len2; _m++) {
+        ybin = biny[_m];
+        bin = xbin * nbiny + ybin;
+        if (bins[bin] == null) {
+          bins[bin] = [];
+        }
+        bins[bin].push(i);
+      }
+    }
+  }
+  cellAt = function(x, y) {
+    var _n;
+    if (x < box.x || x >= box.x + box.width || y < box.y || y >= box.y + box.height) {
+      return null;
+    }
+    bin = bins[Math.floor((x - box.x) / binsize) * nbiny + Math.floor((y - box.y) / binsize)];
+    if (bin == null) {
+      return null;
+    }
+    for (_n = bin.length - 1; _n >= 0; _n += -1) {
+      i = bin[_n];
+      r = rects[i];
+      if (x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height) {
+        return i;
+      }
+    }
+    return null;
+  };
+  cellrect = g.append("rect").attr("class", "canvascell").attr("fill", "none").attr("stroke", "none").attr("stroke-width", "1").attr("pointer-events", "none").style("display", "none");
+  catcher = g.append("rect").attr("class", "canvascatcher").attr("x", box.x).attr("y", box.y).attr("width", box.width).attr("height", box.height).attr("fill", "none").attr("pointer-events", "all");
+  listeners = {};
+  fire = function(type, i) {
+    var event, listener, name, _ref5, _results2;
+    if (listeners[type] == null) {
+      return;
+    }
+    event = d3.event;
+    d3.event = {
+      type: type,
+      target: cellrect.node(),
+      sourceEvent: event,
+      clientX: event.clientX,
+      clientY: event.clientY,
+      pageX: event.pageX,
+      pageY: event.pageY,
+      shiftKey: event.shiftKey,
+      altKey: event.altKey,
+      ctrlKey: event.ctrlKey,
+      metaKey: event.metaKey,
+      stopPropagation: function() {
+        return event.stopPropagation();
+      },
+      preventDefault: function() {
+        return event.preventDefault();
+      }
+    };
+    try {
+      _ref5 = listeners[type];
+      _results2 = [];
+      for (name in _ref5) {
+        listener = _ref5[name];
+        _results2.push(listener.call(cellrect.node(), cells[i], i));
+      }
+      return _results2;
+    } finally {
+      d3.event = event;
+    }
+  };
+  current = null;
+  leave = function() {
+    if (current == null) {
+      return;
+    }
+    fire("mouseout", current);
+    cellrect.style("display", "none");
+    return current = null;
+  };
+  enter = function(i) {
+    if (i === current) {
+      return;
+    }
+    leave();
+    if (i == null) {
+      return;
+    }
+    current = i;
+    r = rects[i];
+    cellrect.attr("x", r.x).attr("y", r.y).attr("width", r.width).attr("height", r.height).style("display", null);
+    return fire("mouseover", i);
+  };
+  catcher.on("mousemove.canvascells", function() {
+    var xy;
+    xy = d3.mouse(g.node());
+    return enter(cellAt(xy[0], xy[1]));
+  }).on("mouseout.canvascells", leave);
+  select = {};
+  select.on = function(type, listener) {
+    var name, _ref5, _ref6;
+    _ref5 = type.split("."), type = _ref5[0], name = _ref5[1];
+    name = name != null ? name : "";
+    if (arguments.length < 2) {
+      return (_ref6 = listeners[type]) != null ? _ref6[name] : void 0;
+    }
+    if (listener != null) {
+      if (listeners[type] == null) {
+        listeners[type] = {};
+      }
+      listeners[type][name] = listener;
+      if (type !== "mouseover" && type !== "mouseout") {
+        catcher.on("" + type + ".canvascells", function() {
+          var xy;
+          xy = d3.mouse(g.node());
+          i = cellAt(xy[0], xy[1]);
+          if (i != null) {
+            return fire(type, i);
+          }
+        });
+      }
+    } else if (listeners[type] != null) {
+      delete listeners[type][name];
+    }
+    return select;
+  };
+  select.size = function() {
+    return cells.length;
+  };
+  select.hover = function(i) {
+    return enter(i);
+  };
+  select.click = function(i) {
+    return fire("click", i);
+  };
+  return select;
+};
+
+chartCSS = function() {
+  var cssRules, err, rule, rules, sel, selectors, sheet, _i, _j, _len, _len1, _ref;
+  rules = [];
+  _ref = document.styleSheets;
+  for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+    sheet = _ref[_i];
+    try {
+      cssRules = sheet.cssRules;
+    } catch (_error) {
+      err = _error;
+      return null;
+    }
+    if (cssRules == null) {
+      continue;
+    }
+    for (_j = 0, _len1 = cssRules.length; _j < _len1; _j++) {
+      rule = cssRules[_j];
+      if (!(rule.selectorText != null)) {
+        continue;
+      }
+      selectors = (function() {
+        var _k, _len2, _ref1, _results;
+        _ref1 = rule.selectorText.split(",");
+        _results = [];
+        for (_k = 0, _len2 = _ref1.length; _k < _len2; _k++) {
+          sel = _ref1[_k];
+          sel = sel.replace(/div\.qtlcharts\s*/g, "").trim();
+          if (sel === "") {
+            _results.push("svg");
+          } else {
+            _results.push(sel);
+          }
+        }
+        return _results;
+      })();
+      rules.push("" + (selectors.join(", ")) + " { " + rule.style.cssText + " }");
+    }
+  }
+  return rules.join("\n");
+};
+
+inlineStyles = function(orig, clone) {
+  var cloneNodes, i, node, origNodes, prop, properties, style, _i, _j, _len, _len1;
+  properties = ["fill", "fill-opacity", "stroke", "stroke-width", "stroke-dasharray", "stroke-opacity", "opacity", "font-family", "font-size", "font-weight", "text-anchor", "dominant-baseline"];
+  origNodes = [orig].concat(Array.prototype.slice.call(orig.querySelectorAll("*")));
+  cloneNodes = [clone].concat(Array.prototype.slice.call(clone.querySelectorAll("*")));
+  for (i = _i = 0, _len = origNodes.length; _i < _len; i = ++_i) {
+    node = origNodes[i];
+    style = window.getComputedStyle(node);
+    for (_j = 0, _len1 = properties.length; _j < _len1; _j++) {
+      prop = properties[_j];
+      cloneNodes[i].style.setProperty(prop, style.getPropertyValue(prop));
+    }
+  }
+  return null;
+};
+
+chartSVG = function(chartdivid) {
+  var att, canvas, canvases, clone, css, fo, height, i, image, j, left, ns, rect, rects, result, style, svg, svgs, top, width, _i, _j, _k, _len, _len1, _len2, _ref, _ref1;
+  ns = "http://www.w3.org/2000/svg";
+  svgs = (function() {
+    var _i, _len, _ref, _results;
+    _ref = d3.select("div#" + chartdivid).selectAll("svg")[0];
+    _results = [];
+    for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+      svg = _ref[_i];
+      if (svg.ownerSVGElement == null) {
+        _results.push(svg);
+      }
+    }
+    return _results;
+  })();
+  rects = (function() {
+    var _i, _len, _results;
+    _results = [];
+    for (_i = 0, _len = svgs.length; _i < _len; _i++) {
+      svg = svgs[_i];
+      _results.push(svg.getBoundingClientRect());
+    }
+    return _results;
+  })();
+  left = d3.min((function() {
+    var _i, _len, _results;
+    _results = [];
+    for (_i = 0, _len = rects.length; _i < _len; _i++) {
+      rect = rects[_i];
+      _results.push(rect.left);
+    }
+    return _results;
+  })());
+  top = d3.min((function() {
+    var _i, _len, _results;
+    _results = [];
+    for (_i = 0, _len = rects.length; _i < _len; _i++) {
+      rect = rects[_i];
+      _results.push(rect.top);
+    }
+    return _results;
+  })());
+  width = d3.max((function() {
+    var _i, _len, _results;
+    _results = [];
+    for (_i = 0, _len = rects.length; _i < _len; _i++) {
+      rect = rects[_i];
+      _results.push(rect.right);
+    }
+    return _results;
+  })()) - left;
+  height = d3.max((function() {
+    var _i, _len, _results;
+    _results = [];
+    for (_i = 0, _len = rects.length; _i < _len; _i++) {
+      rect = rects[_i];
+      _results.push(rect.bottom);
+    }
+    return _results;
+  })()) - top;
+  result = document.createElementNS(ns, "svg");
+  result.setAttributeNS("http://www.w3.org/2000/xmlns/", "xmlns:xlink", "http://www.w3.org/1999/xlink");
+  result.setAttribute("width", width);
+  result.setAttribute("height", height);
+  css = chartCSS();
+  if (css != null) {
+    style = document.createElementNS(ns, "style");
+    style.setAttribute("type", "text/css");
+    style.textContent = css;
+    result.appendChild(style);
+  }
+  for (i = _i = 0, _len = svgs.length; _i < _len; i = ++_i) {
+    svg = svgs[i];
+    clone = svg.cloneNode(true);
+    if (css == null) {
+      inlineStyles(svg, clone);
+    }
+    clone.setAttribute("x", rects[i].left - left);
+    clone.setAttribute("y", rects[i].top - top);
+    canvases = svg.querySelectorAll("foreignObject canvas");
+    _ref = clone.querySelectorAll("foreignObject canvas");
+    for (j = _j = 0, _len1 = _ref.length; _j < _len1; j = ++_j) {
+      canvas = _ref[j];
+      fo = canvas.parentNode;
+      image = document.createElementNS(ns, "image");
+      _ref1 = ["x", "y", "width", "height"];
+      for (_k = 0, _len2 = _ref1.length; _k < _len2; _k++) {
+        att = _ref1[_k];
+        image.setAttribute(att, fo.getAttribute(att));
+      }
+      image.setAttributeNS("http://www.w3.org/1999/xlink", "xlink:href", canvases[j].toDataURL("image/png"));
+      fo.parentNode.replaceChild(image, fo);
+    }
+    result.appendChild(clone);
+  }
+  return result;
+};
+
+saveChart = function(chartdivid, format, scale) {
+  var blob, download, height, image, svg, svgstring, url, width;
+  if (format == null) {
+    format = "svg";
+  }
+  if (scale == null) {
+    scale = 1;
+  }
+  svg = chartSVG(chartdivid);
+  svgstring = new XMLSerializer().serializeToString(svg);
+  download = function(url, filename) {
+    var a;
+    a = d3.select("body").append("a").attr("href", url).attr("download", filename).style("display", "none");
+    a.node().click();
+    return a.remove();
+  };
+  if (format === "png") {
+    width = +svg.getAttribute("width");
+    height = +svg.getAttribute("height");
+    image = new Image();
+    image.onload = function() {
+      var canvas, context;
+      canvas = document.createElement("canvas");
+      canvas.width = Math.ceil(width * scale);
+      canvas.height = Math.ceil(height * scale);
+      context = canvas.getContext("2d");
+      context.fillStyle = "white";
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0);
+      return download(canvas.toDataURL("image/png"), "" + chartdivid + ".png");
+    };
+    image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svgstring);
+  } else {
+    blob = new Blob(['<?xml version="1.0" encoding="utf-8"?>\n', svgstring], {
+      type: "image/svg+xml"
+    });
+    url = URL.createObjectURL(blob);
+    download(url, "" + chartdivid + ".svg");
+    setTimeout((function() {
+      return URL.revokeObjectURL(url);
+    }), 1000);
+  }
+  return null;
+};
+
+addExportControl = function(chartdivid, pngScale) {
+  var control, div, scaleSelect, scales;
+  if (pngScale == null) {
+    pngScale = 2;
+  }
+  div = d3.select("div#" + chartdivid);
+  div.select("div.exportcontrol").remove();
+  control = div.append("div").attr("class", "exportcontrol");
+  control.append("button").text("Save SVG").on("click", function() {
+    return saveChart(chartdivid, "svg");
+  });
+  control.append("button").text("Save PNG").on("click", function() {
+    return saveChart(chartdivid, "png", +scaleSelect.property("value"));
+  });
+  control.append("span").text(" at ");
+  scales = [1, 2, 3, 4];
+  if (scales.indexOf(pngScale) < 0) {
+    scales.push(pngScale);
+  }
+  scaleSelect = control.append("select");
+  scaleSelect.selectAll("option").data(scales.sort(function(a, b) {
+    return a - b;
+  })).enter().append("option").attr("value", function(d) {
+    return d;
+  }).text(function(d) {
+    return "" + d + "x";
+  });
+  scaleSelect.property("value", pngScale);
+  return control;
+};
+
+addMarkerSearch = function(chartdivid, markernames, onselect) {
+  var box, byName, byUpperName, div, form, input, listid, marker, message, pick, _i, _j, _len;
+  div = d3.select("div#" + chartdivid);
+  div.select("div.searchbox").remove();
+  box = div.append("div").attr("class", "searchbox");
+  form = box.append("form");
+  listid = "" + chartdivid + "_markerlist";
+  input = form.append("input").attr("type", "text").attr("list", listid).attr("placeholder", "Marker name").attr("aria-label", "Marker name");
+  form.append("datalist").attr("id", listid).selectAll("option").data(markernames).enter().append("option").attr("value", function(d) {
+    return d;
+  });
+  form.append("input").attr("type", "submit").attr("value", "Submit");
+  message = form.append("span").attr("class", "searchmessage").attr("aria-live", "polite");
+  byName = d3.map();
+  for (_i = 0, _len = markernames.length; _i < _len; _i++) {
+    marker = markernames[_i];
+    byName.set(marker, marker);
+  }
+  byUpperName = d3.map();
+  for (_j = markernames.length - 1; _j >= 0; _j += -1) {
+    marker = markernames[_j];
+    byUpperName.set(marker.toUpperCase(), marker);
+  }
+  pick = function(name) {
+    var _ref;
+    marker = (_ref = byName.get(name)) != null ? _ref : byUpperName.get(name.toUpperCase());
+    if (marker == null) {
+      message.text(" Marker \"" + name + "\" not found");
+      return;
+    }
+    message.text("");
+    input.property("value", marker);
+    return onselect(marker);
+  };
+  form.on("submit", function() {
+    var name;
+    d3.event.preventDefault();
+    name = input.property("value").trim();
+    if (name !== "") {
+      return pick(name);
+    }
+  });
+  input.on("input", function() {
+    var name, _ref;
+    name = input.property("value");
+    if (byName.has(name) && ((_ref = d3.event.inputType) === (void 0) || _ref === "insertReplacementText")) {
+      return pick(name);
+    }
+  });
+  return box;
+};
+
+addRangeSlider = function(chartdivid, label, range, step, onchange) {
+  var box, div, format, slider, sliders, text, update, which, _i, _len;
+  div = d3.select("div#" + chartdivid);
+  div.select("div.rangeslider").remove();
+  box = div.append("div").attr("class", "rangeslider");
+  text = box.append("span").attr("aria-live", "polite");
+  sliders = (function() {
+    var _i, _len, _ref, _results;
+    _ref = ["minimum", "maximum"];
+    _results = [];
+    for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+      which = _ref[_i];
+      _results.push(box.append("input").attr("type", "range").attr("min", range[0]).attr("max", range[1]).attr("step", step).attr("aria-label", "" + label + " " + which));
+    }
+    return _results;
+  })();
+  sliders[0].property("value", range[0]);
+  sliders[1].property("value", range[1]);
+  format = formatAxis([0, step]);
+  update = function() {
+    var band;
+    band = [+sliders[0].property("value"), +sliders[1].property("value")].sort(function(a, b) {
+      return a - b;
+    });
+    text.text("" + label + " from " + (format(band[0])) + " to " + (format(band[1])) + " ");
+    return onchange(band);
+  };
+  for (_i = 0, _len = sliders.length; _i < _len; _i++) {
+    slider = sliders[_i];
+    slider.on("input", update);
+  }
+  update();
+  return box;
+};
+
+legendPlacement = function(side, size, totalw, totalh, x, y) {
+  var h, w;
+  w = size[0], h = size[1];
+  switch (side) {
+    case "left":
+      return {
+        totalw: totalw + w,
+        totalh: totalh,
+        legend: [0, y],
+        chart: [w, 0]
+      };
+    case "right":
+      return {
+        totalw: totalw + w,
+        totalh: totalh,
+        legend: [totalw, y],
+        chart: [0, 0]
+      };
+    case "top":
+      return {
+        totalw: totalw,
+        totalh: totalh + h,
+        legend: [x, 0],
+        chart: [0, h]
+      };
+    case "bottom":
+      return {
+        totalw: totalw,
+        totalh: totalh + h,
+        legend: [x, totalh],
+        chart: [0, 0]
+      };
+    default:
+      return displayError("legend side should be top, bottom, left, or right (was " + side + ")");
+  }
+};
+
+hubEvents = ["individual:hover", "individual:select", "marker:hover", "marker:select", "chr:select", "position:hover"];
+
+eventHub = function() {
+  var dispatch, hub;
+  dispatch = d3.dispatch.apply(null, hubEvents);
+  hub = {};
+  hub.publish = function() {
+    var args, type;
+    type = arguments[0], args = 2 <= arguments.length ? __slice.call(arguments, 1) : [];
+    if (__indexOf.call(hubEvents, type) >= 0) {
+      dispatch[type].apply(hub, args);
+    } else {
+      displayError("eventHub: unknown event type " + type);
+    }
+    return hub;
+  };
+  d3.rebind(hub, dispatch, "on");
+  return hub;
+};
+
+hubLabel = function(panelname) {
+  return "" + panelname + (Math.random().toString(36).slice(2));
+};
+
+makeResponsive = function(chartdivid, minScale, maxScale) {
+  var div, lastWidth, resize, svgs;
+  if (minScale == null) {
+    minScale = 0.7;
+  }
+  if (maxScale == null) {
+    maxScale = 1.5;
+  }
+  div = d3.select("div#" + chartdivid);
+  svgs = div.selectAll("svg").filter(function() {
+    return this.ownerSVGElement == null;
+  });
+  svgs.each(function() {
+    var svg;
+    svg = d3.select(this);
+    if (svg.attr("viewBox") == null) {
+      return svg.attr("viewBox", "0 0 " + (svg.attr("width")) + " " + (svg.attr("height"))).attr("preserveAspectRatio", "xMinYMin meet");
+    }
+  });
+  lastWidth = null;
+  resize = function() {
+    var divWidth, scale;
+    divWidth = div.node().clientWidth;
+    if (divWidth === lastWidth || divWidth === 0) {
+      return;
+    }
+    lastWidth = divWidth;
+    scale = d3.min(svgs[0], function(svg) {
+      var style, svgMargin, viewBox;
+      viewBox = svg.getAttribute("viewBox").split(" ");
+      style = window.getComputedStyle(svg);
+      svgMargin = (parseFloat(style.marginLeft) || 0) + (parseFloat(style.marginRight) || 0);
+      return (divWidth - svgMargin) / (+viewBox[2]);
+    });
+    div.style("overflow-x", scale < minScale ? "auto" : null);
+    scale = Math.min(maxScale, Math.max(minScale, scale));
+    return svgs.each(function() {
+      var viewBox;
+      viewBox = this.getAttribute("viewBox").split(" ");
+      return d3.select(this).attr("width", +viewBox[2] * scale).attr("height", +viewBox[3] * scale);
+    });
+  };
+  resize();
+  if (window.ResizeObserver != null) {
+    new window.ResizeObserver(resize).observe(div.node());
+  } else {
+    d3.select(window).on("resize." + chartdivid, resize);
+  }
+  return resize;
+};
+
+keyboardNav = function(g, opts) {
+  var current, focusOn, hover, keys, liveRegion, mouseEvent, select, svg, _ref, _ref1;
+  current = null;
+  mouseEvent = function(type, i) {
+    var node;
+    node = opts.nodes()[i];
+    if (node != null) {
+      return node.dispatchEvent(new MouseEvent(type));
+    }
+  };
+  hover = (_ref = opts.hover) != null ? _ref : function(i, previous) {
+    if (previous != null) {
+      d3.select(opts.nodes()[previous]).classed("keyfocus", false);
+      mouseEvent("mouseout", previous);
+    }
+    if (i != null) {
+      d3.select(opts.nodes()[i]).classed("keyfocus", true).attr("aria-label", opts.label(i));
+      return mouseEvent("mouseover", i);
+    }
+  };
+  select = (_ref1 = opts.select) != null ? _ref1 : function(i) {
+    return mouseEvent("click", i);
+  };
+  svg = g.node();
+  while (svg.ownerSVGElement != null) {
+    svg = svg.ownerSVGElement;
+  }
+  liveRegion = d3.select(svg.parentNode).selectAll("div.sronly");
+  if (liveRegion.empty()) {
+    liveRegion = d3.select(svg.parentNode).append("div").attr("class", "sronly").attr("aria-live", "polite");
+  }
+  focusOn = function(i) {
+    var previous;
+    previous = current;
+    current = i;
+    hover(i, previous);
+    return liveRegion.text(i != null ? opts.label(i) : "");
+  };
+  keys = {
+    37: "left",
+    38: "up",
+    39: "right",
+    40: "down"
+  };
+  g.attr("tabindex", 0).attr("role", "application").attr("aria-label", opts.description).on("keydown.keynav", function() {
+    var key, n, next, _ref2;
+    key = d3.event.keyCode;
+    n = opts.n();
+    if (n === 0) {
+      return;
+    }
+    if ((current != null) && current >= n) {
+      current = null;
+    }
+    if (keys[key] != null) {
+      d3.event.preventDefault();
+      next = current != null ? opts.move(current, keys[key]) : (_ref2 = typeof opts.first === "function" ? opts.first() : void 0) != null ? _ref2 : 0;
+      if ((next != null) && next !== current) {
+        return focusOn(next);
+      }
+    } else if (key === 13 && (current != null)) {
+      d3.event.preventDefault();
+      return select(current);
+    } else if (key === 27 && (current != null)) {
+      return focusOn(null);
+    }
+  }).on("blur.keynav", function() {
+    if (current != null) {
+      return focusOn(null);
+    }
+  });
+  return focusOn;
+};
+
+cellKeyboardNav = function(g, cellSelect, cells, description, label, pos) {
+  var colrange, colrow, cr, d, index, k, opts, rowrange, step, _i, _len;
+  colrow = (function() {
+    var _i, _len, _results;
+    _results = [];
+    for (_i = 0, _len = cells.length; _i < _len; _i++) {
+      d = cells[_i];
+      _results.push(pos(d));
+    }
+    return _results;
+  })();
+  index = {};
+  for (k = _i = 0, _len = colrow.length; _i < _len; k = ++_i) {
+    cr = colrow[k];
+    index["" + cr[0] + "," + cr[1]] = k;
+  }
+  colrange = d3.extent((function() {
+    var _j, _len1, _results;
+    _results = [];
+    for (_j = 0, _len1 = colrow.length; _j < _len1; _j++) {
+      cr = colrow[_j];
+      _results.push(cr[0]);
+    }
+    return _results;
+  })());
+  rowrange = d3.extent((function() {
+    var _j, _len1, _results;
+    _results = [];
+    for (_j = 0, _len1 = colrow.length; _j < _len1; _j++) {
+      cr = colrow[_j];
+      _results.push(cr[1]);
+    }
+    return _results;
+  })());
+  step = {
+    left: [-1, 0],
+    right: [1, 0],
+    up: [0, 1],
+    down: [0, -1]
+  };
+  opts = {
+    description: description,
+    n: function() {
+      return cells.length;
+    },
+    label: function(k) {
+      return label(cells[k]);
+    },
+    move: function(k, direction) {
+      var col, dcol, drow, row, _ref, _ref1;
+      _ref = colrow[k], col = _ref[0], row = _ref[1];
+      _ref1 = step[direction], dcol = _ref1[0], drow = _ref1[1];
+      while (true) {
+        col += dcol;
+        row += drow;
+        if (col < colrange[0] || col > colrange[1] || row < rowrange[0] || row > rowrange[1]) {
+          return null;
+        }
+        if (index["" + col + "," + row] != null) {
+          return index["" + col + "," + row];
+        }
+      }
+    }
+  };
+  if (cellSelect.hover != null) {
+    opts.hover = function(k) {
+      return cellSelect.hover(k);
+    };
+    opts.select = function(k) {
+      return cellSelect.click(k);
+    };
+  } else {
+    opts.nodes = function() {
+      return cellSelect[0];
+    };
+  }
+  return keyboardNav(g, opts);
+};
+
+pointKeyboardNav = function(g, pointsSelect, description, label) {
+  var nodes, step, visible, xy;
+  nodes = pointsSelect[0];
+  visible = function() {
+    var i, node, _i, _len, _results;
+    _results = [];
+    for (i = _i = 0, _len = nodes.length; _i < _len; i = ++_i) {
+      node = nodes[i];
+      if (d3.select(node).attr("opacity") !== "0") {
+        _results.push(i);
+      }
+    }
+    return _results;
+  };
+  xy = function(i) {
+    return [+d3.select(nodes[i]).attr("cx"), +d3.select(nodes[i]).attr("cy")];
+  };
+  step = {
+    left: [-1, 0],
+    right: [1, 0],
+    up: [0, -1],
+    down: [0, 1]
+  };
+  return keyboardNav(g, {
+    description: description,
+    nodes: function() {
+      return nodes;
+    },
+    n: function() {
+      return nodes.length;
+    },
+    label: label,
+    first: function() {
+      var first, i, _i, _len, _ref;
+      first = null;
+      _ref = visible();
+      for (_i = 0, _len = _ref.length; _i < _len; _i++) {
+        i = _ref[_i];
+        if ((first == null) || xy(i)[0] < xy(first)[0]) {
+          first = i;
+        }
+      }
+      return first;
+    },
+    move: function(i, direction) {
+      var across, along, best, bestscore, dx, dy, j, score, x, x0, y, y0, _i, _len, _ref, _ref1, _ref2, _ref3;
+      _ref = step[direction], dx = _ref[0], dy = _ref[1];
+      _ref1 = xy(i), x0 = _ref1[0], y0 = _ref1[1];
+      best = null;
+      bestscore = null;
+      _ref2 = visible();
+      for (_i = 0, _len = _ref2.length; _i < _len; _i++) {
+        j = _ref2[_i];
+        if (!(j !== i)) {
+          continue;
+        }
+        _ref3 = xy(j), x = _ref3[0], y = _ref3[1];
+        along = (x - x0) * dx + (y - y0) * dy;
+        across = Math.abs((x - x0) * dy) + Math.abs((y - y0) * dx);
+        if (!(along > 0 || (along === 0 && across === 0 && (j - i) * (dx + dy) > 0))) {
+          continue;
+        }
+        score = along + 2 * across;
+        if ((bestscore == null) || score < bestscore) {
+          best = j;
+          bestscore = score;
+        }
+      }
+      return best;
+    }
+  });
+};
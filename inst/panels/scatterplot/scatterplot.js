@@ -2,7 +2,7 @@
 var scatterplot;
 
 scatterplot = function() {
-  var axispos, chart, dataByInd, height, margin, nxticks, nyticks, pointcolor, pointsSelect, pointsize, pointstroke, rectcolor, rotate_ylab, title, titlepos, width, xNA, xlab, xlim, xscale, xticks, xvar, yNA, ylab, ylim, yscale, yticks, yvar;
+  var axispos, brush, brushMode, brushed, brushg, chart, dataByInd, dispatch, height, hub, hublabel, margin, nxticks, nyticks, pointcolor, pointsSelect, pointsize, pointstroke, rectcolor, rotate_ylab, selected, title, titlepos, width, xNA, xlab, xlim, xscale, xticks, xvar, yNA, ylab, ylim, yscale, yticks, yvar;
   width = 800;
   height = 500;
   margin = {
@@ -51,6 +51,14 @@ scatterplot = function() {
   yvar = 1;
   pointsSelect = null;
   dataByInd = true;
+  brushMode = false;
+  brush = null;
+  brushg = null;
+  brushed = null;
+  selected = [];
+  dispatch = d3.dispatch("brushed");
+  hub = null;
+  hublabel = hubLabel("scatterplot");
   chart = function(selection) {
     return selection.each(function(data) {
       var g, gEnter, group, i, indID, indtip, na_value, ngroup, panelheight, paneloffset, panelwidth, points, svg, titlegrp, x, xaxis, xrange, xs, y, yaxis, yrange, ys, _i, _ref, _ref1, _ref2, _results;
@@ -220,6 +228,50 @@ scatterplot = function() {
         return indID[i];
       }).direction('e').offset([0, 10]);
       svg.call(indtip);
+      if (brushMode) {
+        brush = d3.svg.brush().x(d3.scale.identity().domain([margin.left, margin.left + width])).y(d3.scale.identity().domain([margin.top, margin.top + height]));
+        brushed = function() {
+          var extent, isSelected, selectedIndex, _j, _len;
+          if (brush.empty()) {
+            selectedIndex = [];
+          } else {
+            extent = brush.extent();
+            selectedIndex = (function() {
+              var _j, _ref3, _ref4, _ref5, _results1;
+              _results1 = [];
+              for (i = _j = 0, _ref3 = x.length; 0 <= _ref3 ? _j < _ref3 : _j > _ref3; i = 0 <= _ref3 ? ++_j : --_j) {
+                if ((x[i] != null) && (y[i] != null) && (extent[0][0] <= (_ref4 = xscale(x[i])) && _ref4 <= extent[1][0]) && (extent[0][1] <= (_ref5 = yscale(y[i])) && _ref5 <= extent[1][1])) {
+                  _results1.push(i);
+                }
+              }
+              return _results1;
+            })();
+          }
+          isSelected = {};
+          for (_j = 0, _len = selectedIndex.length; _j < _len; _j++) {
+            i = selectedIndex[_j];
+            isSelected[i] = true;
+          }
+          pointsSelect.classed("selected", function(d, i) {
+            return isSelected[i] != null;
+          });
+          selected = (function() {
+            var _k, _len1, _results1;
+            _results1 = [];
+            for (_k = 0, _len1 = selectedIndex.length; _k < _len1; _k++) {
+              i = selectedIndex[_k];
+              _results1.push(indID[i]);
+            }
+            return _results1;
+          })();
+          dispatch.brushed(selected, selectedIndex);
+          if (hub != null) {
+            return hub.publish("individual:select", selected, chart);
+          }
+        };
+        brush.on("brush", brushed);
+        brushg = g.append("g").attr("class", "brush").call(brush);
+      }
       points = g.append("g").attr("id", "points");
       pointsSelect = points.selectAll("empty").data(d3.range(x.length)).enter().append("circle").attr("cx", function(d, i) {
         return xscale(x[i]);
@@ -235,6 +287,55 @@ scatterplot = function() {
         }
         return 0;
       }).on("mouseover.paneltip", indtip.show).on("mouseout.paneltip", indtip.hide);
+      if (hub != null) {
+        pointsSelect.on("mouseover.hub", function(d, i) {
+          return hub.publish("individual:hover", indID[i], chart);
+        }).on("mouseout.hub", function() {
+          return hub.publish("individual:hover", null, chart);
+        });
+        hub.on("individual:hover." + hublabel, function(id, source) {
+          if (source === chart) {
+            return;
+          }
+          return pointsSelect.classed("hilit", function(d, i) {
+            return (id != null) && ("" + indID[i]) === ("" + id);
+          });
+        });
+        hub.on("individual:select." + hublabel, function(ids, source) {
+          var id, isSelected, _j, _len;
+          if (source === chart) {
+            return;
+          }
+          if (brush != null) {
+            brushg.call(brush.clear());
+          }
+          isSelected = {};
+          for (_j = 0, _len = ids.length; _j < _len; _j++) {
+            id = ids[_j];
+            isSelected[id] = true;
+          }
+          selected = (function() {
+            var _k, _len1, _results1;
+            _results1 = [];
+            for (_k = 0, _len1 = indID.length; _k < _len1; _k++) {
+              id = indID[_k];
+              if (isSelected[id] != null) {
+                _results1.push(id);
+              }
+            }
+            return _results1;
+          })();
+          return pointsSelect.classed("selected", function(d, i) {
+            return isSelected[indID[i]] != null;
+          });
+        });
+      }
+      pointKeyboardNav(g, pointsSelect, "Scatterplot; arrow keys move among points, Enter selects", (function(i) {
+        var xval, yval;
+        xval = x[i] != null ? formatAxis(x)(x[i]) : "missing";
+        yval = y[i] != null ? formatAxis(y)(y[i]) : "missing";
+        return "" + indID[i] + ": " + xlab + " " + xval + ", " + ylab + " " + yval;
+      }));
       g.append("rect").attr("x", margin.left + paneloffset).attr("y", margin.top).attr("height", panelheight).attr("width", panelwidth).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
       if (xNA.handle) {
         g.append("rect").attr("x", margin.left).attr("y", margin.top).attr("height", panelheight).attr("width", xNA.width).attr("fill", "none").attr("stroke", "black").attr("stroke-width", "none");
@@ -415,6 +516,20 @@ scatterplot = function() {
     yNA = value;
     return chart;
   };
+  chart.brushMode = function(value) {
+    if (!arguments.length) {
+      return brushMode;
+    }
+    brushMode = value;
+    return chart;
+  };
+  chart.hub = function(value) {
+    if (!arguments.length) {
+      return hub;
+    }
+    hub = value;
+    return chart;
+  };
   chart.yscale = function() {
     return yscale;
   };
@@ -424,5 +539,16 @@ scatterplot = function() {
   chart.pointsSelect = function() {
     return pointsSelect;
   };
+  chart.selected = function() {
+    return selected;
+  };
+  chart.clearBrush = function() {
+    if ((brush != null) && !brush.empty()) {
+      brushg.call(brush.clear());
+      brushed();
+    }
+    return chart;
+  };
+  d3.rebind(chart, dispatch, "on");
   return chart;
 };
@@ -195,3 +195,46 @@ d3.json("data.json", function(data) {
     return d3.select(this).attr("r", mychart.pointsize());
   });
 });
+
+d3.json("data.json", function(data) {
+  var i, indID, mychart;
+  mychart = scatterplot().xvar(0).yvar(1).xlab("X1").ylab("X2").height(h).width(w).margin(margin).brushMode(true);
+  indID = (function() {
+    var _results;
+    _results = [];
+    for (i in data) {
+      _results.push("ind" + (i + 1));
+    }
+    return _results;
+  })();
+  d3.select("div#chart6").datum({
+    data: data,
+    indID: indID
+  }).call(mychart);
+  return mychart.on("brushed", function(ids, indices) {
+    return d3.select("p#chart6selected").text("Selected: " + (ids.join(", ")));
+  });
+});
+
+d3.json("data.json", function(data) {
+  var hub, i, indID, mychart, svg, _i, _results;
+  hub = eventHub();
+  indID = (function() {
+    var _results;
+    _results = [];
+    for (i in data) {
+      _results.push("ind" + (i + 1));
+    }
+    return _results;
+  })();
+  svg = d3.select("div#chart7").append("svg").attr("height", halfh).attr("width", totalw);
+  _results = [];
+  for (i = _i = 0; _i <= 1; i = ++_i) {
+    mychart = scatterplot().xvar(i + 1).yvar(0).xlab("X" + (i + 2)).ylab("X1").height(h).width(w).margin(margin).brushMode(true).hub(hub);
+    _results.push(svg.append("g").attr("id", "linked" + i).attr("transform", "translate(" + (halfw * i) + ",0)").datum({
+      data: data,
+      indID: indID
+    }).call(mychart));
+  }
+  return _results;
+});